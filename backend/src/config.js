@@ -5,13 +5,29 @@
 import dotenv from 'dotenv';
 dotenv.config();
 
+// 本地 anvil 默认账户 #0
+const DEFAULT_BUNDLER_PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
 export const config = {
   // 区块链配置
   rpcUrl: process.env.RPC_URL || 'http://localhost:8545',
   chainId: parseInt(process.env.CHAIN_ID || '31337'),
 
   // Bundler配置
-  bundlerPrivateKey: process.env.BUNDLER_PRIVATE_KEY || '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+  bundlerPrivateKey: process.env.BUNDLER_PRIVATE_KEY || DEFAULT_BUNDLER_PRIVATE_KEY,
+
+  // Bundler钱包池: 逗号分隔的多个私钥, 未设置时仅使用 BUNDLER_PRIVATE_KEY
+  bundlerPrivateKeys: (process.env.BUNDLER_PRIVATE_KEYS || process.env.BUNDLER_PRIVATE_KEY || DEFAULT_BUNDLER_PRIVATE_KEY)
+    .split(',').map(key => key.trim()).filter(Boolean),
+  // 钱包选择策略: round-robin / least-busy
+  bundlerSelectionStrategy: process.env.BUNDLER_SELECTION_STRATEGY || 'round-robin',
+
+  // 卡住交易替换: 超时未上链时以相同 nonce 提高手续费重新广播
+  txStuckTimeoutMs: parseInt(process.env.TX_STUCK_TIMEOUT_MS || '30000'),
+  txFeeBumpPercent: parseInt(process.env.TX_FEE_BUMP_PERCENT || '15'),
+  txMaxReplacements: parseInt(process.env.TX_MAX_REPLACEMENTS || '3'),
+  // maxFeePerGas 上限 (wei), 未设置时不限
+  txMaxFeePerGas: process.env.TX_MAX_FEE_PER_GAS ? BigInt(process.env.TX_MAX_FEE_PER_GAS) : null,
 
   // 合约地址
   // 使用本地部署到主网分叉时:
@@ -20,12 +36,60 @@ export const config = {
   entryPointAddress: process.env.ENTRY_POINT_ADDRESS || '0x5fc8d32690cc91d4c39d9d3abcbd16989f875707',
   kernelAddress: process.env.KERNEL_ADDRESS || '0x1BBED5cE00949dc5b16E9f6A2e8A71F37c6FE86a',
 
+  // 允许迁移的 Kernel 地址 (逗号分隔), kernelAddress 总是允许
+  kernelAllowlist: (process.env.KERNEL_ALLOWLIST || '').split(',').map(address => address.trim()).filter(Boolean),
+
   // 代币地址 (用于gas补偿) - MockUSDC
   tokenAddress: process.env.TOKEN_ADDRESS || '0xC3CEec5Ba25E4762a3218beac49A40681B9CC5cb',
 
+  // UserOp 签名方案: raw (直接签名 userOpHash, Kernel 默认) / eip191 / eip712
+  userOpSignatureScheme: process.env.USEROP_SIGNATURE_SCHEME || 'raw',
+
+  // 可信 API key (逗号分隔): 请求头 X-API-Key 命中时跳过签名和 nonce 预检查, 并可调用 /api/delegate 和 /api/delegation/*
+  trustedApiKeys: (process.env.TRUSTED_API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean),
+
+  // 手续费预言机: eth_feeHistory 采样区块数, baseFee 安全余量百分比
+  feeHistoryBlocks: parseInt(process.env.FEE_HISTORY_BLOCKS || '20'),
+  gasPriceMarginPercent: parseInt(process.env.GAS_PRICE_MARGIN_PERCENT || '20'),
+
+  // Gas 估算: verificationGasLimit / callGasLimit 在模拟结果上增加的余量百分比
+  gasEstimateBufferPercent: parseInt(process.env.GAS_ESTIMATE_BUFFER_PERCENT || '10'),
+
+  // ERC-7562 验证规则检查 (debug_traceCall): off / warn / enforce
+  validationTracerMode: process.env.VALIDATION_TRACER_MODE || 'off',
+
+  // 实体信誉 (ERC-7562): 最低包含率分母、限流余量、封禁余量、被限流实体同时处理中的 UserOp 上限
+  reputationMinInclusionDenominator: parseInt(process.env.REPUTATION_MIN_INCLUSION_DENOMINATOR || '10'),
+  reputationThrottlingSlack: parseInt(process.env.REPUTATION_THROTTLING_SLACK || '10'),
+  reputationBanSlack: parseInt(process.env.REPUTATION_BAN_SLACK || '50'),
+  reputationThrottledMaxPending: parseInt(process.env.REPUTATION_THROTTLED_MAX_PENDING || '4'),
+
+  // UserOp 持久化存储: file (JSON Lines, 默认) / memory; 已完成记录保留时间 (小时)
+  userOpStore: process.env.USEROP_STORE || 'file',
+  userOpStorePath: process.env.USEROP_STORE_PATH || 'data/userops.jsonl',
+  userOpStoreRetentionHours: parseInt(process.env.USEROP_STORE_RETENTION_HOURS || '168'),
+
+  // UserOp 事件推送 (GET /api/events): 链上轮询间隔、心跳间隔 (毫秒), 单个连接最多订阅的 sender + userOpHash 数量
+  eventsPollIntervalMs: parseInt(process.env.EVENTS_POLL_INTERVAL_MS || '2000'),
+  eventsHeartbeatMs: parseInt(process.env.EVENTS_HEARTBEAT_MS || '15000'),
+  eventsMaxSubscriptions: parseInt(process.env.EVENTS_MAX_SUBSCRIPTIONS || '20'),
+
+  // Webhook: 注册信息文件 (为空时仅内存), 最多投递次数, 首次重试间隔 (之后每次翻倍) 和请求超时 (毫秒)
+  webhooksPath: process.env.WEBHOOKS_PATH ?? 'data/webhooks.json',
+  webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6'),
+  webhookRetryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '5000'),
+  webhookTimeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000'),
+
+  // 幂等提交 (Idempotency-Key): 记录保留时间 (小时)
+  idempotencyTtlHours: parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24'),
+
   // 服务器配置
   port: parseInt(process.env.PORT || '3000'),
 
   // 缓存配置
   cacheTtlSeconds: parseInt(process.env.CACHE_TTL_SECONDS || '300'),
+
+  // Mempool 打包配置
+  bundleIntervalMs: parseInt(process.env.BUNDLE_INTERVAL_MS || '5000'),
+  maxBundleSize: parseInt(process.env.MAX_BUNDLE_SIZE || '10'),
 };
@@ -6,6 +6,7 @@
  * 1. 构造UserOp calldata
  * 2. 发送EIP-7702 type 0x04交易
  * 3. 查询账户delegation状态
+ * 4. ERC-4337 bundler JSON-RPC (/rpc)
  *
  * @see docs/API.md 查看API调用文档
  */
@@ -19,6 +20,29 @@ import { getNonce } from './routes/nonce.js';
 import { constructCalldata } from './routes/constructCalldata.js';
 import { sendRawTransaction } from './routes/sendRaw.js';
 import { validateSignature, validateSignatureBatch } from './routes/validateSignature.js';
+import { handleRpc } from './routes/rpc.js';
+import { getMempoolStats, getMempoolUserOp } from './routes/mempool.js';
+import { getBundlers } from './routes/bundlers.js';
+import { listTransactions, getTransaction } from './routes/transactions.js';
+import { getGasPrice } from './routes/gasPrice.js';
+import { listReputation, getReputation, resetReputation } from './routes/reputation.js';
+import { getUserOp } from './routes/userop.js';
+import { streamEvents } from './routes/events.js';
+import {
+  createWebhook,
+  listWebhooks,
+  deleteWebhook,
+  listWebhookDeliveries
+} from './routes/webhooks.js';
+import { constructAuthorization } from './routes/authorization.js';
+import {
+  delegateAccount,
+  onboardDelegation,
+  revokeDelegation,
+  migrateDelegation
+} from './routes/delegation.js';
+import { mempool } from './services/mempool.js';
+import { idempotency } from './services/idempotency.js';
 
 const app = express();
 
@@ -76,14 +100,37 @@ app.get('/health', (req, res) => {
 });
 
 // API路由
-app.post('/api/execute', executeUserOp);
+app.post('/api/execute', idempotency('userOp'), executeUserOp);
 app.post('/api/simulate', simulateUserOp);
 app.post('/api/construct-calldata', constructCalldata);
-app.post('/api/send-raw', sendRawTransaction);
+app.post('/api/send-raw', idempotency('signedUserOp'), sendRawTransaction);
+app.post('/api/authorization/construct', constructAuthorization);
+app.post('/api/delegate', delegateAccount);
+app.post('/api/delegation/onboard', onboardDelegation);
+app.post('/api/delegation/revoke', revokeDelegation);
+app.post('/api/delegation/migrate', migrateDelegation);
 app.get('/api/delegation-status/:address', getDelegationStatus);
 app.get('/api/nonce/:address', getNonce);
 app.post('/api/validate-signature', validateSignature);
 app.post('/api/validate-signature/batch', validateSignatureBatch);
+app.get('/api/mempool', getMempoolStats);
+app.get('/api/mempool/:userOpHash', getMempoolUserOp);
+app.get('/api/userop/:userOpHash', getUserOp);
+app.get('/api/events', streamEvents);
+app.post('/api/webhooks', createWebhook);
+app.get('/api/webhooks', listWebhooks);
+app.delete('/api/webhooks/:id', deleteWebhook);
+app.get('/api/webhooks/:id/deliveries', listWebhookDeliveries);
+app.get('/api/bundlers', getBundlers);
+app.get('/api/transactions', listTransactions);
+app.get('/api/transactions/:txHash', getTransaction);
+app.get('/api/gas-price', getGasPrice);
+app.get('/api/admin/reputation', listReputation);
+app.get('/api/admin/reputation/:address', getReputation);
+app.post('/api/admin/reputation/reset', resetReputation);
+
+// ERC-4337 bundler JSON-RPC
+app.post('/rpc', handleRpc);
 
 // 404处理 - 统一错误格式
 app.use((req, res) => {
@@ -97,16 +144,47 @@ app.use((req, res) => {
         'POST /api/simulate',
         'POST /api/construct-calldata',
         'POST /api/send-raw',
+        'POST /api/authorization/construct',
+        'POST /api/delegate',
+        'POST /api/delegation/onboard',
+        'POST /api/delegation/revoke',
+        'POST /api/delegation/migrate',
         'POST /api/validate-signature',
         'POST /api/validate-signature/batch',
         'GET /api/delegation-status/:address',
         'GET /api/nonce/:address',
+        'GET /api/mempool',
+        'GET /api/mempool/:userOpHash',
+        'GET /api/userop/:userOpHash',
+        'GET /api/events',
+        'POST /api/webhooks',
+        'GET /api/webhooks',
+        'DELETE /api/webhooks/:id',
+        'GET /api/webhooks/:id/deliveries',
+        'GET /api/bundlers',
+        'GET /api/transactions',
+        'GET /api/transactions/:txHash',
+        'GET /api/gas-price',
+        'GET /api/admin/reputation',
+        'GET /api/admin/reputation/:address',
+        'POST /api/admin/reputation/reset',
+        'POST /rpc',
         'GET /health'
       ]
     }
   });
 });
 
+// 恢复重启前未完成的 UserOp, 启动 mempool 定时打包
+mempool.restore()
+  .then(({ resumed, finished, watching }) => {
+    if (resumed + finished + watching > 0) {
+      console.log(`已恢复 UserOp: ${resumed} 个重新进入 pending, ${finished} 个已上链, ${watching} 个等待交易上链`);
+    }
+  })
+  .catch(error => console.error('恢复 UserOp 失败:', error.message));
+mempool.start();
+
 // 启动服务器
 app.listen(config.port, () => {
   console.log(`
@@ -125,10 +203,24 @@ app.listen(config.port, () => {
 ║  - POST /api/simulate          (模拟执行)                   ║
 ║  - POST /api/construct-calldata(构造 calldata)              ║
 ║  - POST /api/send-raw          (发送原始交易)                ║
+║  - POST /api/authorization/construct (构造 authorization)  ║
+║  - POST /api/delegate          (安装 delegation, 需 API key)║
+║  - POST /api/delegation/onboard (批量, 需 API key)          ║
+║  - POST /api/delegation/revoke  (撤销, 需 API key)          ║
+║  - POST /api/delegation/migrate (迁移 Kernel, 需 API key)   ║
 ║  - POST /api/validate-signature(ERC-1271 验证)              ║
 ║  - POST /api/validate-signature/batch (批量验证)            ║
 ║  - GET  /api/delegation-status/:address (查询 delegation)  ║
 ║  - GET  /api/nonce/:address    (查询 UserOp nonce)          ║
+║  - GET  /api/mempool/:userOpHash (查询 mempool 状态)        ║
+║  - GET  /api/userop/:userOpHash (查询 UserOp 提交状态)      ║
+║  - GET  /api/events            (UserOp 事件推送, SSE)       ║
+║  - POST /api/webhooks          (注册 webhook, 需 API key)   ║
+║  - GET  /api/bundlers          (bundler 钱包池状态)         ║
+║  - GET  /api/transactions/:txHash (交易替换历史)            ║
+║  - GET  /api/gas-price         (EIP-1559 手续费建议)        ║
+║  - GET  /api/admin/reputation  (实体信誉, 需 API key)       ║
+║  - POST /rpc                   (ERC-4337 JSON-RPC)          ║
 ║  - GET  /health                (健康检查)                   ║
 ╠══════════════════════════════════════════════════════════════╣
 ║  ERC-7821 执行模式:                                          ║
@@ -0,0 +1,116 @@
+/**
+ * Authorization 构造路由
+ * POST /api/authorization/construct
+ *
+ * 功能:
+ * 读取 EOA 当前 nonce，返回待签名的 EIP-7702 授权元组和摘要
+ * (delegation 目标为配置的 Kernel 合约)
+ *
+ * Nonce 规则:
+ * - bundler 代付 (默认): authorization.nonce = EOA 当前 nonce
+ * - EOA 自己发送 type-4 交易: 交易本身先消耗一个 nonce, authorization.nonce = 当前 nonce + 1
+ *
+ * 请求参数:
+ * {
+ *   address: string,         // 必填, EOA 地址 (authority)
+ *   selfSponsored?: boolean  // 可选, 是否由 EOA 自己发送 type-4 交易, 默认 false
+ * }
+ *
+ * 响应:
+ * {
+ *   success: boolean,
+ *   data: {
+ *     authority: string,       // EOA 地址
+ *     delegated: boolean,      // 是否存在 delegation designator
+ *     delegate: string|null,   // 当前 delegation 目标地址
+ *     isKernel: boolean,       // 是否已 delegation 到 Kernel
+ *     eoaNonce: number,        // EOA 当前交易 nonce
+ *     selfSponsored: boolean,  // 是否自付
+ *     nonceOffset: number,     // authorization.nonce 相对 eoaNonce 的偏移 (0 或 1)
+ *     authorization: {         // 待签名的授权元组
+ *       chainId: number,
+ *       address: string,       // Kernel 地址
+ *       nonce: number
+ *     },
+ *     digest: string,          // keccak256(0x05 || rlp([chainId, address, nonce]))
+ *     message: string          // 提示信息
+ *   }
+ * }
+ *
+ * @module authorization
+ */
+import { ethers } from 'ethers';
+import { getProvider } from '../services/bundler.js';
+import { config } from '../config.js';
+import { getAuthorizationDigest } from '../services/authorization.js';
+import { getDelegationInfo } from '../services/delegation.js';
+import { errorResponse, successResponse } from '../services/validation.js';
+
+/**
+ * EOA 自己发送 type-4 交易时 authorization nonce 的偏移
+ */
+const SELF_SPONSORED_NONCE_OFFSET = 1;
+
+/**
+ * 构造 EIP-7702 authorization
+ *
+ * POST /api/authorization/construct
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ */
+export async function constructAuthorization(req, res) {
+  try {
+    const { address, selfSponsored = false } = req.body;
+    const requestId = req.id;
+
+    // 1. 验证参数
+    if (!address || !ethers.isAddress(address)) {
+      return errorResponse(res, 400, 'INVALID_ADDRESS', '无效的地址格式', requestId);
+    }
+
+    if (typeof selfSponsored !== 'boolean') {
+      return errorResponse(res, 400, 'INVALID_PARAMS', 'selfSponsored 必须是布尔值', requestId);
+    }
+
+    const provider = getProvider();
+
+    // 2. 查询 delegation 状态和 EOA nonce
+    const [delegation, eoaNonce] = await Promise.all([
+      getDelegationInfo(address),
+      provider.getTransactionCount(address)
+    ]);
+
+    if (delegation.isContract) {
+      return errorResponse(res, 400, 'UNSUPPORTED_ACCOUNT', '该地址是合约账户, 不支持 EIP-7702 delegation', requestId);
+    }
+
+    // 3. 构造授权元组
+    const nonceOffset = selfSponsored ? SELF_SPONSORED_NONCE_OFFSET : 0;
+    const authorization = {
+      chainId: config.chainId,
+      address: ethers.getAddress(config.kernelAddress),
+      nonce: eoaNonce + nonceOffset
+    };
+
+    // 4. 返回元组和摘要
+    return successResponse(res, {
+      authority: ethers.getAddress(address),
+      delegated: delegation.delegated,
+      delegate: delegation.delegate,
+      isKernel: delegation.isKernel,
+      eoaNonce,
+      selfSponsored,
+      nonceOffset,
+      authorization,
+      digest: getAuthorizationDigest(authorization),
+      message: selfSponsored
+        ? '请直接对 digest 签名 (无前缀); EOA 发送 type-4 交易时交易 nonce 为 eoaNonce, authorization.nonce 为 eoaNonce + 1'
+        : '请直接对 digest 签名 (无前缀), 签名后随 UserOp 一起提交'
+    });
+
+  } catch (error) {
+    console.error('构造authorization失败:', error.message);
+    return errorResponse(res, 500, 'QUERY_FAILED', error.message, req.id);
+  }
+}
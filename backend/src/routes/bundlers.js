@@ -0,0 +1,60 @@
+/**
+ * Bundler 钱包池状态路由
+ * GET /api/bundlers
+ *
+ * 功能:
+ * 查询 bundler 钱包池中各钱包的在途交易数、本地 nonce 和余额
+ *
+ * 响应:
+ * {
+ *   success: boolean,
+ *   data: {
+ *     strategy: string,       // round-robin / least-busy
+ *     wallets: [{
+ *       address: string,
+ *       inFlight: number,     // 在途交易数
+ *       nextNonce: number|null, // 本地下一个 nonce (未使用过为 null)
+ *       sent: number,         // 已广播交易数
+ *       failed: number,       // 广播失败数
+ *       balance: string       // ETH 余额 (wei)
+ *     }],
+ *     timestamp: number
+ *   }
+ * }
+ *
+ * @module bundlers
+ */
+import { getProvider, getWalletPoolStats } from '../services/bundler.js';
+import { errorResponse, successResponse } from '../services/validation.js';
+
+/**
+ * 查询 bundler 钱包池状态
+ *
+ * GET /api/bundlers
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ */
+export async function getBundlers(req, res) {
+  try {
+    const provider = getProvider();
+    const stats = getWalletPoolStats();
+
+    const balances = await Promise.all(
+      stats.wallets.map((wallet) => provider.getBalance(wallet.address))
+    );
+
+    return successResponse(res, {
+      strategy: stats.strategy,
+      wallets: stats.wallets.map((wallet, index) => ({
+        ...wallet,
+        balance: balances[index].toString()
+      })),
+      timestamp: Date.now()
+    });
+
+  } catch (error) {
+    console.error('查询bundler钱包池失败:', error.message);
+    return errorResponse(res, 500, 'QUERY_FAILED', error.message, req.id);
+  }
+}
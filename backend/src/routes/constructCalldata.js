@@ -14,19 +14,35 @@
  *   tokenAddress: string,   // 必填, Token合约地址
  *   gasAmount: string,      // 必填, Gas补偿金额 (wei字符串)
  *   nonce: number,          // 可选, 默认0
- *   callGasLimit: number,   // 可选, 默认150000
- *   verificationGasLimit: number, // 可选, 默认150000
- *   preVerificationGas: number,   // 可选, 默认21000
- *   maxFeePerGas: string,   // 可选, 默认1 gwei
- *   maxPriorityFeePerGas: string  // 可选, 默认1 gwei
+ *   callGasLimit: number,   // 可选, 默认通过模拟估算
+ *   verificationGasLimit: number, // 可选, 默认通过模拟估算
+ *   preVerificationGas: number,   // 可选, 默认按calldata成本计算
+ *   feeLevel: string,       // 可选, 手续费档位 slow / standard / fast, 默认standard
+ *   maxFeePerGas: string,   // 可选, 默认使用手续费预言机的建议值
+ *   maxPriorityFeePerGas: string  // 可选, 默认使用手续费预言机的建议值
  * }
  *
  * 响应:
  * {
  *   success: boolean,
  *   data: {
- *     userOp: Object,      // 完整的UserOperation对象
- *     userOpHash: string,  // UserOp hash (用于签名)
+ *     userOp: Object,      // 完整的UserOperation对象 (展开格式)
+ *     packedUserOp: Object, // EntryPoint v0.7 PackedUserOperation格式
+ *     userOpHash: string,  // UserOp hash (与 EntryPoint.getUserOpHash 一致)
+ *     signatureScheme: string, // 签名方案: raw / eip191 / eip712
+ *     signingDigest: string,   // 按签名方案实际签名的摘要
+ *     typedData?: Object,  // eip712 方案下 eth_signTypedData_v4 的数据
+ *     gas: {               // 各 gas 字段来源: estimated / request / default
+ *       callGasLimit: string,
+ *       verificationGasLimit: string,
+ *       preVerificationGas: string,
+ *       error?: string     // 估算失败原因 (此时未指定的字段使用默认值)
+ *     },
+ *     fee: {               // 手续费来源
+ *       level: string,     // 使用的档位
+ *       baseFeePerGas: string, // 下一区块 baseFee
+ *       source: string     // feeHistory / feeData / request (请求中指定)
+ *     },
  *     message: string      // 提示信息
  *   }
  * }
@@ -36,6 +52,15 @@
 import { ethers } from 'ethers';
 import { config } from '../config.js';
 import { errorResponse, successResponse } from '../services/validation.js';
+import { packUserOp } from '../services/userOperation.js';
+import {
+  SIGNATURE_SCHEMES,
+  getUserOpHash,
+  getUserOpSigningDigest,
+  getUserOpTypedData
+} from '../services/userOpHash.js';
+import { FEE_LEVELS, getFeeSuggestions } from '../services/feeOracle.js';
+import { estimateUserOpGas } from '../services/gasEstimator.js';
 
 /**
  * 输入验证常量
@@ -44,8 +69,9 @@ const MAX_UINT256 = 2n ** 256n - 1n;
 const DEFAULT_CALL_GAS_LIMIT = 150000n;
 const DEFAULT_VERIFICATION_GAS_LIMIT = 150000n;
 const DEFAULT_PRE_VERIFICATION_GAS = 21000n;
-const DEFAULT_MAX_FEE_PER_GAS = ethers.parseUnits('1', 'gwei');
-const DEFAULT_MAX_PRIORITY_FEE_PER_GAS = ethers.parseUnits('1', 'gwei');
+const DEFAULT_FEE_LEVEL = 'standard';
+const MAX_GAS_LIMIT = 10_000_000n;
+const GAS_FIELDS = ['callGasLimit', 'verificationGasLimit', 'preVerificationGas'];
 
 /**
  * 验证构造calldata的请求参数
@@ -112,9 +138,127 @@ function validateParams(params) {
     }
   }
 
+  // 验证gas字段
+  for (const name of GAS_FIELDS) {
+    if (params[name] !== undefined && params[name] !== null) {
+      try {
+        const gas = BigInt(params[name]);
+        if (gas <= 0n || gas > MAX_GAS_LIMIT) {
+          return { valid: false, message: `${name}超出范围` };
+        }
+      } catch {
+        return { valid: false, message: `${name}格式无效` };
+      }
+    }
+  }
+
+  // 验证手续费档位
+  if (params.feeLevel !== undefined && !Object.hasOwn(FEE_LEVELS, params.feeLevel)) {
+    return { valid: false, message: `feeLevel必须为 ${Object.keys(FEE_LEVELS).join(' / ')}` };
+  }
+
+  // 验证手续费
+  for (const name of ['maxFeePerGas', 'maxPriorityFeePerGas']) {
+    if (params[name] !== undefined && params[name] !== null) {
+      try {
+        if (BigInt(params[name]) < 0n) {
+          return { valid: false, message: `${name}必须为非负数` };
+        }
+      } catch {
+        return { valid: false, message: `${name}格式无效` };
+      }
+    }
+  }
+
+  if (params.maxFeePerGas != null && params.maxPriorityFeePerGas != null &&
+      BigInt(params.maxPriorityFeePerGas) > BigInt(params.maxFeePerGas)) {
+    return { valid: false, message: 'maxPriorityFeePerGas不能大于maxFeePerGas' };
+  }
+
   return { valid: true, message: 'OK' };
 }
 
+/**
+ * 确定UserOp手续费
+ * 请求中指定的值优先, 未指定的字段使用手续费预言机对应档位的建议值
+ *
+ * @param {Object} params - 请求参数
+ * @returns {Promise<{maxFeePerGas: bigint, maxPriorityFeePerGas: bigint, fee: Object}>} 手续费及来源
+ */
+async function resolveFees(params) {
+  const level = params.feeLevel || DEFAULT_FEE_LEVEL;
+  const hasMaxFee = params.maxFeePerGas !== undefined && params.maxFeePerGas !== null;
+  const hasPriorityFee = params.maxPriorityFeePerGas !== undefined && params.maxPriorityFeePerGas !== null;
+
+  if (hasMaxFee && hasPriorityFee) {
+    return {
+      maxFeePerGas: BigInt(params.maxFeePerGas),
+      maxPriorityFeePerGas: BigInt(params.maxPriorityFeePerGas),
+      fee: { level, baseFeePerGas: null, source: 'request' }
+    };
+  }
+
+  const suggestions = await getFeeSuggestions();
+  const suggestion = suggestions[level];
+  const maxPriorityFeePerGas = hasPriorityFee
+    ? BigInt(params.maxPriorityFeePerGas)
+    : suggestion.maxPriorityFeePerGas;
+  const maxFeePerGas = hasMaxFee
+    ? BigInt(params.maxFeePerGas)
+    : suggestion.maxFeePerGas - suggestion.maxPriorityFeePerGas + maxPriorityFeePerGas;
+
+  return {
+    maxFeePerGas,
+    // 仅指定 maxFeePerGas 时 priority fee 不超过 maxFeePerGas
+    maxPriorityFeePerGas: maxPriorityFeePerGas > maxFeePerGas ? maxFeePerGas : maxPriorityFeePerGas,
+    fee: {
+      level,
+      baseFeePerGas: suggestions.baseFeePerGas.toString(),
+      source: suggestions.source
+    }
+  };
+}
+
+/**
+ * 填充UserOp gas字段
+ * 请求中指定的字段优先, 其余字段通过模拟估算; 估算失败时保留默认值并返回原因
+ *
+ * @param {Object} userOp - 使用默认gas字段构建的UserOp
+ * @param {Object} params - 请求参数
+ * @returns {Promise<{userOp: Object, gas: Object}>} 填充后的UserOp及各字段来源
+ */
+async function resolveGasLimits(userOp, params) {
+  const gas = {};
+  const provided = GAS_FIELDS.filter((name) => params[name] !== undefined && params[name] !== null);
+
+  for (const name of provided) {
+    userOp[name] = BigInt(params[name]).toString();
+    gas[name] = 'request';
+  }
+
+  if (provided.length === GAS_FIELDS.length) {
+    return { userOp, gas };
+  }
+
+  try {
+    const estimate = await estimateUserOpGas(userOp);
+    for (const name of GAS_FIELDS) {
+      if (!gas[name]) {
+        userOp[name] = estimate[name].toString();
+        gas[name] = 'estimated';
+      }
+    }
+  } catch (error) {
+    console.warn('估算UserOp gas失败, 使用默认值:', error.message);
+    for (const name of GAS_FIELDS) {
+      gas[name] = gas[name] || 'default';
+    }
+    gas.error = error.message;
+  }
+
+  return { userOp, gas };
+}
+
 /**
  * 构造executeTokenTransfer的calldata
  *
@@ -155,64 +299,14 @@ function buildPaymasterAndData(tokenAddress, gasAmount) {
     BigInt(gasAmount).toString(16).padStart(64, '0');
 }
 
-/**
- * 计算UserOp的EIP-712 hash
- *
- * @param {Object} userOp - UserOperation对象
- * @returns {string} UserOp hash
- */
-function computeUserOpHash(userOp) {
-  const domain = {
-    name: 'Account Abstraction',
-    version: '1',
-    chainId: config.chainId,
-    verifyingContract: config.entryPointAddress
-  };
-
-  const userOpTypes = [
-    { name: 'sender', type: 'address' },
-    { name: 'nonce', type: 'uint256' },
-    { name: 'callData', type: 'bytes' },
-    { name: 'callGasLimit', type: 'uint256' },
-    { name: 'verificationGasLimit', type: 'uint256' },
-    { name: 'preVerificationGas', type: 'uint256' },
-    { name: 'maxFeePerGas', type: 'uint256' },
-    { name: 'maxPriorityFeePerGas', type: 'uint256' },
-    { name: 'paymasterAndData', type: 'bytes' }
-  ];
-
-  const userOpData = {
-    sender: userOp.sender,
-    nonce: BigInt(userOp.nonce),
-    callData: userOp.callData,
-    callGasLimit: BigInt(userOp.callGasLimit),
-    verificationGasLimit: BigInt(userOp.verificationGasLimit),
-    preVerificationGas: BigInt(userOp.preVerificationGas),
-    maxFeePerGas: BigInt(userOp.maxFeePerGas),
-    maxPriorityFeePerGas: BigInt(userOp.maxPriorityFeePerGas),
-    paymasterAndData: userOp.paymasterAndData
-  };
-
-  // 使用 TypedDataEncoder 计算 EIP-712 hash
-  const typedData = {
-    domain: domain,
-    types: {
-      UserOperation: userOpTypes
-    },
-    primaryType: 'UserOperation',
-    message: userOpData
-  };
-
-  return ethers.TypedDataEncoder.hash(typedData.domain, typedData.types, typedData.message);
-}
-
 /**
  * 构建UserOperation对象
  *
  * @param {Object} params - 请求参数
+ * @param {{maxFeePerGas: bigint, maxPriorityFeePerGas: bigint}} fees - 手续费
  * @returns {Object} UserOperation对象
  */
-function buildUserOp(params) {
+function buildUserOp(params, fees) {
   const {
     sender,
     to,
@@ -232,12 +326,13 @@ function buildUserOp(params) {
   return {
     sender,
     nonce: BigInt(nonce).toString(),
+    initCode: '0x',
     callData,
     callGasLimit: DEFAULT_CALL_GAS_LIMIT.toString(),
     verificationGasLimit: DEFAULT_VERIFICATION_GAS_LIMIT.toString(),
     preVerificationGas: DEFAULT_PRE_VERIFICATION_GAS.toString(),
-    maxFeePerGas: DEFAULT_MAX_FEE_PER_GAS.toString(),
-    maxPriorityFeePerGas: DEFAULT_MAX_PRIORITY_FEE_PER_GAS.toString(),
+    maxFeePerGas: fees.maxFeePerGas.toString(),
+    maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString(),
     paymasterAndData,
     signature: '0x'
   };
@@ -259,17 +354,34 @@ export async function constructCalldata(req, res) {
       return errorResponse(res, 400, 'INVALID_PARAMS', validation.message, requestId);
     }
 
-    // 2. 构建UserOp
-    const userOp = buildUserOp(params);
+    // 2. 确定手续费并构建UserOp, 估算未指定的gas字段
+    const fees = await resolveFees(params);
+    const { userOp, gas } = await resolveGasLimits(buildUserOp(params, fees), params);
+
+    // 3. 计算UserOpHash (与 EntryPoint.getUserOpHash 一致) 及待签名摘要
+    const userOpHash = getUserOpHash(userOp);
+    const signatureScheme = config.userOpSignatureScheme;
+    const signingDigest = getUserOpSigningDigest(userOp, signatureScheme);
 
-    // 3. 计算UserOpHash (用于客户端签名)
-    const userOpHash = computeUserOpHash(userOp);
+    // 4. 转换为 EntryPoint v0.7 PackedUserOperation 格式
+    const packed = packUserOp(userOp);
+    const packedUserOp = {
+      ...packed,
+      nonce: packed.nonce.toString(),
+      preVerificationGas: packed.preVerificationGas.toString()
+    };
 
-    // 4. 返回结果
+    // 5. 返回结果
     return successResponse(res, {
       userOp,
+      packedUserOp,
       userOpHash,
-      message: 'UserOp calldata已构造完成。请使用sender私钥对userOpHash进行签名。'
+      signatureScheme,
+      signingDigest,
+      typedData: signatureScheme === SIGNATURE_SCHEMES.EIP712 ? getUserOpTypedData(userOp) : undefined,
+      gas,
+      fee: fees.fee,
+      message: 'UserOp calldata已构造完成。请使用sender私钥按signatureScheme对userOpHash进行签名。'
     });
 
   } catch (error) {
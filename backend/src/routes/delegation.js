@@ -0,0 +1,624 @@
+/**
+ * Delegation 管理路由
+ * POST /api/delegate
+ * POST /api/delegation/onboard
+ * POST /api/delegation/revoke
+ * POST /api/delegation/migrate
+ *
+ * 功能:
+ * 0. 单账户 delegation: 仅提交一个指向 Kernel 的 authorization, 由 bundler 代付
+ * 1. 批量 onboarding: 多个指向 Kernel 的 authorization (可附带首个 UserOp) 放入同一个 type-4 交易
+ * 2. 撤销 delegation: 提交指向 address(0) 的 authorization, 清除账户 code
+ * 3. 迁移 delegation: 提交指向新 Kernel 的 authorization, 将用户迁移到新部署
+ * 4. 提交前后通过 delegation 状态解析做检查
+ *
+ * 访问控制:
+ * - 所有路由均由 bundler 代付 type-4 交易, 需要在 X-API-Key 请求头中提供可信 API key
+ * - migrate 的目标 Kernel 必须为配置的 kernelAddress 或在 kernelAllowlist 中
+ *
+ * 提交前检查 (不通过的 authorization 放入 skipped, 不影响其他账户):
+ * - authorization 签名有效, chainId 为当前链或 0
+ * - authorization 目标地址与操作一致 (revoke: address(0), migrate: 新 Kernel)
+ * - authorization.nonce 等于 authority 当前 EOA nonce (否则链上会静默跳过)
+ * - authority 不是合约账户, 且尚未处于目标状态
+ *
+ * 提交后检查:
+ * - delegate / onboard: 账户 delegate 为 Kernel
+ * - revoke:  账户 code 为空
+ * - migrate: 账户 delegate 为新 Kernel
+ *
+ * 请求参数 (POST /api/delegate):
+ * {
+ *   authorization: Object          // 必填, 已签名的指向 Kernel 的 authorization
+ * }
+ *
+ * 请求参数 (其他):
+ * {
+ *   authorizations: Array<Object>, // 必填, 已签名的 authorization 数组 (每个账户一个)
+ *   userOps?: Array<Object>,       // onboard 可选, 本批账户的首个已签名 UserOp (每个账户最多一个)
+ *   kernelAddress?: string         // migrate 可选, 新 Kernel 地址, 默认使用配置
+ * }
+ *
+ * 响应 (POST /api/delegate):
+ * {
+ *   success: boolean,
+ *   data: {
+ *     authority: string,
+ *     txHash: string,
+ *     blockNumber: number,
+ *     gasUsed: string,
+ *     delegation: { delegated, delegate, isKernel, isContract, state }  // 提交后的状态
+ *   }
+ * }
+ *
+ * 响应 (其他):
+ * {
+ *   success: boolean,
+ *   data: {
+ *     action: string,        // onboard / revoke / migrate
+ *     target: string,        // 目标地址 (address(0) 或新 Kernel)
+ *     txHash: string,
+ *     blockNumber: number,
+ *     gasUsed: string,
+ *     results: Array<{ authority, before, after, applied }>,
+ *     skipped: Array<{ index, authority?, reason }>,
+ *     userOps?: Array<{ index, userOpHash, sender, success, actualGasCost }>,  // 仅 onboard
+ *     skippedUserOps?: Array<{ index, sender?, reason }>                      // 仅 onboard
+ *   }
+ * }
+ *
+ * @module delegation
+ */
+import { ethers } from 'ethers';
+import { config } from '../config.js';
+import {
+  getProvider,
+  getBundlerAddress,
+  getEntryPointInterface,
+  sendTransaction,
+  buildAuthorizationTransaction,
+  buildBundleTransaction,
+  parseFailedOp
+} from '../services/bundler.js';
+import { normalizeAuthorization, recoverAuthorizer } from '../services/authorization.js';
+import { getDelegationInfo, parseDelegationCode, DELEGATION_STATES } from '../services/delegation.js';
+import { cache } from '../services/cache.js';
+import { normalizeUserOp } from '../services/userOperation.js';
+import { isTrustedRequest } from '../services/executionValidation.js';
+import {
+  hashUserOp,
+  verifyUserOpSignature,
+  errorResponse,
+  successResponse
+} from '../services/validation.js';
+
+/**
+ * 单笔交易最多包含的 authorization 数量
+ */
+const MAX_AUTHORIZATIONS_PER_TX = 50;
+
+/**
+ * 操作类型
+ */
+const ACTIONS = {
+  ONBOARD: 'onboard',
+  REVOKE: 'revoke',
+  MIGRATE: 'migrate'
+};
+
+/**
+ * 检查可信 API key, 不通过时返回 401
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @returns {boolean} 是否通过
+ */
+function authorize(req, res) {
+  if (isTrustedRequest(req)) {
+    return true;
+  }
+  errorResponse(res, 401, 'UNAUTHORIZED', '需要在 X-API-Key 请求头中提供可信 API key', req.id);
+  return false;
+}
+
+/**
+ * 判断地址是否为允许迁移的 Kernel (配置的 kernelAddress 或 kernelAllowlist)
+ *
+ * @param {string} address - Kernel 地址
+ * @returns {boolean} 是否允许
+ */
+function isAllowedKernel(address) {
+  return [config.kernelAddress, ...config.kernelAllowlist]
+    .some((allowed) => allowed.toLowerCase() === address.toLowerCase());
+}
+
+/**
+ * 提取 delegation 状态摘要
+ * @param {Object} delegation - getDelegationInfo 返回值
+ * @returns {{state: string, delegate: string|null}} 状态摘要
+ */
+function toStatusSummary(delegation) {
+  return { state: delegation.state, delegate: delegation.delegate };
+}
+
+/**
+ * 判断账户是否已处于目标状态
+ * @param {Object} delegation - getDelegationInfo 返回值
+ * @param {string} target - 目标地址
+ * @returns {boolean} 是否已处于目标状态
+ */
+function isAtTarget(delegation, target) {
+  if (target === ethers.ZeroAddress) {
+    return delegation.state === DELEGATION_STATES.NONE;
+  }
+
+  return delegation.delegated && delegation.delegate.toLowerCase() === target.toLowerCase();
+}
+
+/**
+ * 提交前检查单个 authorization
+ *
+ * @param {Object} rawAuthorization - 请求中的 authorization
+ * @param {string} target - 目标地址
+ * @returns {Promise<{valid: boolean, message?: string, authorization?: Object, authority?: string, before?: Object}>} 检查结果
+ */
+async function precheckAuthorization(rawAuthorization, target) {
+  let authorization;
+  let authority;
+  try {
+    authorization = normalizeAuthorization(rawAuthorization);
+    authority = recoverAuthorizer(authorization);
+  } catch (error) {
+    return { valid: false, message: error.message };
+  }
+
+  if (authorization.chainId !== config.chainId && authorization.chainId !== 0) {
+    return { valid: false, authority, message: `chainId 必须为 ${config.chainId} 或 0` };
+  }
+
+  if (authorization.address.toLowerCase() !== target.toLowerCase()) {
+    return { valid: false, authority, message: `authorization 地址必须为 ${target}` };
+  }
+
+  const provider = getProvider();
+  const [before, eoaNonce] = await Promise.all([
+    getDelegationInfo(authority),
+    provider.getTransactionCount(authority)
+  ]);
+
+  if (before.isContract) {
+    return { valid: false, authority, message: '合约账户不支持 EIP-7702 delegation' };
+  }
+
+  if (isAtTarget(before, target)) {
+    return { valid: false, authority, message: '账户已处于目标状态' };
+  }
+
+  if (authorization.nonce !== eoaNonce) {
+    return { valid: false, authority, message: `authorization.nonce 必须为当前 EOA nonce (${eoaNonce})` };
+  }
+
+  return { valid: true, authorization, authority, before };
+}
+
+/**
+ * 提交前检查全部 authorization
+ *
+ * @param {Array<Object>} authorizations - 请求中的 authorization 数组
+ * @param {string} target - 目标地址
+ * @returns {Promise<{accepted: Array<Object>, skipped: Array<Object>}>} 通过和跳过的 authorization
+ */
+async function precheckAuthorizations(authorizations, target) {
+  const accepted = [];
+  const skipped = [];
+  const seenAuthorities = new Set();
+
+  for (const [index, rawAuthorization] of authorizations.entries()) {
+    const check = await precheckAuthorization(rawAuthorization, target);
+
+    if (!check.valid) {
+      skipped.push({ index, authority: check.authority, reason: check.message });
+      continue;
+    }
+
+    if (seenAuthorities.has(check.authority.toLowerCase())) {
+      skipped.push({ index, authority: check.authority, reason: '同一账户只能提交一个 authorization' });
+      continue;
+    }
+
+    seenAuthorities.add(check.authority.toLowerCase());
+    accepted.push(check);
+  }
+
+  return { accepted, skipped };
+}
+
+/**
+ * 提交后检查每个 authority 的 delegation 状态
+ *
+ * @param {Array<Object>} accepted - 已提交的 authorization 检查结果
+ * @param {string} target - 目标地址
+ * @returns {Promise<Array<Object>>} 每个 authority 的前后状态
+ */
+async function postcheckAuthorizations(accepted, target) {
+  const results = [];
+
+  for (const item of accepted) {
+    cache.delete(`delegation:${item.authority.toLowerCase()}`);
+
+    const after = await getDelegationInfo(item.authority);
+    results.push({
+      authority: item.authority,
+      before: toStatusSummary(item.before),
+      after: toStatusSummary(after),
+      applied: isAtTarget(after, target)
+    });
+  }
+
+  return results;
+}
+
+/**
+ * 验证 authorizations 数组参数
+ * @param {*} authorizations - 请求中的 authorizations
+ * @returns {{valid: boolean, message: string}} 验证结果
+ */
+function validateAuthorizationsParam(authorizations) {
+  if (!Array.isArray(authorizations) || authorizations.length === 0) {
+    return { valid: false, message: 'authorizations 必须是非空数组' };
+  }
+
+  if (authorizations.length > MAX_AUTHORIZATIONS_PER_TX) {
+    return { valid: false, message: `authorizations 最多 ${MAX_AUTHORIZATIONS_PER_TX} 个` };
+  }
+
+  return { valid: true, message: 'OK' };
+}
+
+/**
+ * 提交 authorization 并做前后检查
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {string} action - 操作类型
+ * @param {string} target - 目标地址
+ */
+async function submitDelegationChange(req, res, action, target) {
+  const { authorizations } = req.body;
+  const requestId = req.id;
+
+  // 1. 验证参数
+  const validation = validateAuthorizationsParam(authorizations);
+  if (!validation.valid) {
+    return errorResponse(res, 400, 'INVALID_PARAMS', validation.message, requestId);
+  }
+
+  // 2. 提交前检查
+  const { accepted, skipped } = await precheckAuthorizations(authorizations, target);
+  if (accepted.length === 0) {
+    return errorResponse(res, 400, 'NO_VALID_AUTHORIZATION',
+      `没有可提交的 authorization: ${skipped.map((item) => item.reason).join('; ')}`, requestId);
+  }
+
+  // 3. 构建并发送仅含 authorizationList 的 type-4 交易
+  const tx = buildAuthorizationTransaction(accepted.map((item) => item.authorization));
+  const receipt = await sendTransaction(tx);
+
+  // 4. 提交后检查
+  const results = await postcheckAuthorizations(accepted, target);
+
+  return successResponse(res, {
+    action,
+    target,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString(),
+    results,
+    skipped
+  });
+}
+
+/**
+ * 仅安装 Kernel delegation
+ *
+ * POST /api/delegate
+ *
+ * bundler 代付一个只含 authorizationList 的 type-4 交易, 不执行任何 UserOp
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ */
+export async function delegateAccount(req, res) {
+  if (!authorize(req, res)) {
+    return;
+  }
+
+  try {
+    const { authorization } = req.body;
+    const requestId = req.id;
+    const target = ethers.getAddress(config.kernelAddress);
+
+    // 1. 验证参数
+    if (!authorization) {
+      return errorResponse(res, 400, 'AUTHORIZATION_REQUIRED', '缺少 authorization 参数', requestId);
+    }
+
+    // 2. 提交前检查 (签名, chainId, 目标地址, EOA nonce, 当前状态)
+    const check = await precheckAuthorization(authorization, target);
+    if (!check.valid) {
+      return errorResponse(res, 400, 'INVALID_AUTHORIZATION', check.message, requestId);
+    }
+
+    // 3. 构建并发送仅含 authorizationList 的 type-4 交易
+    const tx = buildAuthorizationTransaction([check.authorization]);
+    const receipt = await sendTransaction(tx);
+
+    // 4. 清除 delegation 状态缓存并返回最新状态
+    cache.delete(`delegation:${check.authority.toLowerCase()}`);
+    const delegation = await getDelegationInfo(check.authority);
+
+    return successResponse(res, {
+      authority: check.authority,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      delegation
+    });
+
+  } catch (error) {
+    console.error('安装delegation失败:', error.message);
+
+    if (error.message.includes('insufficient funds')) {
+      return errorResponse(res, 400, 'INSUFFICIENT_FUNDS', 'bundler 余额不足', req.id);
+    }
+
+    return errorResponse(res, 500, 'EXECUTION_FAILED', error.message, req.id);
+  }
+}
+
+/**
+ * 检查 onboarding 附带的 UserOp
+ * 只接受本批通过检查的 authority 的 UserOp, 每个账户最多一个
+ *
+ * @param {Array<Object>} rawUserOps - 请求中的 UserOp 数组
+ * @param {Array<Object>} accepted - 通过检查的 authorization
+ * @returns {{userOps: Array<Object>, skippedUserOps: Array<Object>}} 通过和跳过的 UserOp
+ */
+function precheckUserOps(rawUserOps, accepted) {
+  const authorities = new Set(accepted.map((item) => item.authority.toLowerCase()));
+  const seenSenders = new Set();
+  const userOps = [];
+  const skippedUserOps = [];
+
+  for (const [index, rawUserOp] of rawUserOps.entries()) {
+    let userOp;
+    try {
+      userOp = normalizeUserOp(rawUserOp);
+    } catch (error) {
+      // 无法解析的 nonce / gas 字段只跳过该 UserOp
+      skippedUserOps.push({ index, reason: error.message });
+      continue;
+    }
+
+    if (!userOp || !userOp.sender || !ethers.isAddress(userOp.sender)) {
+      skippedUserOps.push({ index, reason: '无效的 sender 地址' });
+      continue;
+    }
+
+    const sender = userOp.sender.toLowerCase();
+    if (!authorities.has(sender)) {
+      skippedUserOps.push({ index, sender: userOp.sender, reason: 'sender 不在本批通过检查的 authorization 中' });
+      continue;
+    }
+
+    if (seenSenders.has(sender)) {
+      skippedUserOps.push({ index, sender: userOp.sender, reason: '每个账户最多一个 UserOp' });
+      continue;
+    }
+
+    if (!userOp.signature || userOp.signature === '0x' || !verifyUserOpSignature(userOp)) {
+      skippedUserOps.push({ index, sender: userOp.sender, reason: 'UserOp 签名无效' });
+      continue;
+    }
+
+    seenSenders.add(sender);
+    userOps.push({ index, userOp, userOpHash: hashUserOp(userOp) });
+  }
+
+  return { userOps, skippedUserOps };
+}
+
+/**
+ * 构建 onboarding 交易
+ * 有 UserOp 时先模拟 handleOps, 剔除 FailedOp 的 UserOp, 全部剔除后退化为仅含 authorizationList 的交易
+ *
+ * @param {Array<Object>} authorizations - 标准化后的 authorization
+ * @param {Array<Object>} userOps - 通过检查的 UserOp (会被原地剔除)
+ * @param {Array<Object>} skippedUserOps - 跳过的 UserOp (会追加剔除原因)
+ * @returns {Promise<Object>} 交易对象
+ */
+async function buildOnboardTransaction(authorizations, userOps, skippedUserOps) {
+  const provider = getProvider();
+
+  while (userOps.length > 0) {
+    const tx = buildBundleTransaction(userOps.map((item) => item.userOp), authorizations);
+
+    try {
+      await provider.estimateGas({ ...tx, from: getBundlerAddress() });
+      return tx;
+    } catch (error) {
+      const failedOp = parseFailedOp(error);
+      const removed = failedOp && userOps[failedOp.opIndex]
+        ? userOps.splice(failedOp.opIndex, 1)
+        : userOps.splice(0, userOps.length);
+      const reason = failedOp ? failedOp.reason : (error.shortMessage || error.message);
+
+      for (const item of removed) {
+        skippedUserOps.push({ index: item.index, sender: item.userOp.sender, reason });
+      }
+    }
+  }
+
+  return buildAuthorizationTransaction(authorizations);
+}
+
+/**
+ * 从 receipt 的 UserOperationEvent 中提取每个 UserOp 的执行结果
+ *
+ * @param {Array<Object>} userOps - 已提交的 UserOp
+ * @param {Object} receipt - 交易 receipt
+ * @returns {Array<Object>} 执行结果
+ */
+function getUserOpResults(userOps, receipt) {
+  const entryPointInterface = getEntryPointInterface();
+  const events = [];
+
+  for (const log of receipt.logs) {
+    try {
+      const parsed = entryPointInterface.parseLog(log);
+      if (parsed?.name === 'UserOperationEvent') events.push(parsed);
+    } catch {
+      // 非 EntryPoint 事件
+    }
+  }
+
+  return userOps.map((item) => {
+    const event = events.find((parsed) => parsed.args.userOpHash === item.userOpHash);
+
+    return {
+      index: item.index,
+      userOpHash: item.userOpHash,
+      sender: item.userOp.sender,
+      success: receipt.status === 1 && Boolean(event?.args.success),
+      actualGasCost: event ? event.args.actualGasCost.toString() : null
+    };
+  });
+}
+
+/**
+ * 批量 onboarding
+ *
+ * POST /api/delegation/onboard
+ *
+ * 多个账户的 authorization (及可选的首个 UserOp) 放入同一个 type-4 交易,
+ * 分摊交易基础 gas
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ */
+export async function onboardDelegation(req, res) {
+  if (!authorize(req, res)) {
+    return;
+  }
+
+  try {
+    const { authorizations, userOps: rawUserOps = [] } = req.body;
+    const requestId = req.id;
+    const target = ethers.getAddress(config.kernelAddress);
+
+    // 1. 验证参数
+    const validation = validateAuthorizationsParam(authorizations);
+    if (!validation.valid) {
+      return errorResponse(res, 400, 'INVALID_PARAMS', validation.message, requestId);
+    }
+
+    if (!Array.isArray(rawUserOps)) {
+      return errorResponse(res, 400, 'INVALID_PARAMS', 'userOps 必须是数组', requestId);
+    }
+
+    // 2. 提交前检查
+    const { accepted, skipped } = await precheckAuthorizations(authorizations, target);
+    if (accepted.length === 0) {
+      return errorResponse(res, 400, 'NO_VALID_AUTHORIZATION',
+        `没有可提交的 authorization: ${skipped.map((item) => item.reason).join('; ')}`, requestId);
+    }
+
+    const { userOps, skippedUserOps } = precheckUserOps(rawUserOps, accepted);
+
+    // 3. 构建并发送交易 (多条目 authorizationList)
+    const tx = await buildOnboardTransaction(
+      accepted.map((item) => item.authorization),
+      userOps,
+      skippedUserOps
+    );
+    const receipt = await sendTransaction(tx);
+
+    // 4. 提交后检查
+    const results = await postcheckAuthorizations(accepted, target);
+
+    return successResponse(res, {
+      action: ACTIONS.ONBOARD,
+      target,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      gasPerAuthority: (receipt.gasUsed / BigInt(accepted.length)).toString(),
+      results,
+      skipped,
+      userOps: getUserOpResults(userOps, receipt),
+      skippedUserOps
+    });
+
+  } catch (error) {
+    console.error('批量onboarding失败:', error.message);
+    return errorResponse(res, 500, 'EXECUTION_FAILED', error.message, req.id);
+  }
+}
+
+/**
+ * 撤销 delegation
+ *
+ * POST /api/delegation/revoke
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ */
+export async function revokeDelegation(req, res) {
+  if (!authorize(req, res)) {
+    return;
+  }
+
+  try {
+    return await submitDelegationChange(req, res, ACTIONS.REVOKE, ethers.ZeroAddress);
+  } catch (error) {
+    console.error('撤销delegation失败:', error.message);
+    return errorResponse(res, 500, 'EXECUTION_FAILED', error.message, req.id);
+  }
+}
+
+/**
+ * 迁移 delegation 到新的 Kernel
+ *
+ * POST /api/delegation/migrate
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ */
+export async function migrateDelegation(req, res) {
+  if (!authorize(req, res)) {
+    return;
+  }
+
+  try {
+    const { kernelAddress = config.kernelAddress } = req.body;
+
+    if (!ethers.isAddress(kernelAddress) || kernelAddress === ethers.ZeroAddress) {
+      return errorResponse(res, 400, 'INVALID_ADDRESS', '无效的 kernelAddress', req.id);
+    }
+
+    if (!isAllowedKernel(kernelAddress)) {
+      return errorResponse(res, 400, 'KERNEL_NOT_ALLOWED', 'kernelAddress 不在允许迁移的 Kernel 列表中', req.id);
+    }
+
+    // 新 Kernel 必须是已部署的合约
+    const code = await getProvider().getCode(kernelAddress);
+    if (!parseDelegationCode(code).isContract) {
+      return errorResponse(res, 400, 'INVALID_ADDRESS', 'kernelAddress 不是已部署的合约', req.id);
+    }
+
+    return await submitDelegationChange(req, res, ACTIONS.MIGRATE, ethers.getAddress(kernelAddress));
+  } catch (error) {
+    console.error('迁移delegation失败:', error.message);
+    return errorResponse(res, 500, 'EXECUTION_FAILED', error.message, req.id);
+  }
+}
@@ -6,7 +6,7 @@
  * 查询账户的EIP-7702 delegation状态
  *
  * 查询内容:
- * 1. 是否已delegation (通过检查code是否为空)
+ * 1. delegation状态 (解析code中的 0xef0100 || address designator)
  * 2. EOA nonce (用于构建authorization)
  * 3. UserOp nonce (Kernel合约中的nonce)
  *
@@ -15,7 +15,11 @@
  *   success: boolean,
  *   data: {
  *     address: string,        // 查询的地址
- *     delegated: boolean,     // 是否已delegation
+ *     delegated: boolean,     // 是否存在delegation designator
+ *     delegate: string|null,  // delegation目标地址
+ *     isKernel: boolean,      // delegate是否为配置的Kernel
+ *     isContract: boolean,    // 是否为普通合约账户
+ *     state: string,          // none / kernel / foreign / contract
  *     eoaNonce: number,       // EOA交易nonce
  *     userOpNonce: string,    // UserOp nonce
  *     timestamp: number       // 查询时间戳
@@ -28,6 +32,7 @@ import { ethers } from 'ethers';
 import { getProvider } from '../services/bundler.js';
 import { config } from '../config.js';
 import { cache } from '../services/cache.js';
+import { getDelegationInfo } from '../services/delegation.js';
 import { errorResponse, successResponse } from '../services/validation.js';
 
 // Kernel ABI - 仅需要getNonce函数
@@ -69,10 +74,9 @@ export async function getDelegationStatus(req, res) {
 
     const provider = getProvider();
 
-    // 3. 查询链上code（判断是否已delegation）
-    // 如果code不为0x，表示账户已设置delegation
-    const code = await provider.getCode(address);
-    const delegated = code !== '0x';
+    // 3. 解析链上code中的delegation designator
+    // 区分 Kernel / 其他实现 / 普通合约账户
+    const delegation = await getDelegationInfo(address);
 
     // 4. 查询EOA nonce
     // 用于构建EIP-7702 authorization
@@ -89,7 +93,11 @@ export async function getDelegationStatus(req, res) {
 
     const result = {
       address: normalizedAddress,
-      delegated,
+      delegated: delegation.delegated,
+      delegate: delegation.delegate,
+      isKernel: delegation.isKernel,
+      isContract: delegation.isContract,
+      state: delegation.state,
       eoaNonce,
       userOpNonce: userOpNonce.toString(),
       timestamp: Date.now()
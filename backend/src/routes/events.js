@@ -0,0 +1,141 @@
+/**
+ * UserOp 生命周期事件推送路由 (Server-Sent Events)
+ * GET /api/events?sender=0x...&userOpHash=0x...
+ *
+ * 功能:
+ * 按 sender 地址或 userOpHash 订阅 UserOp 生命周期事件, 替代轮询 /api/nonce、/api/delegation-status
+ * 事件来自本服务的 bundler (/api/execute、/api/send-raw、mempool) 和链上 EntryPoint 日志
+ *
+ * 查询参数 (至少一个, 多个值用逗号分隔或重复参数):
+ * - sender?: string       // sender 地址, 推送该地址的全部 UserOp 事件和 delegation 变化
+ * - userOpHash?: string   // UserOperation hash, 推送该 UserOp 的事件
+ *
+ * 事件 (text/event-stream, data 为 JSON):
+ * - ready:              连接建立, data 为订阅条件 { senders, userOpHashes }
+ * - status:             订阅的 userOpHash 已有记录时推送当前状态 (格式同 GET /api/userop/:userOpHash)
+ * - submitted:          bundle 交易已广播
+ * - included:           已上链且执行成功
+ * - reverted:           已上链但执行 revert
+ * - failed:             未上链即失败
+ * - delegation-changed: sender 的 delegation 变化
+ *
+ * 事件数据:
+ * {
+ *   type: string,
+ *   source: string,          // bundler / chain
+ *   userOpHash?: string,
+ *   sender: string,
+ *   nonce?: string,
+ *   txHash?: string|null,
+ *   blockNumber?: number|null,
+ *   actualGasCost?: string|null,
+ *   actualGasUsed?: string|null,
+ *   revertData?: string|null,
+ *   reason?: string|null,
+ *   previous?: { state, delegate, isKernel },  // delegation-changed
+ *   current?: { state, delegate, isKernel },   // delegation-changed
+ *   timestamp: number
+ * }
+ *
+ * @module events
+ */
+import { ethers } from 'ethers';
+import { config } from '../config.js';
+import { userOpEvents } from '../services/userOpEvents.js';
+import { getUserOpStatus } from '../services/userOpSubmission.js';
+import { errorResponse } from '../services/validation.js';
+
+/**
+ * 解析查询参数中的多个值 (逗号分隔或重复参数)
+ * @param {string|Array<string>|undefined} value - 查询参数
+ * @returns {Array<string>} 去重后的值
+ */
+function parseList(value) {
+  const values = [].concat(value ?? [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+  return Array.from(new Set(values));
+}
+
+/**
+ * 写入一条 SSE 事件
+ * @param {Object} res - Express响应对象
+ * @param {string} event - 事件名
+ * @param {Object} data - 事件数据
+ */
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * 订阅 UserOp 生命周期事件
+ *
+ * GET /api/events?sender=0x...,0x...&userOpHash=0x...
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ */
+export async function streamEvents(req, res) {
+  const requestId = req.id;
+  const senders = parseList(req.query.sender);
+  const userOpHashes = parseList(req.query.userOpHash);
+
+  if (senders.length === 0 && userOpHashes.length === 0) {
+    return errorResponse(res, 400, 'INVALID_PARAMS', '至少需要一个 sender 或 userOpHash', requestId);
+  }
+
+  if (senders.length + userOpHashes.length > config.eventsMaxSubscriptions) {
+    return errorResponse(
+      res,
+      400,
+      'INVALID_PARAMS',
+      `单个连接最多订阅 ${config.eventsMaxSubscriptions} 个 sender / userOpHash`,
+      requestId
+    );
+  }
+
+  const invalidSender = senders.find(sender => !ethers.isAddress(sender));
+  if (invalidSender) {
+    return errorResponse(res, 400, 'INVALID_ADDRESS', `无效的 sender 地址: ${invalidSender}`, requestId);
+  }
+
+  const invalidHash = userOpHashes.find(hash => !ethers.isHexString(hash, 32));
+  if (invalidHash) {
+    return errorResponse(res, 400, 'INVALID_PARAMS', `userOpHash 必须是 bytes32: ${invalidHash}`, requestId);
+  }
+
+  const subscription = {
+    senders: senders.map(sender => ethers.getAddress(sender)),
+    userOpHashes: userOpHashes.map(hash => hash.toLowerCase())
+  };
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // 禁止反向代理缓冲
+    'X-Accel-Buffering': 'no'
+  });
+  writeEvent(res, 'ready', subscription);
+
+  const unsubscribe = userOpEvents.subscribe(subscription, (event) => writeEvent(res, event.type, event));
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), config.eventsHeartbeatMs);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  // 订阅前可能已经上链 (如异步提交后再订阅), 先推送当前状态
+  for (const userOpHash of subscription.userOpHashes) {
+    try {
+      const status = await getUserOpStatus(userOpHash);
+      if (status && !res.writableEnded) {
+        writeEvent(res, 'status', status);
+      }
+    } catch (error) {
+      console.warn(`[${requestId}] 查询 UserOp 当前状态失败 (${userOpHash}):`, error.message);
+    }
+  }
+}
@@ -3,10 +3,13 @@
  * POST /api/execute
  *
  * 功能:
- * 1. 验证 UserOp 签名 (支持 ECDSA)
- * 2. 验证 Authorization 签名 (如需要)
- * 3. 构建 ERC-7821 标准交易
- * 4. 发送到链上
+ * 1. 执行前校验 (UserOp 签名、authorization、chainId、nonce 预检查, 见 executionValidation)
+ * 2. 构建 ERC-7821 标准交易
+ * 3. 发送到链上
+ *
+ * 可信调用方 (X-API-Key 在 TRUSTED_API_KEYS 中) 跳过签名和 nonce 预检查
+ * sender / paymaster / gas token 包含率过低时被限流 (429 ENTITY_THROTTLED) 或封禁 (403 ENTITY_BANNED)
+ * 请求头 Idempotency-Key: 相同 key 和 userOpHash 的重复请求返回首次结果或处理中状态, 不再发送交易 (见 idempotency)
  *
  * ERC-7821 支持:
  * - 模式 1: 普通批量执行 (Call[])
@@ -14,151 +17,64 @@
  *
  * 请求参数:
  * {
- *   userOp: {           // 必填, UserOperation 对象
+ *   userOp: {           // 必填, UserOperation 对象 (展开格式或 v0.7 Packed 格式)
  *     sender: string,   // 发送者地址
  *     nonce: number,    // nonce 值
  *     callData: string, // 调用数据 (ERC-7821 格式)
  *     ...
  *     signature: string // 签名
  *   },
- *   authorization?: {   // 可选, 首次 delegation 需要
+ *   authorization?: {   // 可选, 首次 delegation 需要 (EIP-7702 授权元组)
  *     chainId: number,
  *     address: string,
  *     nonce: number,
- *     signature: string
+ *     signature?: string | { r, s, yParity }, // 与 r/s/yParity 二选一
+ *     r?: string,
+ *     s?: string,
+ *     yParity?: number
  *   },
- *   mode?: number        // 可选, 执行模式 (1 或 3, 默认 1)
+ *   mode?: number,       // 可选, 执行模式 (1 或 3, 默认 1)
+ *   async?: boolean      // 可选, 异步模式 (默认 false)
  * }
  *
  * 响应:
  * {
  *   success: boolean,
  *   data: {
+ *     userOpHash: string,   // UserOperation hash (可通过 GET /api/userop/:userOpHash 查询)
  *     txHash: string,       // 交易哈希
  *     blockNumber: number,  // 区块号
  *     delegated: boolean,   // 是否已 delegation
  *     executed: boolean,    // 是否执行成功
  *     gasUsed: string,      // 消耗的 gas
+ *     originalTxHash: string, // 首次广播的交易哈希 (未替换时与 txHash 相同)
+ *     replacements: Array,  // 手续费替换历史 [{hash, maxFeePerGas, maxPriorityFeePerGas, sentAt}]
+ *     revert: Object|null,  // UserOp 执行 revert 时解码后的错误 (见 revertDecoder)
  *     mode: number          // 使用的执行模式
  *   }
  * }
+ *
+ * 异步模式响应 (202, 校验通过后立即返回, 不等待上链):
+ * {
+ *   success: boolean,
+ *   data: {
+ *     userOpHash: string,   // UserOperation hash
+ *     status: 'received',
+ *     statusUrl: string,    // 查询地址 /api/userop/:userOpHash
+ *     mode: number
+ *   }
+ * }
  */
-import { ethers } from 'ethers';
-import {
-  verifyUserOpSignature,
-  verifyAuthorizationSignature,
-  errorResponse,
-  successResponse
-} from '../services/validation.js';
-import {
-  buildERC7821Transaction,
-  sendTransaction,
-  getProvider
-} from '../services/bundler.js';
+import { errorResponse, successResponse } from '../services/validation.js';
+import { getTrackedTransaction } from '../services/bundler.js';
 import { cache } from '../services/cache.js';
-import { config } from '../config.js';
-
-/**
- * 输入验证常量
- */
-const MAX_GAS_LIMIT = 10_000_000;
-const VALID_MODES = [1, 3];
-
-/**
- * 验证 UserOp 参数
- * @param {Object} userOp - UserOperation 对象
- * @returns {{valid: boolean, message: string}} 验证结果
- */
-function validateUserOp(userOp) {
-  if (!userOp) {
-    return { valid: false, message: 'userOp 不能为空' };
-  }
-
-  if (!userOp.sender || !ethers.isAddress(userOp.sender)) {
-    return { valid: false, message: '无效的 sender 地址' };
-  }
-
-  if (!userOp.signature) {
-    return { valid: false, message: 'signature 不能为空' };
-  }
-
-  if (userOp.nonce !== undefined) {
-    const nonce = BigInt(userOp.nonce);
-    if (nonce < 0n) {
-      return { valid: false, message: 'nonce 必须为非负数' };
-    }
-  }
-
-  const gasLimits = [
-    { name: 'callGasLimit', value: userOp.callGasLimit },
-    { name: 'verificationGasLimit', value: userOp.verificationGasLimit },
-    { name: 'preVerificationGas', value: userOp.preVerificationGas }
-  ];
-
-  for (const { name, value } of gasLimits) {
-    if (value !== undefined) {
-      const gas = BigInt(value);
-      if (gas < 0n) {
-        return { valid: false, message: `${name} 必须为非负数` };
-      }
-      if (gas > MAX_GAS_LIMIT) {
-        return { valid: false, message: `${name} 超过最大限制` };
-      }
-    }
-  }
-
-  if (userOp.callData && typeof userOp.callData !== 'string') {
-    return { valid: false, message: 'callData 必须为字符串' };
-  }
-
-  return { valid: true, message: 'OK' };
-}
-
-/**
- * 验证 Authorization 参数
- * @param {Object} auth - Authorization 对象
- * @returns {{valid: boolean, message: string}} 验证结果
- */
-function validateAuthorization(auth) {
-  if (!auth) {
-    return { valid: false, message: 'authorization 不能为空' };
-  }
-
-  if (!ethers.isAddress(auth.address)) {
-    return { valid: false, message: '无效的 authorization 地址' };
-  }
-
-  if (auth.chainId !== config.chainId) {
-    return { valid: false, message: `chainId 必须为 ${config.chainId}` };
-  }
-
-  if (auth.nonce === undefined || auth.nonce < 0) {
-    return { valid: false, message: '无效的 nonce' };
-  }
-
-  if (!auth.signature) {
-    return { valid: false, message: 'authorization.signature 不能为空' };
-  }
-
-  return { valid: true, message: 'OK' };
-}
-
-/**
- * 验证执行模式
- * @param {number} mode - 执行模式
- * @returns {{valid: boolean, message: string}} 验证结果
- */
-function validateMode(mode) {
-  if (mode === undefined || mode === null) {
-    return { valid: true, message: 'OK', mode: 1 }; // 默认模式 1
-  }
-
-  if (!VALID_MODES.includes(mode)) {
-    return { valid: false, message: `无效的执行模式, 支持 1 (普通批量) 和 3 (递归批量)` };
-  }
-
-  return { valid: true, message: 'OK', mode };
-}
+import {
+  validateExecutionRequest,
+  isTrustedRequest,
+  getValidationErrorStatus,
+  getTrustedApiKeyId
+} from '../services/executionValidation.js';
+import { submitUserOp, SUBMISSION_STATUS } from '../services/userOpSubmission.js';
 
 /**
  * 执行 UserOperation
@@ -169,85 +85,101 @@ function validateMode(mode) {
  * @param {Object} res - Express 响应对象
  */
 export async function executeUserOp(req, res) {
-  const { userOp, authorization, mode } = req.body;
+  const { authorization, mode, async: asyncMode = false } = req.body;
   const requestId = req.id;
 
   try {
     // 1. 验证必填字段
-    if (!userOp) {
+    if (!req.body.userOp) {
       return errorResponse(res, 400, 'MISSING_USEROP', '缺少 userOp 参数', requestId);
     }
 
-    // 2. 验证 UserOp 参数
-    const userOpValidation = validateUserOp(userOp);
-    if (!userOpValidation.valid) {
-      return errorResponse(res, 400, 'INVALID_USEROP', userOpValidation.message, requestId);
+    if (typeof asyncMode !== 'boolean') {
+      return errorResponse(res, 400, 'INVALID_PARAMS', 'async 必须为布尔值', requestId);
     }
 
-    // 3. 验证执行模式
-    const modeValidation = validateMode(mode);
-    if (!modeValidation.valid) {
-      return errorResponse(res, 400, 'INVALID_MODE', modeValidation.message, requestId);
+    // 2. 执行前校验 (字段、模式、签名、nonce、delegation 状态、authorization)
+    const validation = await validateExecutionRequest(
+      { userOp: req.body.userOp, authorization, mode },
+      { trusted: isTrustedRequest(req) }
+    );
+    if (!validation.valid) {
+      return errorResponse(
+        res,
+        getValidationErrorStatus(validation.code),
+        validation.code,
+        validation.message,
+        requestId,
+        validation.violations ?? validation.entity
+      );
     }
 
-    // 4. 验证 UserOp 签名
-    const isUserOpValid = verifyUserOpSignature(userOp);
-    if (!isUserOpValid) {
-      return errorResponse(res, 400, 'INVALID_SIGNATURE', 'UserOp 签名无效', requestId);
-    }
+    const { userOp, needsAuth } = validation;
 
-    // 5. 检查是否需要 delegation
-    const provider = getProvider();
-    const code = await provider.getCode(userOp.sender);
-    const needsAuth = (code === '0x');
-
-    // 6. 如果需要 delegation，验证 authorization
-    let finalAuthorization = null;
-    if (needsAuth) {
-      if (!authorization) {
-        return errorResponse(res, 400, 'AUTHORIZATION_REQUIRED', '首次执行需要 authorization', requestId);
-      }
-
-      const authValidation = validateAuthorization(authorization);
-      if (!authValidation.valid) {
-        return errorResponse(res, 400, 'INVALID_AUTHORIZATION', authValidation.message, requestId);
-      }
+    // 3. 构建 ERC-7821 标准交易并发送到链上 (记录到 UserOp 存储并更新实体信誉)
+    // 支持模式 1 (普通批量) 和模式 3 (递归批量)
+    const { userOpHash, result } = submitUserOp({
+      userOp,
+      authorization: validation.authorization,
+      mode: validation.mode,
+      source: 'execute',
+      apiKeyId: getTrustedApiKeyId(req)
+    });
 
-      const isAuthValid = verifyAuthorizationSignature(authorization, userOp.sender);
-      if (!isAuthValid) {
-        return errorResponse(res, 400, 'INVALID_AUTH_SIGNATURE', 'Authorization 签名无效', requestId);
+    // 4. 清除 delegation 状态缓存
+    const completion = result.then((outcome) => {
+      if (needsAuth && outcome.receipt.status === 1) {
+        const cacheKey = `delegation:${userOp.sender.toLowerCase()}`;
+        cache.delete(cacheKey);
       }
+      return outcome;
+    });
 
-      finalAuthorization = authorization;
+    // 异步模式: 立即返回 userOpHash, 结果通过 GET /api/userop/:hash 查询
+    if (asyncMode) {
+      completion.catch(error => console.error(`[${requestId}] 异步提交 UserOp 失败:`, error.message));
+      return successResponse(res.status(202), {
+        userOpHash,
+        status: SUBMISSION_STATUS.RECEIVED,
+        statusUrl: `/api/userop/${userOpHash}`,
+        mode: validation.mode,
+        standard: 'ERC-7821'
+      });
     }
 
-    // 7. 构建 ERC-7821 标准交易
-    // 支持模式 1 (普通批量) 和模式 3 (递归批量)
-    const tx = buildERC7821Transaction(userOp, finalAuthorization, modeValidation.mode);
-
-    // 8. 发送交易到链上
-    const receipt = await sendTransaction(tx);
-
-    // 9. 清除 delegation 状态缓存
-    if (needsAuth && receipt.status === 1) {
-      const cacheKey = `delegation:${userOp.sender.toLowerCase()}`;
-      cache.delete(cacheKey);
-    }
+    const { receipt, revert } = await completion;
 
-    // 10. 返回结果
+    // 5. 返回结果 (交易卡住时可能已被提高手续费的交易替换)
+    const tracked = getTrackedTransaction(receipt.hash);
     return successResponse(res, {
+      userOpHash,
       txHash: receipt.hash,
       blockNumber: receipt.blockNumber,
       delegated: !needsAuth,
       executed: receipt.status === 1,
       gasUsed: receipt.gasUsed.toString(),
-      mode: modeValidation.mode,
-      standard: 'ERC-7821'
+      mode: validation.mode,
+      standard: 'ERC-7821',
+      originalTxHash: tracked?.originalHash ?? receipt.hash,
+      replacements: tracked ? tracked.attempts.slice(1) : [],
+      revert
     });
 
   } catch (error) {
     console.error(`[${requestId}] 执行 UserOp 失败:`, error.message);
 
+    if (error.broadcast) {
+      return errorResponse(res, 504, 'TX_STUCK', error.message, requestId, { userOpHash: error.userOpHash });
+    }
+
+    // EntryPoint / Kernel revert (如 FailedOp、InvalidNonce), 返回解码后的错误
+    if (error.revert) {
+      return errorResponse(res, 400, 'USEROP_REVERTED', error.revert.message, requestId, {
+        userOpHash: error.userOpHash,
+        revert: error.revert
+      });
+    }
+
     if (error.message.includes('nonce')) {
       return errorResponse(res, 400, 'NONCE_ERROR', 'nonce 错误或已使用', requestId);
     }
@@ -0,0 +1,50 @@
+/**
+ * 手续费建议路由
+ * GET /api/gas-price
+ *
+ * 功能:
+ * 根据最近区块的 eth_feeHistory 返回 slow / standard / fast 三档 EIP-1559 手续费建议,
+ * 可直接用作 UserOp 的 maxFeePerGas / maxPriorityFeePerGas
+ *
+ * 响应:
+ * {
+ *   success: boolean,
+ *   data: {
+ *     baseFeePerGas: string,  // 下一区块 baseFee (wei)
+ *     slow: { maxFeePerGas: string, maxPriorityFeePerGas: string },
+ *     standard: { maxFeePerGas: string, maxPriorityFeePerGas: string },
+ *     fast: { maxFeePerGas: string, maxPriorityFeePerGas: string },
+ *     marginPercent: number,  // baseFee 安全余量百分比
+ *     blocks: number,         // 采样区块数
+ *     source: string,         // feeHistory / feeData
+ *     timestamp: number
+ *   }
+ * }
+ *
+ * @module gasPrice
+ */
+import { getFeeSuggestions, formatFeeSuggestions } from '../services/feeOracle.js';
+import { errorResponse, successResponse } from '../services/validation.js';
+
+/**
+ * 查询手续费建议
+ *
+ * GET /api/gas-price
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ */
+export async function getGasPrice(req, res) {
+  try {
+    const suggestions = await getFeeSuggestions();
+
+    return successResponse(res, {
+      ...formatFeeSuggestions(suggestions),
+      timestamp: Date.now()
+    });
+
+  } catch (error) {
+    console.error('查询手续费建议失败:', error.message);
+    return errorResponse(res, 500, 'QUERY_FAILED', error.message, req.id);
+  }
+}
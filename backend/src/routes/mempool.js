@@ -0,0 +1,96 @@
+/**
+ * Mempool 状态查询路由
+ * GET /api/mempool
+ * GET /api/mempool/:userOpHash
+ *
+ * 功能:
+ * 1. 查询 mempool 中各状态的 UserOp 数量
+ * 2. 查询单个 UserOp 的打包状态
+ *    (从 UserOp 存储查询历史记录, 包括 /api/execute 和 /api/send-raw 同步提交的 UserOp)
+ *
+ * UserOp 状态:
+ * - pending:   已接收，等待打包
+ * - submitted: 已打包进 handleOps 交易，等待上链
+ * - included:  已上链且执行成功
+ * - failed:    模拟失败、交易失败或执行 revert
+ *
+ * 响应 (GET /api/mempool/:userOpHash):
+ * {
+ *   success: boolean,
+ *   data: {
+ *     userOpHash: string,
+ *     sender: string,
+ *     nonce: string,
+ *     source: string,        // execute / send-raw / rpc
+ *     status: string,
+ *     txHash?: string,
+ *     blockNumber?: number,
+ *     gasUsed?: string,
+ *     reason?: string,
+ *     receivedAt: number,
+ *     updatedAt: number
+ *   }
+ * }
+ *
+ * @module mempool
+ */
+import { ethers } from 'ethers';
+import { mempool } from '../services/mempool.js';
+import { getUserOpStore } from '../services/userOpStore.js';
+import { config } from '../config.js';
+import { errorResponse, successResponse } from '../services/validation.js';
+
+/**
+ * 查询 mempool 统计信息
+ *
+ * GET /api/mempool
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ */
+export async function getMempoolStats(req, res) {
+  return successResponse(res, {
+    ...mempool.getStats(),
+    store: getUserOpStore().getStats(),
+    maxBundleSize: config.maxBundleSize,
+    bundleIntervalMs: config.bundleIntervalMs,
+    timestamp: Date.now()
+  });
+}
+
+/**
+ * 查询单个 UserOp 的 mempool 状态
+ *
+ * GET /api/mempool/:userOpHash
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ */
+export async function getMempoolUserOp(req, res) {
+  const { userOpHash } = req.params;
+  const requestId = req.id;
+
+  if (!ethers.isHexString(userOpHash, 32)) {
+    return errorResponse(res, 400, 'INVALID_PARAMS', 'userOpHash 必须是 bytes32', requestId);
+  }
+
+  const entry = mempool.get(userOpHash);
+  if (!entry) {
+    return errorResponse(res, 404, 'USEROP_NOT_FOUND', '不存在该 UserOp 记录', requestId);
+  }
+
+  return successResponse(res, {
+    userOpHash: entry.userOpHash,
+    sender: entry.sender,
+    nonce: BigInt(entry.userOp.nonce || 0).toString(),
+    source: entry.source,
+    status: entry.status,
+    txHash: entry.txHash,
+    blockNumber: entry.blockNumber,
+    gasUsed: entry.gasUsed,
+    actualGasCost: entry.actualGasCost,
+    reason: entry.reason,
+    receivedAt: entry.receivedAt,
+    updatedAt: entry.updatedAt
+  });
+}
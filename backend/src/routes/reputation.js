@@ -0,0 +1,128 @@
+/**
+ * 实体信誉管理路由
+ * GET  /api/admin/reputation
+ * GET  /api/admin/reputation/:address
+ * POST /api/admin/reputation/reset
+ *
+ * 功能:
+ * 查询 sender / paymaster / gas token 的 opsSeen、opsIncluded 计数和状态, 重置实体信誉
+ * 仅可信调用方 (X-API-Key 在 TRUSTED_API_KEYS 中) 可访问
+ *
+ * 查询参数 (列表):
+ * - status?: string    // 按状态过滤: ok / throttled / banned
+ *
+ * 请求参数 (重置):
+ * {
+ *   address?: string    // 可选, 实体地址, 省略时重置全部
+ * }
+ *
+ * 响应 (单个实体):
+ * {
+ *   success: boolean,
+ *   data: {
+ *     address: string,      // 实体地址
+ *     roles: Array<string>, // 出现过的角色: sender / paymaster / token
+ *     status: string,       // ok / throttled / banned
+ *     opsSeen: number,      // 进入处理流程的 UserOp 数量 (每小时衰减 1/24)
+ *     opsIncluded: number,  // 上链且执行成功的 UserOp 数量 (每小时衰减 1/24)
+ *     pending: number,      // 处理中的 UserOp 数量
+ *     updatedAt: number|null
+ *   }
+ * }
+ *
+ * @module reputation
+ */
+import { ethers } from 'ethers';
+import { reputation, REPUTATION_STATUS } from '../services/reputation.js';
+import { isTrustedRequest } from '../services/executionValidation.js';
+import { errorResponse, successResponse } from '../services/validation.js';
+
+/**
+ * 检查管理接口访问权限
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @returns {boolean} 是否允许访问 (不允许时已发送错误响应)
+ */
+function authorize(req, res) {
+  if (isTrustedRequest(req)) {
+    return true;
+  }
+
+  errorResponse(res, 401, 'UNAUTHORIZED', '需要在 X-API-Key 请求头中提供可信 API key', req.id);
+  return false;
+}
+
+/**
+ * 列出实体信誉
+ *
+ * GET /api/admin/reputation?status=banned
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ */
+export async function listReputation(req, res) {
+  if (!authorize(req, res)) return;
+
+  const { status } = req.query;
+  if (status && !Object.values(REPUTATION_STATUS).includes(status)) {
+    return errorResponse(
+      res,
+      400,
+      'INVALID_PARAMS',
+      `status 必须为 ${Object.values(REPUTATION_STATUS).join(' / ')}`,
+      req.id
+    );
+  }
+
+  const entities = reputation.list(status);
+
+  return successResponse(res, {
+    count: entities.length,
+    entities,
+    params: reputation.getParams(),
+    timestamp: Date.now()
+  });
+}
+
+/**
+ * 查询单个实体信誉
+ *
+ * GET /api/admin/reputation/:address
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ */
+export async function getReputation(req, res) {
+  if (!authorize(req, res)) return;
+
+  const { address } = req.params;
+  if (!ethers.isAddress(address)) {
+    return errorResponse(res, 400, 'INVALID_ADDRESS', '无效的地址', req.id);
+  }
+
+  return successResponse(res, reputation.get(address));
+}
+
+/**
+ * 重置实体信誉 (解除限流或封禁)
+ *
+ * POST /api/admin/reputation/reset
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ */
+export async function resetReputation(req, res) {
+  if (!authorize(req, res)) return;
+
+  const { address } = req.body || {};
+  if (address !== undefined && !ethers.isAddress(address)) {
+    return errorResponse(res, 400, 'INVALID_ADDRESS', '无效的地址', req.id);
+  }
+
+  const removed = reputation.reset(address);
+
+  return successResponse(res, {
+    address: address ? ethers.getAddress(address) : null,
+    removed
+  });
+}
@@ -0,0 +1,455 @@
+/**
+ * ERC-4337 Bundler JSON-RPC 路由
+ * POST /rpc
+ *
+ * 功能:
+ * 提供标准 ERC-4337 bundler JSON-RPC 2.0 接口,
+ * 使现成的 AA SDK 可以直接指向本服务
+ *
+ * 支持的方法:
+ * - eth_sendUserOperation        发送 UserOperation, 返回 userOpHash
+ * - eth_estimateUserOperationGas 估算 UserOperation gas
+ * - eth_getUserOperationByHash   根据 hash 查询 UserOperation
+ * - eth_getUserOperationReceipt  根据 hash 查询 UserOperation 回执
+ * - eth_supportedEntryPoints     返回支持的 EntryPoint 地址
+ * - eth_chainId                  返回链 ID
+ *
+ * 请求格式 (支持批量数组):
+ * {
+ *   jsonrpc: '2.0',
+ *   id: number | string,
+ *   method: string,
+ *   params: Array
+ * }
+ *
+ * 响应格式:
+ * {
+ *   jsonrpc: '2.0',
+ *   id: number | string,
+ *   result?: any,
+ *   error?: { code: number, message: string, data?: any }
+ * }
+ *
+ * eth_sendUserOperation 不等待上链: UserOp 进入 mempool 后立即返回 userOpHash,
+ * 由 mempool 定时打包提交; sender / paymaster / gas token 被封禁或限流时返回 -32504
+ *
+ * UserOp 支持 EntryPoint v0.7 RPC 格式 (factory/paymaster 字段)、
+ * Packed 格式 (accountGasLimits/gasFees) 和展开格式
+ *
+ * EIP-7702:
+ * 首次 delegation 时, 通过 userOp.eip7702Auth 传入 authorization
+ * { chainId, address, nonce, yParity, r, s } 或 { chainId, address, nonce, signature }
+ *
+ * @module rpc
+ */
+import { ethers } from 'ethers';
+import { verifyAuthorizationSignature } from '../services/validation.js';
+import { normalizeAuthorization } from '../services/authorization.js';
+import { getDelegationInfo } from '../services/delegation.js';
+import {
+  getProvider,
+  getEntryPointInterface,
+  findUserOperationEvent
+} from '../services/bundler.js';
+import { mempool, USEROP_STATUS } from '../services/mempool.js';
+import { normalizeUserOp, unpackUserOp } from '../services/userOperation.js';
+import { checkValidationRules } from '../services/validationTracer.js';
+import { estimateUserOpGas } from '../services/gasEstimator.js';
+import { validateNumericFields } from '../services/executionValidation.js';
+import { config } from '../config.js';
+
+/**
+ * JSON-RPC 错误码
+ * -326xx: JSON-RPC 2.0 标准错误
+ * -325xx: ERC-4337 bundler 错误 (ERC-7769)
+ */
+const RPC_ERRORS = {
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  REJECTED_BY_ENTRYPOINT: -32500,
+  OPCODE_VALIDATION: -32502,
+  ENTITY_REPUTATION: -32504,
+  INVALID_SIGNATURE: -32507
+};
+
+/**
+ * JSON-RPC 错误
+ */
+class RpcError extends Error {
+  /**
+   * @param {number} code - JSON-RPC 错误码
+   * @param {string} message - 错误消息
+   * @param {*} [data] - 附加数据
+   */
+  constructor(code, message, data) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * 校验 entryPoint 参数是否为本服务支持的 EntryPoint
+ * @param {string} entryPoint - EntryPoint 地址
+ */
+function assertSupportedEntryPoint(entryPoint) {
+  if (!entryPoint || !ethers.isAddress(entryPoint)) {
+    throw new RpcError(RPC_ERRORS.INVALID_PARAMS, '无效的 entryPoint 地址');
+  }
+
+  if (entryPoint.toLowerCase() !== config.entryPointAddress.toLowerCase()) {
+    throw new RpcError(RPC_ERRORS.INVALID_PARAMS, `不支持的 entryPoint: ${entryPoint}`);
+  }
+}
+
+/**
+ * 校验 userOp 基本字段
+ * @param {Object} userOp - UserOperation 对象
+ * @param {boolean} requireSignature - 是否要求签名
+ */
+function assertUserOp(userOp, requireSignature) {
+  if (!userOp || typeof userOp !== 'object') {
+    throw new RpcError(RPC_ERRORS.INVALID_PARAMS, 'userOp 不能为空');
+  }
+
+  if (!userOp.sender || !ethers.isAddress(userOp.sender)) {
+    throw new RpcError(RPC_ERRORS.INVALID_PARAMS, '无效的 sender 地址');
+  }
+
+  if (requireSignature && (!userOp.signature || userOp.signature === '0x')) {
+    throw new RpcError(RPC_ERRORS.INVALID_PARAMS, 'signature 不能为空');
+  }
+
+  const numericValidation = validateNumericFields(userOp);
+  if (!numericValidation.valid) {
+    throw new RpcError(RPC_ERRORS.INVALID_PARAMS, numericValidation.message);
+  }
+}
+
+/**
+ * 将数值转换为 JSON-RPC quantity (0x 开头的 hex)
+ * @param {*} value - 数值
+ * @returns {string} hex quantity
+ */
+function toQuantity(value) {
+  return ethers.toQuantity(BigInt(value ?? 0));
+}
+
+/**
+ * eth_sendUserOperation
+ *
+ * 验证通过后放入 mempool，立即返回 userOpHash,
+ * 由 mempool 与其他 UserOp 一起打包提交
+ *
+ * @param {Array} params - [userOp, entryPoint]
+ * @returns {Promise<string>} userOpHash
+ */
+async function sendUserOperation([rpcUserOp, entryPoint] = []) {
+  assertUserOp(rpcUserOp, true);
+  assertSupportedEntryPoint(entryPoint);
+
+  const userOp = normalizeUserOp(rpcUserOp);
+
+  // 检查是否需要 delegation (未 delegation 或 delegate 不是 Kernel)
+  const delegation = await getDelegationInfo(userOp.sender);
+  if (delegation.isContract) {
+    throw new RpcError(RPC_ERRORS.INVALID_PARAMS, 'sender 是合约账户, 不支持 EIP-7702 delegation');
+  }
+
+  let authorization = null;
+  if (!delegation.isKernel) {
+    if (!rpcUserOp.eip7702Auth) {
+      throw new RpcError(RPC_ERRORS.INVALID_PARAMS, delegation.delegated
+        ? `账户已 delegation 到 ${delegation.delegate}, 需要 eip7702Auth 重新 authorization`
+        : '首次执行需要 eip7702Auth');
+    }
+
+    try {
+      authorization = normalizeAuthorization(rpcUserOp.eip7702Auth);
+    } catch (error) {
+      throw new RpcError(RPC_ERRORS.INVALID_PARAMS, `无效的 eip7702Auth: ${error.message}`);
+    }
+
+    if (authorization.chainId !== config.chainId) {
+      throw new RpcError(RPC_ERRORS.INVALID_PARAMS, `chainId 必须为 ${config.chainId}`);
+    }
+
+    if (authorization.address.toLowerCase() !== config.kernelAddress.toLowerCase()) {
+      throw new RpcError(RPC_ERRORS.INVALID_PARAMS, `eip7702Auth 地址必须为 Kernel (${config.kernelAddress})`);
+    }
+
+    if (!verifyAuthorizationSignature(authorization, userOp.sender)) {
+      throw new RpcError(RPC_ERRORS.INVALID_SIGNATURE, 'Authorization 签名无效');
+    }
+  }
+
+  // ERC-7562 验证规则检查 (VALIDATION_TRACER_MODE=enforce 时拒绝违规 UserOp)
+  const rules = await checkValidationRules(userOp);
+  if (!rules.valid) {
+    throw new RpcError(RPC_ERRORS.OPCODE_VALIDATION, rules.message, { violations: rules.violations });
+  }
+
+  const result = mempool.add(userOp, authorization);
+  if (!result.accepted) {
+    if (result.entity) {
+      // sender / paymaster / gas token 被封禁或限流
+      throw new RpcError(RPC_ERRORS.ENTITY_REPUTATION, result.message, { entity: result.entity });
+    }
+    const code = result.code === 'INVALID_SIGNATURE'
+      ? RPC_ERRORS.INVALID_SIGNATURE
+      : RPC_ERRORS.INVALID_PARAMS;
+    throw new RpcError(code, result.message);
+  }
+
+  return result.userOpHash;
+}
+
+/**
+ * eth_estimateUserOperationGas
+ *
+ * 与 /api/simulate 相同, 通过 gasEstimator 分别估算 callGasLimit、verificationGasLimit
+ * 和 preVerificationGas (未 delegation 的 sender 注入 Kernel designator 后模拟)
+ *
+ * @param {Array} params - [userOp, entryPoint]
+ * @returns {Promise<Object>} gas 估算结果
+ */
+async function estimateUserOperationGas([userOp, entryPoint] = []) {
+  assertUserOp(userOp, false);
+  assertSupportedEntryPoint(entryPoint);
+
+  let estimate;
+  try {
+    estimate = await estimateUserOpGas(userOp);
+  } catch (error) {
+    throw new RpcError(RPC_ERRORS.REJECTED_BY_ENTRYPOINT, error.shortMessage || error.message);
+  }
+
+  return {
+    preVerificationGas: toQuantity(estimate.preVerificationGas),
+    verificationGasLimit: toQuantity(estimate.verificationGasLimit),
+    callGasLimit: toQuantity(estimate.callGasLimit)
+  };
+}
+
+/**
+ * 将 UserOperation 转换为 RPC 格式 (数值字段为 hex quantity)
+ * @param {Object} userOp - 展开格式的 UserOperation
+ * @returns {Object} RPC 格式的 UserOperation
+ */
+function formatUserOp(userOp) {
+  return {
+    sender: userOp.sender,
+    nonce: toQuantity(userOp.nonce),
+    initCode: userOp.initCode,
+    callData: userOp.callData,
+    callGasLimit: toQuantity(userOp.callGasLimit),
+    verificationGasLimit: toQuantity(userOp.verificationGasLimit),
+    preVerificationGas: toQuantity(userOp.preVerificationGas),
+    maxFeePerGas: toQuantity(userOp.maxFeePerGas),
+    maxPriorityFeePerGas: toQuantity(userOp.maxPriorityFeePerGas),
+    paymasterAndData: userOp.paymasterAndData,
+    signature: userOp.signature
+  };
+}
+
+/**
+ * 校验 userOpHash 参数
+ * @param {string} userOpHash - UserOperation hash
+ */
+function assertUserOpHash(userOpHash) {
+  if (!ethers.isHexString(userOpHash, 32)) {
+    throw new RpcError(RPC_ERRORS.INVALID_PARAMS, 'userOpHash 必须是 bytes32');
+  }
+}
+
+/**
+ * eth_getUserOperationByHash
+ *
+ * @param {Array} params - [userOpHash]
+ * @returns {Promise<Object|null>} UserOperation 及所在交易信息
+ */
+async function getUserOperationByHash([userOpHash] = []) {
+  assertUserOpHash(userOpHash);
+
+  const log = await findUserOperationEvent(userOpHash);
+  if (!log) {
+    // 尚未上链，查询 mempool
+    const entry = mempool.get(userOpHash);
+    if (!entry || entry.status === USEROP_STATUS.FAILED) {
+      return null;
+    }
+
+    return {
+      userOperation: formatUserOp(entry.userOp),
+      entryPoint: config.entryPointAddress,
+      blockNumber: null,
+      blockHash: null,
+      transactionHash: entry.txHash || null
+    };
+  }
+
+  const entryPointInterface = getEntryPointInterface();
+  const event = entryPointInterface.parseLog(log);
+  const tx = await getProvider().getTransaction(log.transactionHash);
+  const decoded = entryPointInterface.decodeFunctionData('handleOps', tx.data);
+
+  const op = decoded.ops.find(item =>
+    item.sender.toLowerCase() === event.args.sender.toLowerCase() &&
+    item.nonce === event.args.nonce
+  );
+
+  if (!op) {
+    return null;
+  }
+
+  return {
+    userOperation: formatUserOp(unpackUserOp(op)),
+    entryPoint: config.entryPointAddress,
+    blockNumber: toQuantity(log.blockNumber),
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash
+  };
+}
+
+/**
+ * eth_getUserOperationReceipt
+ *
+ * @param {Array} params - [userOpHash]
+ * @returns {Promise<Object|null>} UserOperation 回执
+ */
+async function getUserOperationReceipt([userOpHash] = []) {
+  assertUserOpHash(userOpHash);
+
+  const log = await findUserOperationEvent(userOpHash);
+  if (!log) {
+    return null;
+  }
+
+  const entryPointInterface = getEntryPointInterface();
+  const event = entryPointInterface.parseLog(log);
+  const receipt = await getProvider().getTransactionReceipt(log.transactionHash);
+
+  // 当前 UserOp 的日志: 上一个 UserOperationEvent 之后到本事件之前
+  const eventTopic = entryPointInterface.getEvent('UserOperationEvent').topicHash;
+  const revertTopic = entryPointInterface.getEvent('UserOperationRevertReason').topicHash;
+  let startIndex = 0;
+  for (const item of receipt.logs) {
+    if (item.index >= log.index) break;
+    if (item.topics[0] === eventTopic) startIndex = item.index + 1;
+  }
+  const opLogs = receipt.logs.filter(item => item.index >= startIndex && item.index < log.index);
+
+  const revertLog = opLogs.find(item => item.topics[0] === revertTopic && item.topics[1] === userOpHash);
+  const reason = revertLog ? entryPointInterface.parseLog(revertLog).args.revertReason : undefined;
+
+  return {
+    userOpHash,
+    entryPoint: config.entryPointAddress,
+    sender: event.args.sender,
+    nonce: toQuantity(event.args.nonce),
+    paymaster: event.args.paymaster,
+    actualGasCost: toQuantity(event.args.actualGasCost),
+    actualGasUsed: toQuantity(event.args.actualGasUsed),
+    success: event.args.success,
+    reason,
+    logs: opLogs.map(item => item.toJSON()),
+    receipt: {
+      transactionHash: receipt.hash,
+      transactionIndex: toQuantity(receipt.index),
+      blockHash: receipt.blockHash,
+      blockNumber: toQuantity(receipt.blockNumber),
+      from: receipt.from,
+      to: receipt.to,
+      gasUsed: toQuantity(receipt.gasUsed),
+      cumulativeGasUsed: toQuantity(receipt.cumulativeGasUsed),
+      effectiveGasPrice: toQuantity(receipt.gasPrice),
+      status: toQuantity(receipt.status),
+      logs: receipt.logs.map(item => item.toJSON())
+    }
+  };
+}
+
+/**
+ * RPC 方法表
+ */
+const METHODS = {
+  eth_sendUserOperation: sendUserOperation,
+  eth_estimateUserOperationGas: estimateUserOperationGas,
+  eth_getUserOperationByHash: getUserOperationByHash,
+  eth_getUserOperationReceipt: getUserOperationReceipt,
+  eth_supportedEntryPoints: async () => [ethers.getAddress(config.entryPointAddress)],
+  eth_chainId: async () => toQuantity(config.chainId)
+};
+
+/**
+ * 处理单个 JSON-RPC 请求
+ *
+ * @param {Object} request - JSON-RPC 请求对象
+ * @param {string} requestId - 请求ID (日志用)
+ * @returns {Promise<Object>} JSON-RPC 响应对象
+ */
+async function handleRpcRequest(request, requestId) {
+  const id = request?.id ?? null;
+
+  try {
+    if (!request || request.jsonrpc !== '2.0' || typeof request.method !== 'string') {
+      throw new RpcError(RPC_ERRORS.INVALID_REQUEST, 'Invalid Request');
+    }
+
+    const method = METHODS[request.method];
+    if (!method) {
+      throw new RpcError(RPC_ERRORS.METHOD_NOT_FOUND, `Method ${request.method} not found`);
+    }
+
+    if (request.params !== undefined && !Array.isArray(request.params)) {
+      throw new RpcError(RPC_ERRORS.INVALID_PARAMS, 'params 必须为数组');
+    }
+
+    const result = await method(request.params || []);
+    return { jsonrpc: '2.0', id, result };
+
+  } catch (error) {
+    if (!(error instanceof RpcError)) {
+      console.error(`[${requestId}] RPC ${request?.method} 失败:`, error.message);
+    }
+
+    const rpcError = {
+      code: error instanceof RpcError ? error.code : RPC_ERRORS.INTERNAL_ERROR,
+      message: error.message
+    };
+    if (error.data !== undefined) {
+      rpcError.data = error.data;
+    }
+
+    return { jsonrpc: '2.0', id, error: rpcError };
+  }
+}
+
+/**
+ * ERC-4337 bundler JSON-RPC 入口
+ *
+ * POST /rpc
+ *
+ * @param {Object} req - Express 请求对象
+ * @param {Object} res - Express 响应对象
+ */
+export async function handleRpc(req, res) {
+  const body = req.body;
+
+  if (Array.isArray(body)) {
+    if (body.length === 0) {
+      return res.json({
+        jsonrpc: '2.0',
+        id: null,
+        error: { code: RPC_ERRORS.INVALID_REQUEST, message: 'Invalid Request' }
+      });
+    }
+
+    const responses = await Promise.all(body.map(item => handleRpcRequest(item, req.id)));
+    return res.json(responses);
+  }
+
+  return res.json(await handleRpcRequest(body, req.id));
+}
@@ -4,6 +4,10 @@
  *
  * 功能:
  * 发送预签名的 UserOperation 到 EntryPoint
+ * 发送前执行与 /api/execute 相同的校验 (签名、authorization、chainId、nonce 预检查),
+ * 可信调用方 (X-API-Key 在 TRUSTED_API_KEYS 中) 跳过签名和 nonce 预检查
+ * sender / paymaster / gas token 包含率过低时被限流 (429 ENTITY_THROTTLED) 或封禁 (403 ENTITY_BANNED)
+ * 支持请求头 Idempotency-Key, 与 /api/execute 相同
  *
  * 使用 ERC-7821 标准接口:
  * - 模式 1: 普通批量执行 (Call[])
@@ -11,67 +15,51 @@
  *
  * 请求参数:
  * {
- *   signedUserOp: Object,   // 必填, 已签名的 UserOperation
+ *   signedUserOp: Object,   // 必填, 已签名的 UserOperation (展开格式或 v0.7 Packed 格式)
  *   authorization?: Object  // 可选, 首次 delegation 需要
- *   mode?: number           // 可选, 执行模式 (1 或 3, 默认 1)
+ *   mode?: number,          // 可选, 执行模式 (1 或 3, 默认 1)
+ *   async?: boolean         // 可选, 异步模式 (默认 false)
  * }
  *
  * 响应:
  * {
  *   success: boolean,
  *   data: {
+ *     userOpHash: string,   // UserOperation hash (可通过 GET /api/userop/:userOpHash 查询)
  *     txHash: string,       // 交易哈希
  *     blockNumber: number,  // 区块号
  *     delegated: boolean,   // 是否已 delegation
  *     executed: boolean,    // 是否执行成功
  *     gasUsed: string,      // 消耗的 gas
+ *     originalTxHash: string, // 首次广播的交易哈希 (未替换时与 txHash 相同)
+ *     replacements: Array,  // 手续费替换历史 [{hash, maxFeePerGas, maxPriorityFeePerGas, sentAt}]
+ *     revert: Object|null,  // UserOp 执行 revert 时解码后的错误 (见 revertDecoder)
  *     mode: number,         // 使用的执行模式
  *     standard: string      // 'ERC-7821'
  *   }
  * }
+ *
+ * 异步模式响应 (202, 校验通过后立即返回, 不等待上链):
+ * {
+ *   success: boolean,
+ *   data: {
+ *     userOpHash: string,   // UserOperation hash
+ *     status: 'received',
+ *     statusUrl: string,    // 查询地址 /api/userop/:userOpHash
+ *     mode: number
+ *   }
+ * }
  */
-import { ethers } from 'ethers';
-import { getProvider, sendTransaction, buildERC7821Transaction } from '../services/bundler.js';
+import { getTrackedTransaction } from '../services/bundler.js';
 import { errorResponse, successResponse } from '../services/validation.js';
 import { cache } from '../services/cache.js';
-
-/**
- * 验证 signedUserOp 参数
- * @param {Object} userOp - UserOperation 对象
- * @returns {{valid: boolean, message: string}} 验证结果
- */
-function validateSignedUserOp(userOp) {
-  if (!userOp) {
-    return { valid: false, message: 'signedUserOp 不能为空' };
-  }
-
-  if (!userOp.sender || !ethers.isAddress(userOp.sender)) {
-    return { valid: false, message: '无效的 sender 地址' };
-  }
-
-  if (!userOp.signature) {
-    return { valid: false, message: 'signature 不能为空' };
-  }
-
-  return { valid: true, message: 'OK' };
-}
-
-/**
- * 验证执行模式
- * @param {number} mode - 执行模式
- * @returns {{valid: boolean, message: string, mode: number}} 验证结果
- */
-function validateMode(mode) {
-  if (mode === undefined || mode === null) {
-    return { valid: true, message: 'OK', mode: 1 };
-  }
-
-  if (mode !== 1 && mode !== 3) {
-    return { valid: false, message: '无效的执行模式, 支持 1 (普通批量) 和 3 (递归批量)', mode: 1 };
-  }
-
-  return { valid: true, message: 'OK', mode };
-}
+import {
+  validateExecutionRequest,
+  isTrustedRequest,
+  getValidationErrorStatus,
+  getTrustedApiKeyId
+} from '../services/executionValidation.js';
+import { submitUserOp, SUBMISSION_STATUS } from '../services/userOpSubmission.js';
 
 /**
  * 发送预签名的 UserOperation
@@ -83,66 +71,100 @@ function validateMode(mode) {
  */
 export async function sendRawTransaction(req, res) {
   try {
-    const { signedUserOp, authorization, mode } = req.body;
+    const { authorization, mode, async: asyncMode = false } = req.body;
     const requestId = req.id;
 
     // 1. 验证必填字段
-    const validation = validateSignedUserOp(signedUserOp);
-    if (!validation.valid) {
-      return errorResponse(res, 400, 'INVALID_USEROP', validation.message, requestId);
+    if (!req.body.signedUserOp) {
+      return errorResponse(res, 400, 'MISSING_USEROP', '缺少 signedUserOp 参数', requestId);
     }
 
-    // 2. 验证执行模式
-    const modeValidation = validateMode(mode);
-    if (!modeValidation.valid) {
-      return errorResponse(res, 400, 'INVALID_MODE', modeValidation.message, requestId);
+    if (typeof asyncMode !== 'boolean') {
+      return errorResponse(res, 400, 'INVALID_PARAMS', 'async 必须为布尔值', requestId);
     }
 
-    // 3. 检查 delegation 状态
-    const provider = getProvider();
-    const code = await provider.getCode(signedUserOp.sender);
-    const needsAuth = (code === '0x');
+    // 2. 执行前校验 (与 /api/execute 相同: 字段、模式、签名、nonce、delegation 状态、authorization)
+    const validation = await validateExecutionRequest(
+      { userOp: req.body.signedUserOp, authorization, mode },
+      { trusted: isTrustedRequest(req) }
+    );
+    if (!validation.valid) {
+      return errorResponse(
+        res,
+        getValidationErrorStatus(validation.code),
+        validation.code,
+        validation.message,
+        requestId,
+        validation.violations ?? validation.entity
+      );
+    }
 
-    // 4. 如果需要 delegation，验证 authorization
-    let finalAuthorization = null;
-    if (needsAuth) {
-      if (!authorization) {
-        return errorResponse(res, 400, 'AUTHORIZATION_REQUIRED', '首次执行需要 authorization', requestId);
-      }
+    const { userOp: signedUserOp, needsAuth } = validation;
 
-      if (!authorization.signature) {
-        return errorResponse(res, 400, 'INVALID_AUTH', 'authorization.signature 不能为空', requestId);
+    // 3. 构建 ERC-7821 标准交易并发送到链上 (记录到 UserOp 存储并更新实体信誉)
+    // 支持模式 1 (普通批量) 和模式 3 (递归批量)
+    const { userOpHash, result } = submitUserOp({
+      userOp: signedUserOp,
+      authorization: validation.authorization,
+      mode: validation.mode,
+      source: 'send-raw',
+      apiKeyId: getTrustedApiKeyId(req)
+    });
+
+    // 4. 清除 delegation 状态缓存
+    const completion = result.then((outcome) => {
+      if (needsAuth && outcome.receipt.status === 1) {
+        const cacheKey = `delegation:${signedUserOp.sender.toLowerCase()}`;
+        cache.delete(cacheKey);
       }
+      return outcome;
+    });
 
-      finalAuthorization = authorization;
+    // 异步模式: 立即返回 userOpHash, 结果通过 GET /api/userop/:hash 查询
+    if (asyncMode) {
+      completion.catch(error => console.error(`[${requestId}] 异步提交 UserOp 失败:`, error.message));
+      return successResponse(res.status(202), {
+        userOpHash,
+        status: SUBMISSION_STATUS.RECEIVED,
+        statusUrl: `/api/userop/${userOpHash}`,
+        mode: validation.mode,
+        standard: 'ERC-7821'
+      });
     }
 
-    // 5. 构建 ERC-7821 标准交易
-    const tx = buildERC7821Transaction(signedUserOp, finalAuthorization, modeValidation.mode);
-
-    // 6. 发送交易到链上
-    const receipt = await sendTransaction(tx);
-
-    // 7. 清除 delegation 状态缓存
-    if (needsAuth && receipt.status === 1) {
-      const cacheKey = `delegation:${signedUserOp.sender.toLowerCase()}`;
-      cache.delete(cacheKey);
-    }
+    const { receipt, revert } = await completion;
 
-    // 8. 返回结果
+    // 5. 返回结果 (交易卡住时可能已被提高手续费的交易替换)
+    const tracked = getTrackedTransaction(receipt.hash);
     return successResponse(res, {
+      userOpHash,
       txHash: receipt.hash,
       blockNumber: receipt.blockNumber,
       delegated: !needsAuth,
       executed: receipt.status === 1,
       gasUsed: receipt.gasUsed.toString(),
-      mode: modeValidation.mode,
-      standard: 'ERC-7821'
+      mode: validation.mode,
+      standard: 'ERC-7821',
+      originalTxHash: tracked?.originalHash ?? receipt.hash,
+      replacements: tracked ? tracked.attempts.slice(1) : [],
+      revert
     });
 
   } catch (error) {
     console.error('发送原始交易失败:', error.message);
 
+    if (error.broadcast) {
+      return errorResponse(res, 504, 'TX_STUCK', error.message, req.id, { userOpHash: error.userOpHash });
+    }
+
+    // EntryPoint / Kernel revert (如 FailedOp、InvalidNonce), 返回解码后的错误
+    if (error.revert) {
+      return errorResponse(res, 400, 'USEROP_REVERTED', error.revert.message, req.id, {
+        userOpHash: error.userOpHash,
+        revert: error.revert
+      });
+    }
+
     if (error.message.includes('nonce')) {
       return errorResponse(res, 400, 'NONCE_ERROR', 'nonce 错误或已使用', req.id);
     }
@@ -4,26 +4,46 @@
  *
  * 功能:
  * 模拟UserOperation的执行，不实际发送交易
+ * 通过 eth_call + state override 模拟 handleOps (见 simulation), 未 delegation 的账户注入 Kernel designator,
+ * 模拟结果为 delegation 之后的行为
+ * 未签名的 UserOp 以估算专用账户的签名模拟验证阶段, 签名状态只通过 signatureValid 返回
  *
  * 返回:
  * 1. 签名是否有效
  * 2. 是否需要delegation
- * 3. 预估gas消耗
+ * 3. 预估gas消耗 (整笔交易及 UserOp 各 gas 字段)
+ * 4. 资产变化预览 (每个地址的 ETH / ERC-20 余额变化及转账明细, 见 assetChanges)
  *
  * 请求参数:
  * {
- *   userOp: Object,       // UserOperation对象
- *   authorization?: Object // 可选, Authorization对象
+ *   userOp: Object,       // UserOperation对象 (展开格式或 v0.7 Packed 格式)
+ *   authorization?: Object, // 可选, Authorization对象 (提供时注入其 address 的 designator)
+ *   balance?: string       // 可选, 模拟时覆盖 sender 的 ETH 余额 (wei)
  * }
  *
  * 响应:
  * {
  *   success: boolean,
  *   data: {
- *     needsAuth: boolean,      // 是否需要delegation
+ *     needsAuth: boolean,      // 是否需要delegation (未delegation或delegate不是Kernel)
+ *     delegate: string|null,   // 当前delegation目标地址
+ *     isContract: boolean,     // 是否为普通合约账户
  *     signatureValid: boolean, // 签名是否有效
- *     estimatedGas: string,    // 预估gas
- *     willRevert: boolean      // 是否会revert
+ *     estimatedGas: string|null, // 预估gas (整笔 handleOps 交易, 估算失败时为 null)
+ *     gasLimits: {             // UserOp 各字段估算值 (估算失败时为 null)
+ *       callGasLimit: string,
+ *       verificationGasLimit: string,
+ *       preVerificationGas: string
+ *     } | null,
+ *     willRevert: boolean,     // 是否会revert
+ *     revertPhase?: string,    // 仅 willRevert 时, validation / execution
+ *     revertReason?: string,   // 仅 willRevert 时, revert 原因 (可读说明)
+ *     revert?: Object|null,    // 仅 willRevert 时, 解码后的 revert 错误 (无 revert 数据时为 null)
+ *     assetChanges: {          // 资产变化预览 (验证阶段 revert 或节点不支持 debug_traceCall 时为 null)
+ *       changes: [{ address, asset, symbol, decimals, delta, formatted }],
+ *       transfers: [{ kind, asset, symbol, decimals, from, to, amount, formatted }]
+ *     } | null,
+ *     stateOverrides: Object   // 模拟使用的 state override
  *   }
  * }
  *
@@ -31,8 +51,52 @@
  */
 import { ethers } from 'ethers';
 import { verifyUserOpSignature } from '../services/validation.js';
-import { buildType04Transaction, getProvider } from '../services/bundler.js';
 import { errorResponse, successResponse } from '../services/validation.js';
+import { normalizeUserOp } from '../services/userOperation.js';
+import { normalizeAuthorization } from '../services/authorization.js';
+import { validateNumericFields } from '../services/executionValidation.js';
+import { getDelegationInfo } from '../services/delegation.js';
+import { estimateUserOpGas } from '../services/gasEstimator.js';
+import { simulateHandleOps } from '../services/simulation.js';
+
+/**
+ * 估算 UserOp 各 gas 字段, 失败时返回 null
+ *
+ * @param {Object} userOp - 展开格式 UserOp
+ * @returns {Promise<Object|null>} 各字段估算值 (十进制字符串)
+ */
+async function estimateGasLimits(userOp) {
+  try {
+    const estimate = await estimateUserOpGas(userOp);
+    return {
+      callGasLimit: estimate.callGasLimit.toString(),
+      verificationGasLimit: estimate.verificationGasLimit.toString(),
+      preVerificationGas: estimate.preVerificationGas.toString()
+    };
+  } catch (error) {
+    console.warn('估算UserOp gas字段失败:', error.message);
+    return null;
+  }
+}
+
+/**
+ * 解析余额参数 (十进制或 hex 字符串, 或整数)
+ *
+ * @param {string|number} value - 余额 (wei)
+ * @returns {bigint|null} 余额, 无效时返回 null
+ */
+function parseBalance(value) {
+  if (typeof value === 'string' ? value.trim() === '' : !Number.isSafeInteger(value)) {
+    return null;
+  }
+
+  try {
+    const balance = BigInt(value);
+    return balance >= 0n ? balance : null;
+  } catch {
+    return null;
+  }
+}
 
 /**
  * 模拟UserOperation执行
@@ -44,19 +108,39 @@ import { errorResponse, successResponse } from '../services/validation.js';
  */
 export async function simulateUserOp(req, res) {
   try {
-    const { userOp, authorization } = req.body;
+    const { authorization } = req.body;
     const requestId = req.id;
 
     // 1. 验证必填字段
-    if (!userOp || !userOp.sender) {
+    if (!req.body.userOp || !req.body.userOp.sender) {
       return errorResponse(res, 400, 'MISSING_USEROP', '缺少userOp参数', requestId);
     }
 
+    // 支持展开格式和 EntryPoint v0.7 PackedUserOperation 格式
+    // 数值字段在标准化之前检查, 格式错误返回 INVALID_USEROP 而不是在 BigInt 转换时抛出
+    const numericValidation = validateNumericFields(req.body.userOp);
+    if (!numericValidation.valid) {
+      return errorResponse(res, 400, 'INVALID_USEROP', numericValidation.message, requestId);
+    }
+
+    let userOp;
+    try {
+      userOp = normalizeUserOp(req.body.userOp);
+    } catch (error) {
+      return errorResponse(res, 400, 'INVALID_USEROP', error.message, requestId);
+    }
+
     // 2. 验证地址格式
     if (!ethers.isAddress(userOp.sender)) {
       return errorResponse(res, 400, 'INVALID_ADDRESS', '无效的sender地址', requestId);
     }
 
+    // 可选: 模拟时覆盖 sender 的 ETH 余额
+    const balance = req.body.balance === undefined ? undefined : parseBalance(req.body.balance);
+    if (balance === null) {
+      return errorResponse(res, 400, 'INVALID_PARAMS', 'balance 必须为非负整数 (wei)', requestId);
+    }
+
     // 3. 验证签名（可选，模拟时可跳过）
     let signatureValid = false;
     if (userOp.signature && userOp.signature !== '0x') {
@@ -67,38 +151,57 @@ export async function simulateUserOp(req, res) {
     }
 
     // 4. 检查delegation状态
-    const provider = getProvider();
-    const code = await provider.getCode(userOp.sender);
-    const needsAuth = (code === '0x');
+    // 未 delegation 或 delegate 不是 Kernel 时需要 authorization
+    const delegation = await getDelegationInfo(userOp.sender);
+    const needsAuth = !delegation.isKernel;
 
-    // 5. 估算gas
-    const tx = buildType04Transaction(userOp, authorization);
+    // 5. 标准化authorization (可选, EIP-7702 授权元组)
+    let normalizedAuthorization = null;
+    if (authorization) {
+      try {
+        normalizedAuthorization = normalizeAuthorization(authorization);
+      } catch (error) {
+        return errorResponse(res, 400, 'INVALID_AUTHORIZATION', error.message, requestId);
+      }
+    }
 
-    let estimatedGas;
-    let willRevert = false;
+    // 6. eth_call 模拟 handleOps (未 delegation 时通过 state override 注入 designator)
+    const simulation = await simulateHandleOps(userOp, {
+      authorization: normalizedAuthorization,
+      balance,
+      delegation
+    });
 
-    try {
-      estimatedGas = await provider.estimateGas({
-        ...tx,
-        from: userOp.sender
-      });
-    } catch (error) {
-      willRevert = true;
+    if (simulation.willRevert) {
       return successResponse(res, {
         needsAuth,
+        delegate: delegation.delegate,
+        isContract: delegation.isContract,
         signatureValid,
         estimatedGas: '0',
         willRevert: true,
-        revertReason: error.message
+        revertPhase: simulation.revertPhase,
+        revertReason: simulation.revertReason,
+        revert: simulation.revert,
+        assetChanges: simulation.assetChanges,
+        stateOverrides: simulation.stateOverrides
       });
     }
 
-    // 6. 返回模拟结果
+    // 7. 估算 UserOp 各 gas 字段
+    const gasLimits = await estimateGasLimits(userOp);
+
+    // 8. 返回模拟结果
     return successResponse(res, {
       needsAuth,
+      delegate: delegation.delegate,
+      isContract: delegation.isContract,
       signatureValid,
-      estimatedGas: estimatedGas.toString(),
-      willRevert
+      estimatedGas: simulation.estimatedGas?.toString() ?? null,
+      gasLimits,
+      willRevert: false,
+      assetChanges: simulation.assetChanges,
+      stateOverrides: simulation.stateOverrides
     });
 
   } catch (error) {
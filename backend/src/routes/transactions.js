@@ -0,0 +1,94 @@
+/**
+ * Bundler 交易跟踪路由
+ * GET /api/transactions
+ * GET /api/transactions/:txHash
+ *
+ * 功能:
+ * 查询 bundler 已广播交易的状态和手续费替换历史
+ * (交易超过 TX_STUCK_TIMEOUT_MS 未上链时, 以相同 nonce 提高手续费重新广播)
+ *
+ * 查询参数 (列表):
+ * - status?: string    // 按状态过滤: pending / mined / reverted / stuck
+ *
+ * 响应 (单笔):
+ * {
+ *   success: boolean,
+ *   data: {
+ *     originalHash: string,   // 首次广播的交易哈希
+ *     from: string,           // bundler 钱包地址
+ *     nonce: number,          // 交易 nonce (替换交易相同)
+ *     status: string,         // pending / mined / reverted / stuck
+ *     minedHash: string|null, // 实际上链的交易哈希
+ *     blockNumber: number|null,
+ *     replacements: number,   // 替换次数
+ *     attempts: [{            // 每次广播 (第一条为原交易)
+ *       hash: string,
+ *       maxFeePerGas: string,
+ *       maxPriorityFeePerGas: string,
+ *       sentAt: number
+ *     }],
+ *     createdAt: number,
+ *     updatedAt: number
+ *   }
+ * }
+ *
+ * @module transactions
+ */
+import { ethers } from 'ethers';
+import { getTrackedTransaction, listTrackedTransactions } from '../services/bundler.js';
+import { TX_STATUS } from '../services/walletPool.js';
+import { errorResponse, successResponse } from '../services/validation.js';
+
+/**
+ * 列出跟踪中的 bundler 交易
+ *
+ * GET /api/transactions?status=stuck
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ */
+export async function listTransactions(req, res) {
+  const { status } = req.query;
+
+  if (status && !Object.values(TX_STATUS).includes(status)) {
+    return errorResponse(
+      res,
+      400,
+      'INVALID_PARAMS',
+      `status 必须为 ${Object.values(TX_STATUS).join(' / ')}`,
+      req.id
+    );
+  }
+
+  const transactions = listTrackedTransactions(status);
+
+  return successResponse(res, {
+    count: transactions.length,
+    transactions,
+    timestamp: Date.now()
+  });
+}
+
+/**
+ * 查询单笔 bundler 交易 (原交易或任一替换交易哈希)
+ *
+ * GET /api/transactions/:txHash
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ */
+export async function getTransaction(req, res) {
+  const { txHash } = req.params;
+  const requestId = req.id;
+
+  if (!ethers.isHexString(txHash, 32)) {
+    return errorResponse(res, 400, 'INVALID_PARAMS', 'txHash 必须是 bytes32', requestId);
+  }
+
+  const transaction = getTrackedTransaction(txHash);
+  if (!transaction) {
+    return errorResponse(res, 404, 'TX_NOT_FOUND', '交易不存在或记录已过期', requestId);
+  }
+
+  return successResponse(res, transaction);
+}
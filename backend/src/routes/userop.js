@@ -0,0 +1,76 @@
+/**
+ * UserOp 状态查询路由
+ * GET /api/userop/:userOpHash
+ *
+ * 功能:
+ * 查询 UserOp 的提交状态, 用于 /api/execute、/api/send-raw 异步模式 (async: true) 的轮询,
+ * 同样适用于同步提交和 eth_sendUserOperation 提交的 UserOp
+ * 本服务未记录的 UserOp 查询链上 UserOperationEvent
+ *
+ * 状态:
+ * - received:  已接收, 尚未广播 (含 mempool 中等待打包)
+ * - submitted: bundle 交易已广播, 等待上链
+ * - replaced:  bundle 交易卡住, 已被提高手续费的交易替换, 等待上链
+ * - included:  已上链且执行成功
+ * - failed:    模拟失败、交易失败或执行 revert
+ *
+ * 响应:
+ * {
+ *   success: boolean,
+ *   data: {
+ *     userOpHash: string,
+ *     sender: string,
+ *     nonce: string,
+ *     source: string|null,     // execute / send-raw / rpc (链上查询时为 null)
+ *     status: string,
+ *     txHash: string|null,     // 上链的交易哈希 (未上链时为最近一次广播的交易)
+ *     originalTxHash: string|null, // 首次广播的交易哈希
+ *     replacements: Array,     // 手续费替换历史 [{hash, maxFeePerGas, maxPriorityFeePerGas, sentAt}]
+ *     blockNumber: number|null,
+ *     result: {                // 执行结果 (included / failed 时)
+ *       success: boolean,
+ *       gasUsed: string|null,       // 交易消耗的 gas
+ *       actualGasCost: string|null, // UserOperationEvent.actualGasCost
+ *       actualGasUsed: string|null, // UserOperationEvent.actualGasUsed
+ *       revertData: string|null     // UserOperationRevertReason.revertReason
+ *     } | null,
+ *     reason: string|null,     // 失败原因
+ *     receivedAt: number|null,
+ *     updatedAt: number|null
+ *   }
+ * }
+ *
+ * @module userop
+ */
+import { ethers } from 'ethers';
+import { getUserOpStatus } from '../services/userOpSubmission.js';
+import { errorResponse, successResponse } from '../services/validation.js';
+
+/**
+ * 查询 UserOp 状态
+ *
+ * GET /api/userop/:userOpHash
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ */
+export async function getUserOp(req, res) {
+  const { userOpHash } = req.params;
+  const requestId = req.id;
+
+  if (!ethers.isHexString(userOpHash, 32)) {
+    return errorResponse(res, 400, 'INVALID_PARAMS', 'userOpHash 必须是 bytes32', requestId);
+  }
+
+  try {
+    const status = await getUserOpStatus(userOpHash);
+    if (!status) {
+      return errorResponse(res, 404, 'USEROP_NOT_FOUND', '不存在该 UserOp 记录', requestId);
+    }
+
+    return successResponse(res, status);
+  } catch (error) {
+    console.error(`[${requestId}] 查询 UserOp 状态失败:`, error.message);
+    return errorResponse(res, 500, 'INTERNAL_ERROR', error.message, requestId);
+  }
+}
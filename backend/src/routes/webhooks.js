@@ -0,0 +1,208 @@
+/**
+ * Webhook 管理路由
+ * POST   /api/webhooks
+ * GET    /api/webhooks
+ * DELETE /api/webhooks/:id
+ * GET    /api/webhooks/:id/deliveries
+ *
+ * 功能:
+ * 注册、列出、删除 webhook, 查询投递记录
+ * 仅可信调用方 (X-API-Key 在 TRUSTED_API_KEYS 中) 可访问, 只能管理本 API key 注册的 webhook
+ *
+ * 请求参数 (注册):
+ * {
+ *   url: string,             // 通知地址 (http / https)
+ *   sender?: string,         // 可选, 订阅该 sender 的 UserOp; 省略时订阅本 API key 提交的 UserOp
+ *   events?: Array<string>   // 可选, included / reverted / failed, 默认 ['included', 'reverted']
+ * }
+ *
+ * 响应 (注册, 201):
+ * {
+ *   success: boolean,
+ *   data: {
+ *     id: string,
+ *     url: string,
+ *     sender: string|null,
+ *     events: Array<string>,
+ *     secret: string,        // HMAC 签名密钥, 仅在注册时返回
+ *     createdAt: number
+ *   }
+ * }
+ *
+ * 响应 (投递记录):
+ * {
+ *   success: boolean,
+ *   data: {
+ *     webhookId: string,
+ *     deliveries: [{
+ *       id: string,
+ *       event: string,
+ *       userOpHash: string,
+ *       status: string,      // pending / delivered / failed
+ *       attempts: [{ at, statusCode, error, durationMs }],
+ *       nextAttemptAt: number|null,
+ *       createdAt: number
+ *     }]
+ *   }
+ * }
+ *
+ * @module webhooks
+ */
+import { ethers } from 'ethers';
+import { webhooks, WEBHOOK_EVENTS, formatWebhook, formatDelivery } from '../services/webhooks.js';
+import { getTrustedApiKeyId } from '../services/executionValidation.js';
+import { errorResponse, successResponse } from '../services/validation.js';
+
+/**
+ * 获取调用方 API key 标识
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @returns {string|null} API key 标识 (不允许访问时已发送错误响应)
+ */
+function authorize(req, res) {
+  const owner = getTrustedApiKeyId(req);
+  if (!owner) {
+    errorResponse(res, 401, 'UNAUTHORIZED', '需要在 X-API-Key 请求头中提供可信 API key', req.id);
+  }
+  return owner;
+}
+
+/**
+ * 校验通知地址
+ * @param {string} url - 通知地址
+ * @returns {{valid: boolean, message?: string}} 校验结果
+ */
+function validateWebhookUrl(url) {
+  if (typeof url !== 'string') {
+    return { valid: false, message: '缺少 url 参数' };
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { valid: false, message: '无效的 url' };
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return { valid: false, message: 'url 必须为 http 或 https 地址' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * 注册 webhook
+ *
+ * POST /api/webhooks
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ */
+export async function createWebhook(req, res) {
+  const owner = authorize(req, res);
+  if (!owner) return;
+
+  const { url, sender, events } = req.body || {};
+
+  const urlCheck = validateWebhookUrl(url);
+  if (!urlCheck.valid) {
+    return errorResponse(res, 400, 'INVALID_PARAMS', urlCheck.message, req.id);
+  }
+
+  if (sender !== undefined && !ethers.isAddress(sender)) {
+    return errorResponse(res, 400, 'INVALID_ADDRESS', '无效的 sender 地址', req.id);
+  }
+
+  const supportedEvents = Object.values(WEBHOOK_EVENTS);
+  if (events !== undefined && (
+    !Array.isArray(events) ||
+    events.length === 0 ||
+    events.some(event => !supportedEvents.includes(event))
+  )) {
+    return errorResponse(
+      res,
+      400,
+      'INVALID_PARAMS',
+      `events 必须为非空数组, 可选值: ${supportedEvents.join(' / ')}`,
+      req.id
+    );
+  }
+
+  try {
+    const webhook = webhooks.register({ owner, url, sender, events });
+    return successResponse(res.status(201), { ...formatWebhook(webhook), secret: webhook.secret });
+  } catch (error) {
+    console.error(`[${req.id}] 注册 webhook 失败:`, error.message);
+    return errorResponse(res, 500, 'INTERNAL_ERROR', error.message, req.id);
+  }
+}
+
+/**
+ * 列出本 API key 注册的 webhook
+ *
+ * GET /api/webhooks
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ */
+export async function listWebhooks(req, res) {
+  const owner = authorize(req, res);
+  if (!owner) return;
+
+  const list = webhooks.list(owner).map(formatWebhook);
+
+  return successResponse(res, {
+    count: list.length,
+    webhooks: list
+  });
+}
+
+/**
+ * 删除 webhook
+ *
+ * DELETE /api/webhooks/:id
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ */
+export async function deleteWebhook(req, res) {
+  const owner = authorize(req, res);
+  if (!owner) return;
+
+  const { id } = req.params;
+  if (!webhooks.get(id, owner)) {
+    return errorResponse(res, 404, 'WEBHOOK_NOT_FOUND', '不存在该 webhook', req.id);
+  }
+
+  try {
+    webhooks.remove(id);
+    return successResponse(res, { id, removed: true });
+  } catch (error) {
+    console.error(`[${req.id}] 删除 webhook 失败:`, error.message);
+    return errorResponse(res, 500, 'INTERNAL_ERROR', error.message, req.id);
+  }
+}
+
+/**
+ * 查询投递记录 (新的在前)
+ *
+ * GET /api/webhooks/:id/deliveries
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ */
+export async function listWebhookDeliveries(req, res) {
+  const owner = authorize(req, res);
+  if (!owner) return;
+
+  const { id } = req.params;
+  if (!webhooks.get(id, owner)) {
+    return errorResponse(res, 404, 'WEBHOOK_NOT_FOUND', '不存在该 webhook', req.id);
+  }
+
+  return successResponse(res, {
+    webhookId: id,
+    deliveries: webhooks.getDeliveries(id).map(formatDelivery)
+  });
+}
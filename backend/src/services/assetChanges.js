@@ -0,0 +1,261 @@
+/**
+ * 资产变化预览服务
+ *
+ * 功能:
+ * 使用 debug_traceCall (callTracer, withLog) 跟踪模拟的 handleOps, 汇总每个地址的 ETH 和 ERC-20 余额变化,
+ * 用户签名前即可看到 UserOp 的实际效果
+ *
+ * 来源:
+ * - ETH:    调用帧的 value (CALL / CREATE / CREATE2 / SELFDESTRUCT)
+ * - ERC-20: Transfer(address indexed from, address indexed to, uint256 value) 日志
+ * revert 的调用帧 (含其子帧和日志) 不计入, 执行阶段 revert 时仍包含 prefund、gas token 支付和 gas 补偿
+ *
+ * 分类 (kind):
+ * - prefund:      验证阶段 sender 向 EntryPoint 支付的 missingAccountFunds
+ * - gasPayment:   验证阶段的 ERC-20 转账 (Kernel 的 paymasterAndData gas token 支付)
+ * - transfer:     执行阶段 (batch 中的调用) 及其他转账
+ * - compensation: EntryPoint 向 beneficiary 支付的 gas 费用
+ *
+ * 金额按 token decimals 格式化, decimals / symbol 查询结果缓存
+ *
+ * @module assetChanges
+ */
+import { ethers } from 'ethers';
+import { config } from '../config.js';
+import { getProvider } from './bundler.js';
+import { cache } from './cache.js';
+
+/**
+ * 资产标识: ETH
+ */
+export const ETH_ASSET = 'ETH';
+
+/**
+ * 转账分类
+ */
+export const TRANSFER_KINDS = {
+  PREFUND: 'prefund',
+  GAS_PAYMENT: 'gasPayment',
+  TRANSFER: 'transfer',
+  COMPENSATION: 'compensation'
+};
+
+/**
+ * 转移 ETH 的调用帧类型 (DELEGATECALL / STATICCALL 的 value 不转移, CALLCODE 转给自身)
+ */
+const VALUE_FRAME_TYPES = new Set(['CALL', 'CREATE', 'CREATE2', 'SELFDESTRUCT']);
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+const VALIDATE_USER_OP_SELECTOR = new ethers.Interface([
+  'function validateUserOp((address sender, uint256 nonce, bytes initCode, bytes callData, bytes32 accountGasLimits, uint256 preVerificationGas, bytes32 gasFees, bytes paymasterAndData, bytes signature) userOp, bytes32 userOpHash, uint256 missingAccountFunds) returns (uint256)'
+]).getFunction('validateUserOp').selector;
+
+const ERC20_METADATA_ABI = [
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)'
+];
+
+/**
+ * token 元数据缓存时间 (毫秒)
+ */
+const TOKEN_METADATA_TTL_MS = 24 * 3600 * 1000;
+
+/**
+ * 转账记录类型定义
+ * @typedef {Object} AssetTransfer
+ * @property {string} kind - 分类 (TRANSFER_KINDS)
+ * @property {string} asset - 'ETH' 或 token 地址
+ * @property {string|null} symbol - token 符号
+ * @property {number|null} decimals - token 精度 (查询失败时为 null)
+ * @property {string} from - 转出地址
+ * @property {string} to - 转入地址
+ * @property {string} amount - 数量 (最小单位, 十进制字符串)
+ * @property {string|null} formatted - 按 decimals 格式化的数量
+ */
+
+/**
+ * 余额变化类型定义
+ * @typedef {Object} BalanceChange
+ * @property {string} address - 地址
+ * @property {string} asset - 'ETH' 或 token 地址
+ * @property {string|null} symbol - token 符号
+ * @property {number|null} decimals - token 精度
+ * @property {string} delta - 变化量 (最小单位, 带符号十进制字符串)
+ * @property {string|null} formatted - 按 decimals 格式化的变化量
+ */
+
+/**
+ * 从 callTracer 结果中提取转账 (按执行顺序)
+ *
+ * @param {Object} trace - callTracer 结果 (withLog)
+ * @param {Object} context - 上下文
+ * @param {string} context.sender - UserOp sender
+ * @param {string} [context.entryPoint] - EntryPoint 地址
+ * @returns {Array<{kind: string, asset: string, from: string, to: string, amount: bigint}>} 转账列表 (未格式化)
+ */
+export function extractTransfers(trace, { sender, entryPoint = config.entryPointAddress }) {
+  const senderAddress = sender.toLowerCase();
+  const entryPointAddress = entryPoint.toLowerCase();
+  const transfers = [];
+
+  const visit = (frame, phase) => {
+    if (frame.error) {
+      return;
+    }
+
+    const from = frame.from?.toLowerCase();
+    const to = frame.to?.toLowerCase();
+
+    // EntryPoint 调用 sender: validateUserOp 为验证阶段, 其余为执行阶段
+    if (from === entryPointAddress && to === senderAddress) {
+      phase = frame.input?.slice(0, 10) === VALIDATE_USER_OP_SELECTOR ? 'validation' : 'execution';
+    }
+
+    const value = frame.value ? BigInt(frame.value) : 0n;
+    if (value > 0n && VALUE_FRAME_TYPES.has(frame.type) && to) {
+      let kind = TRANSFER_KINDS.TRANSFER;
+      if (phase === 'validation' && to === entryPointAddress) {
+        kind = TRANSFER_KINDS.PREFUND;
+      } else if (!phase && from === entryPointAddress) {
+        kind = TRANSFER_KINDS.COMPENSATION;
+      }
+      transfers.push({ kind, asset: ETH_ASSET, from: ethers.getAddress(from), to: ethers.getAddress(to), amount: value });
+    }
+
+    // 日志的 position 为其之前的子调用数量, 按执行顺序与子调用交错
+    const calls = frame.calls || [];
+    const logs = frame.logs || [];
+    for (let i = 0; i <= calls.length; i++) {
+      for (const log of logs) {
+        const position = Math.min(Number(log.position ?? 0), calls.length);
+        if (position === i) {
+          visitLog(log, phase);
+        }
+      }
+      if (i < calls.length) {
+        visit(calls[i], phase);
+      }
+    }
+  };
+
+  const visitLog = (log, phase) => {
+    if (log.topics?.length !== 3 || log.topics[0].toLowerCase() !== TRANSFER_TOPIC) {
+      return;
+    }
+    transfers.push({
+      kind: phase === 'validation' ? TRANSFER_KINDS.GAS_PAYMENT : TRANSFER_KINDS.TRANSFER,
+      asset: ethers.getAddress(log.address),
+      from: ethers.getAddress(ethers.dataSlice(log.topics[1], 12)),
+      to: ethers.getAddress(ethers.dataSlice(log.topics[2], 12)),
+      amount: log.data === '0x' ? 0n : BigInt(log.data)
+    });
+  };
+
+  visit(trace, null);
+  return transfers;
+}
+
+/**
+ * 汇总每个地址每种资产的余额变化 (忽略变化为 0 的)
+ *
+ * @param {Array<{asset: string, from: string, to: string, amount: bigint}>} transfers - 转账列表
+ * @returns {Array<{address: string, asset: string, delta: bigint}>} 余额变化
+ */
+export function aggregateBalanceChanges(transfers) {
+  const deltas = new Map();
+
+  const add = (address, asset, amount) => {
+    const key = `${address}:${asset}`;
+    const entry = deltas.get(key) || { address, asset, delta: 0n };
+    entry.delta += amount;
+    deltas.set(key, entry);
+  };
+
+  for (const { asset, from, to, amount } of transfers) {
+    add(from, asset, -amount);
+    add(to, asset, amount);
+  }
+
+  return Array.from(deltas.values()).filter(entry => entry.delta !== 0n);
+}
+
+/**
+ * 查询 token 的 decimals 和 symbol (结果缓存)
+ *
+ * @param {string} token - token 地址
+ * @returns {Promise<{symbol: string|null, decimals: number|null}>} token 元数据, 查询失败的字段为 null
+ */
+export async function getTokenMetadata(token) {
+  const cacheKey = `token:${token.toLowerCase()}`;
+  const cached = cache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const contract = new ethers.Contract(token, ERC20_METADATA_ABI, getProvider());
+  const [decimals, symbol] = await Promise.all([
+    contract.decimals().then(Number).catch(() => null),
+    contract.symbol().catch(() => null)
+  ]);
+
+  const metadata = { symbol, decimals };
+  if (decimals !== null) {
+    cache.set(cacheKey, metadata, TOKEN_METADATA_TTL_MS);
+  }
+  return metadata;
+}
+
+/**
+ * 按资产格式化数量
+ *
+ * @param {bigint} amount - 数量 (最小单位)
+ * @param {number|null} decimals - 精度
+ * @returns {string|null} 格式化的数量, 精度未知时为 null
+ */
+function formatAmount(amount, decimals) {
+  return decimals === null ? null : ethers.formatUnits(amount, decimals);
+}
+
+/**
+ * 跟踪模拟的 handleOps 并返回资产变化
+ *
+ * @param {Object} tx - handleOps 模拟交易 ({ from, to, data })
+ * @param {Object} stateOverrides - state override (与 eth_call 模拟相同)
+ * @param {Object} context - 上下文
+ * @param {string} context.sender - UserOp sender
+ * @returns {Promise<{changes: Array<BalanceChange>, transfers: Array<AssetTransfer>}>} 资产变化
+ * @throws {Error} 节点不支持 debug_traceCall 或 callTracer 时
+ *
+ * @example
+ * const { changes } = await previewAssetChanges(handleOpsCall, stateOverrides, { sender });
+ * // [{ address: sender, asset: 'ETH', delta: '-1000000000000000', formatted: '-0.001', ... }]
+ */
+export async function previewAssetChanges(tx, stateOverrides, { sender }) {
+  const trace = await getProvider().send('debug_traceCall', [
+    tx,
+    'latest',
+    { tracer: 'callTracer', tracerConfig: { withLog: true }, stateOverrides }
+  ]);
+
+  const transfers = extractTransfers(trace, { sender });
+  const balanceChanges = aggregateBalanceChanges(transfers);
+
+  const metadata = new Map([[ETH_ASSET, { symbol: ETH_ASSET, decimals: 18 }]]);
+  for (const { asset } of transfers) {
+    if (!metadata.has(asset)) {
+      metadata.set(asset, await getTokenMetadata(asset));
+    }
+  }
+
+  return {
+    changes: balanceChanges.map(({ address, asset, delta }) => {
+      const { symbol, decimals } = metadata.get(asset);
+      return { address, asset, symbol, decimals, delta: delta.toString(), formatted: formatAmount(delta, decimals) };
+    }),
+    transfers: transfers.map(({ kind, asset, from, to, amount }) => {
+      const { symbol, decimals } = metadata.get(asset);
+      return { kind, asset, symbol, decimals, from, to, amount: amount.toString(), formatted: formatAmount(amount, decimals) };
+    })
+  };
+}
@@ -0,0 +1,166 @@
+/**
+ * EIP-7702 Authorization 服务
+ *
+ * 功能:
+ * 1. 将钱包生成的各种 authorization 格式标准化
+ * 2. 计算 EIP-7702 authorization 摘要
+ * 3. 恢复 authorization 签名者
+ *
+ * EIP-7702 签名格式:
+ * - 摘要: keccak256(0x05 || rlp([chainId, address, nonce]))
+ * - 签名: y_parity, r, s (直接对摘要签名，无任何前缀)
+ *
+ * 支持的输入格式:
+ * - ethers Wallet.authorize(): { address, nonce, chainId, signature: Signature }
+ * - viem signAuthorization():  { address | contractAddress, chainId, nonce, r, s, yParity, v }
+ * - 65 字节签名:               { address, nonce, chainId, signature: '0x...' }
+ *
+ * @module authorization
+ */
+import { ethers } from 'ethers';
+
+/**
+ * EIP-7702 authorization 签名的 magic 前缀
+ */
+const AUTHORIZATION_MAGIC = '0x05';
+
+/**
+ * EIP-7702 Authorization 类型定义
+ * @typedef {Object} Authorization
+ * @property {number} chainId - 链ID (0 表示所有链)
+ * @property {string} address - delegation 目标合约地址 (如 Kernel)
+ * @property {number} nonce - authority 的 EOA nonce
+ * @property {number} yParity - 签名 y_parity (0 或 1)
+ * @property {string} r - 签名 r
+ * @property {string} s - 签名 s
+ * @property {string} signature - 65 字节签名 (r || s || v)
+ */
+
+/**
+ * 将整数编码为 RLP 所需的最小大端字节 (0 编码为空字节)
+ * @param {bigint|number|string} value - 整数
+ * @returns {string} hex 字符串
+ */
+function toRlpInteger(value) {
+  const bigValue = BigInt(value);
+  return bigValue === 0n ? '0x' : ethers.toBeHex(bigValue);
+}
+
+/**
+ * 解析 yParity (兼容 yParity 0/1 和 v 27/28)
+ * @param {Object} source - 含 yParity 或 v 的对象
+ * @returns {number} yParity
+ */
+function parseYParity(source) {
+  if (source.yParity !== undefined && source.yParity !== null) {
+    return Number(BigInt(source.yParity));
+  }
+
+  const v = Number(BigInt(source.v ?? 0));
+  return v >= 27 ? v - 27 : v;
+}
+
+/**
+ * 从 authorization 中解析签名
+ * @param {Object} auth - authorization 对象
+ * @returns {ethers.Signature} 签名
+ */
+function parseSignature(auth) {
+  const { signature } = auth;
+
+  if (typeof signature === 'string') {
+    return ethers.Signature.from(signature);
+  }
+
+  const source = (signature && typeof signature === 'object') ? signature : auth;
+  if (!source.r || !source.s) {
+    throw new Error('authorization 缺少签名');
+  }
+
+  return ethers.Signature.from({
+    r: source.r,
+    s: source.s,
+    yParity: parseYParity(source)
+  });
+}
+
+/**
+ * 标准化 authorization
+ *
+ * @param {Object} auth - 任意支持格式的 authorization
+ * @returns {Authorization} 标准化后的 authorization
+ * @throws {Error} 字段缺失或签名格式无效
+ *
+ * @example
+ * const auth = await wallet.authorize({ address: kernelAddress, nonce, chainId });
+ * const normalized = normalizeAuthorization(auth);
+ */
+export function normalizeAuthorization(auth) {
+  if (!auth || typeof auth !== 'object') {
+    throw new Error('authorization 不能为空');
+  }
+
+  const address = auth.address || auth.contractAddress;
+  if (!address || !ethers.isAddress(address)) {
+    throw new Error('无效的 authorization 地址');
+  }
+
+  if (auth.chainId === undefined || auth.chainId === null) {
+    throw new Error('authorization 缺少 chainId');
+  }
+
+  if (auth.nonce === undefined || auth.nonce === null) {
+    throw new Error('authorization 缺少 nonce');
+  }
+
+  const nonce = BigInt(auth.nonce);
+  if (nonce < 0n) {
+    throw new Error('无效的 nonce');
+  }
+
+  const signature = parseSignature(auth);
+
+  return {
+    chainId: Number(BigInt(auth.chainId)),
+    address: ethers.getAddress(address),
+    nonce: Number(nonce),
+    yParity: signature.yParity,
+    r: signature.r,
+    s: signature.s,
+    signature: signature.serialized
+  };
+}
+
+/**
+ * 计算 EIP-7702 authorization 摘要
+ * keccak256(0x05 || rlp([chainId, address, nonce]))
+ *
+ * @param {Object} auth - 含 chainId, address, nonce 的对象 (无需签名)
+ * @returns {string} 摘要 (bytes32)
+ *
+ * @example
+ * const digest = getAuthorizationDigest({ chainId: 31337, address: kernelAddress, nonce: 0 });
+ */
+export function getAuthorizationDigest(auth) {
+  const address = auth.address || auth.contractAddress;
+
+  return ethers.keccak256(ethers.concat([
+    AUTHORIZATION_MAGIC,
+    ethers.encodeRlp([
+      toRlpInteger(auth.chainId),
+      ethers.getAddress(address),
+      toRlpInteger(auth.nonce)
+    ])
+  ]));
+}
+
+/**
+ * 恢复 authorization 签名者 (authority)
+ *
+ * @param {Object} auth - 已签名的 authorization (任意支持格式)
+ * @returns {string} 签名者地址
+ */
+export function recoverAuthorizer(auth) {
+  const normalized = normalizeAuthorization(auth);
+  return ethers.recoverAddress(getAuthorizationDigest(normalized), normalized.signature);
+}
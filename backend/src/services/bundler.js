@@ -14,20 +14,43 @@
  */
 import { ethers } from 'ethers';
 import { config } from '../config.js';
+import { packUserOp } from './userOperation.js';
+import { normalizeAuthorization } from './authorization.js';
+import { BundlerWalletPool, formatTransactionRecord } from './walletPool.js';
 
 // ERC-7821 执行模式常量
 const MODE_FLAT_BATCH = 1n;
 const MODE_RECURSIVE_BATCH = 3n;
 
-// 初始化 provider 和 bundler 钱包
+// 初始化 provider 和 bundler 钱包池
 const provider = new ethers.JsonRpcProvider(config.rpcUrl);
-const bundlerWallet = new ethers.Wallet(config.bundlerPrivateKey, provider);
+const walletPool = new BundlerWalletPool(
+  config.bundlerPrivateKeys,
+  provider,
+  config.bundlerSelectionStrategy,
+  {
+    stuckTimeoutMs: config.txStuckTimeoutMs,
+    feeBumpPercent: config.txFeeBumpPercent,
+    maxReplacements: config.txMaxReplacements,
+    maxFeePerGas: config.txMaxFeePerGas
+  }
+);
+// 主钱包: handleOps beneficiary、模拟交易的 from
+const bundlerWallet = walletPool.primary;
 
-// EntryPoint ABI (PackedUserOperation 格式)
+// EntryPoint v0.7 ABI (PackedUserOperation 格式)
 const ENTRY_POINT_ABI = [
-  'function handleOps((address sender, uint256 nonce, bytes callData, uint256 callGasLimit, uint256 verificationGasLimit, uint256 preVerificationGas, uint256 maxFeePerGas, uint256 maxPriorityFeePerGas, bytes paymasterAndData, bytes signature)[] ops, address beneficiary) external'
+  'function handleOps((address sender, uint256 nonce, bytes initCode, bytes callData, bytes32 accountGasLimits, uint256 preVerificationGas, bytes32 gasFees, bytes paymasterAndData, bytes signature)[] ops, address beneficiary) external',
+  'event UserOperationEvent(bytes32 indexed userOpHash, address indexed sender, address indexed paymaster, uint256 nonce, bool success, uint256 actualGasCost, uint256 actualGasUsed)',
+  'event UserOperationRevertReason(bytes32 indexed userOpHash, address indexed sender, uint256 nonce, bytes revertReason)',
+  'error FailedOp(uint256 opIndex, string reason)'
 ];
 
+/**
+ * 查询 UserOperationEvent 时向前回溯的区块数
+ */
+const USER_OP_EVENT_LOOKBACK_BLOCKS = 10000;
+
 // Kernel ABI (ERC-7821 标准接口)
 const KERNEL_ABI = [
   'function execute(uint256 mode, bytes data) external',
@@ -72,7 +95,9 @@ async function withRetry(fn, maxRetries = RETRY_CONFIG.maxRetries) {
     } catch (error) {
       lastError = error;
 
-      if (error.message.includes('nonce') ||
+      // 交易已广播 (卡住或替换失败), 用新 nonce 重发可能导致重复执行
+      if (error.broadcast ||
+          error.message.includes('nonce') ||
           error.message.includes('insufficient funds') ||
           error.message.includes('execution reverted')) {
         throw error;
@@ -91,6 +116,28 @@ async function withRetry(fn, maxRetries = RETRY_CONFIG.maxRetries) {
   throw lastError;
 }
 
+/**
+ * 转换 authorization 为交易 authorizationList 条目
+ * 格式为 ethers AuthorizationLike: { chainId, address, nonce, signature }
+ *
+ * @param {Object} authorization - Authorization 对象 (ethers / viem / 65字节签名格式)
+ * @returns {Object} authorizationList 条目
+ */
+function toAuthorizationListEntry(authorization) {
+  const auth = normalizeAuthorization(authorization);
+
+  return {
+    chainId: BigInt(auth.chainId),
+    address: auth.address,
+    nonce: BigInt(auth.nonce),
+    signature: ethers.Signature.from({
+      r: auth.r,
+      s: auth.s,
+      yParity: auth.yParity
+    })
+  };
+}
+
 /**
  * 构建 ERC-7821 标准交易
  *
@@ -98,7 +145,7 @@ async function withRetry(fn, maxRetries = RETRY_CONFIG.maxRetries) {
  * - mode = 1 (0x01): 普通批量
  * - mode = 3 (0x03): 递归批量
  *
- * @param {Object} userOp - UserOperation 对象
+ * @param {Object} userOp - UserOperation 对象 (展开格式或 PackedUserOperation)
  * @param {Object|null} authorization - Authorization 对象 (如需 delegation)
  * @param {number} [mode=1] - 执行模式
  * @returns {Object} 构建的交易对象
@@ -111,9 +158,28 @@ async function withRetry(fn, maxRetries = RETRY_CONFIG.maxRetries) {
  * const tx = buildERC7821Transaction(userOp, null, 3);
  */
 export function buildERC7821Transaction(userOp, authorization, mode = 1) {
+  return buildBundleTransaction([userOp], authorization ? [authorization] : []);
+}
+
+/**
+ * 构建打包多个 UserOp 的 handleOps 交易
+ *
+ * 所有 UserOp 编码进同一个 handleOps(ops, beneficiary) 调用,
+ * 所有 authorization 放入同一个 authorizationList
+ *
+ * UserOp 可以是展开格式或 PackedUserOperation，编码前统一转换为 v0.7 Packed 格式
+ *
+ * @param {Array<Object>} userOps - UserOperation 数组
+ * @param {Array<Object>} [authorizations=[]] - Authorization 数组
+ * @returns {Object} 构建的交易对象
+ *
+ * @example
+ * const tx = buildBundleTransaction([userOpA, userOpB], [authorizationB]);
+ */
+export function buildBundleTransaction(userOps, authorizations = []) {
   // 编码 handleOps calldata
   const handleOpsData = entryPointContract.interface.encodeFunctionData('handleOps', [
-    [userOp],
+    userOps.map(packUserOp),
     bundlerWallet.address
   ]);
 
@@ -126,21 +192,38 @@ export function buildERC7821Transaction(userOp, authorization, mode = 1) {
   };
 
   // 如果有 authorization，添加到交易中
-  if (authorization) {
-    tx.authorizationList = [{
-      chainId: authorization.chainId,
-      address: authorization.address,
-      nonce: authorization.nonce,
-      v: authorization.v || 0,
-      r: authorization.r || '0x',
-      s: authorization.s || '0x',
-      signature: authorization.signature
-    }];
+  if (authorizations.length > 0) {
+    tx.authorizationList = authorizations.map(toAuthorizationListEntry);
   }
 
   return tx;
 }
 
+/**
+ * 构建仅包含 authorizationList 的 type-4 交易
+ *
+ * 用于撤销 delegation (authorization 指向 address(0)) 或迁移到新的 Kernel,
+ * 交易本身不执行任何调用 (不指定 to, 由钱包池发送给所选 bundler 钱包自身, 无 calldata)
+ *
+ * @param {Array<Object>} authorizations - Authorization 数组 (至少一个)
+ * @returns {Object} 构建的交易对象
+ *
+ * @example
+ * const tx = buildAuthorizationTransaction([revokeAuthorizationA, revokeAuthorizationB]);
+ */
+export function buildAuthorizationTransaction(authorizations) {
+  if (!authorizations || authorizations.length === 0) {
+    throw new Error('authorizationList 不能为空');
+  }
+
+  return {
+    type: 4, // EIP-7702 type
+    data: '0x',
+    chainId: config.chainId,
+    authorizationList: authorizations.map(toAuthorizationListEntry)
+  };
+}
+
 /**
  * 构建 ERC-7821 标准交易 (别名兼容)
  * @deprecated 请使用 buildERC7821Transaction
@@ -175,15 +258,42 @@ export function buildExecuteData(calls, mode = 1) {
 
 /**
  * 发送交易到链上
+ * 由钱包池选择 bundler 钱包并在本地分配 nonce, 多个请求可并发发送
+ *
  * @param {Object} tx - 交易对象
+ * @param {Object} [options] - 可选参数
+ * @param {function(string): void} [options.onBroadcast] - 首次广播后回调 (参数为交易哈希)
  * @returns {Promise<Object>} 交易 receipt
  */
-export async function sendTransaction(tx) {
-  return withRetry(async () => {
-    const txResponse = await bundlerWallet.sendTransaction(tx);
-    const receipt = await txResponse.wait();
-    return receipt;
-  });
+export async function sendTransaction(tx, options) {
+  return withRetry(() => walletPool.sendTransaction(tx, options));
+}
+
+/**
+ * 查询 bundler 交易跟踪记录 (含手续费替换历史)
+ * @param {string} txHash - 原交易或任一替换交易哈希
+ * @returns {Object|null} 交易记录
+ */
+export function getTrackedTransaction(txHash) {
+  const record = walletPool.getTransaction(txHash);
+  return record ? formatTransactionRecord(record) : null;
+}
+
+/**
+ * 列出 bundler 交易跟踪记录
+ * @param {string} [status] - 按状态过滤 (pending / mined / reverted / stuck)
+ * @returns {Array<Object>} 交易记录
+ */
+export function listTrackedTransactions(status) {
+  return walletPool.listTransactions(status).map(formatTransactionRecord);
+}
+
+/**
+ * 获取 bundler 钱包池状态 (各钱包在途交易数、本地 nonce)
+ * @returns {{strategy: string, wallets: Array<Object>}} 钱包池状态
+ */
+export function getWalletPoolStats() {
+  return walletPool.getStats();
 }
 
 /**
@@ -195,8 +305,8 @@ export function getProvider() {
 }
 
 /**
- * 获取 bundler 地址
- * @returns {string} bundler 钱包地址
+ * 获取 bundler 主钱包地址
+ * @returns {string} bundler 主钱包地址
  */
 export function getBundlerAddress() {
   return bundlerWallet.address;
@@ -218,6 +328,127 @@ export function getKernelAddress() {
   return config.kernelAddress;
 }
 
+/**
+ * 获取 EntryPoint 合约接口 (用于编解码 handleOps 和事件)
+ * @returns {ethers.Interface} EntryPoint Interface
+ */
+export function getEntryPointInterface() {
+  return entryPointContract.interface;
+}
+
+/**
+ * 从交易 receipt 中解析 UserOp 的执行结果 (UserOperationEvent / UserOperationRevertReason)
+ *
+ * @param {Object} receipt - 交易 receipt
+ * @param {Object} userOp - 已提交的 UserOperation
+ * @returns {{found: boolean, success: boolean, actualGasCost: string|null, actualGasUsed: string|null, revertData: string|null}} 执行结果
+ *
+ * @example
+ * const receipt = await sendTransaction(tx);
+ * const { success, actualGasCost } = parseUserOpResult(receipt, userOp);
+ */
+export function parseUserOpResult(receipt, userOp) {
+  const sender = userOp.sender.toLowerCase();
+  const nonce = BigInt(userOp.nonce || 0);
+  const result = { found: false, success: false, actualGasCost: null, actualGasUsed: null, revertData: null };
+
+  for (const log of receipt.logs) {
+    let parsed;
+    try {
+      parsed = entryPointContract.interface.parseLog(log);
+    } catch {
+      // 非 EntryPoint 事件
+      continue;
+    }
+
+    if (!parsed || parsed.args.sender.toLowerCase() !== sender || parsed.args.nonce !== nonce) {
+      continue;
+    }
+
+    if (parsed.name === 'UserOperationEvent') {
+      result.found = true;
+      result.success = receipt.status === 1 && parsed.args.success;
+      result.actualGasCost = parsed.args.actualGasCost.toString();
+      result.actualGasUsed = parsed.args.actualGasUsed.toString();
+    } else if (parsed.name === 'UserOperationRevertReason') {
+      result.revertData = parsed.args.revertReason;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 判断 UserOp 是否在交易中执行成功 (交易成功且对应 UserOperationEvent.success 为 true)
+ *
+ * @param {Object} receipt - 交易 receipt
+ * @param {Object} userOp - 已提交的 UserOperation
+ * @returns {boolean} 是否执行成功
+ */
+export function isUserOpIncluded(receipt, userOp) {
+  return parseUserOpResult(receipt, userOp).success;
+}
+
+/**
+ * 从 estimateGas 错误中解析 EntryPoint 的 FailedOp(opIndex, reason)
+ *
+ * @param {Error} error - ethers 错误对象
+ * @returns {{opIndex: number, reason: string}|null} 解析结果
+ *
+ * @example
+ * try {
+ *   await provider.estimateGas(tx);
+ * } catch (error) {
+ *   const failedOp = parseFailedOp(error);
+ * }
+ */
+export function parseFailedOp(error) {
+  const data = error.data || error.info?.error?.data;
+  if (typeof data !== 'string') {
+    return null;
+  }
+
+  try {
+    const parsed = entryPointContract.interface.parseError(data);
+    if (parsed?.name === 'FailedOp') {
+      return { opIndex: Number(parsed.args.opIndex), reason: parsed.args.reason };
+    }
+  } catch {
+    // 非 EntryPoint 错误
+  }
+
+  return null;
+}
+
+/**
+ * 根据 userOpHash 查询 EntryPoint 的 UserOperationEvent 日志
+ *
+ * @param {string} userOpHash - UserOperation hash
+ * @returns {Promise<Object|null>} 日志对象，未找到返回 null
+ *
+ * @example
+ * const log = await findUserOperationEvent(userOpHash);
+ * if (log) {
+ *   console.log('已上链:', log.transactionHash);
+ * }
+ */
+export async function findUserOperationEvent(userOpHash) {
+  const latestBlock = await provider.getBlockNumber();
+  const fromBlock = Math.max(0, latestBlock - USER_OP_EVENT_LOOKBACK_BLOCKS);
+
+  const logs = await withRetry(() => provider.getLogs({
+    address: config.entryPointAddress,
+    topics: [
+      entryPointContract.interface.getEvent('UserOperationEvent').topicHash,
+      userOpHash
+    ],
+    fromBlock,
+    toBlock: 'latest'
+  }));
+
+  return logs.length > 0 ? logs[logs.length - 1] : null;
+}
+
 /**
  * ERC-1271: 验证链上签名
  *
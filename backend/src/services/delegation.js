@@ -0,0 +1,136 @@
+/**
+ * EIP-7702 Delegation 状态服务
+ *
+ * 功能:
+ * 1. 解析账户 code 中的 delegation designator (0xef0100 || address)
+ * 2. 判断 delegate 是否为配置的 Kernel 合约
+ * 3. 区分普通 EOA、已 delegation 的 EOA 和合约账户
+ *
+ * 账户状态:
+ * - none:     code 为空，普通 EOA (需要 authorization)
+ * - kernel:   delegate 为配置的 Kernel
+ * - foreign:  delegate 为其他合约 (需要重新 authorization)
+ * - contract: 普通合约账户 (不支持 EIP-7702)
+ *
+ * @module delegation
+ */
+import { ethers } from 'ethers';
+import { config } from '../config.js';
+import { getProvider } from './bundler.js';
+
+/**
+ * EIP-7702 delegation designator 前缀
+ */
+export const DELEGATION_DESIGNATOR_PREFIX = '0xef0100';
+
+/**
+ * designator 总长度: 3 字节前缀 + 20 字节地址
+ */
+const DELEGATION_DESIGNATOR_LENGTH = 23;
+
+/**
+ * 账户 delegation 状态
+ */
+export const DELEGATION_STATES = {
+  NONE: 'none',
+  KERNEL: 'kernel',
+  FOREIGN: 'foreign',
+  CONTRACT: 'contract'
+};
+
+/**
+ * Delegation 信息类型定义
+ * @typedef {Object} DelegationInfo
+ * @property {string} state - 账户状态 (none / kernel / foreign / contract)
+ * @property {boolean} delegated - 是否存在 delegation designator
+ * @property {string|null} delegate - delegation 目标地址
+ * @property {boolean} isKernel - delegate 是否为配置的 Kernel
+ * @property {boolean} isContract - 是否为普通合约账户
+ */
+
+/**
+ * 解析账户 code
+ *
+ * @param {string} code - eth_getCode 返回值
+ * @param {string} [kernelAddress] - Kernel 地址，默认使用配置
+ * @returns {DelegationInfo} delegation 信息
+ *
+ * @example
+ * const info = parseDelegationCode('0xef0100' + kernelAddress.slice(2));
+ * console.log(info.isKernel); // true
+ */
+export function parseDelegationCode(code, kernelAddress = config.kernelAddress) {
+  const normalizedCode = (code || '0x').toLowerCase();
+
+  if (normalizedCode === '0x') {
+    return {
+      state: DELEGATION_STATES.NONE,
+      delegated: false,
+      delegate: null,
+      isKernel: false,
+      isContract: false
+    };
+  }
+
+  const isDesignator = normalizedCode.startsWith(DELEGATION_DESIGNATOR_PREFIX) &&
+    ethers.dataLength(normalizedCode) === DELEGATION_DESIGNATOR_LENGTH;
+
+  if (!isDesignator) {
+    return {
+      state: DELEGATION_STATES.CONTRACT,
+      delegated: false,
+      delegate: null,
+      isKernel: false,
+      isContract: true
+    };
+  }
+
+  const delegate = ethers.getAddress(ethers.dataSlice(normalizedCode, 3));
+  const isKernel = delegate.toLowerCase() === kernelAddress.toLowerCase();
+
+  return {
+    state: isKernel ? DELEGATION_STATES.KERNEL : DELEGATION_STATES.FOREIGN,
+    delegated: true,
+    delegate,
+    isKernel,
+    isContract: false
+  };
+}
+
+/**
+ * 编码 delegation designator (0xef0100 || address)
+ *
+ * @param {string} delegate - delegation 目标地址
+ * @returns {string} designator (23 字节 hex)
+ *
+ * @example
+ * encodeDelegationDesignator(config.kernelAddress); // '0xef0100...'
+ */
+export function encodeDelegationDesignator(delegate) {
+  return DELEGATION_DESIGNATOR_PREFIX + ethers.getAddress(delegate).substring(2).toLowerCase();
+}
+
+/**
+ * 构造 eth_call / eth_estimateGas 的 state override, 使账户在模拟中已 delegation
+ * 用于尚未 delegation (或 delegation 到其他实现) 的账户模拟 Kernel 执行路径
+ *
+ * @param {string} address - 账户地址
+ * @param {string} [delegate] - delegation 目标地址, 默认 Kernel
+ * @returns {Object} state override ({ [address]: { code } })
+ */
+export function getDelegationOverride(address, delegate = config.kernelAddress) {
+  return {
+    [ethers.getAddress(address)]: { code: encodeDelegationDesignator(delegate) }
+  };
+}
+
+/**
+ * 查询链上账户的 delegation 信息
+ *
+ * @param {string} address - 账户地址
+ * @returns {Promise<DelegationInfo>} delegation 信息
+ */
+export async function getDelegationInfo(address) {
+  const code = await getProvider().getCode(address);
+  return parseDelegationCode(code);
+}
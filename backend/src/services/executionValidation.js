@@ -0,0 +1,420 @@
+/**
+ * UserOp 执行前校验服务
+ *
+ * 功能:
+ * /api/execute 和 /api/send-raw 共用的校验流程，在 bundler 付出 gas 之前拒绝无效请求
+ *
+ * 校验流程:
+ * 1. UserOp 字段校验 (sender, signature, nonce, gas 上限)
+ * 2. 执行模式校验 (1 或 3)
+ * 3. UserOp 签名校验
+ * 4. UserOp nonce 预检查 (与账户中 Kernel 的 nonces[sender] 比较)
+ * 5. delegation 状态检查 (合约账户拒绝，未 delegation 到 Kernel 时需要 authorization)
+ * 6. authorization 校验 (地址为 Kernel, chainId, 签名, nonce 等于 EOA 当前 nonce)
+ * 7. ERC-7562 验证规则检查 (VALIDATION_TRACER_MODE 非 off 时, 见 validationTracer)
+ * 8. 实体信誉检查 (sender / paymaster / gas token 被封禁或限流时拒绝, 见 reputation)
+ *
+ * 可信调用方:
+ * 请求头 X-API-Key 在 TRUSTED_API_KEYS 中时，跳过签名校验 (3, 6 中的签名)、nonce 预检查 (4, 6 中的 nonce)、验证规则检查 (7) 和信誉检查 (8),
+ * 字段、模式、chainId、地址和账户类型校验仍然执行
+ *
+ * @module executionValidation
+ */
+import { ethers } from 'ethers';
+import { config } from '../config.js';
+import { getProvider } from './bundler.js';
+import { getDelegationInfo } from './delegation.js';
+import { normalizeUserOp } from './userOperation.js';
+import { normalizeAuthorization } from './authorization.js';
+import { verifyUserOpSignature, verifyAuthorizationSignature } from './validation.js';
+import { checkValidationRules } from './validationTracer.js';
+import { reputation } from './reputation.js';
+
+/**
+ * 输入验证常量
+ */
+const MAX_GAS_LIMIT = 10_000_000;
+const VALID_MODES = [1, 3];
+
+/**
+ * UserOp 数值字段 (十进制字符串、0x 开头的 hex 或整数)
+ */
+const NUMERIC_FIELDS = ['nonce', 'callGasLimit', 'verificationGasLimit', 'preVerificationGas', 'maxFeePerGas', 'maxPriorityFeePerGas'];
+
+/**
+ * PackedUserOperation 中打包的 gas 字段 (两个 uint128)
+ */
+const PACKED_GAS_FIELDS = ['accountGasLimits', 'gasFees'];
+
+/**
+ * Kernel 中 nonces 映射的存储槽位 (mapping(address => uint256) nonces 位于 slot 0)
+ * delegation 后存储位于 EOA 自身，因此直接读取 sender 的存储
+ */
+const KERNEL_NONCES_SLOT = 0n;
+
+/**
+ * 可信 API key 请求头
+ */
+const API_KEY_HEADER = 'x-api-key';
+
+/**
+ * 非 400 的校验错误 HTTP 状态码
+ */
+const VALIDATION_ERROR_STATUS = {
+  ENTITY_BANNED: 403,
+  ENTITY_THROTTLED: 429
+};
+
+/**
+ * 校验结果类型定义
+ * @typedef {Object} ExecutionValidationResult
+ * @property {boolean} valid - 是否通过
+ * @property {string} [code] - 错误代码 (未通过时)
+ * @property {string} message - 提示信息
+ * @property {Object} [userOp] - 标准化后的 UserOp
+ * @property {Object|null} [authorization] - 标准化后的 authorization (不需要时为 null)
+ * @property {boolean} [needsAuth] - 是否需要 delegation
+ * @property {number} [mode] - 执行模式
+ * @property {Object} [delegation] - delegation 信息
+ * @property {Array<Object>} [violations] - 验证规则违规列表 (code 为 VALIDATION_RULE_VIOLATION 时)
+ * @property {Object} [entity] - 被封禁或限流的实体 (code 为 ENTITY_BANNED / ENTITY_THROTTLED 时)
+ */
+
+/**
+ * 验证 UserOp 数值字段可以解析 (标准化时转换为 BigInt, 格式错误会抛出异常)
+ * @param {Object} userOp - UserOperation 对象 (展开格式或 Packed 格式)
+ * @returns {{valid: boolean, message: string}} 验证结果
+ */
+export function validateNumericFields(userOp) {
+  for (const name of NUMERIC_FIELDS) {
+    const value = userOp[name];
+    if (value === undefined || value === null) continue;
+
+    try {
+      BigInt(value);
+    } catch {
+      return { valid: false, message: `${name} 必须为整数 (十进制或 0x 开头的十六进制)` };
+    }
+  }
+
+  for (const name of PACKED_GAS_FIELDS) {
+    const value = userOp[name];
+    if (value === undefined) continue;
+
+    if (!ethers.isHexString(value, true) || ethers.dataLength(value) > 32) {
+      return { valid: false, message: `${name} 必须为 bytes32` };
+    }
+  }
+
+  return { valid: true, message: 'OK' };
+}
+
+/**
+ * 验证 UserOp 参数
+ * @param {Object} userOp - UserOperation 对象
+ * @returns {{valid: boolean, message: string}} 验证结果
+ */
+export function validateUserOp(userOp) {
+  if (!userOp) {
+    return { valid: false, message: 'userOp 不能为空' };
+  }
+
+  if (!userOp.sender || !ethers.isAddress(userOp.sender)) {
+    return { valid: false, message: '无效的 sender 地址' };
+  }
+
+  if (!userOp.signature) {
+    return { valid: false, message: 'signature 不能为空' };
+  }
+
+  const numericValidation = validateNumericFields(userOp);
+  if (!numericValidation.valid) {
+    return numericValidation;
+  }
+
+  if (userOp.nonce !== undefined) {
+    const nonce = BigInt(userOp.nonce);
+    if (nonce < 0n) {
+      return { valid: false, message: 'nonce 必须为非负数' };
+    }
+  }
+
+  const gasLimits = [
+    { name: 'callGasLimit', value: userOp.callGasLimit },
+    { name: 'verificationGasLimit', value: userOp.verificationGasLimit },
+    { name: 'preVerificationGas', value: userOp.preVerificationGas }
+  ];
+
+  for (const { name, value } of gasLimits) {
+    if (value !== undefined) {
+      const gas = BigInt(value);
+      if (gas < 0n) {
+        return { valid: false, message: `${name} 必须为非负数` };
+      }
+      if (gas > MAX_GAS_LIMIT) {
+        return { valid: false, message: `${name} 超过最大限制` };
+      }
+    }
+  }
+
+  if (userOp.callData && typeof userOp.callData !== 'string') {
+    return { valid: false, message: 'callData 必须为字符串' };
+  }
+
+  return { valid: true, message: 'OK' };
+}
+
+/**
+ * 验证 Authorization 参数 (标准化后的 authorization)
+ * @param {Object} auth - Authorization 对象
+ * @returns {{valid: boolean, message: string}} 验证结果
+ */
+export function validateAuthorization(auth) {
+  if (!auth) {
+    return { valid: false, message: 'authorization 不能为空' };
+  }
+
+  if (!ethers.isAddress(auth.address)) {
+    return { valid: false, message: '无效的 authorization 地址' };
+  }
+
+  if (auth.address.toLowerCase() !== config.kernelAddress.toLowerCase()) {
+    return { valid: false, message: `authorization 地址必须为 Kernel (${config.kernelAddress})` };
+  }
+
+  if (auth.chainId !== config.chainId) {
+    return { valid: false, message: `chainId 必须为 ${config.chainId}` };
+  }
+
+  if (auth.nonce === undefined || auth.nonce < 0) {
+    return { valid: false, message: '无效的 nonce' };
+  }
+
+  return { valid: true, message: 'OK' };
+}
+
+/**
+ * 验证执行模式
+ * @param {number} mode - 执行模式
+ * @returns {{valid: boolean, message: string, mode?: number}} 验证结果
+ */
+export function validateMode(mode) {
+  if (mode === undefined || mode === null) {
+    return { valid: true, message: 'OK', mode: 1 }; // 默认模式 1
+  }
+
+  if (!VALID_MODES.includes(mode)) {
+    return { valid: false, message: `无效的执行模式, 支持 1 (普通批量) 和 3 (递归批量)` };
+  }
+
+  return { valid: true, message: 'OK', mode };
+}
+
+/**
+ * 判断请求是否来自可信调用方 (X-API-Key 在 TRUSTED_API_KEYS 中)
+ *
+ * @param {Object} req - Express请求对象
+ * @returns {boolean} 是否可信
+ */
+export function isTrustedRequest(req) {
+  const apiKey = req.get?.(API_KEY_HEADER) ?? req.headers?.[API_KEY_HEADER];
+  return Boolean(apiKey) && config.trustedApiKeys.includes(apiKey);
+}
+
+/**
+ * 获取可信调用方 API key 的标识 (sha256 前 16 位 hex)
+ * 用于记录 UserOp 的提交方和 webhook 的归属, 不保存 API key 原文
+ *
+ * @param {Object} req - Express请求对象
+ * @returns {string|null} API key 标识, 非可信请求返回 null
+ */
+export function getTrustedApiKeyId(req) {
+  if (!isTrustedRequest(req)) {
+    return null;
+  }
+
+  const apiKey = req.get?.(API_KEY_HEADER) ?? req.headers?.[API_KEY_HEADER];
+  return ethers.sha256(ethers.toUtf8Bytes(apiKey)).slice(2, 18);
+}
+
+/**
+ * 获取校验错误对应的 HTTP 状态码
+ *
+ * @param {string} code - 校验错误代码
+ * @returns {number} HTTP 状态码 (封禁 403, 限流 429, 其余 400)
+ */
+export function getValidationErrorStatus(code) {
+  return VALIDATION_ERROR_STATUS[code] || 400;
+}
+
+/**
+ * 计算账户存储中 Kernel nonces[account] 的槽位
+ *
+ * @param {string} account - 账户地址
+ * @returns {string} 存储槽位 (bytes32)
+ */
+export function getKernelNonceSlot(account) {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+    ['address', 'uint256'],
+    [account, KERNEL_NONCES_SLOT]
+  ));
+}
+
+/**
+ * 读取账户中 Kernel 的 UserOp nonce (nonces[sender])
+ * 未 delegation 的账户同样可读 (从未使用过则为 0)
+ *
+ * @param {string} sender - 账户地址
+ * @returns {Promise<bigint>} UserOp nonce
+ */
+export async function getAccountUserOpNonce(sender) {
+  const value = await getProvider().getStorage(sender, getKernelNonceSlot(sender));
+  return BigInt(value);
+}
+
+/**
+ * 执行前校验
+ *
+ * @param {Object} params - 请求参数
+ * @param {Object} params.userOp - UserOp (任意支持格式)
+ * @param {Object} [params.authorization] - authorization (任意支持格式)
+ * @param {number} [params.mode] - 执行模式
+ * @param {Object} [options] - 可选参数
+ * @param {boolean} [options.trusted=false] - 是否为可信调用方
+ * @returns {Promise<ExecutionValidationResult>} 校验结果
+ *
+ * @example
+ * const validation = await validateExecutionRequest(req.body, { trusted: isTrustedRequest(req) });
+ * if (!validation.valid) {
+ *   return errorResponse(res, 400, validation.code, validation.message, requestId);
+ * }
+ */
+export async function validateExecutionRequest({ userOp: rawUserOp, authorization, mode }, { trusted = false } = {}) {
+  // 1. UserOp 字段 (支持展开格式和 EntryPoint v0.7 PackedUserOperation 格式)
+  //    数值字段在标准化之前检查, 格式错误返回 INVALID_USEROP 而不是在 BigInt 转换时抛出
+  if (rawUserOp && typeof rawUserOp === 'object') {
+    const numericValidation = validateNumericFields(rawUserOp);
+    if (!numericValidation.valid) {
+      return { valid: false, code: 'INVALID_USEROP', message: numericValidation.message };
+    }
+  }
+  const userOp = normalizeUserOp(rawUserOp);
+  const userOpValidation = validateUserOp(userOp);
+  if (!userOpValidation.valid) {
+    return { valid: false, code: 'INVALID_USEROP', message: userOpValidation.message };
+  }
+
+  // 2. 执行模式
+  const modeValidation = validateMode(mode);
+  if (!modeValidation.valid) {
+    return { valid: false, code: 'INVALID_MODE', message: modeValidation.message };
+  }
+
+  // 3. UserOp 签名
+  if (!trusted && !verifyUserOpSignature(userOp)) {
+    return { valid: false, code: 'INVALID_SIGNATURE', message: 'UserOp 签名无效' };
+  }
+
+  // 4. UserOp nonce 预检查
+  if (!trusted) {
+    const expectedNonce = await getAccountUserOpNonce(userOp.sender);
+    if (BigInt(userOp.nonce) !== expectedNonce) {
+      return {
+        valid: false,
+        code: 'NONCE_ERROR',
+        message: `UserOp nonce 错误: 期望 ${expectedNonce}, 实际 ${userOp.nonce}`
+      };
+    }
+  }
+
+  // 5. delegation 状态
+  const delegation = await getDelegationInfo(userOp.sender);
+  if (delegation.isContract) {
+    return { valid: false, code: 'UNSUPPORTED_ACCOUNT', message: 'sender 是合约账户, 不支持 EIP-7702 delegation' };
+  }
+
+  const needsAuth = !delegation.isKernel;
+  const result = {
+    valid: true,
+    message: 'OK',
+    userOp,
+    authorization: null,
+    needsAuth,
+    mode: modeValidation.mode,
+    delegation
+  };
+
+  if (!needsAuth) {
+    return checkRules(result, trusted);
+  }
+
+  // 6. authorization
+  if (!authorization) {
+    if (delegation.delegated) {
+      return {
+        valid: false,
+        code: 'REAUTHORIZATION_REQUIRED',
+        message: `账户已 delegation 到 ${delegation.delegate}, 需要重新 authorization 到 Kernel`
+      };
+    }
+    return { valid: false, code: 'AUTHORIZATION_REQUIRED', message: '首次执行需要 authorization' };
+  }
+
+  // 支持 ethers Wallet.authorize / viem signAuthorization 输出格式
+  let normalizedAuthorization;
+  try {
+    normalizedAuthorization = normalizeAuthorization(authorization);
+  } catch (error) {
+    return { valid: false, code: 'INVALID_AUTHORIZATION', message: error.message };
+  }
+
+  const authValidation = validateAuthorization(normalizedAuthorization);
+  if (!authValidation.valid) {
+    return { valid: false, code: 'INVALID_AUTHORIZATION', message: authValidation.message };
+  }
+
+  if (!trusted) {
+    if (!verifyAuthorizationSignature(normalizedAuthorization, userOp.sender)) {
+      return { valid: false, code: 'INVALID_AUTH_SIGNATURE', message: 'Authorization 签名无效' };
+    }
+
+    // bundler 代付, authorization.nonce 必须等于 EOA 当前 nonce, 否则链上会静默跳过
+    const eoaNonce = await getProvider().getTransactionCount(userOp.sender);
+    if (normalizedAuthorization.nonce !== eoaNonce) {
+      return {
+        valid: false,
+        code: 'NONCE_ERROR',
+        message: `authorization.nonce 错误: 期望 ${eoaNonce}, 实际 ${normalizedAuthorization.nonce}`
+      };
+    }
+  }
+
+  result.authorization = normalizedAuthorization;
+  return checkRules(result, trusted);
+}
+
+/**
+ * 7. ERC-7562 验证规则检查, 8. 实体信誉检查 (可信调用方跳过)
+ *
+ * @param {ExecutionValidationResult} result - 前面步骤通过后的校验结果
+ * @param {boolean} trusted - 是否为可信调用方
+ * @returns {Promise<ExecutionValidationResult>} 校验结果
+ */
+async function checkRules(result, trusted) {
+  if (trusted) {
+    return result;
+  }
+
+  const rules = await checkValidationRules(result.userOp);
+  if (!rules.valid) {
+    return { valid: false, code: 'VALIDATION_RULE_VIOLATION', message: rules.message, violations: rules.violations };
+  }
+
+  // 8. 实体信誉
+  const check = reputation.checkUserOp(result.userOp);
+  if (!check.valid) {
+    return { valid: false, code: check.code, message: check.message, entity: check.entity };
+  }
+
+  return result;
+}
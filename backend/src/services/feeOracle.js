@@ -0,0 +1,195 @@
+/**
+ * EIP-1559 手续费预言机服务
+ *
+ * 功能:
+ * 1. 采样最近 N 个区块的 eth_feeHistory (baseFee 和 priority fee 百分位)
+ * 2. 计算 slow / standard / fast 三档 maxFeePerGas / maxPriorityFeePerGas 建议值
+ * 3. 对下一区块 baseFee 加安全余量，避免 baseFee 上涨后 UserOp 卡住
+ *
+ * 计算方式:
+ * - baseFee: feeHistory 返回的下一区块 baseFee
+ * - maxPriorityFeePerGas: 各区块对应百分位 (10 / 50 / 90) priority fee 的中位数, 不低于下限
+ * - maxFeePerGas: baseFee * (100 + GAS_PRICE_MARGIN_PERCENT) / 100 + maxPriorityFeePerGas
+ *
+ * 节点不支持 eth_feeHistory 时退回 eth_getFeeData，三档使用相同建议值
+ *
+ * @module feeOracle
+ */
+import { ethers } from 'ethers';
+import { config } from '../config.js';
+import { getProvider } from './bundler.js';
+import { cache } from './cache.js';
+
+/**
+ * 手续费档位及对应的 priority fee 百分位
+ */
+export const FEE_LEVELS = {
+  slow: 10,
+  standard: 50,
+  fast: 90
+};
+
+/**
+ * priority fee 下限 (0.1 gwei), 避免空块较多时建议 0 小费
+ */
+const MIN_PRIORITY_FEE_PER_GAS = ethers.parseUnits('0.1', 'gwei');
+
+/**
+ * 建议值缓存时间 (约一个区块)
+ */
+const FEE_CACHE_TTL = 5000;
+const FEE_CACHE_KEY = 'fee-oracle:suggestions';
+
+/**
+ * 手续费建议类型定义
+ * @typedef {Object} FeeSuggestions
+ * @property {bigint} baseFeePerGas - 下一区块 baseFee
+ * @property {{maxFeePerGas: bigint, maxPriorityFeePerGas: bigint}} slow - 慢速档
+ * @property {{maxFeePerGas: bigint, maxPriorityFeePerGas: bigint}} standard - 标准档
+ * @property {{maxFeePerGas: bigint, maxPriorityFeePerGas: bigint}} fast - 快速档
+ * @property {number} marginPercent - baseFee 安全余量百分比
+ * @property {number} blocks - 采样区块数
+ * @property {string} source - 数据来源: feeHistory / feeData
+ */
+
+/**
+ * 计算中位数
+ * @param {Array<bigint>} values - 数值列表
+ * @returns {bigint} 中位数 (空列表返回 0)
+ */
+function median(values) {
+  if (values.length === 0) return 0n;
+
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2n;
+}
+
+/**
+ * 根据 baseFee 和 priority fee 计算一档建议值
+ * @param {bigint} baseFeePerGas - 下一区块 baseFee
+ * @param {bigint} priorityFee - priority fee
+ * @param {number} marginPercent - baseFee 安全余量百分比
+ * @returns {{maxFeePerGas: bigint, maxPriorityFeePerGas: bigint}} 建议值
+ */
+function toSuggestion(baseFeePerGas, priorityFee, marginPercent) {
+  const maxPriorityFeePerGas = priorityFee > MIN_PRIORITY_FEE_PER_GAS ? priorityFee : MIN_PRIORITY_FEE_PER_GAS;
+  const maxFeePerGas = baseFeePerGas * BigInt(100 + marginPercent) / 100n + maxPriorityFeePerGas;
+  return { maxFeePerGas, maxPriorityFeePerGas };
+}
+
+/**
+ * 根据 eth_feeHistory 结果计算三档建议值
+ *
+ * @param {Object} feeHistory - eth_feeHistory 原始返回值 (hex 数值)
+ * @param {number} [marginPercent] - baseFee 安全余量百分比
+ * @returns {FeeSuggestions} 手续费建议
+ *
+ * @example
+ * const history = await provider.send('eth_feeHistory', ['0x14', 'latest', [10, 50, 90]]);
+ * const { standard } = computeFeeSuggestions(history, 20);
+ */
+export function computeFeeSuggestions(feeHistory, marginPercent = config.gasPriceMarginPercent) {
+  const baseFees = feeHistory.baseFeePerGas.map((value) => BigInt(value));
+  // 最后一项为下一区块 baseFee
+  const baseFeePerGas = baseFees[baseFees.length - 1];
+  const rewards = (feeHistory.reward || []).map((row) => row.map((value) => BigInt(value)));
+
+  const suggestions = {
+    baseFeePerGas,
+    marginPercent,
+    blocks: rewards.length,
+    source: 'feeHistory'
+  };
+
+  Object.keys(FEE_LEVELS).forEach((level, index) => {
+    const priorityFee = median(rewards.map((row) => row[index]).filter((value) => value !== undefined));
+    suggestions[level] = toSuggestion(baseFeePerGas, priorityFee, marginPercent);
+  });
+
+  return suggestions;
+}
+
+/**
+ * 从 eth_getFeeData 计算建议值 (节点不支持 eth_feeHistory 时)
+ * @param {Object} provider - ethers Provider
+ * @param {number} marginPercent - baseFee 安全余量百分比
+ * @returns {Promise<FeeSuggestions>} 手续费建议
+ */
+async function getFeeDataSuggestions(provider, marginPercent) {
+  const [block, feeData] = await Promise.all([
+    provider.getBlock('latest'),
+    provider.getFeeData()
+  ]);
+
+  const baseFeePerGas = block?.baseFeePerGas ?? feeData.gasPrice ?? 0n;
+  const suggestion = toSuggestion(baseFeePerGas, feeData.maxPriorityFeePerGas ?? 0n, marginPercent);
+
+  return {
+    baseFeePerGas,
+    slow: suggestion,
+    standard: suggestion,
+    fast: suggestion,
+    marginPercent,
+    blocks: 1,
+    source: 'feeData'
+  };
+}
+
+/**
+ * 获取手续费建议 (带短时缓存)
+ *
+ * @returns {Promise<FeeSuggestions>} 手续费建议
+ *
+ * @example
+ * const { fast } = await getFeeSuggestions();
+ * userOp.maxFeePerGas = fast.maxFeePerGas.toString();
+ */
+export async function getFeeSuggestions() {
+  const cached = cache.get(FEE_CACHE_KEY);
+  if (cached) return cached;
+
+  const provider = getProvider();
+  const marginPercent = config.gasPriceMarginPercent;
+  let suggestions;
+
+  try {
+    const feeHistory = await provider.send('eth_feeHistory', [
+      ethers.toQuantity(config.feeHistoryBlocks),
+      'latest',
+      Object.values(FEE_LEVELS)
+    ]);
+    suggestions = computeFeeSuggestions(feeHistory, marginPercent);
+  } catch (error) {
+    console.warn('eth_feeHistory 不可用, 使用 eth_getFeeData:', error.message);
+    suggestions = await getFeeDataSuggestions(provider, marginPercent);
+  }
+
+  cache.set(FEE_CACHE_KEY, suggestions, FEE_CACHE_TTL);
+  return suggestions;
+}
+
+/**
+ * 转换手续费建议为 JSON 可序列化格式 (bigint 转字符串)
+ *
+ * @param {FeeSuggestions} suggestions - 手续费建议
+ * @returns {Object} 序列化后的建议
+ */
+export function formatFeeSuggestions(suggestions) {
+  const formatLevel = ({ maxFeePerGas, maxPriorityFeePerGas }) => ({
+    maxFeePerGas: maxFeePerGas.toString(),
+    maxPriorityFeePerGas: maxPriorityFeePerGas.toString()
+  });
+
+  return {
+    baseFeePerGas: suggestions.baseFeePerGas.toString(),
+    slow: formatLevel(suggestions.slow),
+    standard: formatLevel(suggestions.standard),
+    fast: formatLevel(suggestions.fast),
+    marginPercent: suggestions.marginPercent,
+    blocks: suggestions.blocks,
+    source: suggestions.source
+  };
+}
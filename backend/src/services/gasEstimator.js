@@ -0,0 +1,374 @@
+/**
+ * UserOp Gas 估算服务
+ *
+ * 功能:
+ * 分别估算 UserOp 的 callGasLimit、verificationGasLimit 和 preVerificationGas,
+ * 替代整笔 handleOps 交易的单一 estimateGas 结果
+ *
+ * 估算方式:
+ * - verificationGasLimit: 以 EntryPoint 为 from 模拟账户的 validateUserOp
+ *   未签名或签名不能恢复出 sender 的 UserOp (如 SDK 填入的 dummy 签名) 使用估算专用账户签名
+ *   (Kernel 在签名无效时 revert, 无法直接模拟 dummy 签名),
+ *   通过 state override 设置其 delegation 和 Kernel nonce, 执行路径与 sender 相同
+ * - callGasLimit: 以 EntryPoint 为 from 模拟 Kernel 执行 callData,
+ *   节点不支持 eth_estimateGas 的 state override 时使用 eth_call 二分查找
+ * - preVerificationGas: 按 handleOps calldata 字节成本 + 每个 UserOp 的打包开销计算,
+ *   首次 delegation 另加 authorization 的固有成本
+ *
+ * 未 delegation 到 Kernel 的账户通过 state override 注入 delegation designator 后模拟
+ * verificationGasLimit 和 callGasLimit 在估算结果上增加 GAS_ESTIMATE_BUFFER_PERCENT 余量
+ *
+ * @module gasEstimator
+ */
+import { ethers } from 'ethers';
+import { config } from '../config.js';
+import { getProvider } from './bundler.js';
+import { getDelegationInfo, getDelegationOverride, encodeDelegationDesignator } from './delegation.js';
+import { normalizeUserOp, packUserOp } from './userOperation.js';
+import { getUserOpHash, getUserOpSigningDigest } from './userOpHash.js';
+import { getKernelNonceSlot } from './executionValidation.js';
+import { verifyUserOpSignature } from './validation.js';
+
+/**
+ * preVerificationGas 计算参数 (与 eth-infinitism bundler 默认值一致)
+ */
+const PVG_OVERHEADS = {
+  fixed: 21000,          // 每笔交易固定成本, 由同一 bundle 中的 UserOp 分摊
+  perUserOp: 18300,      // 每个 UserOp 的 handleOps 循环开销
+  perUserOpWord: 4,      // 每个 UserOp 编码后每 32 字节的开销
+  zeroByte: 4,           // calldata 零字节成本
+  nonZeroByte: 16,       // calldata 非零字节成本
+  bundleSize: 1,         // 按单独打包计算 (保守)
+  sigSize: 65            // 未签名时的占位签名长度
+};
+
+/**
+ * EIP-7702 每个 authorization 的固有成本 (PER_EMPTY_ACCOUNT_COST)
+ */
+export const AUTHORIZATION_GAS = 25000n;
+
+/**
+ * 交易固有成本
+ */
+const TX_BASE_GAS = 21000n;
+
+/**
+ * 二分查找范围与精度
+ */
+const MAX_GAS_LIMIT = 10_000_000n;
+const BINARY_SEARCH_TOLERANCE = 1000n;
+
+/**
+ * 估算专用账户 (确定性私钥, 仅用于模拟, 不持有资产)
+ */
+const ESTIMATION_SIGNER = new ethers.Wallet(ethers.id('eip7702-backend:gas-estimation'));
+
+const ACCOUNT_INTERFACE = new ethers.Interface([
+  'function validateUserOp((address sender, uint256 nonce, bytes initCode, bytes callData, bytes32 accountGasLimits, uint256 preVerificationGas, bytes32 gasFees, bytes paymasterAndData, bytes signature) userOp, bytes32 userOpHash, uint256 missingAccountFunds) returns (uint256)'
+]);
+
+const ENTRY_POINT_INTERFACE = new ethers.Interface([
+  'function balanceOf(address account) view returns (uint256)'
+]);
+
+/**
+ * Gas 估算结果类型定义
+ * @typedef {Object} UserOpGasEstimate
+ * @property {bigint} callGasLimit - 执行阶段 gas
+ * @property {bigint} verificationGasLimit - 验证阶段 gas
+ * @property {bigint} preVerificationGas - 预验证 gas (calldata 与打包开销)
+ */
+
+/**
+ * 计算 calldata 字节成本
+ * @param {string} data - hex 数据
+ * @returns {bigint} gas
+ */
+function calldataCost(data) {
+  let cost = 0n;
+  for (const byte of ethers.getBytes(data)) {
+    cost += BigInt(byte === 0 ? PVG_OVERHEADS.zeroByte : PVG_OVERHEADS.nonZeroByte);
+  }
+  return cost;
+}
+
+/**
+ * 计算交易固有成本 (21000 + calldata)
+ * @param {string} data - 交易 calldata
+ * @returns {bigint} gas
+ */
+export function intrinsicGas(data) {
+  return TX_BASE_GAS + calldataCost(data);
+}
+
+/**
+ * 增加估算余量
+ * @param {bigint} gas - 估算值
+ * @returns {bigint} 加余量后的值
+ */
+function withBuffer(gas) {
+  return gas * BigInt(100 + config.gasEstimateBufferPercent) / 100n;
+}
+
+/**
+ * 计算 preVerificationGas
+ *
+ * @param {Object} userOp - UserOperation (任意支持格式)
+ * @param {Object} [options] - 可选参数
+ * @param {number} [options.authorizations=0] - 随 UserOp 提交的 authorization 数量
+ * @returns {bigint} preVerificationGas
+ *
+ * @example
+ * const pvg = calcPreVerificationGas(userOp, { authorizations: needsAuth ? 1 : 0 });
+ */
+export function calcPreVerificationGas(userOp, { authorizations = 0 } = {}) {
+  const op = normalizeUserOp(userOp);
+  const signature = op.signature && ethers.dataLength(op.signature) > 0
+    ? op.signature
+    : ethers.hexlify(new Uint8Array(PVG_OVERHEADS.sigSize).fill(1));
+
+  // preVerificationGas 本身也在 calldata 中, 使用占位值保证编码长度稳定
+  const packed = packUserOp({ ...op, preVerificationGas: PVG_OVERHEADS.fixed, signature });
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
+    ['tuple(address,uint256,bytes,bytes,bytes32,uint256,bytes32,bytes,bytes)'],
+    [[
+      packed.sender,
+      packed.nonce,
+      packed.initCode,
+      packed.callData,
+      packed.accountGasLimits,
+      packed.preVerificationGas,
+      packed.gasFees,
+      packed.paymasterAndData,
+      packed.signature
+    ]]
+  );
+
+  const words = BigInt(Math.ceil(ethers.dataLength(encoded) / 32));
+
+  return calldataCost(encoded) +
+    BigInt(Math.round(PVG_OVERHEADS.fixed / PVG_OVERHEADS.bundleSize)) +
+    BigInt(PVG_OVERHEADS.perUserOp) +
+    BigInt(PVG_OVERHEADS.perUserOpWord) * words +
+    AUTHORIZATION_GAS * BigInt(authorizations);
+}
+
+/**
+ * 转换交易为 JSON-RPC 参数格式
+ * @param {Object} tx - { from, to, data, gas? }
+ * @returns {Object} JSON-RPC 交易对象
+ */
+function toRpcTransaction({ from, to, data, gas }) {
+  const rpcTx = { from, to, data };
+  if (gas !== undefined) rpcTx.gas = ethers.toQuantity(gas);
+  return rpcTx;
+}
+
+/**
+ * 使用 eth_call 判断交易在给定 gas 下是否成功
+ * @param {Object} tx - 交易对象
+ * @param {Object} overrides - state override
+ * @param {bigint} gas - gas 上限
+ * @returns {Promise<boolean>} 是否成功
+ */
+async function succeedsWithGas(tx, overrides, gas) {
+  try {
+    await getProvider().send('eth_call', [toRpcTransaction({ ...tx, gas }), 'latest', overrides]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 二分查找使交易成功的最小 gas
+ *
+ * @param {Object} tx - 交易对象
+ * @param {Object} overrides - state override
+ * @returns {Promise<bigint>} 最小 gas (含交易固有成本)
+ */
+async function binarySearchGas(tx, overrides) {
+  // 最大 gas 下仍失败说明执行本身会 revert
+  try {
+    await getProvider().send('eth_call', [toRpcTransaction({ ...tx, gas: MAX_GAS_LIMIT }), 'latest', overrides]);
+  } catch (error) {
+    throw new Error(`模拟执行 revert: ${error.shortMessage || error.message}`);
+  }
+
+  let low = intrinsicGas(tx.data);
+  let high = MAX_GAS_LIMIT;
+
+  while (high - low > BINARY_SEARCH_TOLERANCE) {
+    const middle = (low + high) / 2n;
+    if (await succeedsWithGas(tx, overrides, middle)) {
+      high = middle;
+    } else {
+      low = middle;
+    }
+  }
+
+  return high;
+}
+
+/**
+ * 估算交易执行所需 gas (不含交易固有成本)
+ * 优先使用 eth_estimateGas, 失败时使用 eth_call 二分查找 (同时区分 revert)
+ *
+ * @param {Object} tx - { from, to, data }
+ * @param {Object} overrides - state override
+ * @returns {Promise<bigint>} 执行 gas
+ */
+async function estimateExecutionGas(tx, overrides) {
+  let gas;
+
+  try {
+    gas = BigInt(await getProvider().send('eth_estimateGas', [toRpcTransaction(tx), 'latest', overrides]));
+  } catch {
+    gas = await binarySearchGas(tx, overrides);
+  }
+
+  const execution = gas - intrinsicGas(tx.data);
+  return execution > 0n ? execution : 0n;
+}
+
+/**
+ * 计算 validateUserOp 中的 missingAccountFunds
+ * 有 paymaster 时由 paymaster 支付, 否则为 requiredPrefund 减去 EntryPoint 存款
+ *
+ * @param {Object} op - 展开格式 UserOp
+ * @returns {Promise<bigint>} missingAccountFunds
+ */
+async function getMissingAccountFunds(op) {
+  if (ethers.dataLength(op.paymasterAndData || '0x') > 0) {
+    return 0n;
+  }
+
+  const requiredPrefund = (BigInt(op.verificationGasLimit) + BigInt(op.callGasLimit) + BigInt(op.preVerificationGas)) *
+    BigInt(op.maxFeePerGas);
+
+  const deposit = BigInt(await getProvider().call({
+    to: config.entryPointAddress,
+    data: ENTRY_POINT_INTERFACE.encodeFunctionData('balanceOf', [op.sender])
+  }));
+
+  return requiredPrefund > deposit ? requiredPrefund - deposit : 0n;
+}
+
+/**
+ * UserOp 是否带有能恢复出 sender 的签名
+ * 未签名和 dummy 签名都会被 Kernel 拒绝, 模拟时需改用估算专用账户签名
+ *
+ * @param {Object} op - 展开格式 UserOp
+ * @returns {boolean} 签名是否有效
+ */
+export function isSignedBySender(op) {
+  return Boolean(op.signature) && ethers.dataLength(op.signature) > 0 && verifyUserOpSignature(op);
+}
+
+/**
+ * 以估算专用账户代替 sender 并签名, 用于模拟未签名的 UserOp
+ * 估算专用账户: 存储中的 Kernel nonce 与 UserOp nonce 一致, delegation 和余额通过 state override 设置
+ *
+ * @param {Object} op - 展开格式 UserOp
+ * @param {Object} options - 选项
+ * @param {bigint} options.balance - 估算专用账户的 ETH 余额 (wei)
+ * @param {string} [options.delegateAddress] - delegation 目标地址, 默认 Kernel
+ * @returns {{op: Object, overrides: Object}} 已签名的替代 UserOp 及其 state override
+ */
+export function signWithEstimationSigner(op, { balance, delegateAddress = config.kernelAddress }) {
+  const account = ESTIMATION_SIGNER.address;
+  const simulatedOp = { ...op, sender: account };
+  simulatedOp.signature = ESTIMATION_SIGNER.signingKey.sign(getUserOpSigningDigest(simulatedOp)).serialized;
+
+  return {
+    op: simulatedOp,
+    overrides: {
+      [account]: {
+        code: encodeDelegationDesignator(delegateAddress),
+        balance: ethers.toQuantity(balance),
+        stateDiff: {
+          [getKernelNonceSlot(account)]: ethers.toBeHex(BigInt(op.nonce), 32)
+        }
+      }
+    }
+  };
+}
+
+/**
+ * 构造以 EntryPoint 为 from 调用账户 validateUserOp 的模拟交易
+ * 未签名或签名不能恢复出 sender 的 UserOp 改用估算专用账户签名 (见 signWithEstimationSigner)
+ *
+ * @param {Object} op - 展开格式 UserOp
+ * @param {Object} overrides - sender 的 state override (未 delegation 时注入 designator)
+ * @returns {Promise<{tx: Object, overrides: Object}>} 模拟交易 ({ from, to, data }) 及 state override
+ */
+export async function buildValidationCall(op, overrides) {
+  const missingAccountFunds = await getMissingAccountFunds(op);
+
+  let simulatedOp = op;
+  let simulatedOverrides = overrides;
+
+  // dummy 签名与空签名一样会被 Kernel 拒绝, 只有能恢复出 sender 的签名才按原账户模拟
+  if (!isSignedBySender(op)) {
+    // 余额足够支付 prefund
+    ({ op: simulatedOp, overrides: simulatedOverrides } = signWithEstimationSigner(op, { balance: missingAccountFunds }));
+  }
+
+  const data = ACCOUNT_INTERFACE.encodeFunctionData('validateUserOp', [
+    packUserOp(simulatedOp),
+    getUserOpHash(simulatedOp),
+    missingAccountFunds
+  ]);
+
+  return {
+    tx: { from: config.entryPointAddress, to: simulatedOp.sender, data },
+    overrides: simulatedOverrides
+  };
+}
+
+/**
+ * 估算 verificationGasLimit
+ *
+ * @param {Object} op - 展开格式 UserOp
+ * @param {Object} overrides - sender 的 state override
+ * @returns {Promise<bigint>} 验证阶段 gas
+ */
+async function estimateVerificationGas(op, overrides) {
+  const validationCall = await buildValidationCall(op, overrides);
+  return estimateExecutionGas(validationCall.tx, validationCall.overrides);
+}
+
+/**
+ * 估算 UserOp 各项 gas
+ *
+ * @param {Object} userOp - UserOperation (任意支持格式, 可未签名)
+ * @returns {Promise<UserOpGasEstimate>} 各项 gas 估算值
+ * @throws {Error} 验证或执行模拟 revert 时
+ *
+ * @example
+ * const { callGasLimit, verificationGasLimit, preVerificationGas } = await estimateUserOpGas(userOp);
+ */
+export async function estimateUserOpGas(userOp) {
+  const op = normalizeUserOp(userOp);
+  const delegation = await getDelegationInfo(op.sender);
+
+  if (delegation.isContract) {
+    throw new Error('sender 是合约账户, 不支持 EIP-7702 delegation');
+  }
+
+  // 首次 delegation 的 UserOp 随 authorization 一起提交
+  const needsAuth = !delegation.isKernel;
+  const overrides = needsAuth ? getDelegationOverride(op.sender) : {};
+
+  const callGas = await estimateExecutionGas(
+    { from: config.entryPointAddress, to: op.sender, data: op.callData },
+    overrides
+  );
+  const verificationGas = await estimateVerificationGas(op, overrides);
+
+  return {
+    callGasLimit: withBuffer(callGas),
+    verificationGasLimit: withBuffer(verificationGas),
+    preVerificationGas: calcPreVerificationGas(op, { authorizations: needsAuth ? 1 : 0 })
+  };
+}
@@ -0,0 +1,243 @@
+/**
+ * 幂等提交服务 (Idempotency-Key)
+ *
+ * 功能:
+ * /api/execute 和 /api/send-raw 的请求头 Idempotency-Key 与 userOpHash 共同作为幂等键,
+ * 客户端网络中断后重试不会再次发送 handleOps 交易 (重复发送必然以 InvalidNonce revert, bundler 白付 gas)
+ *
+ * 重复请求:
+ * - 首次请求已完成 (2xx): 返回首次的响应
+ * - 首次请求仍在处理, 或交易已广播但未得到结果 (TX_STUCK): 返回 202 和当前状态 (同 GET /api/userop/:userOpHash)
+ * - 首次请求失败且没有广播交易 (校验失败、发送前失败): 释放幂等键, 重试按新请求处理
+ *
+ * 幂等记录保存在内存, 保留 IDEMPOTENCY_TTL_HOURS 小时
+ *
+ * @module idempotency
+ */
+import { config } from '../config.js';
+import { normalizeUserOp } from './userOperation.js';
+import { hashUserOp, errorResponse, successResponse } from './validation.js';
+import { getUserOpStore } from './userOpStore.js';
+import { getUserOpStatus, SUBMISSION_STATUS } from './userOpSubmission.js';
+
+/**
+ * 幂等键请求头
+ */
+const IDEMPOTENCY_KEY_HEADER = 'idempotency-key';
+
+/**
+ * 幂等键格式: 1-255 个可见 ASCII 字符
+ */
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * 幂等记录类型定义
+ * @typedef {Object} IdempotencyRecord
+ * @property {string} userOpHash - UserOperation hash
+ * @property {number} createdAt - 首次请求时间
+ * @property {{statusCode: number, body: Object}|null} response - 首次请求的响应 (处理中为 null)
+ */
+
+export class IdempotencyStore {
+  /**
+   * @param {Object} options - 配置
+   * @param {number} options.ttlMs - 记录保留时间 (毫秒)
+   */
+  constructor({ ttlMs }) {
+    this.ttlMs = ttlMs;
+    this.records = new Map();
+  }
+
+  /**
+   * 生成存储键
+   * @param {string} key - Idempotency-Key
+   * @param {string} userOpHash - UserOperation hash
+   * @returns {string} 存储键
+   */
+  static toStoreKey(key, userOpHash) {
+    return `${key}:${userOpHash.toLowerCase()}`;
+  }
+
+  /**
+   * 查询记录
+   *
+   * @param {string} key - Idempotency-Key
+   * @param {string} userOpHash - UserOperation hash
+   * @returns {IdempotencyRecord|null} 记录, 不存在或已过期返回 null
+   */
+  get(key, userOpHash) {
+    const storeKey = IdempotencyStore.toStoreKey(key, userOpHash);
+    const record = this.records.get(storeKey);
+    if (record && Date.now() - record.createdAt > this.ttlMs) {
+      this.records.delete(storeKey);
+      return null;
+    }
+    return record || null;
+  }
+
+  /**
+   * 开始处理 (占用幂等键)
+   *
+   * @param {string} key - Idempotency-Key
+   * @param {string} userOpHash - UserOperation hash
+   * @returns {boolean} 是否占用成功 (已存在返回 false)
+   */
+  begin(key, userOpHash) {
+    if (this.get(key, userOpHash)) {
+      return false;
+    }
+
+    this.prune();
+    this.records.set(IdempotencyStore.toStoreKey(key, userOpHash), {
+      userOpHash,
+      createdAt: Date.now(),
+      response: null
+    });
+    return true;
+  }
+
+  /**
+   * 记录首次请求的响应
+   *
+   * @param {string} key - Idempotency-Key
+   * @param {string} userOpHash - UserOperation hash
+   * @param {number} statusCode - HTTP 状态码
+   * @param {Object} body - 响应体
+   */
+  complete(key, userOpHash, statusCode, body) {
+    const record = this.get(key, userOpHash);
+    if (record) {
+      record.response = { statusCode, body };
+    }
+  }
+
+  /**
+   * 释放幂等键
+   *
+   * @param {string} key - Idempotency-Key
+   * @param {string} userOpHash - UserOperation hash
+   */
+  release(key, userOpHash) {
+    this.records.delete(IdempotencyStore.toStoreKey(key, userOpHash));
+  }
+
+  /**
+   * 清除过期记录
+   * @returns {number} 清除数量
+   */
+  prune() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [storeKey, record] of this.records) {
+      if (now - record.createdAt > this.ttlMs) {
+        this.records.delete(storeKey);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * 计算请求中 UserOp 的 hash
+ *
+ * @param {Object} rawUserOp - 请求中的 UserOp (展开格式或 packed 格式)
+ * @returns {string|null} userOpHash, 无法计算时返回 null (由路由校验报错)
+ */
+function getRequestUserOpHash(rawUserOp) {
+  if (!rawUserOp || typeof rawUserOp !== 'object') {
+    return null;
+  }
+
+  try {
+    return hashUserOp(normalizeUserOp(rawUserOp));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 返回处理中的状态
+ *
+ * @param {Object} res - Express响应对象
+ * @param {string} userOpHash - UserOperation hash
+ */
+async function sendInProgress(res, userOpHash) {
+  let status = null;
+  try {
+    status = await getUserOpStatus(userOpHash);
+  } catch (error) {
+    console.warn(`查询 UserOp 状态失败 (${userOpHash}):`, error.message);
+  }
+
+  return successResponse(res.status(202), {
+    userOpHash,
+    status: status?.status ?? SUBMISSION_STATUS.RECEIVED,
+    statusUrl: `/api/userop/${userOpHash}`,
+    txHash: status?.txHash ?? null
+  });
+}
+
+/**
+ * 单例: 全局幂等记录
+ */
+export const idempotencyStore = new IdempotencyStore({
+  ttlMs: config.idempotencyTtlHours * 3600000
+});
+
+/**
+ * 幂等中间件: 未携带 Idempotency-Key 时直接交给路由
+ *
+ * @param {string} userOpField - 请求体中 UserOp 的字段名 (userOp / signedUserOp)
+ * @param {IdempotencyStore} [store] - 幂等记录 (默认全局单例)
+ * @returns {function} Express 中间件
+ *
+ * @example
+ * app.post('/api/execute', idempotency('userOp'), executeUserOp);
+ */
+export function idempotency(userOpField, store = idempotencyStore) {
+  return async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_KEY_HEADER);
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+      return errorResponse(res, 400, 'INVALID_PARAMS', 'Idempotency-Key 必须为 1-255 个可见 ASCII 字符', req.id);
+    }
+
+    const userOpHash = getRequestUserOpHash(req.body?.[userOpField]);
+    if (!userOpHash) {
+      return next();
+    }
+
+    const existing = store.get(key, userOpHash);
+    if (existing) {
+      res.setHeader('Idempotent-Replayed', 'true');
+      const { response } = existing;
+      if (response && response.statusCode >= 200 && response.statusCode < 300) {
+        return res.status(response.statusCode).json(response.body);
+      }
+      return sendInProgress(res, userOpHash);
+    }
+
+    store.begin(key, userOpHash);
+    const startedAt = Date.now();
+
+    // 记录首次请求的响应; 未广播交易的失败释放幂等键
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const record = getUserOpStore().get(userOpHash);
+      const broadcast = Boolean(record?.txHash) && record.updatedAt >= startedAt;
+
+      if (res.statusCode < 300 || broadcast) {
+        store.complete(key, userOpHash, res.statusCode, body);
+      } else {
+        store.release(key, userOpHash);
+      }
+      return json(body);
+    };
+
+    return next();
+  };
+}
@@ -0,0 +1,538 @@
+/**
+ * UserOperation Mempool 服务
+ *
+ * 功能:
+ * 1. 接收并验证 UserOp，放入内存池
+ * 2. 定时 (或达到数量阈值时) 将多个不同 sender 的 UserOp 打包进同一个 handleOps 交易
+ * 3. 跟踪每个 UserOp 的状态 (pending → submitted → included / failed)
+ *
+ * 打包规则:
+ * - 每个 bundle 中每个 sender 最多一个 UserOp (保证 nonce 顺序)
+ * - 提交前通过 eth_call + state override 模拟 handleOps (见 simulation), 遇到 FailedOp(opIndex) 则剔除该 op 后重试
+ * - 模拟或发送遇到非 FailedOp 的错误 (网络错误等) 时 UserOp 保持 pending, 下次打包重试
+ * - 交易广播后即释放打包锁, 后台等待上链, 下一个 bundle 可由钱包池的其他钱包并发发送
+ *
+ * 持久化:
+ * - 接收和每次状态变化都写入 UserOp 存储 (见 userOpStore), 状态变化同时推送给事件订阅者 (见 userOpEvents),
+ *   结果通知匹配的 webhook (见 webhooks)
+ * - 启动时 restore() 恢复未完成的 UserOp: 已上链的根据 UserOperationEvent 更新状态;
+ *   已广播 (有 txHash) 的等待其交易 (含替换交易) 上链, 不重新发送; 只有从未广播的重新进入 pending
+ * - 已广播但未能确认结果的 UserOp (含 track() 接管的 /api/execute、/api/send-raw 提交) 由 watch() 在后台轮询 receipt 和 UserOperationEvent
+ *
+ * 实体信誉:
+ * - 接收时拒绝被封禁或限流 (处理中的 UserOp 达到上限) 的 sender / paymaster / gas token
+ * - 接收时计入 opsSeen, 状态变为 included 时计入 opsIncluded
+ *
+ * @module mempool
+ */
+import { config } from '../config.js';
+import { hashUserOp, verifyUserOpSignature } from './validation.js';
+import {
+  buildBundleTransaction,
+  sendTransaction,
+  getProvider,
+  getEntryPointInterface,
+  getTrackedTransaction,
+  parseUserOpResult,
+  findUserOperationEvent
+} from './bundler.js';
+import { cache } from './cache.js';
+import { simulateBundle } from './simulation.js';
+import { decodeRevertError } from './revertDecoder.js';
+import { reputation } from './reputation.js';
+import { USEROP_STATUS, getUserOpStore } from './userOpStore.js';
+import { saveAndPublish } from './userOpEvents.js';
+
+export { USEROP_STATUS };
+
+/**
+ * 已完成 (included / failed) 条目保留时间 (1小时)
+ */
+const FINISHED_ENTRY_TTL = 3600000;
+
+/**
+ * 已广播 UserOp 的结果确认时间上限 (1小时), 超时后保持 submitted, 不重新发送
+ */
+const WATCH_TIMEOUT_MS = 3600000;
+
+class UserOpMempool {
+  /**
+   * @param {Object} options - 配置
+   * @param {number} options.maxBundleSize - 单个 bundle 最多包含的 UserOp 数量
+   * @param {number} options.bundleIntervalMs - 定时打包间隔 (毫秒)
+   */
+  constructor({ maxBundleSize, bundleIntervalMs }) {
+    this.entries = new Map();
+    this.maxBundleSize = maxBundleSize;
+    this.bundleIntervalMs = bundleIntervalMs;
+    this.timer = null;
+    this.flushing = false;
+    this.watching = new Set();
+  }
+
+  /**
+   * 启动定时打包
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.flush().catch(error => console.error('Mempool 打包失败:', error.message));
+    }, this.bundleIntervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * 停止定时打包
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * 添加 UserOp 到 mempool
+   *
+   * @param {Object} userOp - 已签名的 UserOperation
+   * @param {Object|null} [authorization=null] - 已验证的 Authorization (首次 delegation 需要)
+   * @param {Object} [options] - 可选参数
+   * @param {string} [options.source='rpc'] - 来源 (记录到 UserOp 存储)
+   * @returns {{accepted: boolean, code?: string, message: string, userOpHash?: string, entity?: Object}} 添加结果
+   *
+   * @example
+   * const result = mempool.add(userOp, authorization);
+   * if (result.accepted) {
+   *   console.log('userOpHash:', result.userOpHash);
+   * }
+   */
+  add(userOp, authorization = null, { source = 'rpc' } = {}) {
+    if (!verifyUserOpSignature(userOp)) {
+      return { accepted: false, code: 'INVALID_SIGNATURE', message: 'UserOp 签名无效' };
+    }
+
+    const userOpHash = hashUserOp(userOp);
+    if (this.entries.has(userOpHash)) {
+      return { accepted: false, code: 'DUPLICATE_USEROP', message: 'UserOp 已存在于 mempool' };
+    }
+
+    const reputationCheck = reputation.checkUserOp(userOp);
+    if (!reputationCheck.valid) {
+      return {
+        accepted: false,
+        code: reputationCheck.code,
+        message: reputationCheck.message,
+        entity: reputationCheck.entity
+      };
+    }
+
+    const sender = userOp.sender.toLowerCase();
+    const nonce = BigInt(userOp.nonce || 0);
+    for (const entry of this.entries.values()) {
+      if (entry.status === USEROP_STATUS.PENDING &&
+          entry.sender === sender &&
+          BigInt(entry.userOp.nonce || 0) === nonce) {
+        return { accepted: false, code: 'NONCE_CONFLICT', message: '相同 sender 和 nonce 的 UserOp 已在 mempool 中' };
+      }
+    }
+
+    const entry = {
+      userOpHash,
+      userOp,
+      authorization,
+      sender,
+      source,
+      status: USEROP_STATUS.PENDING,
+      receivedAt: Date.now(),
+      updatedAt: Date.now()
+    };
+    this.entries.set(userOpHash, entry);
+    getUserOpStore().save(entry);
+    reputation.recordSeen(userOp);
+
+    // 达到数量阈值，立即打包
+    if (this.getPendingCount() >= this.maxBundleSize) {
+      this.flush().catch(error => console.error('Mempool 打包失败:', error.message));
+    }
+
+    return { accepted: true, message: 'OK', userOpHash };
+  }
+
+  /**
+   * 查询 UserOp 状态 (已从内存清理的条目从 UserOp 存储查询)
+   *
+   * @param {string} userOpHash - UserOperation hash
+   * @returns {Object|null} 状态条目，不存在返回 null
+   */
+  get(userOpHash) {
+    return this.entries.get(userOpHash) || getUserOpStore().get(userOpHash);
+  }
+
+  /**
+   * 恢复 UserOp 存储中未完成 (pending / submitted) 的 UserOp
+   *
+   * 停机前可能已上链: 先查询交易 receipt 和 UserOperationEvent, 找到则直接更新为 included / failed;
+   * 已广播 (有 txHash) 但尚未上链的保持 submitted 并在后台等待 (watch), 不重新发送;
+   * 其余 (从未广播) 重新进入 pending, 由下一次打包重新模拟 (nonce 已使用的会被 FailedOp 剔除)
+   *
+   * @returns {Promise<{resumed: number, finished: number, watching: number}>} 重新进入 pending、已确认完成和等待上链的数量
+   */
+  async restore() {
+    const store = getUserOpStore();
+    const records = store.list({ status: [USEROP_STATUS.PENDING, USEROP_STATUS.SUBMITTED] });
+    const result = { resumed: 0, finished: 0, watching: 0 };
+
+    for (const record of records.reverse()) {
+      if (this.entries.has(record.userOpHash)) continue;
+
+      const entry = { ...record };
+      this.entries.set(entry.userOpHash, entry);
+      reputation.recordSeen(entry.userOp);
+
+      if (await this.confirm(entry)) {
+        result.finished++;
+      } else if (entry.status === USEROP_STATUS.SUBMITTED && entry.txHash) {
+        this.watch(entry);
+        result.watching++;
+      } else {
+        this.setStatus(entry, USEROP_STATUS.PENDING, { resumedAt: Date.now() });
+        result.resumed++;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 查询 UserOp 是否已上链, 已上链时更新为 included / failed
+   * 依次查询所在交易 (含手续费替换交易) 的 receipt 和 UserOperationEvent
+   *
+   * @param {Object} entry - mempool 条目
+   * @returns {Promise<boolean>} 是否已确认结果
+   */
+  async confirm(entry) {
+    if (entry.txHash) {
+      const tracked = getTrackedTransaction(entry.txHash);
+      const hashes = tracked ? tracked.attempts.map(attempt => attempt.hash) : [entry.txHash];
+
+      for (const hash of hashes) {
+        const receipt = await getProvider().getTransactionReceipt(hash).catch(() => null);
+        if (receipt) {
+          this.applyReceipt([entry], receipt);
+          return true;
+        }
+      }
+    }
+
+    const log = await findUserOperationEvent(entry.userOpHash).catch(() => null);
+    if (!log) {
+      return false;
+    }
+
+    const event = getEntryPointInterface().parseLog(log);
+    this.setStatus(entry, event.args.success ? USEROP_STATUS.INCLUDED : USEROP_STATUS.FAILED, {
+      txHash: log.transactionHash,
+      blockNumber: log.blockNumber,
+      actualGasCost: event.args.actualGasCost.toString(),
+      actualGasUsed: event.args.actualGasUsed.toString(),
+      reason: event.args.success ? undefined : 'UserOp 执行 revert'
+    });
+    return true;
+  }
+
+  /**
+   * 接管 mempool 之外已广播但未得到结果的 UserOp (如 /api/execute 交易达到替换上限仍未上链),
+   * 在后台等待上链并更新为 included / failed
+   *
+   * @param {Object} record - UserOp 存储记录 (submitted, 有 txHash)
+   */
+  track(record) {
+    const entry = this.entries.get(record.userOpHash) || { ...record };
+    this.entries.set(record.userOpHash, entry);
+    this.watch(entry);
+  }
+
+  /**
+   * 在后台等待已广播的 UserOp 上链 (每个打包间隔查询一次)
+   * 超过 WATCH_TIMEOUT_MS 仍未上链时保持 submitted, 交易仍可能上链, 不重新发送
+   *
+   * @param {Object} entry - mempool 条目 (submitted, 有 txHash)
+   */
+  watch(entry) {
+    if (this.watching.has(entry.userOpHash)) return;
+    this.watching.add(entry.userOpHash);
+
+    const deadline = Date.now() + WATCH_TIMEOUT_MS;
+    const poll = async () => {
+      while (Date.now() < deadline) {
+        if (await this.confirm(entry)) return;
+        await new Promise(resolve => setTimeout(resolve, this.bundleIntervalMs).unref());
+      }
+      console.warn(`UserOp ${entry.userOpHash} 的交易 ${entry.txHash} 未上链, 保持 submitted`);
+    };
+
+    poll()
+      .catch(error => console.error(`确认 UserOp ${entry.userOpHash} 结果失败:`, error.message))
+      .finally(() => this.watching.delete(entry.userOpHash));
+  }
+
+  /**
+   * 获取 pending 状态的 UserOp 数量
+   * @returns {number} pending 数量
+   */
+  getPendingCount() {
+    let count = 0;
+    for (const entry of this.entries.values()) {
+      if (entry.status === USEROP_STATUS.PENDING) count++;
+    }
+    return count;
+  }
+
+  /**
+   * 获取 mempool 统计信息
+   * @returns {Object} 各状态数量
+   */
+  getStats() {
+    const stats = { pending: 0, submitted: 0, included: 0, failed: 0 };
+    for (const entry of this.entries.values()) {
+      stats[entry.status]++;
+    }
+    return stats;
+  }
+
+  /**
+   * 选取下一个 bundle 的 UserOp (先进先出，每个 sender 最多一个)
+   * 已有 UserOp 在途 (submitted) 的 sender 等其上链后再打包, 避免后一个 nonce 先上链
+   * @returns {Array<Object>} 条目数组
+   */
+  selectBundle() {
+    const bundle = [];
+    const senders = new Set();
+
+    for (const entry of this.entries.values()) {
+      if (entry.status === USEROP_STATUS.SUBMITTED) senders.add(entry.sender);
+    }
+
+    for (const entry of this.entries.values()) {
+      if (bundle.length >= this.maxBundleSize) break;
+      if (entry.status !== USEROP_STATUS.PENDING || senders.has(entry.sender)) continue;
+
+      senders.add(entry.sender);
+      bundle.push(entry);
+    }
+
+    return bundle;
+  }
+
+  /**
+   * 更新条目状态并写入 UserOp 存储, 推送生命周期事件 (进入 included / failed 时发送 webhook 并更新实体信誉)
+   * @param {Object} entry - mempool 条目
+   * @param {string} status - 新状态
+   * @param {Object} [fields] - 额外字段
+   * @param {Object|null} [receipt] - 所在交易的 receipt (随 webhook 发送)
+   */
+  setStatus(entry, status, fields = {}, receipt = null) {
+    Object.assign(entry, fields, { status, updatedAt: Date.now() });
+    saveAndPublish(entry, receipt);
+
+    if (status === USEROP_STATUS.INCLUDED || status === USEROP_STATUS.FAILED) {
+      reputation.recordResult(entry.userOp, status === USEROP_STATUS.INCLUDED);
+    }
+  }
+
+  /**
+   * 打包并提交一个 bundle
+   * 交易广播后即返回并释放打包锁, 上链结果在后台更新
+   *
+   * @returns {Promise<string|null>} 已广播的交易哈希，无可打包 UserOp 或未能广播时返回 null
+   */
+  async flush() {
+    if (this.flushing) return null;
+    this.flushing = true;
+
+    try {
+      this.prune();
+
+      const bundle = this.selectBundle();
+
+      while (bundle.length > 0) {
+        // 1. 模拟执行，剔除会导致整个 bundle revert 的 UserOp
+        let error;
+        try {
+          error = await simulateBundle(bundle);
+        } catch (simulationError) {
+          console.warn('Mempool 模拟失败, 下次打包重试:', simulationError.shortMessage || simulationError.message);
+          return null;
+        }
+
+        if (error) {
+          if (this.rejectFailedOp(bundle, error)) continue;
+
+          console.warn('Mempool 模拟 revert (非 FailedOp), 下次打包重试:', error.shortMessage || error.message);
+          return null;
+        }
+
+        // 2. 提交交易 (广播后记录交易哈希)
+        return await this.submit(bundle);
+      }
+
+      return null;
+    } finally {
+      this.flushing = false;
+
+      // 剩余 pending 仍达到阈值，继续打包
+      if (this.getPendingCount() >= this.maxBundleSize) {
+        setImmediate(() => {
+          this.flush().catch(error => console.error('Mempool 打包失败:', error.message));
+        });
+      }
+    }
+  }
+
+  /**
+   * 根据 FailedOp / FailedOpWithRevert 剔除 bundle 中被 EntryPoint 拒绝的 UserOp 并标记为 failed
+   *
+   * @param {Array<Object>} bundle - 条目数组 (会被原地剔除)
+   * @param {Error} error - revert 错误
+   * @returns {boolean} 是否剔除了 UserOp
+   */
+  rejectFailedOp(bundle, error) {
+    const revert = decodeRevertError(error);
+    if (!Number.isInteger(revert?.opIndex) || !bundle[revert.opIndex]) {
+      return false;
+    }
+
+    const [entry] = bundle.splice(revert.opIndex, 1);
+    this.setStatus(entry, USEROP_STATUS.FAILED, { reason: revert.message });
+    return true;
+  }
+
+  /**
+   * 发送 bundle 交易, 广播后即返回, 后台等待上链并更新各 UserOp 的状态
+   *
+   * 发送失败时:
+   * - 广播前 FailedOp: 剔除该 UserOp, 其余回到 pending
+   * - 广播前其他错误: 全部回到 pending, 下次打包重试
+   * - 广播后 (替换达到上限仍未上链): 保持 submitted, 交易仍可能上链, 由 watch() 确认结果
+   *
+   * @param {Array<Object>} bundle - 条目数组
+   * @returns {Promise<string|null>} 交易哈希, 未能广播时返回 null
+   */
+  async submit(bundle) {
+    const tx = this.buildTransaction(bundle);
+
+    for (const entry of bundle) {
+      this.setStatus(entry, USEROP_STATUS.SUBMITTED);
+    }
+
+    let onBroadcast;
+    const broadcasted = new Promise((resolve) => {
+      onBroadcast = (txHash) => {
+        for (const entry of bundle) {
+          this.setStatus(entry, USEROP_STATUS.SUBMITTED, { txHash });
+        }
+        resolve(txHash);
+      };
+    });
+
+    const completion = sendTransaction(tx, { onBroadcast })
+      .then(
+        (receipt) => this.applyReceipt(bundle, receipt),
+        (error) => this.handleSendError(bundle, error)
+      )
+      .catch(error => console.error('Mempool 更新 bundle 状态失败:', error.message));
+
+    return Promise.race([broadcasted, completion.then(() => null)]);
+  }
+
+  /**
+   * 处理 bundle 交易发送失败
+   *
+   * @param {Array<Object>} bundle - 条目数组
+   * @param {Error} error - 发送错误
+   */
+  handleSendError(bundle, error) {
+    const message = error.shortMessage || error.message;
+
+    if (error.broadcast) {
+      console.warn('Mempool bundle 交易未上链, 保持 submitted 并等待:', message);
+      for (const entry of bundle) {
+        this.watch(entry);
+      }
+      return;
+    }
+
+    console.warn('Mempool bundle 交易发送失败, 下次打包重试:', message);
+
+    const remaining = [...bundle];
+    this.rejectFailedOp(remaining, error);
+    for (const entry of remaining) {
+      this.setStatus(entry, USEROP_STATUS.PENDING);
+    }
+  }
+
+  /**
+   * 构建 bundle 交易
+   * @param {Array<Object>} bundle - 条目数组
+   * @returns {Object} 交易对象
+   */
+  buildTransaction(bundle) {
+    const userOps = bundle.map(entry => entry.userOp);
+    const authorizations = bundle
+      .filter(entry => entry.authorization)
+      .map(entry => entry.authorization);
+
+    return buildBundleTransaction(userOps, authorizations);
+  }
+
+  /**
+   * 根据交易 receipt 更新 bundle 中各 UserOp 的状态
+   * @param {Array<Object>} bundle - 条目数组
+   * @param {Object} receipt - 交易 receipt
+   */
+  applyReceipt(bundle, receipt) {
+    for (const entry of bundle) {
+      const result = parseUserOpResult(receipt, entry.userOp);
+
+      const fields = {
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        actualGasCost: result.actualGasCost,
+        actualGasUsed: result.actualGasUsed,
+        revertData: result.revertData
+      };
+
+      if (result.success) {
+        this.setStatus(entry, USEROP_STATUS.INCLUDED, fields, receipt);
+      } else {
+        this.setStatus(entry, USEROP_STATUS.FAILED, {
+          ...fields,
+          reason: result.found ? 'UserOp 执行 revert' : '交易中未找到 UserOperationEvent'
+        }, receipt);
+      }
+
+      // delegation 可能已变化，清除缓存
+      if (entry.authorization && receipt.status === 1) {
+        cache.delete(`delegation:${entry.sender}`);
+      }
+    }
+  }
+
+  /**
+   * 清理过期的已完成条目
+   */
+  prune() {
+    const now = Date.now();
+    for (const [userOpHash, entry] of this.entries) {
+      const finished = entry.status === USEROP_STATUS.INCLUDED || entry.status === USEROP_STATUS.FAILED;
+      if (finished && now - entry.updatedAt > FINISHED_ENTRY_TTL) {
+        this.entries.delete(userOpHash);
+      }
+    }
+  }
+}
+
+export const mempool = new UserOpMempool({
+  maxBundleSize: config.maxBundleSize,
+  bundleIntervalMs: config.bundleIntervalMs
+});
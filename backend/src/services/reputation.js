@@ -0,0 +1,380 @@
+/**
+ * 实体信誉服务 (ERC-7562 Reputation)
+ *
+ * 功能:
+ * 1. 按实体地址 (sender / paymaster / gas token) 统计 opsSeen 和 opsIncluded
+ * 2. 根据包含率计算实体状态 ok / throttled / banned
+ * 3. 在 bundler 付出 gas 之前拒绝被封禁实体的 UserOp, 限制被限流实体同时处理中的 UserOp 数量
+ *
+ * 实体:
+ * - sender: UserOp 发送者
+ * - paymaster: paymasterAndData 前 20 字节 (EntryPoint 视角)
+ * - token: Kernel 用于 gas 补偿的代币 (紧凑编码 token || amount 或 abi.encode(token, amount))
+ * 同一地址在一个 UserOp 中担任多个角色时只计数一次
+ *
+ * 计数:
+ * - opsSeen: 进入处理流程 (/api/execute、/api/send-raw 发送前, mempool 接收时) 的 UserOp 数量
+ * - opsIncluded: 上链且 UserOperationEvent.success 为 true 的 UserOp 数量 (链上 revert 不计入)
+ * - 失败 (未上链或链上 revert) 只计入 sender; paymaster / gas token 为多个 sender 共用,
+ *   撤销其 opsSeen, 避免单个 sender 的失败使共用的 gas token 被封禁 (ERC-7562 只追究出错的实体)
+ * - 每小时衰减: opsSeen -= opsSeen / 24, opsIncluded -= opsIncluded / 24
+ *
+ * 状态 (maxSeen = opsSeen / REPUTATION_MIN_INCLUSION_DENOMINATOR):
+ * - ok:        maxSeen <= opsIncluded + REPUTATION_THROTTLING_SLACK
+ * - throttled: maxSeen <= opsIncluded + REPUTATION_BAN_SLACK, 处理中的 UserOp 不超过 REPUTATION_THROTTLED_MAX_PENDING
+ * - banned:    其余情况, 拒绝所有 UserOp
+ *
+ * 信誉数据保存在内存中, 服务重启后清空
+ *
+ * @module reputation
+ */
+import { ethers } from 'ethers';
+import { config } from '../config.js';
+
+/**
+ * 实体状态
+ */
+export const REPUTATION_STATUS = {
+  OK: 'ok',
+  THROTTLED: 'throttled',
+  BANNED: 'banned'
+};
+
+/**
+ * 实体角色
+ */
+export const ENTITY_ROLES = {
+  SENDER: 'sender',
+  PAYMASTER: 'paymaster',
+  TOKEN: 'token'
+};
+
+/**
+ * 衰减间隔 (1小时) 和每次衰减的比例 (1/24)
+ */
+const DECAY_INTERVAL_MS = 3600000;
+const DECAY_DIVISOR = 24;
+
+/**
+ * 单次补算的最大衰减次数 (7天后计数已基本归零)
+ */
+const MAX_DECAY_STEPS = 24 * 7;
+
+/**
+ * 解析 Kernel 用于 gas 补偿的代币地址 (与 Kernel.validateUserOp 的解码方式一致)
+ *
+ * @param {string} paymasterAndData - paymasterAndData
+ * @returns {string|null} 代币地址, 长度不足时返回 null
+ */
+export function getGasToken(paymasterAndData) {
+  const data = paymasterAndData || '0x';
+  const length = ethers.dataLength(data);
+  if (length < 20) {
+    return null;
+  }
+
+  const firstByte = ethers.dataSlice(data, 0, 1);
+  if (length >= 52 && firstByte !== '0x00' && firstByte !== '0x20') {
+    // 紧凑编码: token (20) || amount (32)
+    return ethers.getAddress(ethers.dataSlice(data, 0, 20));
+  }
+
+  if (length < 32) {
+    return null;
+  }
+  // 动态编码: abi.encode(address token, uint256 amount)
+  return ethers.getAddress(ethers.dataSlice(data, 12, 32));
+}
+
+/**
+ * 提取 UserOp 涉及的实体
+ *
+ * @param {Object} userOp - 标准化后的 UserOperation
+ * @returns {Array<{address: string, roles: Array<string>}>} 实体列表 (地址小写, 已去重)
+ *
+ * @example
+ * getUserOpEntities(userOp);
+ * // [{ address: '0xabc...', roles: ['sender'] }, { address: '0xdef...', roles: ['paymaster', 'token'] }]
+ */
+export function getUserOpEntities(userOp) {
+  const entities = new Map();
+  const add = (address, role) => {
+    if (!address || address === ethers.ZeroAddress) return;
+
+    const key = address.toLowerCase();
+    if (!entities.has(key)) entities.set(key, { address: key, roles: [] });
+    entities.get(key).roles.push(role);
+  };
+
+  add(userOp.sender, ENTITY_ROLES.SENDER);
+
+  const paymasterAndData = userOp.paymasterAndData || '0x';
+  if (ethers.dataLength(paymasterAndData) >= 20) {
+    add(ethers.dataSlice(paymasterAndData, 0, 20), ENTITY_ROLES.PAYMASTER);
+  }
+  add(getGasToken(paymasterAndData), ENTITY_ROLES.TOKEN);
+
+  return Array.from(entities.values());
+}
+
+/**
+ * 实体信誉管理
+ */
+export class ReputationManager {
+  /**
+   * @param {Object} options - 配置
+   * @param {number} options.minInclusionDenominator - 最低包含率分母
+   * @param {number} options.throttlingSlack - 限流余量
+   * @param {number} options.banSlack - 封禁余量
+   * @param {number} options.throttledMaxPending - 被限流实体同时处理中的 UserOp 上限
+   */
+  constructor({ minInclusionDenominator, throttlingSlack, banSlack, throttledMaxPending }) {
+    this.minInclusionDenominator = minInclusionDenominator;
+    this.throttlingSlack = throttlingSlack;
+    this.banSlack = banSlack;
+    this.throttledMaxPending = throttledMaxPending;
+    this.entries = new Map();
+    this.lastDecayAt = Date.now();
+  }
+
+  /**
+   * 按经过的小时数补算衰减, 清除计数归零且无处理中 UserOp 的条目
+   */
+  decay() {
+    const steps = Math.floor((Date.now() - this.lastDecayAt) / DECAY_INTERVAL_MS);
+    if (steps <= 0) return;
+
+    this.lastDecayAt += steps * DECAY_INTERVAL_MS;
+
+    for (const [address, entry] of this.entries) {
+      for (let i = 0; i < Math.min(steps, MAX_DECAY_STEPS); i++) {
+        entry.opsSeen -= Math.floor(entry.opsSeen / DECAY_DIVISOR);
+        entry.opsIncluded -= Math.floor(entry.opsIncluded / DECAY_DIVISOR);
+      }
+      if (steps >= MAX_DECAY_STEPS) {
+        entry.opsSeen = 0;
+        entry.opsIncluded = 0;
+      }
+
+      if (entry.opsSeen === 0 && entry.opsIncluded === 0 && entry.pending === 0) {
+        this.entries.delete(address);
+      }
+    }
+  }
+
+  /**
+   * 获取或创建实体条目
+   * @param {string} address - 实体地址 (小写)
+   * @returns {Object} 实体条目
+   */
+  getEntry(address) {
+    if (!this.entries.has(address)) {
+      this.entries.set(address, {
+        address,
+        roles: new Set(),
+        opsSeen: 0,
+        opsIncluded: 0,
+        pending: 0,
+        updatedAt: Date.now()
+      });
+    }
+    return this.entries.get(address);
+  }
+
+  /**
+   * 根据计数计算实体状态
+   * @param {Object|undefined} entry - 实体条目
+   * @returns {string} 实体状态
+   */
+  computeStatus(entry) {
+    if (!entry) return REPUTATION_STATUS.OK;
+
+    const maxSeen = Math.floor(entry.opsSeen / this.minInclusionDenominator);
+    if (maxSeen <= entry.opsIncluded + this.throttlingSlack) {
+      return REPUTATION_STATUS.OK;
+    }
+    if (maxSeen <= entry.opsIncluded + this.banSlack) {
+      return REPUTATION_STATUS.THROTTLED;
+    }
+    return REPUTATION_STATUS.BANNED;
+  }
+
+  /**
+   * 查询实体状态
+   *
+   * @param {string} address - 实体地址
+   * @returns {string} 实体状态
+   */
+  getStatus(address) {
+    this.decay();
+    return this.computeStatus(this.entries.get(address.toLowerCase()));
+  }
+
+  /**
+   * 检查 UserOp 涉及的实体是否允许继续处理
+   *
+   * @param {Object} userOp - 标准化后的 UserOperation
+   * @returns {{valid: boolean, code?: string, message: string, entity?: Object}} 检查结果
+   *
+   * @example
+   * const check = reputation.checkUserOp(userOp);
+   * if (!check.valid) {
+   *   return errorResponse(res, 429, check.code, check.message, requestId);
+   * }
+   */
+  checkUserOp(userOp) {
+    this.decay();
+
+    for (const { address, roles } of getUserOpEntities(userOp)) {
+      const entry = this.entries.get(address);
+      const status = this.computeStatus(entry);
+      const entity = { address: ethers.getAddress(address), roles, status };
+
+      if (status === REPUTATION_STATUS.BANNED) {
+        return {
+          valid: false,
+          code: 'ENTITY_BANNED',
+          message: `${roles.join('/')} ${entity.address} 包含率过低, 已被封禁`,
+          entity
+        };
+      }
+
+      if (status === REPUTATION_STATUS.THROTTLED && entry.pending >= this.throttledMaxPending) {
+        return {
+          valid: false,
+          code: 'ENTITY_THROTTLED',
+          message: `${roles.join('/')} ${entity.address} 已被限流, 处理中的 UserOp 达到上限 ${this.throttledMaxPending}`,
+          entity
+        };
+      }
+    }
+
+    return { valid: true, message: 'OK' };
+  }
+
+  /**
+   * 记录 UserOp 进入处理流程 (opsSeen + 1, 处理中 + 1)
+   *
+   * @param {Object} userOp - 标准化后的 UserOperation
+   */
+  recordSeen(userOp) {
+    this.decay();
+
+    for (const { address, roles } of getUserOpEntities(userOp)) {
+      const entry = this.getEntry(address);
+      roles.forEach((role) => entry.roles.add(role));
+      entry.opsSeen++;
+      entry.pending++;
+      entry.updatedAt = Date.now();
+    }
+  }
+
+  /**
+   * 记录 UserOp 处理结束 (处理中 - 1, 成功上链时 opsIncluded + 1)
+   * 失败只计入 sender: paymaster / gas token 撤销本次 opsSeen, 不因 sender 的失败被限流或封禁
+   *
+   * @param {Object} userOp - 标准化后的 UserOperation
+   * @param {boolean} included - 是否上链且执行成功
+   */
+  recordResult(userOp, included) {
+    this.decay();
+
+    for (const { address, roles } of getUserOpEntities(userOp)) {
+      const entry = this.getEntry(address);
+      entry.pending = Math.max(0, entry.pending - 1);
+      if (included) {
+        entry.opsIncluded++;
+      } else if (!roles.includes(ENTITY_ROLES.SENDER)) {
+        entry.opsSeen = Math.max(0, entry.opsSeen - 1);
+      }
+      entry.updatedAt = Date.now();
+    }
+  }
+
+  /**
+   * 列出实体信誉
+   *
+   * @param {string} [status] - 按状态过滤
+   * @returns {Array<Object>} 实体信誉列表 (按 opsSeen 降序)
+   */
+  list(status) {
+    this.decay();
+
+    return Array.from(this.entries.values())
+      .map((entry) => this.format(entry))
+      .filter((entry) => !status || entry.status === status)
+      .sort((a, b) => b.opsSeen - a.opsSeen);
+  }
+
+  /**
+   * 查询单个实体信誉
+   *
+   * @param {string} address - 实体地址
+   * @returns {Object} 实体信誉 (未记录过的实体计数为 0)
+   */
+  get(address) {
+    this.decay();
+
+    const key = address.toLowerCase();
+    return this.format(this.entries.get(key) || {
+      address: key,
+      roles: new Set(),
+      opsSeen: 0,
+      opsIncluded: 0,
+      pending: 0,
+      updatedAt: null
+    });
+  }
+
+  /**
+   * 重置实体信誉
+   *
+   * @param {string} [address] - 实体地址, 省略时重置全部
+   * @returns {number} 清除的条目数量
+   */
+  reset(address) {
+    if (!address) {
+      const count = this.entries.size;
+      this.entries.clear();
+      return count;
+    }
+    return this.entries.delete(address.toLowerCase()) ? 1 : 0;
+  }
+
+  /**
+   * 转换实体条目为 JSON 可序列化格式
+   * @param {Object} entry - 实体条目
+   * @returns {Object} 实体信誉
+   */
+  format(entry) {
+    return {
+      address: ethers.getAddress(entry.address),
+      roles: Array.from(entry.roles),
+      status: this.computeStatus(entry),
+      opsSeen: entry.opsSeen,
+      opsIncluded: entry.opsIncluded,
+      pending: entry.pending,
+      updatedAt: entry.updatedAt
+    };
+  }
+
+  /**
+   * 获取信誉参数
+   * @returns {Object} 参数
+   */
+  getParams() {
+    return {
+      minInclusionDenominator: this.minInclusionDenominator,
+      throttlingSlack: this.throttlingSlack,
+      banSlack: this.banSlack,
+      throttledMaxPending: this.throttledMaxPending
+    };
+  }
+}
+
+export const reputation = new ReputationManager({
+  minInclusionDenominator: config.reputationMinInclusionDenominator,
+  throttlingSlack: config.reputationThrottlingSlack,
+  banSlack: config.reputationBanSlack,
+  throttledMaxPending: config.reputationThrottledMaxPending
+});
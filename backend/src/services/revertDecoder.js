@@ -0,0 +1,192 @@
+/**
+ * Revert 原因解码服务
+ *
+ * 功能:
+ * 1. 解码 Kernel 自定义错误 (OnlyEntryPoint, InvalidNonce, CallFailed(index), TooManyCalls(count, max) 等)
+ * 2. 解码 EntryPoint FailedOp / FailedOpWithRevert, 递归解码 FailedOpWithRevert 中的 inner revert 数据
+ * 3. 解码 Error(string) / Panic(uint256)
+ * 4. 从 ethers 错误对象中提取 revert 数据
+ *
+ * 解码结果为结构化错误对象, code 稳定 (供客户端判断), message 为可读说明,
+ * callIndex 为失败的 ERC-7821 调用序号 (CallFailed, 含 inner 中的), opIndex 为 bundle 中的 UserOp 序号
+ *
+ * @module revertDecoder
+ */
+import { ethers } from 'ethers';
+
+/**
+ * 可解码的错误 (Kernel.sol 与 EntryPoint v0.7)
+ */
+const REVERT_ERRORS_ABI = [
+  // Kernel
+  'error OnlyEntryPoint()',
+  'error InvalidSignature()',
+  'error InvalidNonce()',
+  'error CallFailed(uint256 callIndex)',
+  'error InvalidPaymasterData()',
+  'error TransferFailed()',
+  'error InvalidMode()',
+  'error TooManyCalls(uint256 count, uint256 max)',
+  // EntryPoint
+  'error FailedOp(uint256 opIndex, string reason)',
+  'error FailedOpWithRevert(uint256 opIndex, string reason, bytes inner)'
+];
+
+const revertInterface = new ethers.Interface(REVERT_ERRORS_ABI);
+
+/**
+ * 错误代码
+ */
+export const REVERT_CODES = {
+  KERNEL_ONLY_ENTRY_POINT: 'KERNEL_ONLY_ENTRY_POINT',
+  KERNEL_INVALID_SIGNATURE: 'KERNEL_INVALID_SIGNATURE',
+  KERNEL_INVALID_NONCE: 'KERNEL_INVALID_NONCE',
+  KERNEL_CALL_FAILED: 'KERNEL_CALL_FAILED',
+  KERNEL_INVALID_PAYMASTER_DATA: 'KERNEL_INVALID_PAYMASTER_DATA',
+  KERNEL_TRANSFER_FAILED: 'KERNEL_TRANSFER_FAILED',
+  KERNEL_INVALID_MODE: 'KERNEL_INVALID_MODE',
+  KERNEL_TOO_MANY_CALLS: 'KERNEL_TOO_MANY_CALLS',
+  ENTRYPOINT_FAILED_OP: 'ENTRYPOINT_FAILED_OP',
+  ENTRYPOINT_FAILED_OP_WITH_REVERT: 'ENTRYPOINT_FAILED_OP_WITH_REVERT',
+  REVERT_STRING: 'REVERT_STRING',
+  PANIC: 'PANIC',
+  EMPTY_REVERT: 'EMPTY_REVERT',
+  UNKNOWN_ERROR: 'UNKNOWN_ERROR'
+};
+
+/**
+ * 错误名称 => [错误代码, 可读说明]
+ */
+const ERROR_DESCRIPTIONS = {
+  OnlyEntryPoint: [REVERT_CODES.KERNEL_ONLY_ENTRY_POINT, () => 'Kernel: 只允许 EntryPoint 调用'],
+  InvalidSignature: [REVERT_CODES.KERNEL_INVALID_SIGNATURE, () => 'Kernel: UserOp 签名无效'],
+  InvalidNonce: [REVERT_CODES.KERNEL_INVALID_NONCE, () => 'Kernel: UserOp nonce 无效或已使用'],
+  CallFailed: [REVERT_CODES.KERNEL_CALL_FAILED, (args) => `Kernel: 第 ${args.callIndex} 个调用 (从 0 开始) 执行失败`],
+  InvalidPaymasterData: [REVERT_CODES.KERNEL_INVALID_PAYMASTER_DATA, () => 'Kernel: paymasterAndData 格式无效'],
+  TransferFailed: [REVERT_CODES.KERNEL_TRANSFER_FAILED, () => 'Kernel: gas token 支付失败'],
+  InvalidMode: [REVERT_CODES.KERNEL_INVALID_MODE, () => 'Kernel: 不支持的执行模式'],
+  TooManyCalls: [REVERT_CODES.KERNEL_TOO_MANY_CALLS, (args) => `Kernel: 调用数量 ${args.count} 超过上限 ${args.max}`],
+  FailedOp: [REVERT_CODES.ENTRYPOINT_FAILED_OP, (args) => `EntryPoint: UserOp #${args.opIndex} 被拒绝: ${args.reason}`],
+  FailedOpWithRevert: [
+    REVERT_CODES.ENTRYPOINT_FAILED_OP_WITH_REVERT,
+    (args, inner) => `EntryPoint: UserOp #${args.opIndex} 被拒绝: ${args.reason} (${inner.message})`
+  ],
+  Error: [REVERT_CODES.REVERT_STRING, (args) => `revert: ${args[0]}`],
+  Panic: [REVERT_CODES.PANIC, (args) => `panic: 0x${BigInt(args[0]).toString(16)}`]
+};
+
+/**
+ * 解码结果类型定义
+ * @typedef {Object} DecodedRevert
+ * @property {string} code - 错误代码 (REVERT_CODES)
+ * @property {string|null} name - 错误名称 (如 CallFailed), 无法解码时为 null
+ * @property {string} message - 可读说明
+ * @property {Object} args - 错误参数 (uint256 转为十进制字符串)
+ * @property {number|null} opIndex - bundle 中的 UserOp 序号 (FailedOp / FailedOpWithRevert)
+ * @property {number|null} callIndex - 失败的调用序号 (CallFailed, 含 inner 中的)
+ * @property {DecodedRevert|null} inner - FailedOpWithRevert 中 inner revert 数据的解码结果
+ * @property {string} data - 原始 revert 数据
+ */
+
+/**
+ * 解码 revert 数据
+ *
+ * @param {string|null|undefined} data - revert 数据 (hex)
+ * @returns {DecodedRevert|null} 解码结果, data 为空值返回 null
+ *
+ * @example
+ * const decoded = decodeRevertData(revertData);
+ * if (decoded?.code === REVERT_CODES.KERNEL_CALL_FAILED) {
+ *   console.log('失败的调用:', decoded.callIndex);
+ * }
+ */
+export function decodeRevertData(data) {
+  if (data === null || data === undefined) {
+    return null;
+  }
+
+  const result = {
+    code: REVERT_CODES.UNKNOWN_ERROR,
+    name: null,
+    message: '',
+    args: {},
+    opIndex: null,
+    callIndex: null,
+    inner: null,
+    data
+  };
+
+  if (!ethers.isHexString(data) || data === '0x') {
+    result.code = REVERT_CODES.EMPTY_REVERT;
+    result.message = 'revert 无返回数据';
+    return result;
+  }
+
+  let parsed = null;
+  try {
+    parsed = revertInterface.parseError(data);
+  } catch {
+    // selector 匹配但数据无法解码, 按未知错误处理
+  }
+
+  if (!parsed) {
+    result.message = `未知错误 (selector ${ethers.dataSlice(data, 0, Math.min(4, ethers.dataLength(data)))})`;
+    return result;
+  }
+
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    const value = parsed.args[i];
+    args[input.name || i] = typeof value === 'bigint' ? value.toString() : value;
+  });
+
+  const [code, describe] = ERROR_DESCRIPTIONS[parsed.name];
+  result.code = code;
+  result.name = parsed.name;
+  result.args = args;
+
+  if (parsed.name === 'FailedOpWithRevert') {
+    result.inner = decodeRevertData(args.inner);
+  }
+  if (args.opIndex !== undefined) {
+    result.opIndex = Number(args.opIndex);
+  }
+  if (parsed.name === 'CallFailed') {
+    result.callIndex = Number(args.callIndex);
+  } else if (result.inner) {
+    result.callIndex = result.inner.callIndex;
+  }
+
+  result.message = describe(args, result.inner);
+  return result;
+}
+
+/**
+ * 从 ethers 错误对象中提取 revert 数据
+ *
+ * @param {Error} error - ethers 错误对象 (estimateGas / call / sendTransaction)
+ * @returns {string|null} revert 数据, 不是 revert 错误时返回 null
+ */
+export function getRevertData(error) {
+  const candidates = [error?.data, error?.info?.error?.data, error?.error?.data];
+  return candidates.find(data => typeof data === 'string' && ethers.isHexString(data)) ?? null;
+}
+
+/**
+ * 解码 ethers 错误对象中的 revert 数据
+ *
+ * @param {Error} error - ethers 错误对象
+ * @returns {DecodedRevert|null} 解码结果, 不是 revert 错误时返回 null
+ *
+ * @example
+ * try {
+ *   await provider.estimateGas(tx);
+ * } catch (error) {
+ *   const revert = decodeRevertError(error);
+ *   console.log(revert?.message ?? error.message);
+ * }
+ */
+export function decodeRevertError(error) {
+  const data = getRevertData(error);
+  return data ? decodeRevertData(data) : null;
+}
@@ -0,0 +1,273 @@
+/**
+ * handleOps 模拟服务
+ *
+ * 功能:
+ * 通过 eth_call + state override 模拟完整的 handleOps, 替代对 type-4 交易的 estimateGas
+ * (很多节点无法模拟带 authorizationList 的交易, 首次 delegation 的 UserOp 会被误判为 revert)
+ *
+ * 模拟方式:
+ * 1. sender 未 delegation 到 Kernel 时, state override 注入 0xef0100 || delegate 的 designator,
+ *    不论是否已 delegation, 模拟结果均为 delegation 之后的行为 (合约账户不注入)
+ * 2. 可选覆盖 sender 的 ETH 余额 (未充值账户模拟 prefund)
+ * 3. 以 bundler 为 from eth_call handleOps: 验证阶段失败时 EntryPoint revert (FailedOp 等)
+ * 4. 以 EntryPoint 为 from eth_call 账户的 callData: 执行阶段 revert 不会使 handleOps revert
+ *    (只记录在 UserOperationRevertReason 事件中), 需单独模拟
+ * 5. eth_estimateGas (带 state override) 估算整笔交易 gas, 首次 delegation 另加 authorization 成本
+ * 6. 验证阶段通过时 debug_traceCall 跟踪 handleOps, 返回资产变化预览 (见 assetChanges)
+ *
+ * 未签名或签名不能恢复出 sender 的 UserOp (Kernel 会在 validateUserOp 中 revert) 的 handleOps
+ * (验证阶段、资产变化跟踪和 gas 估算) 改用估算专用账户签名模拟 (见 gasEstimator.signWithEstimationSigner),
+ * 其 ETH 余额与 sender 相同, 资产变化中的估算专用账户替换回 sender; 签名是否有效单独通过 signatureValid 返回
+ *
+ * mempool 打包前通过 simulateBundle 以同样方式模拟多个 UserOp 的 handleOps (仅验证阶段)
+ *
+ * revert 数据通过 revertDecoder 解码
+ *
+ * @module simulation
+ */
+import { ethers } from 'ethers';
+import { config } from '../config.js';
+import { buildBundleTransaction, getBundlerAddress, getProvider } from './bundler.js';
+import { getDelegationInfo, getDelegationOverride } from './delegation.js';
+import { normalizeUserOp } from './userOperation.js';
+import { AUTHORIZATION_GAS, isSignedBySender, signWithEstimationSigner } from './gasEstimator.js';
+import { decodeRevertError } from './revertDecoder.js';
+import { previewAssetChanges } from './assetChanges.js';
+
+/**
+ * revert 阶段
+ */
+export const SIMULATION_PHASE = {
+  VALIDATION: 'validation',
+  EXECUTION: 'execution'
+};
+
+/**
+ * 模拟结果类型定义
+ * @typedef {Object} HandleOpsSimulation
+ * @property {boolean} willRevert - 是否会 revert (验证或执行阶段)
+ * @property {boolean} signatureValid - 签名是否有效 (无效时 handleOps 以估算专用账户的签名模拟, 不视为 revert)
+ * @property {string|null} revertPhase - revert 阶段 (SIMULATION_PHASE), 不会 revert 时为 null
+ * @property {Object|null} revert - 解码后的 revert 错误 (见 revertDecoder)
+ * @property {string|null} revertReason - revert 原因 (可读说明)
+ * @property {bigint|null} estimatedGas - 整笔交易预估 gas, revert 或估算失败时为 null
+ * @property {Object} stateOverrides - 模拟使用的 state override (含估算专用账户的 override)
+ * @property {Object|null} assetChanges - 资产变化预览 ({ changes, transfers }), 验证阶段 revert 或节点不支持 debug_traceCall 时为 null
+ */
+
+/**
+ * 构造模拟 sender 的 state override
+ *
+ * @param {string} sender - sender 地址
+ * @param {Object} options - 选项
+ * @param {boolean} options.delegate - 是否注入 delegation designator
+ * @param {string} [options.delegateAddress] - delegation 目标地址, 默认 Kernel
+ * @param {bigint} [options.balance] - 覆盖的 ETH 余额 (wei)
+ * @returns {Object} state override
+ */
+export function buildSimulationOverrides(sender, { delegate, delegateAddress = config.kernelAddress, balance }) {
+  const overrides = delegate ? getDelegationOverride(sender, delegateAddress) : {};
+
+  if (balance !== undefined && balance !== null) {
+    const address = ethers.getAddress(sender);
+    overrides[address] = { ...overrides[address], balance: ethers.toQuantity(balance) };
+  }
+
+  return overrides;
+}
+
+/**
+ * 执行 eth_call, 返回 revert 错误
+ *
+ * @param {Object} tx - { from, to, data }
+ * @param {Object} overrides - state override
+ * @returns {Promise<Error|null>} revert 时返回错误, 成功返回 null
+ * @throws {Error} 非 revert 错误 (网络错误、节点不支持 state override 等)
+ */
+async function callWithOverrides(tx, overrides) {
+  try {
+    await getProvider().send('eth_call', [tx, 'latest', overrides]);
+    return null;
+  } catch (error) {
+    if (error.code !== 'CALL_EXCEPTION') {
+      throw error;
+    }
+    return error;
+  }
+}
+
+/**
+ * 估算整笔 handleOps 交易 gas
+ *
+ * @param {Object} tx - { from, to, data }
+ * @param {Object} overrides - state override
+ * @returns {Promise<bigint|null>} 预估 gas, 节点不支持 state override 等情况返回 null
+ */
+async function estimateWithOverrides(tx, overrides) {
+  try {
+    return BigInt(await getProvider().send('eth_estimateGas', [tx, 'latest', overrides]));
+  } catch (error) {
+    console.warn('估算handleOps gas失败:', error.shortMessage || error.message);
+    return null;
+  }
+}
+
+/**
+ * 跟踪 handleOps 的资产变化, 节点不支持时返回 null
+ *
+ * @param {Object} tx - { from, to, data }
+ * @param {Object} overrides - state override
+ * @param {string} sender - UserOp sender
+ * @returns {Promise<Object|null>} 资产变化预览
+ */
+async function traceAssetChanges(tx, overrides, sender) {
+  try {
+    return await previewAssetChanges(tx, overrides, { sender });
+  } catch (error) {
+    console.warn('资产变化预览失败:', error.shortMessage || error.message);
+    return null;
+  }
+}
+
+/**
+ * 将资产变化预览中的估算专用账户替换为 sender
+ *
+ * @param {Object|null} preview - 资产变化预览 ({ changes, transfers })
+ * @param {string} standIn - 估算专用账户地址
+ * @param {string} sender - UserOp sender
+ * @returns {Object|null} 替换后的资产变化预览
+ */
+function attributeToSender(preview, standIn, sender) {
+  if (!preview) {
+    return preview;
+  }
+
+  const replace = address => (address.toLowerCase() === standIn.toLowerCase() ? ethers.getAddress(sender) : address);
+  return {
+    changes: preview.changes.map(change => ({ ...change, address: replace(change.address) })),
+    transfers: preview.transfers.map(transfer => ({ ...transfer, from: replace(transfer.from), to: replace(transfer.to) }))
+  };
+}
+
+/**
+ * 模拟多个 UserOp 的 handleOps (仅验证阶段)
+ * 携带 authorization 的 sender 注入其 designator, 替代对 type-4 bundle 交易的 estimateGas
+ *
+ * @param {Array<{userOp: Object, authorization: Object|null}>} items - 待打包的 UserOp 及其 authorization
+ * @returns {Promise<Error|null>} handleOps revert 时返回错误 (FailedOp 等, 可用 revertDecoder 解码), 通过返回 null
+ * @throws {Error} 非 revert 错误 (网络错误、节点不支持 state override 等)
+ *
+ * @example
+ * const error = await simulateBundle(bundle);
+ * const opIndex = decodeRevertError(error)?.opIndex;
+ */
+export async function simulateBundle(items) {
+  const stateOverrides = {};
+  for (const { userOp, authorization } of items) {
+    if (authorization) {
+      Object.assign(stateOverrides, buildSimulationOverrides(userOp.sender, {
+        delegate: true,
+        delegateAddress: authorization.address
+      }));
+    }
+  }
+
+  const bundleTx = buildBundleTransaction(items.map(item => item.userOp));
+  return callWithOverrides({ from: getBundlerAddress(), to: bundleTx.to, data: bundleTx.data }, stateOverrides);
+}
+
+/**
+ * 模拟 handleOps (验证阶段与执行阶段)
+ *
+ * @param {Object} userOp - UserOperation (展开格式或 Packed 格式)
+ * @param {Object} [options] - 选项
+ * @param {Object} [options.authorization] - 标准化后的 authorization, 提供时注入其 address 的 designator
+ * @param {bigint} [options.balance] - 覆盖 sender 的 ETH 余额 (wei)
+ * @param {Object} [options.delegation] - sender 的 delegation 信息 (已查询时传入, 避免重复查询)
+ * @returns {Promise<HandleOpsSimulation>} 模拟结果
+ * @throws {Error} eth_call 非 revert 失败时
+ *
+ * @example
+ * const simulation = await simulateHandleOps(userOp, { balance: ethers.parseEther('1') });
+ * if (simulation.willRevert) {
+ *   console.log(simulation.revertPhase, simulation.revert?.code);
+ * }
+ */
+export async function simulateHandleOps(userOp, { authorization = null, balance, delegation = null } = {}) {
+  const op = normalizeUserOp(userOp);
+  const info = delegation ?? await getDelegationInfo(op.sender);
+  // 实际提交时携带 authorization: 未 delegation 到 Kernel, 或显式提供 (迁移到新的 Kernel)
+  const withAuthorization = !info.isContract && (!info.isKernel || Boolean(authorization));
+
+  const stateOverrides = buildSimulationOverrides(op.sender, {
+    delegate: withAuthorization,
+    delegateAddress: authorization?.address ?? config.kernelAddress,
+    balance
+  });
+
+  // 未签名时 handleOps 中的 UserOp 改用估算专用账户签名 (合约账户不使用 Kernel 验证, 不替换)
+  const signatureValid = isSignedBySender(op);
+  let handleOpsOp = op;
+  let handleOpsOverrides = stateOverrides;
+
+  if (!signatureValid && !info.isContract) {
+    const standIn = signWithEstimationSigner(op, {
+      balance: balance ?? await getProvider().getBalance(op.sender),
+      delegateAddress: authorization?.address ?? config.kernelAddress
+    });
+    handleOpsOp = standIn.op;
+    handleOpsOverrides = { ...stateOverrides, ...standIn.overrides };
+  }
+
+  const bundleTx = buildBundleTransaction([handleOpsOp]);
+  const handleOpsCall = { from: getBundlerAddress(), to: bundleTx.to, data: bundleTx.data };
+
+  const result = {
+    willRevert: false,
+    signatureValid,
+    revertPhase: null,
+    revert: null,
+    revertReason: null,
+    estimatedGas: null,
+    stateOverrides: handleOpsOverrides,
+    assetChanges: null
+  };
+
+  // 1. 验证阶段 (validateUserOp、prefund、gas token 支付)
+  let error = await callWithOverrides(handleOpsCall, handleOpsOverrides);
+  let phase = SIMULATION_PHASE.VALIDATION;
+
+  if (!error) {
+    // 执行阶段 revert 时 prefund、gas token 支付和 gas 补偿仍会发生
+    const preview = await traceAssetChanges(handleOpsCall, handleOpsOverrides, handleOpsOp.sender);
+    result.assetChanges = attributeToSender(preview, handleOpsOp.sender, op.sender);
+  }
+
+  // 2. 执行阶段 (callData 由 EntryPoint 调用)
+  if (!error && ethers.dataLength(op.callData || '0x') > 0) {
+    error = await callWithOverrides(
+      { from: config.entryPointAddress, to: op.sender, data: op.callData },
+      stateOverrides
+    );
+    phase = SIMULATION_PHASE.EXECUTION;
+  }
+
+  if (error) {
+    const revert = decodeRevertError(error);
+    return {
+      ...result,
+      willRevert: true,
+      revertPhase: phase,
+      revert,
+      revertReason: revert?.message ?? (error.shortMessage || error.message)
+    };
+  }
+
+  // 3. 整笔交易 gas (实际交易携带 authorizationList 时另加其固有成本)
+  const gas = await estimateWithOverrides(handleOpsCall, handleOpsOverrides);
+  if (gas !== null) {
+    result.estimatedGas = withAuthorization ? gas + AUTHORIZATION_GAS : gas;
+  }
+
+  return result;
+}
@@ -0,0 +1,372 @@
+/**
+ * UserOp 生命周期事件服务
+ *
+ * 功能:
+ * 1. 按 sender 地址或 userOpHash 订阅事件 (供 GET /api/events 推送)
+ * 2. bundler 事件: /api/execute、/api/send-raw 和 mempool 的 UserOp 状态变化
+ * 3. 链上事件: 有订阅时轮询新区块, 解析 EntryPoint 的 UserOperationEvent / UserOperationRevertReason
+ *    (覆盖其他 bundler 提交的 UserOp), 并比较订阅 sender 的 code 检测 delegation 变化
+ *
+ * 事件类型:
+ * - submitted:          bundle 交易已广播
+ * - included:           已上链且执行成功
+ * - reverted:           已上链但执行 revert (或 handleOps 交易 revert)
+ * - failed:             未上链即失败 (模拟失败、发送失败)
+ * - delegation-changed: sender 的 delegation designator 变化 (首次 delegation、撤销、迁移)
+ *
+ * 同一 UserOp 的同一事件只推送一次 (bundler 和链上轮询可能各自发现)
+ *
+ * bundler 的状态变化统一通过 saveAndPublish 写入 UserOp 存储并推送, 进入 included / failed 时同时发送 webhook
+ *
+ * @module userOpEvents
+ */
+import { ethers } from 'ethers';
+import { config } from '../config.js';
+import { getProvider, getEntryPointInterface } from './bundler.js';
+import { parseDelegationCode } from './delegation.js';
+import { USEROP_STATUS, getUserOpStore, isFinished } from './userOpStore.js';
+import { decodeRevertData } from './revertDecoder.js';
+import { webhooks } from './webhooks.js';
+
+/**
+ * 事件类型
+ */
+export const USEROP_EVENT_TYPES = {
+  SUBMITTED: 'submitted',
+  INCLUDED: 'included',
+  REVERTED: 'reverted',
+  FAILED: 'failed',
+  DELEGATION_CHANGED: 'delegation-changed'
+};
+
+/**
+ * 去重记录上限
+ */
+const MAX_PUBLISHED_KEYS = 1000;
+
+/**
+ * 事件类型定义
+ * @typedef {Object} UserOpEvent
+ * @property {string} type - 事件类型
+ * @property {string} source - 事件来源: bundler / chain
+ * @property {string} sender - 发送者地址
+ * @property {string} [userOpHash] - UserOperation hash (delegation-changed 无)
+ * @property {string|null} [txHash] - 交易哈希
+ * @property {number|null} [blockNumber] - 区块号
+ * @property {Object} [previous] - 变化前的 delegation 信息 (delegation-changed)
+ * @property {Object} [current] - 变化后的 delegation 信息 (delegation-changed)
+ * @property {number} timestamp - 事件时间
+ */
+
+/**
+ * UserOp 存储记录转换为事件
+ *
+ * @param {Object} record - UserOp 存储记录
+ * @returns {UserOpEvent|null} 事件, 不需要推送的状态返回 null
+ */
+export function toUserOpEvent(record) {
+  let type;
+  if (record.status === USEROP_STATUS.SUBMITTED && record.txHash) {
+    type = USEROP_EVENT_TYPES.SUBMITTED;
+  } else if (record.status === USEROP_STATUS.INCLUDED) {
+    type = USEROP_EVENT_TYPES.INCLUDED;
+  } else if (record.status === USEROP_STATUS.FAILED) {
+    type = record.blockNumber != null ? USEROP_EVENT_TYPES.REVERTED : USEROP_EVENT_TYPES.FAILED;
+  } else {
+    return null;
+  }
+
+  const sender = record.userOp?.sender ?? record.sender;
+  return {
+    type,
+    source: 'bundler',
+    userOpHash: record.userOpHash,
+    sender: ethers.getAddress(sender),
+    nonce: record.userOp ? BigInt(record.userOp.nonce || 0).toString() : null,
+    txHash: record.txHash ?? null,
+    blockNumber: record.blockNumber ?? null,
+    actualGasCost: record.actualGasCost ?? null,
+    actualGasUsed: record.actualGasUsed ?? null,
+    revertData: record.revertData ?? null,
+    revert: decodeRevertData(record.revertData),
+    reason: record.reason ?? null,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * 格式化 delegation 信息
+ * @param {Object} info - parseDelegationCode 返回值
+ * @returns {{state: string, delegate: string|null, isKernel: boolean}} 事件中的 delegation 信息
+ */
+function formatDelegation(info) {
+  return { state: info.state, delegate: info.delegate, isKernel: info.isKernel };
+}
+
+export class UserOpEventHub {
+  /**
+   * @param {Object} options - 配置
+   * @param {number} options.pollIntervalMs - 链上轮询间隔 (毫秒)
+   */
+  constructor({ pollIntervalMs }) {
+    this.pollIntervalMs = pollIntervalMs;
+    this.subscribers = new Set();
+    this.published = new Set();
+    // sender (小写) => 最近一次看到的 delegation 信息
+    this.delegations = new Map();
+    this.lastBlock = null;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * 订阅事件, 第一个订阅者到来时开始链上轮询
+   *
+   * @param {Object} filter - 订阅条件 (满足任一即推送)
+   * @param {Array<string>} [filter.senders] - sender 地址
+   * @param {Array<string>} [filter.userOpHashes] - UserOperation hash
+   * @param {function(UserOpEvent): void} listener - 事件回调
+   * @returns {function(): void} 取消订阅
+   *
+   * @example
+   * const unsubscribe = userOpEvents.subscribe({ senders: [address] }, (event) => {
+   *   console.log(event.type, event.userOpHash);
+   * });
+   */
+  subscribe({ senders = [], userOpHashes = [] }, listener) {
+    const subscriber = {
+      senders: new Set(senders.map(sender => sender.toLowerCase())),
+      userOpHashes: new Set(userOpHashes.map(hash => hash.toLowerCase())),
+      listener
+    };
+
+    this.subscribers.add(subscriber);
+    this.start();
+
+    return () => {
+      this.subscribers.delete(subscriber);
+      if (this.subscribers.size === 0) {
+        this.stop();
+      }
+    };
+  }
+
+  /**
+   * 推送事件给匹配的订阅者
+   *
+   * @param {UserOpEvent} event - 事件
+   * @returns {boolean} 是否推送 (重复事件返回 false)
+   */
+  publish(event) {
+    if (event.userOpHash) {
+      const key = `${event.type}:${event.userOpHash.toLowerCase()}`;
+      if (this.published.has(key)) {
+        return false;
+      }
+
+      this.published.add(key);
+      if (this.published.size > MAX_PUBLISHED_KEYS) {
+        this.published.delete(this.published.values().next().value);
+      }
+    }
+
+    const sender = event.sender.toLowerCase();
+    const userOpHash = event.userOpHash?.toLowerCase();
+
+    for (const subscriber of this.subscribers) {
+      if (subscriber.senders.has(sender) || (userOpHash && subscriber.userOpHashes.has(userOpHash))) {
+        try {
+          subscriber.listener(event);
+        } catch (error) {
+          console.warn('事件推送失败:', error.message);
+        }
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * 推送 UserOp 存储记录的状态变化 (bundler 事件)
+   * @param {Object} record - UserOp 存储记录
+   */
+  publishUserOp(record) {
+    const event = toUserOpEvent(record);
+    if (event) {
+      this.publish(event);
+    }
+  }
+
+  /**
+   * 推送 EntryPoint 日志中的 UserOp 结果 (链上事件)
+   *
+   * @param {Array<Object>} logs - UserOperationEvent / UserOperationRevertReason 日志
+   * @returns {number} 推送的事件数量
+   */
+  publishLogs(logs) {
+    const entryPointInterface = getEntryPointInterface();
+    const parsedLogs = [];
+    const revertReasons = new Map();
+
+    for (const log of logs) {
+      const parsed = entryPointInterface.parseLog(log);
+      if (parsed?.name === 'UserOperationRevertReason') {
+        revertReasons.set(parsed.args.userOpHash, parsed.args.revertReason);
+      } else if (parsed?.name === 'UserOperationEvent') {
+        parsedLogs.push({ log, parsed });
+      }
+    }
+
+    let published = 0;
+    for (const { log, parsed } of parsedLogs) {
+      const { userOpHash, sender, nonce, success, actualGasCost, actualGasUsed } = parsed.args;
+      const event = {
+        type: success ? USEROP_EVENT_TYPES.INCLUDED : USEROP_EVENT_TYPES.REVERTED,
+        source: 'chain',
+        userOpHash,
+        sender,
+        nonce: nonce.toString(),
+        txHash: log.transactionHash,
+        blockNumber: log.blockNumber,
+        actualGasCost: actualGasCost.toString(),
+        actualGasUsed: actualGasUsed.toString(),
+        revertData: revertReasons.get(userOpHash) ?? null,
+        revert: decodeRevertData(revertReasons.get(userOpHash)),
+        reason: success ? null : 'UserOp 执行 revert',
+        timestamp: Date.now()
+      };
+
+      if (this.publish(event)) {
+        published++;
+      }
+    }
+
+    return published;
+  }
+
+  /**
+   * 比较订阅 sender 的 code, 推送 delegation 变化
+   * 首次看到的 sender 只记录当前状态
+   *
+   * @param {number} blockNumber - 查询区块
+   */
+  async checkDelegations(blockNumber) {
+    const senders = new Set();
+    for (const subscriber of this.subscribers) {
+      for (const sender of subscriber.senders) {
+        senders.add(sender);
+      }
+    }
+
+    for (const sender of this.delegations.keys()) {
+      if (!senders.has(sender)) {
+        this.delegations.delete(sender);
+      }
+    }
+
+    const provider = getProvider();
+    await Promise.all(Array.from(senders, async (sender) => {
+      const current = formatDelegation(parseDelegationCode(await provider.getCode(sender, blockNumber)));
+      const previous = this.delegations.get(sender);
+      this.delegations.set(sender, current);
+
+      if (previous && (previous.state !== current.state || previous.delegate !== current.delegate)) {
+        this.publish({
+          type: USEROP_EVENT_TYPES.DELEGATION_CHANGED,
+          source: 'chain',
+          sender: ethers.getAddress(sender),
+          blockNumber,
+          previous,
+          current,
+          timestamp: Date.now()
+        });
+      }
+    }));
+  }
+
+  /**
+   * 轮询一次新区块
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      const provider = getProvider();
+      const latestBlock = await provider.getBlockNumber();
+      const hasNewSenders = Array.from(this.subscribers)
+        .some(subscriber => Array.from(subscriber.senders).some(sender => !this.delegations.has(sender)));
+
+      if (this.lastBlock === null) {
+        this.lastBlock = latestBlock;
+      } else if (latestBlock > this.lastBlock) {
+        const entryPointInterface = getEntryPointInterface();
+        const logs = await provider.getLogs({
+          address: config.entryPointAddress,
+          topics: [[
+            entryPointInterface.getEvent('UserOperationEvent').topicHash,
+            entryPointInterface.getEvent('UserOperationRevertReason').topicHash
+          ]],
+          fromBlock: this.lastBlock + 1,
+          toBlock: latestBlock
+        });
+        this.publishLogs(logs);
+        this.lastBlock = latestBlock;
+        await this.checkDelegations(latestBlock);
+        return;
+      }
+
+      if (hasNewSenders) {
+        await this.checkDelegations(latestBlock);
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * 启动链上轮询
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.poll().catch(error => console.error('链上事件轮询失败:', error.message));
+    }, this.pollIntervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * 停止链上轮询 (下次启动从最新区块开始)
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.lastBlock = null;
+    this.delegations.clear();
+  }
+}
+
+/**
+ * 单例: 全局事件中心
+ */
+export const userOpEvents = new UserOpEventHub({
+  pollIntervalMs: config.eventsPollIntervalMs
+});
+
+/**
+ * 更新 UserOp 存储记录并推送生命周期事件, 进入 included / failed 时发送 webhook 通知
+ * /api/execute、/api/send-raw 和 mempool 的状态变化都经过这里, 每个 UserOp 的结果只通知一次
+ *
+ * @param {Object} fields - 记录字段, 必须包含 userOpHash
+ * @param {Object|null} [receipt] - 所在交易的 receipt (随 webhook 发送), 未上链或未获取时为 null
+ * @returns {Object} 更新后的记录
+ */
+export function saveAndPublish(fields, receipt = null) {
+  const record = getUserOpStore().save(fields);
+  userOpEvents.publishUserOp(record);
+  if (isFinished(record)) {
+    webhooks.notify(record, receipt);
+  }
+  return record;
+}
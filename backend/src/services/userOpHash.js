@@ -0,0 +1,217 @@
+/**
+ * UserOpHash 计算服务
+ *
+ * 功能:
+ * 1. 按 EntryPoint.getUserOpHash / Kernel._getUserOpStructHash 逐字节计算 userOpHash
+ * 2. 根据签名方案计算待签名摘要并恢复签名者
+ *
+ * 计算方式 (与 EntryPoint 一致):
+ * - structHash      = keccak256(abi.encode(PACKED_USEROP_TYPEHASH, sender, nonce,
+ *                       keccak256(initCode), keccak256(callData), accountGasLimits,
+ *                       preVerificationGas, gasFees, keccak256(paymasterAndData)))
+ * - domainSeparator = keccak256(abi.encode(DOMAIN_SEPARATOR_TYPEHASH,
+ *                       keccak256("ERC4337"), keccak256("1"), chainId, entryPoint))
+ * - userOpHash      = keccak256(0x1901 || domainSeparator || structHash)
+ *
+ * 签名方案:
+ * - raw:    直接对 userOpHash 签名 (Kernel 使用 ecrecover 验证，默认)
+ * - eip191: 对 userOpHash 做 personal_sign ("\x19Ethereum Signed Message:\n32" 前缀)
+ * - eip712: 钱包使用 eth_signTypedData_v4 签名 getUserOpTypedData() 返回的数据,
+ *           摘要与 userOpHash 相同
+ *
+ * @module userOpHash
+ */
+import { ethers } from 'ethers';
+import { config } from '../config.js';
+import { packUserOp } from './userOperation.js';
+
+/**
+ * 签名方案
+ */
+export const SIGNATURE_SCHEMES = {
+  RAW: 'raw',
+  EIP191: 'eip191',
+  EIP712: 'eip712'
+};
+
+/**
+ * EntryPoint 的 EIP-712 域名和版本
+ */
+const DOMAIN_NAME = 'ERC4337';
+const DOMAIN_VERSION = '1';
+
+/**
+ * EIP712Domain 类型哈希
+ */
+const DOMAIN_SEPARATOR_TYPEHASH = ethers.id(
+  'EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)'
+);
+
+/**
+ * PackedUserOperation 类型哈希
+ */
+export const PACKED_USEROP_TYPEHASH = ethers.id(
+  'PackedUserOperation(address sender,uint256 nonce,bytes initCode,bytes callData,bytes32 accountGasLimits,uint256 preVerificationGas,bytes32 gasFees,bytes paymasterAndData)'
+);
+
+/**
+ * PackedUserOperation 的 EIP-712 类型定义 (用于 eth_signTypedData_v4)
+ */
+const PACKED_USEROP_TYPES = {
+  PackedUserOperation: [
+    { name: 'sender', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'initCode', type: 'bytes' },
+    { name: 'callData', type: 'bytes' },
+    { name: 'accountGasLimits', type: 'bytes32' },
+    { name: 'preVerificationGas', type: 'uint256' },
+    { name: 'gasFees', type: 'bytes32' },
+    { name: 'paymasterAndData', type: 'bytes' }
+  ]
+};
+
+/**
+ * 获取 EntryPoint 的 EIP-712 域
+ *
+ * @param {Object} [options] - 可选参数
+ * @param {number} [options.chainId] - 链ID，默认使用配置
+ * @param {string} [options.entryPointAddress] - EntryPoint 地址，默认使用配置
+ * @returns {Object} EIP-712 域
+ */
+export function getUserOpDomain({ chainId = config.chainId, entryPointAddress = config.entryPointAddress } = {}) {
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId,
+    verifyingContract: entryPointAddress
+  };
+}
+
+/**
+ * 计算 EntryPoint 的 domainSeparator
+ *
+ * @param {Object} [options] - 同 getUserOpDomain
+ * @returns {string} domainSeparator (bytes32)
+ */
+export function getDomainSeparator(options) {
+  const domain = getUserOpDomain(options);
+
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+    ['bytes32', 'bytes32', 'bytes32', 'uint256', 'address'],
+    [
+      DOMAIN_SEPARATOR_TYPEHASH,
+      ethers.id(domain.name),
+      ethers.id(domain.version),
+      domain.chainId,
+      domain.verifyingContract
+    ]
+  ));
+}
+
+/**
+ * 计算 PackedUserOperation 的结构化数据哈希
+ * 与 Kernel._getUserOpStructHash 一致 (空 bytes 取 keccak256(""))
+ *
+ * @param {Object} userOp - UserOperation (展开格式或 Packed 格式)
+ * @returns {string} structHash (bytes32)
+ */
+export function getUserOpStructHash(userOp) {
+  const packed = packUserOp(userOp);
+
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+    ['bytes32', 'address', 'uint256', 'bytes32', 'bytes32', 'bytes32', 'uint256', 'bytes32', 'bytes32'],
+    [
+      PACKED_USEROP_TYPEHASH,
+      packed.sender,
+      packed.nonce,
+      ethers.keccak256(packed.initCode),
+      ethers.keccak256(packed.callData),
+      packed.accountGasLimits,
+      packed.preVerificationGas,
+      packed.gasFees,
+      ethers.keccak256(packed.paymasterAndData)
+    ]
+  ));
+}
+
+/**
+ * 计算 userOpHash (与 EntryPoint.getUserOpHash 逐字节一致)
+ *
+ * @param {Object} userOp - UserOperation (展开格式或 Packed 格式)
+ * @param {Object} [options] - 同 getUserOpDomain
+ * @returns {string} userOpHash (bytes32)
+ *
+ * @example
+ * const userOpHash = getUserOpHash(userOp);
+ * const signature = signingKey.sign(userOpHash).serialized;
+ */
+export function getUserOpHash(userOp, options) {
+  return ethers.keccak256(ethers.concat([
+    '0x1901',
+    getDomainSeparator(options),
+    getUserOpStructHash(userOp)
+  ]));
+}
+
+/**
+ * 获取 eth_signTypedData_v4 所需的数据 (eip712 签名方案)
+ *
+ * @param {Object} userOp - UserOperation (展开格式或 Packed 格式)
+ * @param {Object} [options] - 同 getUserOpDomain
+ * @returns {{domain: Object, types: Object, primaryType: string, message: Object}} 类型化数据
+ */
+export function getUserOpTypedData(userOp, options) {
+  const packed = packUserOp(userOp);
+
+  return {
+    domain: getUserOpDomain(options),
+    types: PACKED_USEROP_TYPES,
+    primaryType: 'PackedUserOperation',
+    message: {
+      sender: packed.sender,
+      nonce: packed.nonce.toString(),
+      initCode: packed.initCode,
+      callData: packed.callData,
+      accountGasLimits: packed.accountGasLimits,
+      preVerificationGas: packed.preVerificationGas.toString(),
+      gasFees: packed.gasFees,
+      paymasterAndData: packed.paymasterAndData
+    }
+  };
+}
+
+/**
+ * 根据签名方案计算签名者实际签名的摘要
+ *
+ * @param {Object} userOp - UserOperation (展开格式或 Packed 格式)
+ * @param {string} [scheme] - 签名方案，默认使用配置
+ * @param {Object} [options] - 同 getUserOpDomain
+ * @returns {string} 待签名摘要 (bytes32)
+ */
+export function getUserOpSigningDigest(userOp, scheme = config.userOpSignatureScheme, options) {
+  switch (scheme) {
+    case SIGNATURE_SCHEMES.RAW:
+      return getUserOpHash(userOp, options);
+    case SIGNATURE_SCHEMES.EIP191:
+      return ethers.hashMessage(ethers.getBytes(getUserOpHash(userOp, options)));
+    case SIGNATURE_SCHEMES.EIP712: {
+      const { domain, types, message } = getUserOpTypedData(userOp, options);
+      return ethers.TypedDataEncoder.hash(domain, types, message);
+    }
+    default:
+      throw new Error(`不支持的签名方案: ${scheme}`);
+  }
+}
+
+/**
+ * 恢复 UserOp 签名者地址
+ *
+ * @param {Object} userOp - 已签名的 UserOperation
+ * @param {string} [scheme] - 签名方案，默认使用配置
+ * @param {Object} [options] - 同 getUserOpDomain
+ * @returns {string} 签名者地址
+ */
+export function recoverUserOpSigner(userOp, scheme = config.userOpSignatureScheme, options) {
+  const digest = getUserOpSigningDigest(userOp, scheme, options);
+  return ethers.recoverAddress(digest, userOp.signature);
+}
@@ -0,0 +1,304 @@
+/**
+ * UserOperation 持久化存储服务
+ *
+ * 功能:
+ * 1. 记录每个接收到的 UserOp (/api/execute、/api/send-raw、eth_sendUserOperation)
+ * 2. 记录 userOpHash、所在 bundle 交易、receipt 信息和失败原因
+ * 3. 服务重启后由 mempool 恢复未完成 (pending / submitted) 的 UserOp
+ *
+ * 存储后端 (USEROP_STORE):
+ * - file:   JSON Lines 文件 (默认), 每次更新追加一行完整记录, 加载时同一 userOpHash 以最后一行为准并压缩文件
+ * - memory: 仅内存, 重启后清空
+ * 其他后端 (如数据库) 实现 UserOpStore 接口后通过 setUserOpStore 替换
+ *
+ * 已完成 (included / failed) 的记录保留 USEROP_STORE_RETENTION_HOURS 小时, 超时后在加载或压缩时清除
+ *
+ * @module userOpStore
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { config } from '../config.js';
+
+/**
+ * UserOp 状态
+ */
+export const USEROP_STATUS = {
+  PENDING: 'pending',
+  SUBMITTED: 'submitted',
+  INCLUDED: 'included',
+  FAILED: 'failed'
+};
+
+/**
+ * 追加行数超过阈值且超过记录数两倍时压缩文件
+ */
+const COMPACT_THRESHOLD = 1000;
+
+/**
+ * UserOp 记录类型定义
+ * @typedef {Object} UserOpRecord
+ * @property {string} userOpHash - UserOperation hash
+ * @property {Object} userOp - 标准化后的 UserOperation
+ * @property {Object|null} authorization - 标准化后的 authorization (首次 delegation)
+ * @property {string} sender - 发送者地址 (小写)
+ * @property {string} source - 来源: execute / send-raw / rpc
+ * @property {string|null} [apiKeyId] - 提交方 API key 标识 (可信调用方)
+ * @property {string} status - pending / submitted / included / failed
+ * @property {string} [txHash] - 所在 bundle 交易哈希
+ * @property {number} [blockNumber] - 所在区块号
+ * @property {string} [gasUsed] - 交易消耗的 gas
+ * @property {string} [actualGasCost] - UserOperationEvent.actualGasCost
+ * @property {string} [actualGasUsed] - UserOperationEvent.actualGasUsed
+ * @property {string} [revertData] - UserOperationRevertReason.revertReason (执行 revert 时)
+ * @property {string} [reason] - 失败原因
+ * @property {number} receivedAt - 接收时间
+ * @property {number} updatedAt - 更新时间
+ */
+
+/**
+ * UserOp 存储接口
+ * @typedef {Object} UserOpStore
+ * @property {string} type - 存储类型
+ * @property {function(Object): UserOpRecord} save - 新增或合并更新记录 (按 userOpHash)
+ * @property {function(string): UserOpRecord|null} get - 查询记录
+ * @property {function(Object=): Array<UserOpRecord>} list - 列出记录 ({status, sender, limit})
+ * @property {function(): Object} getStats - 统计信息
+ */
+
+/**
+ * 判断记录是否已完成
+ * @param {UserOpRecord} record - 记录
+ * @returns {boolean} 是否已完成
+ */
+export function isFinished(record) {
+  return record.status === USEROP_STATUS.INCLUDED || record.status === USEROP_STATUS.FAILED;
+}
+
+/**
+ * 内存存储 (也是文件存储的索引)
+ */
+export class MemoryUserOpStore {
+  /**
+   * @param {Object} [options] - 配置
+   * @param {number} [options.retentionMs] - 已完成记录保留时间 (毫秒)
+   */
+  constructor({ retentionMs = Infinity } = {}) {
+    this.type = 'memory';
+    this.records = new Map();
+    this.retentionMs = retentionMs;
+  }
+
+  /**
+   * 新增或合并更新记录
+   *
+   * @param {Object} fields - 记录字段, 必须包含 userOpHash
+   * @returns {UserOpRecord} 更新后的记录
+   *
+   * @example
+   * userOpStore.save({ userOpHash, status: USEROP_STATUS.FAILED, reason: 'UserOp 执行 revert' });
+   */
+  save(fields) {
+    const now = Date.now();
+    const existing = this.records.get(fields.userOpHash);
+    const record = existing
+      ? { ...existing, ...fields, updatedAt: now }
+      : {
+          authorization: null,
+          source: 'rpc',
+          status: USEROP_STATUS.PENDING,
+          receivedAt: now,
+          ...fields,
+          sender: (fields.sender || fields.userOp?.sender || '').toLowerCase(),
+          updatedAt: now
+        };
+
+    this.records.set(record.userOpHash, record);
+    return record;
+  }
+
+  /**
+   * 查询记录
+   *
+   * @param {string} userOpHash - UserOperation hash
+   * @returns {UserOpRecord|null} 记录, 不存在返回 null
+   */
+  get(userOpHash) {
+    return this.records.get(userOpHash) || null;
+  }
+
+  /**
+   * 列出记录 (按接收时间倒序)
+   *
+   * @param {Object} [filter] - 过滤条件
+   * @param {string|Array<string>} [filter.status] - 状态
+   * @param {string} [filter.sender] - 发送者地址
+   * @param {number} [filter.limit] - 最多返回数量
+   * @returns {Array<UserOpRecord>} 记录列表
+   */
+  list({ status, sender, limit } = {}) {
+    const statuses = status ? [].concat(status) : null;
+    const senderAddress = sender?.toLowerCase();
+
+    const records = Array.from(this.records.values())
+      .filter((record) => !statuses || statuses.includes(record.status))
+      .filter((record) => !senderAddress || record.sender === senderAddress)
+      .sort((a, b) => b.receivedAt - a.receivedAt);
+
+    return limit ? records.slice(0, limit) : records;
+  }
+
+  /**
+   * 清除超过保留时间的已完成记录
+   * @returns {number} 清除数量
+   */
+  prune() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [userOpHash, record] of this.records) {
+      if (isFinished(record) && now - record.updatedAt > this.retentionMs) {
+        this.records.delete(userOpHash);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * 获取统计信息
+   * @returns {Object} 存储类型和各状态记录数量
+   */
+  getStats() {
+    const stats = { type: this.type, records: this.records.size };
+    for (const status of Object.values(USEROP_STATUS)) {
+      stats[status] = 0;
+    }
+    for (const record of this.records.values()) {
+      stats[record.status]++;
+    }
+    return stats;
+  }
+}
+
+/**
+ * JSON Lines 文件存储
+ */
+export class FileUserOpStore extends MemoryUserOpStore {
+  /**
+   * @param {Object} options - 配置
+   * @param {string} options.filePath - 文件路径
+   * @param {number} [options.retentionMs] - 已完成记录保留时间 (毫秒)
+   */
+  constructor({ filePath, retentionMs }) {
+    super({ retentionMs });
+    this.type = 'file';
+    this.filePath = path.resolve(filePath);
+    this.appended = 0;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.load();
+  }
+
+  /**
+   * 从文件加载记录 (同一 userOpHash 以最后一行为准), 清除过期记录后压缩文件
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      try {
+        const record = JSON.parse(line);
+        this.records.set(record.userOpHash, record);
+      } catch {
+        // 进程退出时未写完的行
+        console.warn(`UserOp 存储: 跳过无法解析的记录 (${this.filePath})`);
+      }
+    }
+
+    this.prune();
+    this.compact();
+  }
+
+  /**
+   * 新增或合并更新记录并追加到文件
+   *
+   * @param {Object} fields - 记录字段, 必须包含 userOpHash
+   * @returns {UserOpRecord} 更新后的记录
+   */
+  save(fields) {
+    const record = super.save(fields);
+    fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+    this.appended++;
+
+    if (this.appended > COMPACT_THRESHOLD && this.appended > this.records.size * 2) {
+      this.prune();
+      this.compact();
+    }
+
+    return record;
+  }
+
+  /**
+   * 压缩文件: 每个 userOpHash 只保留一行 (写入临时文件后替换)
+   */
+  compact() {
+    const tempPath = `${this.filePath}.tmp`;
+    const content = Array.from(this.records.values())
+      .map((record) => JSON.stringify(record) + '\n')
+      .join('');
+
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, this.filePath);
+    this.appended = 0;
+  }
+}
+
+/**
+ * 根据类型创建存储
+ *
+ * @param {string} type - 存储类型: file / memory
+ * @param {Object} [options] - 配置
+ * @param {string} [options.filePath] - 文件路径 (file)
+ * @param {number} [options.retentionMs] - 已完成记录保留时间 (毫秒)
+ * @returns {UserOpStore} 存储实例
+ * @throws {Error} 不支持的存储类型
+ */
+export function createUserOpStore(type, options = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryUserOpStore(options);
+    case 'file':
+      return new FileUserOpStore(options);
+    default:
+      throw new Error(`不支持的 USEROP_STORE: ${type} (file / memory)`);
+  }
+}
+
+let store = createUserOpStore(config.userOpStore, {
+  filePath: config.userOpStorePath,
+  retentionMs: config.userOpStoreRetentionHours * 3600000
+});
+
+/**
+ * 获取当前存储
+ * @returns {UserOpStore} 存储实例
+ */
+export function getUserOpStore() {
+  return store;
+}
+
+/**
+ * 替换存储 (使用自定义后端时在启动前调用)
+ *
+ * @param {UserOpStore} customStore - 实现 UserOpStore 接口的存储
+ *
+ * @example
+ * setUserOpStore(createUserOpStore('memory'));
+ */
+export function setUserOpStore(customStore) {
+  store = customStore;
+}
@@ -0,0 +1,244 @@
+/**
+ * UserOp 提交服务
+ *
+ * 功能:
+ * /api/execute 和 /api/send-raw 共用的提交流程 (校验通过之后):
+ * 1. 写入 UserOp 存储 (pending), 计入实体信誉 opsSeen
+ * 2. 构建 handleOps 交易并发送, 广播后更新为 submitted 并记录交易哈希
+ * 3. 等待 receipt, 根据 UserOperationEvent 更新存储状态 (included / failed) 和实体信誉
+ * 4. 2、3 的状态变化推送给事件订阅者 (见 userOpEvents), 3 的结果通知匹配的 webhook (见 webhooks)
+ * 5. 模拟失败 (FailedOp 等) 或执行 revert 时记录 revert 数据, 查询结果中附带解码后的错误 (见 revertDecoder)
+ *
+ * 同步模式等待 result 完成后返回; 异步模式立即返回 userOpHash, 通过 GET /api/userop/:hash 查询结果
+ *
+ * 查询状态 (getUserOpStatus):
+ * - received:  已接收, 尚未广播 (含 mempool 中等待打包)
+ * - submitted: bundle 交易已广播, 等待上链
+ * - replaced:  bundle 交易卡住, 已被提高手续费的交易替换, 等待上链
+ * - included:  已上链且执行成功
+ * - failed:    模拟失败、交易失败或执行 revert
+ *
+ * 交易达到替换上限仍未上链 (error.broadcast) 时记录保持 submitted, 交由 mempool 在后台确认结果 (见 mempool.track)
+ *
+ * @module userOpSubmission
+ */
+import {
+  buildERC7821Transaction,
+  sendTransaction,
+  parseUserOpResult,
+  getTrackedTransaction,
+  findUserOperationEvent,
+  getEntryPointInterface,
+  getProvider
+} from './bundler.js';
+import { hashUserOp } from './validation.js';
+import { reputation } from './reputation.js';
+import { getUserOpStore, USEROP_STATUS } from './userOpStore.js';
+import { saveAndPublish } from './userOpEvents.js';
+import { mempool } from './mempool.js';
+import { getRevertData, decodeRevertData } from './revertDecoder.js';
+
+/**
+ * 查询状态
+ */
+export const SUBMISSION_STATUS = {
+  RECEIVED: 'received',
+  SUBMITTED: 'submitted',
+  REPLACED: 'replaced',
+  INCLUDED: 'included',
+  FAILED: 'failed'
+};
+
+/**
+ * 提交结果类型定义
+ * @typedef {Object} UserOpSubmission
+ * @property {string} userOpHash - UserOperation hash
+ * @property {Promise<{receipt: Object, included: boolean}>} result - 上链结果
+ *   (发送失败时 reject, error.userOpHash 为 UserOperation hash)
+ */
+
+/**
+ * 提交单个 UserOp
+ * 存储记录在返回前已写入, 异步模式可立即返回 userOpHash
+ *
+ * @param {Object} params - 参数
+ * @param {Object} params.userOp - 已校验的 UserOperation (标准化格式)
+ * @param {Object|null} params.authorization - 已校验的 authorization
+ * @param {number} params.mode - 执行模式
+ * @param {string} params.source - 来源: execute / send-raw
+ * @param {string|null} [params.apiKeyId] - 提交方 API key 标识 (可信调用方), 用于匹配 webhook
+ * @returns {UserOpSubmission} 提交结果
+ *
+ * @example
+ * const { userOpHash, result } = submitUserOp({
+ *   userOp, authorization: validation.authorization, mode: validation.mode, source: 'execute'
+ * });
+ * const { receipt } = await result;
+ */
+export function submitUserOp({ userOp, authorization, mode, source, apiKeyId = null }) {
+  const store = getUserOpStore();
+  const userOpHash = hashUserOp(userOp);
+
+  store.save({
+    userOpHash,
+    userOp,
+    authorization,
+    source,
+    apiKeyId,
+    status: USEROP_STATUS.PENDING
+  });
+
+  // 链上 revert 或未上链的 UserOp 不计入 opsIncluded, 包含率过低的实体会被限流或封禁
+  reputation.recordSeen(userOp);
+
+  const result = sendAndRecord(userOpHash, userOp, buildERC7821Transaction(userOp, authorization, mode));
+  return { userOpHash, result };
+}
+
+/**
+ * 发送交易并记录结果
+ *
+ * @param {string} userOpHash - UserOperation hash
+ * @param {Object} userOp - UserOperation
+ * @param {Object} tx - handleOps 交易
+ * @returns {Promise<{receipt: Object, included: boolean, revert: Object|null}>} 上链结果 (revert 为解码后的执行 revert 错误)
+ * @throws {Error} 发送失败, error.revert 为解码后的 revert 错误 (无 revert 数据时为 null)
+ */
+async function sendAndRecord(userOpHash, userOp, tx) {
+  let receipt;
+  try {
+    receipt = await sendTransaction(tx, {
+      onBroadcast: (txHash) => saveAndPublish({ userOpHash, status: USEROP_STATUS.SUBMITTED, txHash })
+    });
+  } catch (error) {
+    // 已广播的交易仍可能上链, 确认结果后再计入信誉
+    if (!error.broadcast) {
+      reputation.recordResult(userOp, false);
+    }
+    const revertData = getRevertData(error);
+    error.revert = decodeRevertData(revertData);
+    const record = saveAndPublish({
+      userOpHash,
+      status: error.broadcast ? USEROP_STATUS.SUBMITTED : USEROP_STATUS.FAILED,
+      ...(revertData && { revertData }),
+      reason: error.revert?.message ?? (error.shortMessage || error.message)
+    });
+    if (error.broadcast) {
+      mempool.track(record);
+    }
+    error.userOpHash = userOpHash;
+    throw error;
+  }
+
+  const { found, success, actualGasCost, actualGasUsed, revertData } = parseUserOpResult(receipt, userOp);
+  reputation.recordResult(userOp, success);
+
+  let reason;
+  if (!success) {
+    reason = found ? 'UserOp 执行 revert' : 'handleOps 交易 revert';
+  }
+
+  saveAndPublish({
+    userOpHash,
+    status: success ? USEROP_STATUS.INCLUDED : USEROP_STATUS.FAILED,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString(),
+    actualGasCost,
+    actualGasUsed,
+    revertData,
+    reason
+  }, receipt);
+
+  return { receipt, included: success, revert: decodeRevertData(revertData) };
+}
+
+/**
+ * 转换 UserOp 存储记录为查询结果
+ *
+ * @param {Object} record - UserOp 存储记录
+ * @returns {Object} 查询结果
+ */
+function formatUserOpStatus(record) {
+  const tracked = record.txHash ? getTrackedTransaction(record.txHash) : null;
+  const finished = record.status === USEROP_STATUS.INCLUDED || record.status === USEROP_STATUS.FAILED;
+
+  let status;
+  let txHash = record.txHash ?? null;
+  if (record.status === USEROP_STATUS.PENDING) {
+    status = SUBMISSION_STATUS.RECEIVED;
+  } else if (record.status === USEROP_STATUS.SUBMITTED) {
+    status = tracked?.replacements > 0 ? SUBMISSION_STATUS.REPLACED : SUBMISSION_STATUS.SUBMITTED;
+    // 尚未上链时为最近一次广播的交易
+    txHash = tracked ? tracked.attempts[tracked.attempts.length - 1].hash : txHash;
+  } else {
+    status = record.status;
+  }
+
+  return {
+    userOpHash: record.userOpHash,
+    sender: record.userOp?.sender ?? record.sender,
+    nonce: record.userOp ? BigInt(record.userOp.nonce || 0).toString() : null,
+    source: record.source ?? null,
+    status,
+    txHash,
+    originalTxHash: tracked?.originalHash ?? txHash,
+    replacements: tracked ? tracked.attempts.slice(1) : [],
+    blockNumber: record.blockNumber ?? null,
+    result: finished
+      ? {
+          success: record.status === USEROP_STATUS.INCLUDED,
+          gasUsed: record.gasUsed ?? null,
+          actualGasCost: record.actualGasCost ?? null,
+          actualGasUsed: record.actualGasUsed ?? null,
+          revertData: record.revertData ?? null,
+          revert: decodeRevertData(record.revertData)
+        }
+      : null,
+    reason: record.reason ?? null,
+    receivedAt: record.receivedAt ?? null,
+    updatedAt: record.updatedAt ?? null
+  };
+}
+
+/**
+ * 查询 UserOp 状态
+ * 优先查询 UserOp 存储, 未记录的 UserOp (如其他 bundler 提交) 查询链上 UserOperationEvent
+ *
+ * @param {string} userOpHash - UserOperation hash
+ * @returns {Promise<Object|null>} 查询结果, 不存在返回 null
+ *
+ * @example
+ * const status = await getUserOpStatus(userOpHash);
+ * if (status?.status === SUBMISSION_STATUS.INCLUDED) {
+ *   console.log('已上链:', status.txHash);
+ * }
+ */
+export async function getUserOpStatus(userOpHash) {
+  const record = getUserOpStore().get(userOpHash);
+  if (record) {
+    return formatUserOpStatus(record);
+  }
+
+  const log = await findUserOperationEvent(userOpHash);
+  if (!log) {
+    return null;
+  }
+
+  const event = getEntryPointInterface().parseLog(log);
+  const receipt = await getProvider().getTransactionReceipt(log.transactionHash);
+  const result = parseUserOpResult(receipt, { sender: event.args.sender, nonce: event.args.nonce });
+
+  return formatUserOpStatus({
+    userOpHash,
+    userOp: { sender: event.args.sender, nonce: event.args.nonce.toString() },
+    status: result.success ? USEROP_STATUS.INCLUDED : USEROP_STATUS.FAILED,
+    txHash: log.transactionHash,
+    blockNumber: log.blockNumber,
+    gasUsed: receipt.gasUsed.toString(),
+    actualGasCost: result.actualGasCost,
+    actualGasUsed: result.actualGasUsed,
+    revertData: result.revertData,
+    reason: result.success ? null : 'UserOp 执行 revert'
+  });
+}
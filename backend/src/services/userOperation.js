@@ -0,0 +1,206 @@
+/**
+ * UserOperation 格式转换服务
+ *
+ * 功能:
+ * 1. 在 EntryPoint v0.7 PackedUserOperation 和展开格式之间转换
+ * 2. 打包/解包 accountGasLimits、gasFees (两个 uint128 拼接为 bytes32)
+ * 3. 将任意格式的 UserOp 标准化为统一的展开格式
+ *
+ * 支持的输入格式:
+ * - 展开格式 (v0.6 风格): callGasLimit, verificationGasLimit, maxFeePerGas, maxPriorityFeePerGas
+ * - v0.7 RPC 格式: factory/factoryData, paymaster/paymasterVerificationGasLimit/paymasterPostOpGasLimit/paymasterData
+ * - v0.7 Packed 格式: initCode, accountGasLimits, gasFees
+ *
+ * Packed 字段布局:
+ * - accountGasLimits = verificationGasLimit (高128位) || callGasLimit (低128位)
+ * - gasFees          = maxPriorityFeePerGas (高128位) || maxFeePerGas (低128位)
+ *
+ * @module userOperation
+ */
+import { ethers } from 'ethers';
+
+const MAX_UINT128 = 2n ** 128n - 1n;
+
+/**
+ * PackedUserOperation 类型定义 (EntryPoint v0.7)
+ * @typedef {Object} PackedUserOperation
+ * @property {string} sender - 发送者地址
+ * @property {bigint} nonce - nonce值
+ * @property {string} initCode - factory地址 + factoryData
+ * @property {string} callData - 调用数据
+ * @property {string} accountGasLimits - verificationGasLimit || callGasLimit (bytes32)
+ * @property {bigint} preVerificationGas - 预验证gas
+ * @property {string} gasFees - maxPriorityFeePerGas || maxFeePerGas (bytes32)
+ * @property {string} paymasterAndData - paymaster数据
+ * @property {string} signature - 签名
+ */
+
+/**
+ * 将两个 uint128 打包为 bytes32
+ *
+ * @param {bigint|string|number} high - 高128位
+ * @param {bigint|string|number} low - 低128位
+ * @returns {string} bytes32 hex 字符串
+ *
+ * @example
+ * const accountGasLimits = packUint128Pair(verificationGasLimit, callGasLimit);
+ */
+export function packUint128Pair(high, low) {
+  const highValue = BigInt(high || 0);
+  const lowValue = BigInt(low || 0);
+
+  if (highValue < 0n || highValue > MAX_UINT128 || lowValue < 0n || lowValue > MAX_UINT128) {
+    throw new Error('数值超出 uint128 范围');
+  }
+
+  return ethers.solidityPacked(['uint128', 'uint128'], [highValue, lowValue]);
+}
+
+/**
+ * 将 bytes32 解包为两个 uint128
+ *
+ * @param {string} packed - bytes32 hex 字符串
+ * @returns {[bigint, bigint]} [高128位, 低128位]
+ *
+ * @example
+ * const [verificationGasLimit, callGasLimit] = unpackUint128Pair(userOp.accountGasLimits);
+ */
+export function unpackUint128Pair(packed) {
+  const value = BigInt(ethers.zeroPadValue(packed || '0x', 32));
+  return [value >> 128n, value & MAX_UINT128];
+}
+
+/**
+ * 计算 initCode
+ * 优先使用 initCode 字段，否则由 factory + factoryData 拼接
+ *
+ * @param {Object} userOp - UserOperation 对象
+ * @returns {string} initCode
+ */
+function getInitCode(userOp) {
+  if (userOp.initCode) {
+    return userOp.initCode;
+  }
+
+  if (userOp.factory && userOp.factory !== ethers.ZeroAddress) {
+    return ethers.concat([userOp.factory, userOp.factoryData || '0x']);
+  }
+
+  return '0x';
+}
+
+/**
+ * 计算 paymasterAndData
+ * 优先使用 paymasterAndData 字段，否则由 v0.7 RPC 的 paymaster 字段拼接:
+ * paymaster (20) || paymasterVerificationGasLimit (16) || paymasterPostOpGasLimit (16) || paymasterData
+ *
+ * @param {Object} userOp - UserOperation 对象
+ * @returns {string} paymasterAndData
+ */
+function getPaymasterAndData(userOp) {
+  if (userOp.paymasterAndData) {
+    return userOp.paymasterAndData;
+  }
+
+  if (userOp.paymaster && userOp.paymaster !== ethers.ZeroAddress) {
+    return ethers.concat([
+      userOp.paymaster,
+      packUint128Pair(userOp.paymasterVerificationGasLimit, userOp.paymasterPostOpGasLimit),
+      userOp.paymasterData || '0x'
+    ]);
+  }
+
+  return '0x';
+}
+
+/**
+ * 将 UserOp 标准化为展开格式 (所有数值转换为十进制字符串)
+ *
+ * 路由在接收 UserOp 后应先调用此函数，
+ * 之后的参数校验、hash 计算和交易构建均基于统一格式
+ *
+ * @param {Object} userOp - 任意格式的 UserOperation
+ * @returns {Object} 展开格式的 UserOperation
+ *
+ * @example
+ * const userOp = normalizeUserOp(req.body.userOp);
+ * console.log(userOp.callGasLimit);
+ */
+export function normalizeUserOp(userOp) {
+  if (!userOp || typeof userOp !== 'object') {
+    return userOp;
+  }
+
+  let callGasLimit = userOp.callGasLimit;
+  let verificationGasLimit = userOp.verificationGasLimit;
+  let maxFeePerGas = userOp.maxFeePerGas;
+  let maxPriorityFeePerGas = userOp.maxPriorityFeePerGas;
+
+  if (userOp.accountGasLimits !== undefined) {
+    [verificationGasLimit, callGasLimit] = unpackUint128Pair(userOp.accountGasLimits);
+  }
+
+  if (userOp.gasFees !== undefined) {
+    [maxPriorityFeePerGas, maxFeePerGas] = unpackUint128Pair(userOp.gasFees);
+  }
+
+  return {
+    sender: userOp.sender,
+    nonce: BigInt(userOp.nonce || 0).toString(),
+    initCode: getInitCode(userOp),
+    callData: userOp.callData || '0x',
+    callGasLimit: BigInt(callGasLimit || 0).toString(),
+    verificationGasLimit: BigInt(verificationGasLimit || 0).toString(),
+    preVerificationGas: BigInt(userOp.preVerificationGas || 0).toString(),
+    maxFeePerGas: BigInt(maxFeePerGas || 0).toString(),
+    maxPriorityFeePerGas: BigInt(maxPriorityFeePerGas || 0).toString(),
+    paymasterAndData: getPaymasterAndData(userOp),
+    signature: userOp.signature
+  };
+}
+
+/**
+ * 将 UserOp 转换为 EntryPoint v0.7 PackedUserOperation
+ *
+ * @param {Object} userOp - 任意格式的 UserOperation
+ * @returns {PackedUserOperation} PackedUserOperation 对象
+ *
+ * @example
+ * const packed = packUserOp(userOp);
+ * entryPoint.interface.encodeFunctionData('handleOps', [[packed], beneficiary]);
+ */
+export function packUserOp(userOp) {
+  const op = normalizeUserOp(userOp);
+
+  return {
+    sender: op.sender,
+    nonce: BigInt(op.nonce),
+    initCode: op.initCode,
+    callData: op.callData,
+    accountGasLimits: packUint128Pair(op.verificationGasLimit, op.callGasLimit),
+    preVerificationGas: BigInt(op.preVerificationGas),
+    gasFees: packUint128Pair(op.maxPriorityFeePerGas, op.maxFeePerGas),
+    paymasterAndData: op.paymasterAndData,
+    signature: op.signature || '0x'
+  };
+}
+
+/**
+ * 将 PackedUserOperation 解包为展开格式
+ *
+ * @param {PackedUserOperation} packed - PackedUserOperation (如 handleOps 解码结果)
+ * @returns {Object} 展开格式的 UserOperation
+ */
+export function unpackUserOp(packed) {
+  return normalizeUserOp({
+    sender: packed.sender,
+    nonce: packed.nonce,
+    initCode: packed.initCode,
+    callData: packed.callData,
+    accountGasLimits: packed.accountGasLimits,
+    preVerificationGas: packed.preVerificationGas,
+    gasFees: packed.gasFees,
+    paymasterAndData: packed.paymasterAndData,
+    signature: packed.signature
+  });
+}
@@ -0,0 +1,270 @@
+/**
+ * UserOp 验证规则检查服务 (ERC-7562)
+ *
+ * 功能:
+ * 使用 debug_traceCall + JS tracer 在本地节点上跟踪账户的 validateUserOp,
+ * 检查验证阶段是否违反 ERC-7562 规则, 违规的 UserOp 在 bundler 付出 gas 前被拒绝
+ *
+ * 检查的规则:
+ * - OP-011: 禁用 opcode (ORIGIN, TIMESTAMP, NUMBER, BALANCE, SELFBALANCE, GASPRICE 等环境相关 opcode)
+ * - OP-012: GAS opcode 之后必须紧跟 *CALL
+ * - OP-020: 验证阶段 out of gas
+ * - STO-021: 访问外部合约中与 sender 无关的存储
+ *   (允许: sender 自身存储、EntryPoint 存储、slot == sender 或 keccak256(sender || ...) + n, n <= 128)
+ * - REVERT: 验证阶段 revert (如签名或 nonce 无效)
+ *
+ * 模式 (VALIDATION_TRACER_MODE):
+ * - off:     不检查 (默认)
+ * - warn:    检查并记录日志, 不拒绝
+ * - enforce: 拒绝违规的 UserOp, 节点不支持 debug_traceCall 时同样拒绝
+ *
+ * 注意: 本仓库的 Kernel.validateUserOp 读取 tx.origin (ORIGIN) 和 address(this).balance (SELFBALANCE),
+ * 开启 enforce 后使用该 Kernel 的 UserOp 都会被拒绝
+ *
+ * @module validationTracer
+ */
+import { ethers } from 'ethers';
+import { config } from '../config.js';
+import { getProvider } from './bundler.js';
+import { getDelegationInfo, getDelegationOverride } from './delegation.js';
+import { normalizeUserOp } from './userOperation.js';
+import { buildValidationCall, intrinsicGas } from './gasEstimator.js';
+
+/**
+ * 检查模式
+ */
+export const VALIDATION_TRACER_MODES = {
+  OFF: 'off',
+  WARN: 'warn',
+  ENFORCE: 'enforce'
+};
+
+/**
+ * 关联存储允许的 slot 偏移 (keccak256(sender || ...) + n)
+ */
+const MAX_ASSOCIATED_SLOT_OFFSET = 128n;
+
+/**
+ * debug_traceCall JS tracer
+ * 记录禁用 opcode、GAS 之后的非 CALL 指令、SLOAD/SSTORE 槽位、KECCAK256 原像和 out of gas
+ */
+export const VALIDATION_TRACER = `{
+  forbidden: {
+    GASPRICE: 1, GASLIMIT: 1, DIFFICULTY: 1, PREVRANDAO: 1, TIMESTAMP: 1, BASEFEE: 1,
+    BLOCKHASH: 1, NUMBER: 1, SELFBALANCE: 1, BALANCE: 1, ORIGIN: 1, COINBASE: 1,
+    CREATE: 1, CREATE2: 1, SELFDESTRUCT: 1, BLOBHASH: 1, BLOBBASEFEE: 1, INVALID: 1
+  },
+  callOps: { CALL: 1, CALLCODE: 1, DELEGATECALL: 1, STATICCALL: 1 },
+  opcodes: [],
+  storage: [],
+  keccak: [],
+  oog: false,
+  last: null,
+  step: function (log, db) {
+    var op = log.op.toString();
+    var address = toHex(log.contract.getAddress());
+    var depth = log.getDepth();
+
+    if (this.last && this.last.op === 'GAS' && !this.callOps[op]) {
+      this.opcodes.push({ op: 'GAS', address: this.last.address, depth: this.last.depth });
+    }
+    if (this.forbidden[op]) {
+      this.opcodes.push({ op: op, address: address, depth: depth });
+    }
+    if (op === 'SLOAD' || op === 'SSTORE') {
+      this.storage.push({ op: op, address: address, slot: log.stack.peek(0).toString(16) });
+    }
+    if (op === 'KECCAK256' || op === 'SHA3') {
+      var offset = log.stack.peek(0).valueOf();
+      var length = log.stack.peek(1).valueOf();
+      if (length > 0 && length <= 512) {
+        this.keccak.push(toHex(log.memory.slice(offset, offset + length)));
+      }
+    }
+    this.last = { op: op, address: address, depth: depth };
+  },
+  fault: function (log, db) {
+    if (String(log.getError()).indexOf('out of gas') >= 0) {
+      this.oog = true;
+    }
+  },
+  result: function (ctx, db) {
+    var error = ctx.error ? String(ctx.error) : null;
+    return {
+      opcodes: this.opcodes,
+      storage: this.storage,
+      keccak: this.keccak,
+      oog: this.oog || (error !== null && error.indexOf('out of gas') >= 0),
+      error: error
+    };
+  }
+}`;
+
+/**
+ * 违规记录类型定义
+ * @typedef {Object} ValidationViolation
+ * @property {string} rule - 规则编号 (OP-011 / OP-012 / OP-020 / STO-021 / REVERT / TRACE_FAILED)
+ * @property {string} message - 说明
+ * @property {string} [opcode] - 违规 opcode
+ * @property {string} [address] - 发生违规的合约地址
+ * @property {string} [slot] - 访问的存储槽位
+ */
+
+/**
+ * 判断存储槽位是否与 sender 关联
+ *
+ * @param {bigint} slot - 存储槽位
+ * @param {string} sender - sender 地址 (小写)
+ * @param {Array<string>} keccakPreimages - 验证阶段计算过的 KECCAK256 原像
+ * @returns {boolean} 是否关联
+ */
+function isAssociatedSlot(slot, sender, keccakPreimages) {
+  const senderWord = ethers.zeroPadValue(sender, 32).toLowerCase();
+
+  if (slot === BigInt(senderWord)) {
+    return true;
+  }
+
+  return keccakPreimages.some((preimage) => {
+    if (ethers.dataLength(preimage) < 32 || ethers.dataSlice(preimage, 0, 32).toLowerCase() !== senderWord) {
+      return false;
+    }
+    const base = BigInt(ethers.keccak256(preimage));
+    return slot >= base && slot - base <= MAX_ASSOCIATED_SLOT_OFFSET;
+  });
+}
+
+/**
+ * 根据 tracer 结果检查验证规则
+ *
+ * @param {Object} trace - VALIDATION_TRACER 的返回值
+ * @param {Object} context - 上下文
+ * @param {string} context.sender - 账户地址
+ * @param {string} [context.entryPoint] - EntryPoint 地址, 默认使用配置
+ * @returns {Array<ValidationViolation>} 违规列表 (已去重)
+ *
+ * @example
+ * const violations = analyzeValidationTrace(trace, { sender: userOp.sender });
+ * if (violations.length > 0) console.log(violations[0].rule); // 'OP-011'
+ */
+export function analyzeValidationTrace(trace, { sender, entryPoint = config.entryPointAddress }) {
+  const violations = new Map();
+  const senderAddress = sender.toLowerCase();
+  const entryPointAddress = entryPoint.toLowerCase();
+  const keccakPreimages = trace.keccak || [];
+
+  const add = (key, violation) => {
+    if (!violations.has(key)) violations.set(key, violation);
+  };
+
+  for (const { op, address } of trace.opcodes || []) {
+    const contract = ethers.getAddress(address);
+    if (op === 'GAS') {
+      add(`OP-012:${contract}`, {
+        rule: 'OP-012',
+        opcode: op,
+        address: contract,
+        message: `${contract} 使用了 GAS opcode 且之后不是 *CALL`
+      });
+    } else {
+      add(`OP-011:${op}:${contract}`, {
+        rule: 'OP-011',
+        opcode: op,
+        address: contract,
+        message: `${contract} 在验证阶段使用了禁用 opcode ${op}`
+      });
+    }
+  }
+
+  for (const { op, address, slot } of trace.storage || []) {
+    const contract = address.toLowerCase();
+    if (contract === senderAddress || contract === entryPointAddress) {
+      continue;
+    }
+
+    const slotValue = BigInt('0x' + slot);
+    if (!isAssociatedSlot(slotValue, senderAddress, keccakPreimages)) {
+      const slotHex = ethers.toBeHex(slotValue, 32);
+      add(`STO-021:${contract}:${slotHex}`, {
+        rule: 'STO-021',
+        opcode: op,
+        address: ethers.getAddress(address),
+        slot: slotHex,
+        message: `${ethers.getAddress(address)} 的存储槽位 ${slotHex} 与 sender 无关 (${op})`
+      });
+    }
+  }
+
+  if (trace.oog) {
+    add('OP-020', { rule: 'OP-020', message: '验证阶段 out of gas, verificationGasLimit 不足' });
+  } else if (trace.error) {
+    add('REVERT', { rule: 'REVERT', message: `validateUserOp revert: ${trace.error}` });
+  }
+
+  return Array.from(violations.values());
+}
+
+/**
+ * 使用 debug_traceCall 跟踪 UserOp 的 validateUserOp 并检查验证规则
+ * 以 EntryPoint 为 from, gas 上限为 verificationGasLimit, 未 delegation 的账户注入 designator
+ *
+ * @param {Object} userOp - UserOperation (任意支持格式)
+ * @returns {Promise<Array<ValidationViolation>>} 违规列表
+ * @throws {Error} 节点不支持 debug_traceCall 或 JS tracer 时
+ */
+export async function traceUserOpValidation(userOp) {
+  const op = normalizeUserOp(userOp);
+  const delegation = await getDelegationInfo(op.sender);
+  const senderOverrides = delegation.isKernel ? {} : getDelegationOverride(op.sender);
+
+  const { tx, overrides } = await buildValidationCall(op, senderOverrides);
+  const gas = intrinsicGas(tx.data) + BigInt(op.verificationGasLimit);
+
+  const trace = await getProvider().send('debug_traceCall', [
+    { ...tx, gas: ethers.toQuantity(gas) },
+    'latest',
+    { tracer: VALIDATION_TRACER, stateOverrides: overrides }
+  ]);
+
+  return analyzeValidationTrace(trace, { sender: tx.to });
+}
+
+/**
+ * 按 VALIDATION_TRACER_MODE 检查 UserOp 的验证规则
+ *
+ * @param {Object} userOp - UserOperation (任意支持格式)
+ * @returns {Promise<{valid: boolean, message: string, violations: Array<ValidationViolation>}>} 检查结果
+ *
+ * @example
+ * const rules = await checkValidationRules(userOp);
+ * if (!rules.valid) {
+ *   return errorResponse(res, 400, 'VALIDATION_RULE_VIOLATION', rules.message, requestId, rules.violations);
+ * }
+ */
+export async function checkValidationRules(userOp) {
+  const mode = config.validationTracerMode;
+  if (mode === VALIDATION_TRACER_MODES.OFF) {
+    return { valid: true, message: 'OK', violations: [] };
+  }
+
+  let violations;
+  try {
+    violations = await traceUserOpValidation(userOp);
+  } catch (error) {
+    violations = [{ rule: 'TRACE_FAILED', message: `debug_traceCall 失败: ${error.shortMessage || error.message}` }];
+  }
+
+  if (violations.length === 0) {
+    return { valid: true, message: 'OK', violations };
+  }
+
+  const rules = [...new Set(violations.map((violation) => violation.rule))];
+  const message = `验证阶段违反 ERC-7562 规则: ${rules.join(', ')}`;
+
+  if (mode !== VALIDATION_TRACER_MODES.ENFORCE) {
+    console.warn(`[${userOp.sender}] ${message}`, violations);
+    return { valid: true, message, violations };
+  }
+
+  return { valid: false, message, violations };
+}
@@ -0,0 +1,605 @@
+/**
+ * Bundler 钱包池服务
+ *
+ * 功能:
+ * 1. 管理多个 bundler 签名钱包 (BUNDLER_PRIVATE_KEYS)
+ * 2. 本地分配 EOA nonce，并发发送交易时不再争抢同一个 nonce
+ * 3. 按 round-robin 或 least-busy 策略选择钱包
+ * 4. 跟踪每个钱包的在途交易数量
+ * 5. 检测长时间未上链的交易，以相同 nonce 提高手续费重新广播 (replacement)
+ *
+ * Nonce 分配:
+ * - 钱包首次使用时从链上读取 pending nonce，之后在本地递增
+ * - 先估算 gas 和手续费再分配 nonce，估算失败 (如 handleOps revert) 不占用 nonce
+ * - 分配后未能广播时归还 nonce: 是最新分配的则回退, 否则 (同一钱包更高的 nonce 已在途) 留给下一笔交易优先使用
+ * - nonce 冲突且该钱包没有其他在途交易时，丢弃本地 nonce 并重新从链上同步
+ *
+ * 卡住交易替换:
+ * - 广播后超过 stuckTimeoutMs 仍未上链，以相同 nonce、gasLimit 和 calldata 重新广播,
+ *   maxFeePerGas / maxPriorityFeePerGas 各提高 feeBumpPercent (节点要求至少 10%)
+ * - 最多替换 maxReplacements 次，maxFeePerGas 不超过 maxFeePerGas 上限
+ * - 任一次广播的交易上链即结束等待，替换历史可通过 getTransaction 查询
+ *
+ * @module walletPool
+ */
+import { ethers } from 'ethers';
+
+/**
+ * 钱包选择策略
+ */
+export const SELECTION_STRATEGIES = {
+  ROUND_ROBIN: 'round-robin',
+  LEAST_BUSY: 'least-busy'
+};
+
+/**
+ * 交易跟踪状态
+ */
+export const TX_STATUS = {
+  PENDING: 'pending',
+  MINED: 'mined',
+  REVERTED: 'reverted',
+  STUCK: 'stuck'
+};
+
+/**
+ * 因 nonce 冲突重新同步后的最大重发次数
+ */
+const MAX_NONCE_RESYNC_RETRIES = 1;
+
+/**
+ * 查询 receipt 的轮询间隔 (毫秒)
+ */
+const RECEIPT_POLL_INTERVAL_MS = 1000;
+
+/**
+ * 已结束交易记录保留时间 (1小时)
+ */
+const FINISHED_TX_TTL = 3600000;
+
+/**
+ * 默认替换配置
+ */
+const DEFAULT_REPLACEMENT_OPTIONS = {
+  stuckTimeoutMs: 30000,
+  feeBumpPercent: 15,
+  maxReplacements: 3,
+  maxFeePerGas: null
+};
+
+/**
+ * 判断错误是否为 nonce 冲突
+ * @param {Error} error - ethers 错误对象
+ * @returns {boolean} 是否为 nonce 冲突
+ */
+function isNonceError(error) {
+  return error.code === 'NONCE_EXPIRED' || /nonce/i.test(error.message);
+}
+
+/**
+ * 判断替换交易的广播错误是否表示原交易已上链或已在节点中
+ * @param {Error} error - ethers 错误对象
+ * @returns {boolean} 是否可忽略 (继续轮询 receipt)
+ */
+function isAlreadyHandledError(error) {
+  return isNonceError(error) || /already known|replacement/i.test(error.message);
+}
+
+/**
+ * 等待指定毫秒
+ * @param {number} ms - 毫秒
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 标记错误发生在交易广播之后 (调用方不可用新 nonce 重发)
+ * @param {Error} error - 错误对象
+ * @returns {Error} 原错误对象
+ */
+function markBroadcast(error) {
+  error.broadcast = true;
+  return error;
+}
+
+/**
+ * 计算替换交易的手续费
+ *
+ * @param {{maxFeePerGas: bigint, maxPriorityFeePerGas: bigint}} fees - 上一次广播的手续费
+ * @param {number} bumpPercent - 提高百分比
+ * @param {bigint|null} [maxFeePerGasCap] - maxFeePerGas 上限
+ * @returns {{maxFeePerGas: bigint, maxPriorityFeePerGas: bigint}|null} 新手续费, 已达上限时返回 null
+ *
+ * @example
+ * bumpFees({ maxFeePerGas: 100n, maxPriorityFeePerGas: 10n }, 15);
+ * // { maxFeePerGas: 115n, maxPriorityFeePerGas: 12n }
+ */
+export function bumpFees(fees, bumpPercent, maxFeePerGasCap = null) {
+  const multiplier = BigInt(100 + bumpPercent);
+  const bump = (value) => (BigInt(value) * multiplier + 99n) / 100n;
+
+  let maxFeePerGas = bump(fees.maxFeePerGas);
+  let maxPriorityFeePerGas = bump(fees.maxPriorityFeePerGas);
+
+  if (maxFeePerGasCap !== null && maxFeePerGas > maxFeePerGasCap) {
+    maxFeePerGas = maxFeePerGasCap;
+  }
+
+  if (maxFeePerGas <= BigInt(fees.maxFeePerGas)) {
+    return null;
+  }
+
+  if (maxPriorityFeePerGas > maxFeePerGas) {
+    maxPriorityFeePerGas = maxFeePerGas;
+  }
+
+  return { maxFeePerGas, maxPriorityFeePerGas };
+}
+
+/**
+ * 转换交易记录为 JSON 可序列化格式 (bigint 转字符串)
+ *
+ * @param {Object} record - 交易记录
+ * @returns {Object} 交易记录副本
+ */
+export function formatTransactionRecord(record) {
+  return {
+    originalHash: record.originalHash,
+    from: record.from,
+    nonce: record.nonce,
+    status: record.status,
+    minedHash: record.minedHash,
+    blockNumber: record.blockNumber,
+    replacements: record.attempts.length - 1,
+    attempts: record.attempts.map((attempt) => ({
+      hash: attempt.hash,
+      maxFeePerGas: attempt.maxFeePerGas?.toString() ?? null,
+      maxPriorityFeePerGas: attempt.maxPriorityFeePerGas?.toString() ?? null,
+      sentAt: attempt.sentAt
+    })),
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt
+  };
+}
+
+export class BundlerWalletPool {
+  /**
+   * @param {Array<string>} privateKeys - bundler 私钥列表 (至少一个)
+   * @param {Object} provider - ethers Provider
+   * @param {string} [strategy] - 选择策略, 默认 round-robin
+   * @param {Object} [options] - 卡住交易替换配置
+   * @param {number} [options.stuckTimeoutMs] - 判定卡住的等待时间 (毫秒)
+   * @param {number} [options.feeBumpPercent] - 每次替换提高的手续费百分比
+   * @param {number} [options.maxReplacements] - 最多替换次数
+   * @param {bigint|null} [options.maxFeePerGas] - maxFeePerGas 上限 (null 表示不限)
+   */
+  constructor(privateKeys, provider, strategy = SELECTION_STRATEGIES.ROUND_ROBIN, options = {}) {
+    if (!privateKeys || privateKeys.length === 0) {
+      throw new Error('bundler 私钥不能为空');
+    }
+
+    if (!Object.values(SELECTION_STRATEGIES).includes(strategy)) {
+      throw new Error(`不支持的钱包选择策略: ${strategy}`);
+    }
+
+    this.provider = provider;
+    this.strategy = strategy;
+    this.replacement = { ...DEFAULT_REPLACEMENT_OPTIONS, ...options };
+    this.cursor = 0;
+    this.transactions = new Map();
+    this.hashIndex = new Map();
+    this.entries = privateKeys.map((privateKey) => {
+      const wallet = new ethers.Wallet(privateKey, provider);
+      return {
+        wallet,
+        address: wallet.address,
+        nextNonce: null,
+        // 未能广播且填补失败的 nonce, 优先分配 (避免在途交易之前出现空缺)
+        freedNonces: [],
+        syncPromise: null,
+        inFlight: 0,
+        sent: 0,
+        failed: 0
+      };
+    });
+  }
+
+  /**
+   * 主钱包 (用作 handleOps beneficiary 和模拟时的 from)
+   * @returns {Object} ethers Wallet
+   */
+  get primary() {
+    return this.entries[0].wallet;
+  }
+
+  /**
+   * 按策略选择钱包
+   * @returns {Object} 钱包条目
+   */
+  select() {
+    if (this.strategy === SELECTION_STRATEGIES.LEAST_BUSY) {
+      // 在途交易最少者优先, 相同时按轮询顺序
+      let selected = null;
+      for (let offset = 0; offset < this.entries.length; offset++) {
+        const entry = this.entries[(this.cursor + offset) % this.entries.length];
+        if (!selected || entry.inFlight < selected.inFlight) {
+          selected = entry;
+        }
+      }
+      this.cursor = (this.entries.indexOf(selected) + 1) % this.entries.length;
+      return selected;
+    }
+
+    const entry = this.entries[this.cursor];
+    this.cursor = (this.cursor + 1) % this.entries.length;
+    return entry;
+  }
+
+  /**
+   * 为钱包分配下一个 nonce
+   * @param {Object} entry - 钱包条目
+   * @returns {Promise<number>} nonce
+   */
+  async allocateNonce(entry) {
+    if (entry.nextNonce === null) {
+      // 并发请求共享同一次链上同步
+      if (!entry.syncPromise) {
+        entry.syncPromise = this.provider.getTransactionCount(entry.address, 'pending')
+          .then((nonce) => {
+            if (entry.nextNonce === null) entry.nextNonce = nonce;
+          })
+          .finally(() => {
+            entry.syncPromise = null;
+          });
+      }
+      await entry.syncPromise;
+    }
+
+    if (entry.freedNonces.length > 0) {
+      return entry.freedNonces.shift();
+    }
+
+    return entry.nextNonce++;
+  }
+
+  /**
+   * 归还分配后未能广播的 nonce
+   * 是最新分配的 nonce 时回退, 否则 (更高的 nonce 已在途) 立即填补空缺
+   *
+   * @param {Object} entry - 钱包条目
+   * @param {number} nonce - 未使用的 nonce
+   */
+  releaseNonce(entry, nonce) {
+    if (entry.nextNonce === null) return;
+
+    if (nonce === entry.nextNonce - 1) {
+      entry.nextNonce--;
+      // 回退后位于末尾的已归还 nonce 一并回退
+      while (entry.freedNonces.at(-1) === entry.nextNonce - 1) {
+        entry.nextNonce = entry.freedNonces.pop();
+      }
+      return;
+    }
+
+    this.fillNonceGap(entry, nonce);
+  }
+
+  /**
+   * 用 0 ETH 自转账占用空缺的 nonce
+   * 否则没有后续交易时, 更高 nonce 的在途交易会一直排在空缺之后, 提高手续费替换也无法上链
+   * 填补失败时记录下来优先分配给下一笔交易
+   *
+   * @param {Object} entry - 钱包条目
+   * @param {number} nonce - 空缺的 nonce
+   * @returns {Promise<void>}
+   */
+  async fillNonceGap(entry, nonce) {
+    try {
+      const txResponse = await entry.wallet.sendTransaction({ to: entry.address, value: 0n, nonce });
+      console.warn(`钱包 ${entry.address} 的 nonce ${nonce} 未能广播, 已用自转账 ${txResponse.hash} 填补`);
+    } catch (error) {
+      if (isNonceError(error)) {
+        // nonce 已被使用, 不存在空缺
+        return;
+      }
+
+      console.warn(`填补钱包 ${entry.address} 的 nonce ${nonce} 失败:`, error.message);
+      if (entry.nextNonce !== null && nonce < entry.nextNonce) {
+        entry.freedNonces.push(nonce);
+        entry.freedNonces.sort((a, b) => a - b);
+      }
+    }
+  }
+
+  /**
+   * 丢弃本地 nonce, 下次分配时重新从链上同步
+   * @param {Object} entry - 钱包条目
+   */
+  resetNonce(entry) {
+    entry.nextNonce = null;
+    entry.freedNonces = [];
+  }
+
+  /**
+   * 选择钱包, 分配 nonce 并发送交易, 等待上链 (卡住时提高手续费替换)
+   *
+   * 广播之后的错误带有 error.broadcast = true, 调用方不应再用新 nonce 重发
+   *
+   * @param {Object} tx - 交易对象 (不含 nonce, 不含 to 时发送给所选钱包自身)
+   * @param {Object} [options] - 可选参数
+   * @param {function(string): void} [options.onBroadcast] - 首次广播后回调 (参数为交易哈希)
+   * @returns {Promise<Object>} 交易 receipt (可能是替换交易的 receipt)
+   */
+  async sendTransaction(tx, { onBroadcast } = {}) {
+    const entry = this.select();
+    entry.inFlight++;
+
+    // 仅含 authorizationList 的 type-4 交易: 发送给实际发送的钱包, 不在钱包之间转账
+    if (!tx.to) {
+      tx = { ...tx, to: entry.address };
+    }
+
+    try {
+      const txResponse = await this.broadcast(entry, tx);
+      const record = this.track(entry, txResponse);
+
+      try {
+        onBroadcast?.(record.originalHash);
+      } catch (error) {
+        console.warn(`onBroadcast 回调失败 (${record.originalHash}):`, error.message);
+      }
+
+      return await this.waitForReceipt(entry, tx, record);
+    } finally {
+      entry.inFlight--;
+    }
+  }
+
+  /**
+   * 估算 gas 和手续费后分配 nonce 并广播交易, nonce 冲突时重试
+   *
+   * @param {Object} entry - 钱包条目
+   * @param {Object} tx - 交易对象
+   * @returns {Promise<Object>} ethers TransactionResponse
+   */
+  async broadcast(entry, tx) {
+    let populated;
+    try {
+      // 估算失败时尚未分配 nonce
+      populated = await entry.wallet.populateTransaction(tx);
+      delete populated.nonce;
+    } catch (error) {
+      entry.failed++;
+      throw error;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const nonce = await this.allocateNonce(entry);
+
+      try {
+        const txResponse = await entry.wallet.sendTransaction({ ...populated, nonce });
+        entry.sent++;
+        return txResponse;
+      } catch (error) {
+        const nonceError = isNonceError(error);
+
+        if (!nonceError) {
+          // 未广播, nonce 未被消耗
+          this.releaseNonce(entry, nonce);
+        } else if (entry.inFlight === 1) {
+          // 本地 nonce 与链上不一致 (如外部使用了该钱包), 没有其他在途交易时重新同步
+          this.resetNonce(entry);
+        }
+        // 有其他在途交易时不重新同步 (会重复分配在途的 nonce), 冲突的 nonce 已被使用, 重试时分配下一个
+
+        if (nonceError && attempt < MAX_NONCE_RESYNC_RETRIES) {
+          continue;
+        }
+
+        entry.failed++;
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * 开始跟踪已广播的交易
+   *
+   * @param {Object} entry - 钱包条目
+   * @param {Object} txResponse - ethers TransactionResponse
+   * @returns {Object} 交易记录
+   */
+  track(entry, txResponse) {
+    this.prune();
+
+    const now = Date.now();
+    const record = {
+      originalHash: txResponse.hash,
+      from: entry.address,
+      nonce: txResponse.nonce,
+      gasLimit: txResponse.gasLimit,
+      status: TX_STATUS.PENDING,
+      minedHash: null,
+      blockNumber: null,
+      replacementAttempts: 0,
+      attempts: [{
+        hash: txResponse.hash,
+        maxFeePerGas: txResponse.maxFeePerGas,
+        maxPriorityFeePerGas: txResponse.maxPriorityFeePerGas,
+        sentAt: now
+      }],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.transactions.set(record.originalHash, record);
+    this.hashIndex.set(record.originalHash, record.originalHash);
+    return record;
+  }
+
+  /**
+   * 轮询任一次广播的 receipt, 直到超时
+   *
+   * @param {Object} record - 交易记录
+   * @param {number} timeoutMs - 超时时间 (毫秒)
+   * @returns {Promise<Object|null>} receipt, 超时返回 null
+   */
+  async pollReceipt(record, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+
+    for (;;) {
+      for (const attempt of record.attempts) {
+        try {
+          const receipt = await this.provider.getTransactionReceipt(attempt.hash);
+          if (receipt) return receipt;
+        } catch (error) {
+          console.warn(`查询交易 receipt 失败 (${attempt.hash}):`, error.message);
+        }
+      }
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) return null;
+      await sleep(Math.min(RECEIPT_POLL_INTERVAL_MS, remaining));
+    }
+  }
+
+  /**
+   * 等待交易上链, 超时则提高手续费替换, 直到上链或达到替换上限
+   *
+   * @param {Object} entry - 钱包条目
+   * @param {Object} tx - 原交易对象
+   * @param {Object} record - 交易记录
+   * @returns {Promise<Object>} 交易 receipt
+   */
+  async waitForReceipt(entry, tx, record) {
+    for (;;) {
+      const receipt = await this.pollReceipt(record, this.replacement.stuckTimeoutMs);
+
+      if (receipt) {
+        record.status = receipt.status === 1 ? TX_STATUS.MINED : TX_STATUS.REVERTED;
+        record.minedHash = receipt.hash;
+        record.blockNumber = receipt.blockNumber;
+        record.updatedAt = Date.now();
+        return receipt;
+      }
+
+      if (record.replacementAttempts >= this.replacement.maxReplacements) {
+        this.markStuck(record);
+        throw markBroadcast(new Error(
+          `交易 ${record.originalHash} 替换 ${record.replacementAttempts} 次后仍未上链`
+        ));
+      }
+
+      await this.replace(entry, tx, record);
+    }
+  }
+
+  /**
+   * 以相同 nonce 提高手续费重新广播
+   *
+   * @param {Object} entry - 钱包条目
+   * @param {Object} tx - 原交易对象
+   * @param {Object} record - 交易记录
+   */
+  async replace(entry, tx, record) {
+    record.replacementAttempts++;
+
+    const last = record.attempts[record.attempts.length - 1];
+    const fees = bumpFees(last, this.replacement.feeBumpPercent, this.replacement.maxFeePerGas);
+    if (!fees) {
+      this.markStuck(record);
+      throw markBroadcast(new Error(
+        `交易 ${record.originalHash} 未上链, maxFeePerGas 已达上限 ${this.replacement.maxFeePerGas}`
+      ));
+    }
+
+    try {
+      const txResponse = await entry.wallet.sendTransaction({
+        ...tx,
+        nonce: record.nonce,
+        gasLimit: record.gasLimit,
+        ...fees
+      });
+
+      record.attempts.push({ hash: txResponse.hash, ...fees, sentAt: Date.now() });
+      record.updatedAt = Date.now();
+      this.hashIndex.set(txResponse.hash, record.originalHash);
+
+      console.warn(`交易 ${record.originalHash} 未上链, 已提高手续费替换为 ${txResponse.hash}`);
+    } catch (error) {
+      // 原交易可能已上链, 下一轮轮询会拿到 receipt
+      if (isAlreadyHandledError(error)) {
+        return;
+      }
+
+      this.markStuck(record);
+      throw markBroadcast(error);
+    }
+  }
+
+  /**
+   * 标记交易卡住
+   * @param {Object} record - 交易记录
+   */
+  markStuck(record) {
+    record.status = TX_STATUS.STUCK;
+    record.updatedAt = Date.now();
+  }
+
+  /**
+   * 根据任一次广播的交易哈希查询交易记录
+   *
+   * @param {string} hash - 原交易或替换交易哈希
+   * @returns {Object|null} 交易记录
+   */
+  getTransaction(hash) {
+    const originalHash = this.hashIndex.get(hash?.toLowerCase());
+    return originalHash ? this.transactions.get(originalHash) : null;
+  }
+
+  /**
+   * 列出跟踪中的交易记录
+   *
+   * @param {string} [status] - 按状态过滤
+   * @returns {Array<Object>} 交易记录 (按创建时间倒序)
+   */
+  listTransactions(status) {
+    return Array.from(this.transactions.values())
+      .filter((record) => !status || record.status === status)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * 清理过期的已结束交易记录
+   */
+  prune() {
+    const expiry = Date.now() - FINISHED_TX_TTL;
+
+    for (const [originalHash, record] of this.transactions) {
+      if (record.status !== TX_STATUS.PENDING && record.updatedAt < expiry) {
+        for (const attempt of record.attempts) {
+          this.hashIndex.delete(attempt.hash);
+        }
+        this.transactions.delete(originalHash);
+      }
+    }
+  }
+
+  /**
+   * 获取钱包池状态
+   * @returns {{strategy: string, wallets: Array<Object>}} 状态
+   */
+  getStats() {
+    return {
+      strategy: this.strategy,
+      wallets: this.entries.map((entry) => ({
+        address: entry.address,
+        inFlight: entry.inFlight,
+        nextNonce: entry.nextNonce,
+        sent: entry.sent,
+        failed: entry.failed
+      }))
+    };
+  }
+}
@@ -0,0 +1,437 @@
+/**
+ * Webhook 通知服务
+ *
+ * 功能:
+ * 1. 可信调用方 (X-API-Key) 注册 webhook, 按 API key 或 sender 订阅
+ *    - API key: 该 API key 通过 /api/execute、/api/send-raw 提交的 UserOp
+ *    - sender:  该 sender 通过 /api/execute、/api/send-raw 或 eth_sendUserOperation (mempool) 提交的 UserOp (不论提交方)
+ * 2. UserOp 上链 (included)、执行 revert (reverted) 或未上链即失败 (failed) 时 POST 通知, 携带解码后的 receipt
+ * 3. 请求体使用注册时生成的 secret 做 HMAC-SHA256 签名
+ * 4. 非 2xx 响应或请求失败时按指数退避重试, 每个 webhook 保留最近的投递记录
+ *
+ * 签名:
+ * X-Webhook-Signature: sha256=hex(HMAC_SHA256(secret, `${X-Webhook-Timestamp}.${body}`))
+ *
+ * 注册信息保存在 WEBHOOKS_PATH (JSON 文件, 为空时仅内存), 投递记录仅保存在内存
+ *
+ * @module webhooks
+ */
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import axios from 'axios';
+import { ethers } from 'ethers';
+import { config } from '../config.js';
+import { getEntryPointInterface } from './bundler.js';
+import { USEROP_STATUS } from './userOpStore.js';
+import { decodeRevertData } from './revertDecoder.js';
+
+/**
+ * webhook 事件类型
+ */
+export const WEBHOOK_EVENTS = {
+  INCLUDED: 'included',
+  REVERTED: 'reverted',
+  FAILED: 'failed'
+};
+
+/**
+ * 投递状态
+ */
+export const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+/**
+ * 未指定 events 时订阅的事件
+ */
+const DEFAULT_EVENTS = [WEBHOOK_EVENTS.INCLUDED, WEBHOOK_EVENTS.REVERTED];
+
+/**
+ * 每个 webhook 保留的投递记录数量
+ */
+const MAX_DELIVERIES_PER_WEBHOOK = 100;
+
+/**
+ * Webhook 注册信息类型定义
+ * @typedef {Object} Webhook
+ * @property {string} id - webhook ID
+ * @property {string} owner - 注册方 API key 标识
+ * @property {string} url - 通知地址
+ * @property {string|null} sender - 订阅的 sender (为 null 时订阅注册方 API key 提交的 UserOp)
+ * @property {Array<string>} events - 订阅的事件
+ * @property {string} secret - HMAC 签名密钥
+ * @property {number} createdAt - 注册时间
+ */
+
+/**
+ * 计算 webhook 签名
+ *
+ * @param {string} secret - webhook secret
+ * @param {number} timestamp - X-Webhook-Timestamp (毫秒)
+ * @param {string} body - 请求体原文
+ * @returns {string} 签名 (sha256=hex)
+ *
+ * @example
+ * // 接收方校验
+ * const expected = signWebhookPayload(secret, req.get('X-Webhook-Timestamp'), rawBody);
+ * crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(req.get('X-Webhook-Signature')));
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * 解码 receipt: EntryPoint 事件解析为 { name, args }, 其他日志保留原始数据
+ *
+ * @param {Object|null} receipt - ethers TransactionReceipt
+ * @returns {Object|null} 可序列化的 receipt
+ */
+export function decodeReceipt(receipt) {
+  if (!receipt) {
+    return null;
+  }
+
+  const entryPointInterface = getEntryPointInterface();
+  const logs = receipt.logs.map((log) => {
+    let event = null;
+    if (log.address.toLowerCase() === config.entryPointAddress.toLowerCase()) {
+      try {
+        const parsed = entryPointInterface.parseLog(log);
+        if (parsed) {
+          event = {
+            name: parsed.name,
+            args: Object.fromEntries(parsed.fragment.inputs.map((input, i) => [
+              input.name,
+              typeof parsed.args[i] === 'bigint' ? parsed.args[i].toString() : parsed.args[i]
+            ]))
+          };
+        }
+      } catch {
+        // 未知 EntryPoint 事件, 保留原始数据
+      }
+    }
+
+    return {
+      address: log.address,
+      logIndex: log.index,
+      topics: log.topics,
+      data: log.data,
+      event
+    };
+  });
+
+  return {
+    transactionHash: receipt.hash,
+    blockHash: receipt.blockHash,
+    blockNumber: receipt.blockNumber,
+    status: receipt.status,
+    from: receipt.from,
+    to: receipt.to,
+    gasUsed: receipt.gasUsed.toString(),
+    effectiveGasPrice: receipt.gasPrice?.toString() ?? null,
+    logs
+  };
+}
+
+/**
+ * 默认发送方式 (axios POST)
+ *
+ * @param {string} url - 通知地址
+ * @param {string} body - 请求体
+ * @param {Object} headers - 请求头
+ * @param {number} timeoutMs - 超时 (毫秒)
+ * @returns {Promise<number>} HTTP 状态码
+ */
+async function postWebhook(url, body, headers, timeoutMs) {
+  const response = await axios.post(url, body, {
+    headers,
+    timeout: timeoutMs,
+    maxRedirects: 0,
+    validateStatus: () => true
+  });
+  return response.status;
+}
+
+export class WebhookManager {
+  /**
+   * @param {Object} options - 配置
+   * @param {string} [options.filePath] - 注册信息文件路径, 为空时仅内存
+   * @param {number} options.maxAttempts - 最多投递次数 (含首次)
+   * @param {number} options.retryBaseMs - 首次重试间隔 (毫秒), 之后每次翻倍
+   * @param {number} options.timeoutMs - 单次请求超时 (毫秒)
+   * @param {function} [options.send] - 发送方式, 返回 HTTP 状态码 (测试可替换)
+   */
+  constructor({ filePath, maxAttempts, retryBaseMs, timeoutMs, send = postWebhook }) {
+    this.filePath = filePath ? path.resolve(filePath) : null;
+    this.maxAttempts = maxAttempts;
+    this.retryBaseMs = retryBaseMs;
+    this.timeoutMs = timeoutMs;
+    this.send = send;
+    this.webhooks = new Map();
+    // webhook ID => 投递记录 (新的在后)
+    this.deliveries = new Map();
+
+    this.load();
+  }
+
+  /**
+   * 从文件加载注册信息
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      for (const webhook of JSON.parse(fs.readFileSync(this.filePath, 'utf8'))) {
+        this.webhooks.set(webhook.id, webhook);
+      }
+    } catch (error) {
+      console.warn(`Webhook: 无法读取注册信息 (${this.filePath}):`, error.message);
+    }
+  }
+
+  /**
+   * 保存注册信息到文件 (写入临时文件后替换)
+   */
+  persist() {
+    if (!this.filePath) {
+      return;
+    }
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(Array.from(this.webhooks.values()), null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * 注册 webhook
+   *
+   * @param {Object} params - 参数
+   * @param {string} params.owner - 注册方 API key 标识
+   * @param {string} params.url - 通知地址
+   * @param {string} [params.sender] - 订阅的 sender, 省略时订阅注册方 API key 提交的 UserOp
+   * @param {Array<string>} [params.events] - 订阅的事件, 默认 included / reverted
+   * @returns {Webhook} 注册信息 (secret 仅在注册时返回)
+   */
+  register({ owner, url, sender, events = DEFAULT_EVENTS }) {
+    const webhook = {
+      id: `wh_${crypto.randomUUID()}`,
+      owner,
+      url,
+      sender: sender ? ethers.getAddress(sender) : null,
+      events: Array.from(new Set(events)),
+      secret: crypto.randomBytes(32).toString('hex'),
+      createdAt: Date.now()
+    };
+
+    this.webhooks.set(webhook.id, webhook);
+    this.persist();
+    return webhook;
+  }
+
+  /**
+   * 查询 webhook
+   *
+   * @param {string} id - webhook ID
+   * @param {string} [owner] - 注册方 API key 标识, 提供时只返回该注册方的 webhook
+   * @returns {Webhook|null} 注册信息
+   */
+  get(id, owner) {
+    const webhook = this.webhooks.get(id);
+    if (!webhook || (owner && webhook.owner !== owner)) {
+      return null;
+    }
+    return webhook;
+  }
+
+  /**
+   * 列出注册方的 webhook
+   * @param {string} owner - 注册方 API key 标识
+   * @returns {Array<Webhook>} 注册信息
+   */
+  list(owner) {
+    return Array.from(this.webhooks.values()).filter(webhook => webhook.owner === owner);
+  }
+
+  /**
+   * 删除 webhook (未完成的重试不再发送)
+   *
+   * @param {string} id - webhook ID
+   * @returns {boolean} 是否删除
+   */
+  remove(id) {
+    const removed = this.webhooks.delete(id);
+    if (removed) {
+      this.deliveries.delete(id);
+      this.persist();
+    }
+    return removed;
+  }
+
+  /**
+   * 查询投递记录 (新的在前)
+   * @param {string} id - webhook ID
+   * @returns {Array<Object>} 投递记录
+   */
+  getDeliveries(id) {
+    return [...(this.deliveries.get(id) || [])].reverse();
+  }
+
+  /**
+   * 通知 UserOp 结果
+   * 匹配 sender 或提交方 API key 且订阅了该事件的 webhook 各投递一次
+   *
+   * 已上链 (有 blockNumber) 的 failed 记录为 reverted, 否则为 failed
+   *
+   * @param {Object} record - UserOp 存储记录 (included / failed)
+   * @param {Object|null} [receipt] - ethers TransactionReceipt, 未上链或未获取 (如通过 UserOperationEvent 确认) 时为 null
+   * @returns {Array<Object>} 创建的投递记录
+   */
+  notify(record, receipt = null) {
+    const event = record.status === USEROP_STATUS.INCLUDED
+      ? WEBHOOK_EVENTS.INCLUDED
+      : record.blockNumber != null ? WEBHOOK_EVENTS.REVERTED : WEBHOOK_EVENTS.FAILED;
+    const sender = (record.userOp?.sender ?? record.sender).toLowerCase();
+
+    const targets = Array.from(this.webhooks.values()).filter(webhook =>
+      webhook.events.includes(event) &&
+      (webhook.sender
+        ? webhook.sender.toLowerCase() === sender
+        : Boolean(record.apiKeyId) && webhook.owner === record.apiKeyId)
+    );
+    if (targets.length === 0) {
+      return [];
+    }
+
+    const data = {
+      userOpHash: record.userOpHash,
+      sender: ethers.getAddress(sender),
+      nonce: record.userOp ? BigInt(record.userOp.nonce || 0).toString() : null,
+      source: record.source ?? null,
+      success: record.status === USEROP_STATUS.INCLUDED,
+      txHash: record.txHash ?? null,
+      blockNumber: record.blockNumber ?? null,
+      actualGasCost: record.actualGasCost ?? null,
+      actualGasUsed: record.actualGasUsed ?? null,
+      revertData: record.revertData ?? null,
+      revert: decodeRevertData(record.revertData),
+      reason: record.reason ?? null,
+      receipt: decodeReceipt(receipt)
+    };
+
+    return targets.map((webhook) => {
+      const delivery = {
+        id: `whd_${crypto.randomUUID()}`,
+        webhookId: webhook.id,
+        event,
+        userOpHash: record.userOpHash,
+        status: DELIVERY_STATUS.PENDING,
+        attempts: [],
+        nextAttemptAt: Date.now(),
+        createdAt: Date.now(),
+        payload: { id: null, event, createdAt: Date.now(), data }
+      };
+      delivery.payload.id = delivery.id;
+
+      const log = this.deliveries.get(webhook.id) || [];
+      log.push(delivery);
+      if (log.length > MAX_DELIVERIES_PER_WEBHOOK) {
+        log.shift();
+      }
+      this.deliveries.set(webhook.id, log);
+
+      this.attempt(delivery).catch(error => console.error(`Webhook 投递失败 (${delivery.id}):`, error.message));
+      return delivery;
+    });
+  }
+
+  /**
+   * 投递一次, 失败且未达到次数上限时按指数退避安排重试
+   *
+   * @param {Object} delivery - 投递记录
+   */
+  async attempt(delivery) {
+    const webhook = this.webhooks.get(delivery.webhookId);
+    if (!webhook) {
+      delivery.status = DELIVERY_STATUS.FAILED;
+      delivery.nextAttemptAt = null;
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Date.now();
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Webhook-Id': webhook.id,
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery.id,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': signWebhookPayload(webhook.secret, timestamp, body)
+    };
+
+    const attempt = { at: timestamp, statusCode: null, error: null, durationMs: 0 };
+    try {
+      attempt.statusCode = await this.send(webhook.url, body, headers, this.timeoutMs);
+      if (attempt.statusCode < 200 || attempt.statusCode >= 300) {
+        attempt.error = `HTTP ${attempt.statusCode}`;
+      }
+    } catch (error) {
+      attempt.error = error.message;
+    }
+    attempt.durationMs = Date.now() - timestamp;
+    delivery.attempts.push(attempt);
+
+    if (!attempt.error) {
+      delivery.status = DELIVERY_STATUS.DELIVERED;
+      delivery.nextAttemptAt = null;
+      return;
+    }
+
+    if (delivery.attempts.length >= this.maxAttempts) {
+      delivery.status = DELIVERY_STATUS.FAILED;
+      delivery.nextAttemptAt = null;
+      console.warn(`Webhook ${webhook.id} 投递 ${delivery.id} 失败 ${delivery.attempts.length} 次, 不再重试`);
+      return;
+    }
+
+    const delay = this.retryBaseMs * 2 ** (delivery.attempts.length - 1);
+    delivery.nextAttemptAt = Date.now() + delay;
+    setTimeout(() => {
+      this.attempt(delivery).catch(error => console.error(`Webhook 投递失败 (${delivery.id}):`, error.message));
+    }, delay).unref();
+  }
+}
+
+/**
+ * 格式化 webhook (不含 secret)
+ * @param {Webhook} webhook - 注册信息
+ * @returns {Object} 注册信息
+ */
+export function formatWebhook({ secret, owner, ...webhook }) {
+  return webhook;
+}
+
+/**
+ * 格式化投递记录 (不含请求体)
+ * @param {Object} delivery - 投递记录
+ * @returns {Object} 投递记录
+ */
+export function formatDelivery({ payload, ...delivery }) {
+  return delivery;
+}
+
+/**
+ * 单例: 全局 webhook 管理器
+ */
+export const webhooks = new WebhookManager({
+  filePath: config.webhooksPath,
+  maxAttempts: config.webhookMaxAttempts,
+  retryBaseMs: config.webhookRetryBaseMs,
+  timeoutMs: config.webhookTimeoutMs
+});
@@ -0,0 +1,214 @@
+/**
+ * Test the asset-change preview: ETH value transfers and ERC-20 Transfer
+ * logs from a callTracer trace classified as prefund / gasPayment /
+ * transfer / compensation, reverted frames skipped, per-address deltas and
+ * decimals formatting, against a stub JSON-RPC provider, no node required
+ */
+
+import assert from 'node:assert';
+import { ethers } from 'ethers';
+import { config } from '../src/config.js';
+import { getProvider, getBundlerAddress } from '../src/services/bundler.js';
+import {
+  extractTransfers,
+  aggregateBalanceChanges,
+  previewAssetChanges,
+  TRANSFER_KINDS,
+  ETH_ASSET
+} from '../src/services/assetChanges.js';
+
+const SENDER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const RECIPIENT = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const VALIDATE_USER_OP = '0x19822f7c';
+const EXECUTE = '0xe9ae5c53';
+
+/**
+ * 编码 Transfer 日志 (callTracer withLog 格式)
+ */
+function transferLog(from, to, amount, position = 0) {
+  return {
+    address: TOKEN,
+    topics: [
+      ethers.id('Transfer(address,address,uint256)'),
+      ethers.zeroPadValue(from, 32),
+      ethers.zeroPadValue(to, 32)
+    ],
+    data: ethers.toBeHex(amount, 32),
+    position: ethers.toQuantity(position)
+  };
+}
+
+/**
+ * handleOps 的 callTracer 结果: 验证阶段 prefund 和 gas token 支付, 执行阶段 ETH 和 token 转账,
+ * 一个 revert 的调用, 最后 EntryPoint 向 bundler 支付 gas 补偿
+ */
+function buildTrace({ entryPoint, bundler, executionError = null }) {
+  return {
+    type: 'CALL',
+    from: bundler,
+    to: entryPoint,
+    value: '0x0',
+    input: '0x765e827f',
+    calls: [
+      {
+        type: 'CALL',
+        from: entryPoint,
+        to: SENDER,
+        value: '0x0',
+        input: VALIDATE_USER_OP,
+        calls: [
+          { type: 'CALL', from: SENDER, to: TOKEN, value: '0x0', input: '0x23b872dd', logs: [transferLog(SENDER, bundler, 5n * 10n ** 6n)] },
+          { type: 'CALL', from: SENDER, to: entryPoint, value: ethers.toQuantity(1000n), input: '0x' }
+        ]
+      },
+      {
+        type: 'CALL',
+        from: entryPoint,
+        to: entryPoint,
+        value: '0x0',
+        input: '0x0042dc53',
+        calls: [
+          {
+            type: 'CALL',
+            from: entryPoint,
+            to: SENDER,
+            value: '0x0',
+            input: EXECUTE,
+            error: executionError ?? undefined,
+            calls: [
+              { type: 'CALL', from: SENDER, to: RECIPIENT, value: ethers.toQuantity(10n ** 17n), input: '0x' },
+              { type: 'CALL', from: SENDER, to: TOKEN, value: '0x0', input: '0xa9059cbb', logs: [transferLog(SENDER, RECIPIENT, 25n * 10n ** 5n)] },
+              { type: 'DELEGATECALL', from: SENDER, to: RECIPIENT, value: ethers.toQuantity(7n), input: '0x' },
+              {
+                type: 'CALL',
+                from: SENDER,
+                to: RECIPIENT,
+                value: ethers.toQuantity(3n),
+                input: '0x',
+                error: 'execution reverted',
+                logs: [transferLog(RECIPIENT, SENDER, 1n)]
+              }
+            ]
+          }
+        ]
+      },
+      { type: 'CALL', from: entryPoint, to: bundler, value: ethers.toQuantity(600n), input: '0x' }
+    ]
+  };
+}
+
+async function main() {
+  console.log('');
+  console.log('╔════════════════════════════════════════════════════════════════════╗');
+  console.log('║          ASSET CHANGES TEST                                      ║');
+  console.log('╚════════════════════════════════════════════════════════════════════╝');
+  console.log('');
+
+  const entryPoint = ethers.getAddress(config.entryPointAddress);
+  const bundler = getBundlerAddress();
+  const trace = buildTrace({ entryPoint, bundler });
+
+  console.log('Step 1: transfers are extracted and classified in execution order...');
+  const transfers = extractTransfers(trace, { sender: SENDER.toLowerCase() });
+  assert.deepStrictEqual(
+    transfers.map(({ kind, asset, from, to, amount }) => [kind, asset, from, to, amount]),
+    [
+      [TRANSFER_KINDS.GAS_PAYMENT, TOKEN, SENDER, bundler, 5n * 10n ** 6n],
+      [TRANSFER_KINDS.PREFUND, ETH_ASSET, SENDER, entryPoint, 1000n],
+      [TRANSFER_KINDS.TRANSFER, ETH_ASSET, SENDER, RECIPIENT, 10n ** 17n],
+      [TRANSFER_KINDS.TRANSFER, TOKEN, SENDER, RECIPIENT, 25n * 10n ** 5n],
+      [TRANSFER_KINDS.COMPENSATION, ETH_ASSET, entryPoint, bundler, 600n]
+    ]
+  );
+  console.log('  [OK]');
+
+  console.log('Step 2: log positions interleave with child calls...');
+  const interleaved = extractTransfers({
+    type: 'CALL',
+    from: SENDER,
+    to: TOKEN,
+    value: '0x0',
+    logs: [transferLog(SENDER, RECIPIENT, 2n, 1), transferLog(SENDER, RECIPIENT, 1n, 0)],
+    calls: [{ type: 'CALL', from: TOKEN, to: RECIPIENT, value: '0x5', input: '0x' }]
+  }, { sender: SENDER });
+  assert.deepStrictEqual(interleaved.map(transfer => transfer.amount), [1n, 5n, 2n]);
+  console.log('  [OK]');
+
+  console.log('Step 3: execution revert drops the batch but keeps gas payments...');
+  const reverted = extractTransfers(buildTrace({ entryPoint, bundler, executionError: 'execution reverted' }), { sender: SENDER });
+  assert.deepStrictEqual(
+    reverted.map(transfer => transfer.kind),
+    [TRANSFER_KINDS.GAS_PAYMENT, TRANSFER_KINDS.PREFUND, TRANSFER_KINDS.COMPENSATION]
+  );
+  console.log('  [OK]');
+
+  console.log('Step 4: per-address deltas...');
+  const changes = aggregateBalanceChanges(transfers);
+  const delta = (address, asset) => changes.find(change => change.address === address && change.asset === asset)?.delta;
+  assert.strictEqual(delta(SENDER, ETH_ASSET), -(1000n + 10n ** 17n));
+  assert.strictEqual(delta(SENDER, TOKEN), -(5n * 10n ** 6n + 25n * 10n ** 5n));
+  assert.strictEqual(delta(RECIPIENT, ETH_ASSET), 10n ** 17n);
+  assert.strictEqual(delta(entryPoint, ETH_ASSET), 400n);
+  assert.strictEqual(delta(bundler, ETH_ASSET), 600n);
+  assert.strictEqual(delta(bundler, TOKEN), 5n * 10n ** 6n);
+  assert.strictEqual(aggregateBalanceChanges([
+    { asset: ETH_ASSET, from: SENDER, to: RECIPIENT, amount: 1n },
+    { asset: ETH_ASSET, from: RECIPIENT, to: SENDER, amount: 1n }
+  ]).length, 0);
+  console.log('  [OK]');
+
+  console.log('Step 5: preview traces with state overrides and formats with token decimals...');
+  const token = new ethers.Interface(['function decimals() view returns (uint8)', 'function symbol() view returns (string)']);
+  let traceParams = null;
+  getProvider()._send = async (payload) => {
+    const requests = Array.isArray(payload) ? payload : [payload];
+    return requests.map(({ id, method, params }) => {
+      switch (method) {
+        case 'eth_chainId':
+          return { id, result: ethers.toQuantity(config.chainId) };
+        case 'debug_traceCall':
+          traceParams = params;
+          return { id, result: trace };
+        case 'eth_call': {
+          const name = params[0].data.startsWith(token.getFunction('decimals').selector) ? 'decimals' : 'symbol';
+          return { id, result: token.encodeFunctionResult(name, [name === 'decimals' ? 6 : 'USDC']) };
+        }
+        default:
+          return { id, error: { code: -32601, message: `unexpected method ${method}` } };
+      }
+    });
+  };
+
+  const overrides = { [SENDER]: { code: '0xef0100' + '11'.repeat(20) } };
+  const preview = await previewAssetChanges({ from: bundler, to: entryPoint, data: '0x765e827f' }, overrides, { sender: SENDER });
+  assert.deepStrictEqual(traceParams[2], { tracer: 'callTracer', tracerConfig: { withLog: true }, stateOverrides: overrides });
+
+  const senderToken = preview.changes.find(change => change.address === SENDER && change.asset === TOKEN);
+  assert.deepStrictEqual(senderToken, {
+    address: SENDER,
+    asset: TOKEN,
+    symbol: 'USDC',
+    decimals: 6,
+    delta: '-7500000',
+    formatted: '-7.5'
+  });
+  const senderEth = preview.changes.find(change => change.address === SENDER && change.asset === ETH_ASSET);
+  assert.strictEqual(senderEth.symbol, 'ETH');
+  assert.strictEqual(senderEth.formatted, '-0.100000000000001');
+  assert.strictEqual(preview.transfers[0].kind, TRANSFER_KINDS.GAS_PAYMENT);
+  assert.strictEqual(preview.transfers[0].formatted, '5.0');
+  assert.strictEqual(preview.transfers[1].amount, '1000');
+  console.log('  [OK]');
+
+  console.log('');
+  console.log('  [PASS] asset changes');
+  console.log('');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
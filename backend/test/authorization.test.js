@@ -0,0 +1,95 @@
+/**
+ * Test EIP-7702 authorization hashing and signer recovery
+ * against ethers Wallet.authorize and viem-style signAuthorization output, no node required
+ */
+
+import assert from 'node:assert';
+import { ethers } from 'ethers';
+import { config } from '../src/config.js';
+import {
+  normalizeAuthorization,
+  getAuthorizationDigest,
+  recoverAuthorizer
+} from '../src/services/authorization.js';
+import { hashAuthorization, verifyAuthorizationSignature } from '../src/services/validation.js';
+
+async function main() {
+  console.log('');
+  console.log('╔════════════════════════════════════════════════════════════════════╗');
+  console.log('║          EIP-7702 AUTHORIZATION TEST                             ║');
+  console.log('╚════════════════════════════════════════════════════════════════════╝');
+  console.log('');
+
+  const userBPrivateKey = '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a';
+  const userB = new ethers.Wallet(userBPrivateKey);
+  const bundlerWallet = new ethers.Wallet(config.bundlerPrivateKey);
+
+  console.log('Step 1: digest = keccak256(0x05 || rlp([chainId, address, nonce]))...');
+  for (const nonce of [0, 1, 255, 1000]) {
+    const tuple = { chainId: config.chainId, address: config.kernelAddress, nonce };
+    assert.strictEqual(getAuthorizationDigest(tuple), ethers.hashAuthorization(tuple));
+    assert.strictEqual(hashAuthorization(tuple), ethers.hashAuthorization(tuple));
+  }
+  const anyChain = { chainId: 0, address: config.kernelAddress, nonce: 0 };
+  assert.strictEqual(getAuthorizationDigest(anyChain), ethers.hashAuthorization(anyChain));
+  console.log('  [OK] matches ethers.hashAuthorization');
+
+  console.log('Step 2: ethers Wallet.authorize output...');
+  const ethersAuth = await userB.authorize({
+    address: config.kernelAddress,
+    nonce: 3,
+    chainId: config.chainId
+  });
+  assert.ok(verifyAuthorizationSignature(ethersAuth, userB.address));
+  assert.ok(!verifyAuthorizationSignature(ethersAuth, bundlerWallet.address));
+  assert.strictEqual(recoverAuthorizer(ethersAuth), userB.address);
+
+  // JSON 传输后 (bigint 转字符串, signature 为对象)
+  const transported = JSON.parse(JSON.stringify(ethersAuth, (key, value) => (
+    typeof value === 'bigint' ? value.toString() : value
+  )));
+  assert.ok(verifyAuthorizationSignature(transported, userB.address));
+  console.log('  [OK] object and JSON round-trip');
+
+  console.log('Step 3: viem signAuthorization shape...');
+  const digest = getAuthorizationDigest({ chainId: config.chainId, address: config.kernelAddress, nonce: 3 });
+  const sig = new ethers.SigningKey(userBPrivateKey).sign(digest);
+  const viemAuth = {
+    contractAddress: config.kernelAddress,
+    chainId: config.chainId,
+    nonce: 3,
+    r: sig.r,
+    s: sig.s,
+    yParity: sig.yParity
+  };
+  assert.ok(verifyAuthorizationSignature(viemAuth, userB.address));
+  assert.ok(verifyAuthorizationSignature({ ...viemAuth, yParity: undefined, v: BigInt(sig.v) }, userB.address));
+  assert.ok(verifyAuthorizationSignature(
+    { address: config.kernelAddress, chainId: config.chainId, nonce: 3, signature: sig.serialized },
+    userB.address
+  ));
+  console.log('  [OK] r/s/yParity, r/s/v and 65-byte signature');
+
+  console.log('Step 4: tampered tuple and invalid input...');
+  assert.ok(!verifyAuthorizationSignature({ ...viemAuth, nonce: 4 }, userB.address));
+  assert.ok(!verifyAuthorizationSignature({ ...viemAuth, chainId: 1 }, userB.address));
+  assert.ok(!verifyAuthorizationSignature({ ...viemAuth, r: undefined }, userB.address));
+  assert.ok(!verifyAuthorizationSignature(null, userB.address));
+  assert.throws(() => normalizeAuthorization({ chainId: 1, nonce: 0, signature: sig.serialized }));
+
+  const normalized = normalizeAuthorization(viemAuth);
+  assert.strictEqual(normalized.address, ethers.getAddress(config.kernelAddress));
+  assert.strictEqual(normalized.signature, sig.serialized);
+  console.log('  [OK]');
+
+  console.log('');
+  console.log('  [PASS] authorization matches EIP-7702 tuple signing');
+  console.log('');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
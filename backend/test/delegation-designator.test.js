@@ -0,0 +1,69 @@
+/**
+ * Test EIP-7702 delegation designator parsing (0xef0100 || address), no node required
+ */
+
+import assert from 'node:assert';
+import { config } from '../src/config.js';
+import {
+  DELEGATION_DESIGNATOR_PREFIX,
+  DELEGATION_STATES,
+  parseDelegationCode,
+  encodeDelegationDesignator
+} from '../src/services/delegation.js';
+
+async function main() {
+  console.log('');
+  console.log('╔════════════════════════════════════════════════════════════════════╗');
+  console.log('║          DELEGATION DESIGNATOR TEST                              ║');
+  console.log('╚════════════════════════════════════════════════════════════════════╝');
+  console.log('');
+
+  const foreignImpl = '0x000000000000000000000000000000000000dEaD';
+
+  console.log('Step 1: empty code...');
+  const none = parseDelegationCode('0x');
+  assert.strictEqual(none.state, DELEGATION_STATES.NONE);
+  assert.strictEqual(none.delegated, false);
+  assert.strictEqual(none.delegate, null);
+  console.log('  [OK] plain EOA');
+
+  console.log('Step 2: delegated to Kernel...');
+  const kernelCode = DELEGATION_DESIGNATOR_PREFIX + config.kernelAddress.substring(2).toLowerCase();
+  assert.strictEqual(encodeDelegationDesignator(config.kernelAddress), kernelCode);
+  const kernel = parseDelegationCode(kernelCode);
+  assert.strictEqual(kernel.state, DELEGATION_STATES.KERNEL);
+  assert.strictEqual(kernel.delegated, true);
+  assert.strictEqual(kernel.isKernel, true);
+  assert.strictEqual(kernel.delegate.toLowerCase(), config.kernelAddress.toLowerCase());
+  console.log('  [OK] delegate:', kernel.delegate);
+
+  console.log('Step 3: delegated to a foreign implementation...');
+  const foreign = parseDelegationCode(DELEGATION_DESIGNATOR_PREFIX + foreignImpl.substring(2));
+  assert.strictEqual(foreign.state, DELEGATION_STATES.FOREIGN);
+  assert.strictEqual(foreign.delegated, true);
+  assert.strictEqual(foreign.isKernel, false);
+  assert.strictEqual(foreign.delegate, foreignImpl);
+  console.log('  [OK] delegate:', foreign.delegate);
+
+  console.log('Step 4: plain contract code...');
+  const contract = parseDelegationCode('0x6080604052348015600f57600080fd5b50');
+  assert.strictEqual(contract.state, DELEGATION_STATES.CONTRACT);
+  assert.strictEqual(contract.isContract, true);
+  assert.strictEqual(contract.delegated, false);
+
+  // 前缀相同但长度不是 23 字节的代码不是 designator
+  const truncated = parseDelegationCode(kernelCode.substring(0, kernelCode.length - 2));
+  assert.strictEqual(truncated.state, DELEGATION_STATES.CONTRACT);
+  console.log('  [OK]');
+
+  console.log('');
+  console.log('  [PASS] delegation designator parsing');
+  console.log('');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
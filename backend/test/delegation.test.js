@@ -0,0 +1,291 @@
+/**
+ * Test the delegation management routes: delegate, onboard, revoke and
+ * migrate require a trusted API key, migration targets are limited to the
+ * Kernel allowlist, pre-checks skip invalid authorizations and post-checks
+ * report the applied state, against a stub JSON-RPC provider that applies
+ * the authorizationList, no node required
+ */
+
+import assert from 'node:assert';
+import { ethers } from 'ethers';
+
+const API_KEY = 'test-key';
+const NEW_KERNEL = '0x' + '4b'.repeat(20);
+const OTHER_CONTRACT = '0x' + '0c'.repeat(20);
+
+// 测试不写入 data/userops.jsonl 和 data/webhooks.json
+process.env.USEROP_STORE = 'memory';
+process.env.WEBHOOKS_PATH = '';
+process.env.TRUSTED_API_KEYS = API_KEY;
+process.env.KERNEL_ALLOWLIST = NEW_KERNEL;
+
+// anvil 默认账户 #2, #3
+const WALLETS = [
+  new ethers.Wallet('0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a'),
+  new ethers.Wallet('0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6')
+];
+
+/**
+ * 调用路由处理函数
+ *
+ * @param {function} handler - 路由处理函数
+ * @param {Object} body - 请求体
+ * @param {string} [apiKey] - X-API-Key 请求头
+ * @returns {Promise<{status: number, body: Object}>} 响应
+ */
+async function callRoute(handler, body, apiKey) {
+  const response = { status: 200, body: null };
+  const res = {
+    status(code) {
+      response.status = code;
+      return res;
+    },
+    json(payload) {
+      response.body = payload;
+      return res;
+    }
+  };
+  await handler({ id: 'req_test', body, headers: apiKey ? { 'x-api-key': apiKey } : {} }, res);
+  return response;
+}
+
+/**
+ * JSON 传输 authorization (bigint 转字符串)
+ */
+function toJson(value) {
+  return JSON.parse(JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item)));
+}
+
+async function main() {
+  const { config } = await import('../src/config.js');
+  const { getProvider } = await import('../src/services/bundler.js');
+  const { recoverAuthorizer } = await import('../src/services/authorization.js');
+  const { encodeDelegationDesignator } = await import('../src/services/delegation.js');
+  const { delegateAccount, onboardDelegation, revokeDelegation, migrateDelegation } = await import('../src/routes/delegation.js');
+
+  /**
+   * 替换 provider 的 JSON-RPC 传输
+   * - eth_getCode: chain.codes 中的账户代码, Kernel 部署为合约
+   * - eth_getTransactionCount: chain.nonces 中的 EOA nonce
+   * - eth_sendRawTransaction: 应用 authorizationList (nonce 匹配时设置 designator, address(0) 清空代码)
+   * - eth_getTransactionReceipt: 广播 300ms 后返回 (ethers 在 250ms 内复用相同请求 eth_getCode 的结果)
+   */
+  const chain = { codes: new Map(), nonces: new Map(), sent: [] };
+  for (const kernel of [config.kernelAddress, NEW_KERNEL, OTHER_CONTRACT]) {
+    chain.codes.set(kernel.toLowerCase(), '0x6080604052');
+  }
+
+  const applyAuthorizations = (tx) => {
+    for (const authorization of tx.authorizationList) {
+      const authority = recoverAuthorizer(authorization).toLowerCase();
+      const nonce = chain.nonces.get(authority) ?? 0;
+      if (BigInt(authorization.nonce) !== BigInt(nonce)) {
+        continue;
+      }
+      chain.nonces.set(authority, nonce + 1);
+      chain.codes.set(authority, authorization.address === ethers.ZeroAddress
+        ? '0x'
+        : encodeDelegationDesignator(authorization.address));
+    }
+  };
+
+  getProvider()._send = async (payload) => {
+    const requests = Array.isArray(payload) ? payload : [payload];
+    return requests.map(({ id, method, params }) => {
+      switch (method) {
+        case 'eth_chainId':
+          return { id, result: ethers.toQuantity(config.chainId) };
+        case 'eth_blockNumber':
+          return { id, result: '0x10' };
+        case 'eth_getCode':
+          return { id, result: chain.codes.get(params[0].toLowerCase()) ?? '0x' };
+        case 'eth_getTransactionCount':
+          return { id, result: ethers.toQuantity(chain.nonces.get(params[0].toLowerCase()) ?? 0) };
+        case 'eth_gasPrice':
+        case 'eth_maxPriorityFeePerGas':
+          return { id, result: '0x3b9aca00' };
+        case 'eth_estimateGas':
+          return { id, result: '0x186a0' };
+        case 'eth_getLogs':
+          return { id, result: [] };
+        case 'eth_getBlockByNumber':
+          return {
+            id,
+            result: {
+              hash: ethers.ZeroHash,
+              parentHash: ethers.ZeroHash,
+              number: '0x10',
+              timestamp: '0x0',
+              nonce: '0x0000000000000000',
+              difficulty: '0x0',
+              gasLimit: '0x1c9c380',
+              gasUsed: '0x0',
+              miner: ethers.ZeroAddress,
+              extraData: '0x',
+              baseFeePerGas: '0x3b9aca00',
+              transactions: []
+            }
+          };
+        case 'eth_sendRawTransaction': {
+          const hash = ethers.keccak256(params[0]);
+          const tx = ethers.Transaction.from(params[0]);
+          applyAuthorizations(tx);
+          chain.sent.push({ hash, tx, sentAt: Date.now() });
+          return { id, result: hash };
+        }
+        case 'eth_getTransactionReceipt': {
+          const sent = chain.sent.find(item => item.hash === params[0]);
+          if (!sent || Date.now() - sent.sentAt < 300) {
+            return { id, result: null };
+          }
+          return {
+            id,
+            result: {
+              transactionHash: sent.hash,
+              transactionIndex: '0x0',
+              blockHash: '0x' + 'cc'.repeat(32),
+              blockNumber: '0x11',
+              from: sent.tx.from,
+              to: sent.tx.to,
+              contractAddress: null,
+              cumulativeGasUsed: '0x9470',
+              gasUsed: '0x9470',
+              effectiveGasPrice: '0x3b9aca00',
+              logsBloom: '0x' + '00'.repeat(256),
+              logs: [],
+              status: '0x1',
+              type: '0x4'
+            }
+          };
+        }
+        default:
+          return { id, error: { code: -32601, message: `unexpected method ${method}` } };
+      }
+    });
+  };
+
+  console.log('');
+  console.log('╔════════════════════════════════════════════════════════════════════╗');
+  console.log('║          DELEGATION MANAGEMENT TEST                              ║');
+  console.log('╚════════════════════════════════════════════════════════════════════╝');
+  console.log('');
+
+  const [walletA, walletB] = WALLETS;
+  // walletA 已 delegation 到当前 Kernel, walletB 为普通 EOA
+  chain.codes.set(walletA.address.toLowerCase(), encodeDelegationDesignator(config.kernelAddress));
+  chain.nonces.set(walletA.address.toLowerCase(), 1);
+
+  const sign = async (wallet, address, nonce) => toJson(await wallet.authorize({ address, nonce, chainId: config.chainId }));
+
+  console.log('Step 1: delegate, onboard, revoke and migrate require a trusted API key...');
+  const migrateAuth = await sign(walletA, NEW_KERNEL, 1);
+  const delegateAuth = await sign(walletB, config.kernelAddress, 0);
+  for (const handler of [delegateAccount, onboardDelegation, revokeDelegation, migrateDelegation]) {
+    for (const apiKey of [undefined, 'wrong-key']) {
+      const response = await callRoute(handler, {
+        authorization: delegateAuth,
+        authorizations: [migrateAuth],
+        kernelAddress: NEW_KERNEL
+      }, apiKey);
+      assert.strictEqual(response.status, 401);
+      assert.strictEqual(response.body.error.code, 'UNAUTHORIZED');
+    }
+  }
+  assert.strictEqual(chain.sent.length, 0);
+  console.log('  [OK]');
+
+  console.log('Step 2: migration target must be on the Kernel allowlist...');
+  let response = await callRoute(migrateDelegation, {
+    authorizations: [await sign(walletA, OTHER_CONTRACT, 1)],
+    kernelAddress: OTHER_CONTRACT
+  }, API_KEY);
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.body.error.code, 'KERNEL_NOT_ALLOWED');
+  assert.strictEqual(chain.sent.length, 0);
+  console.log('  [OK]');
+
+  console.log('Step 3: migrate applies valid authorizations and skips stale nonces...');
+  response = await callRoute(migrateDelegation, {
+    authorizations: [migrateAuth, await sign(walletB, NEW_KERNEL, 5)],
+    kernelAddress: NEW_KERNEL.toUpperCase().replace('0X', '0x')
+  }, API_KEY);
+  assert.strictEqual(response.status, 200, JSON.stringify(response.body));
+  let data = response.body.data;
+  assert.strictEqual(data.action, 'migrate');
+  assert.strictEqual(data.target, ethers.getAddress(NEW_KERNEL));
+  assert.strictEqual(chain.sent.length, 1);
+  assert.strictEqual(chain.sent[0].tx.authorizationList.length, 1);
+  // 仅含 authorizationList 的交易发送给实际发送的 bundler 钱包自身
+  assert.strictEqual(chain.sent[0].tx.to, chain.sent[0].tx.from);
+  assert.strictEqual(data.results.length, 1);
+  assert.strictEqual(data.results[0].authority, walletA.address);
+  assert.strictEqual(data.results[0].before.state, 'kernel');
+  assert.strictEqual(data.results[0].after.delegate, ethers.getAddress(NEW_KERNEL));
+  assert.strictEqual(data.results[0].applied, true);
+  assert.strictEqual(data.skipped.length, 1);
+  assert.strictEqual(data.skipped[0].index, 1);
+  assert.strictEqual(data.skipped[0].authority, walletB.address);
+  assert.ok(data.skipped[0].reason.includes('nonce'));
+  console.log('  [OK]');
+
+  console.log('Step 4: revoke clears the account code, accounts already revoked are skipped...');
+  response = await callRoute(revokeDelegation, {
+    authorizations: [await sign(walletA, ethers.ZeroAddress, 2), await sign(walletB, ethers.ZeroAddress, 0)]
+  }, API_KEY);
+  assert.strictEqual(response.status, 200, JSON.stringify(response.body));
+  data = response.body.data;
+  assert.strictEqual(data.action, 'revoke');
+  assert.strictEqual(data.target, ethers.ZeroAddress);
+  assert.strictEqual(data.results[0].after.state, 'none');
+  assert.strictEqual(data.results[0].applied, true);
+  assert.strictEqual(chain.codes.get(walletA.address.toLowerCase()), '0x');
+  assert.deepStrictEqual(data.skipped.map(item => [item.index, item.reason]), [[1, '账户已处于目标状态']]);
+  console.log('  [OK]');
+
+  console.log('Step 5: no transaction is sent when every authorization is skipped...');
+  response = await callRoute(revokeDelegation, { authorizations: [await sign(walletA, ethers.ZeroAddress, 3)] }, API_KEY);
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.body.error.code, 'NO_VALID_AUTHORIZATION');
+  assert.strictEqual(chain.sent.length, 2);
+  console.log('  [OK]');
+
+  console.log('Step 6: onboard submits the batch for a trusted caller...');
+  response = await callRoute(onboardDelegation, {
+    authorizations: [await sign(walletA, config.kernelAddress, 3)],
+    userOps: [
+      { sender: walletB.address, nonce: '0', callData: '0x', signature: '0x' },
+      { sender: walletA.address, nonce: 'abc', callData: '0x', signature: '0x' }
+    ]
+  }, API_KEY);
+  assert.strictEqual(response.status, 200, JSON.stringify(response.body));
+  data = response.body.data;
+  assert.strictEqual(data.action, 'onboard');
+  assert.strictEqual(data.results[0].authority, walletA.address);
+  assert.strictEqual(data.results[0].applied, true);
+  // walletB 不在本批 authorization 中, 无法解析的 nonce 只跳过该 UserOp
+  assert.deepStrictEqual(data.skippedUserOps.map(item => [item.index, item.sender]), [[0, walletB.address], [1, undefined]]);
+  assert.ok(data.skippedUserOps[1].reason.includes('abc'));
+  assert.deepStrictEqual(data.userOps, []);
+  assert.strictEqual(chain.sent.length, 3);
+  console.log('  [OK]');
+
+  console.log('Step 7: delegate installs the Kernel designator for a trusted caller...');
+  response = await callRoute(delegateAccount, { authorization: delegateAuth }, API_KEY);
+  assert.strictEqual(response.status, 200, JSON.stringify(response.body));
+  data = response.body.data;
+  assert.strictEqual(data.authority, walletB.address);
+  assert.strictEqual(data.delegation.isKernel, true);
+  assert.strictEqual(chain.sent.length, 4);
+  console.log('  [OK]');
+
+  console.log('');
+  console.log('  [PASS] delegation management');
+  console.log('');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
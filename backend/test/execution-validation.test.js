@@ -0,0 +1,98 @@
+/**
+ * Test the shared /api/execute and /api/send-raw pre-checks that need no node:
+ * field (including malformed numeric fields), mode and authorization
+ * validation and the trusted API key bypass
+ */
+
+import assert from 'node:assert';
+import { ethers } from 'ethers';
+import { config } from '../src/config.js';
+import {
+  validateUserOp,
+  validateAuthorization,
+  validateMode,
+  isTrustedRequest,
+  validateExecutionRequest,
+  getValidationErrorStatus
+} from '../src/services/executionValidation.js';
+
+async function main() {
+  console.log('');
+  console.log('╔════════════════════════════════════════════════════════════════════╗');
+  console.log('║          EXECUTION VALIDATION TEST                               ║');
+  console.log('╚════════════════════════════════════════════════════════════════════╝');
+  console.log('');
+
+  const userB = new ethers.Wallet('0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a');
+
+  console.log('Step 1: UserOp fields...');
+  const userOp = {
+    sender: userB.address,
+    nonce: '0',
+    callData: '0x',
+    callGasLimit: '150000',
+    verificationGasLimit: '150000',
+    preVerificationGas: '21000',
+    signature: '0x1234'
+  };
+  assert.ok(validateUserOp(userOp).valid);
+  assert.ok(!validateUserOp({ ...userOp, sender: '0x1234' }).valid);
+  assert.ok(!validateUserOp({ ...userOp, signature: undefined }).valid);
+  assert.ok(!validateUserOp({ ...userOp, callGasLimit: '100000000' }).valid);
+  assert.ok(validateUserOp({ ...userOp, nonce: '0x1', maxFeePerGas: 1000000000 }).valid);
+  console.log('  [OK]');
+
+  console.log('Step 2: malformed numeric fields are rejected before normalization...');
+  for (const fields of [
+    { nonce: 'abc' },
+    { nonce: '1.5' },
+    { callGasLimit: '0xzz' },
+    { maxFeePerGas: 1.5 },
+    { maxPriorityFeePerGas: {} },
+    { accountGasLimits: 'not-hex' },
+    { gasFees: '0x' + '00'.repeat(33) }
+  ]) {
+    const validation = await validateExecutionRequest({ userOp: { ...userOp, ...fields } });
+    assert.strictEqual(validation.valid, false, JSON.stringify(fields));
+    assert.strictEqual(validation.code, 'INVALID_USEROP');
+    assert.strictEqual(getValidationErrorStatus(validation.code), 400);
+  }
+  assert.strictEqual(validateUserOp({ ...userOp, nonce: 'abc' }).message, 'nonce 必须为整数 (十进制或 0x 开头的十六进制)');
+  console.log('  [OK]');
+
+  console.log('Step 3: execution mode...');
+  assert.strictEqual(validateMode(undefined).mode, 1);
+  assert.strictEqual(validateMode(3).mode, 3);
+  assert.ok(!validateMode(2).valid);
+  console.log('  [OK]');
+
+  console.log('Step 4: authorization address and chainId...');
+  const authorization = { chainId: config.chainId, address: config.kernelAddress, nonce: 0 };
+  assert.ok(validateAuthorization(authorization).valid);
+  assert.ok(!validateAuthorization({ ...authorization, chainId: config.chainId + 1 }).valid);
+  assert.ok(!validateAuthorization({ ...authorization, address: userB.address }).valid);
+  assert.ok(!validateAuthorization({ ...authorization, nonce: -1 }).valid);
+  console.log('  [OK]');
+
+  console.log('Step 5: trusted API key bypass...');
+  const originalKeys = config.trustedApiKeys;
+  config.trustedApiKeys = ['ops-key'];
+  assert.ok(isTrustedRequest({ headers: { 'x-api-key': 'ops-key' } }));
+  assert.ok(!isTrustedRequest({ headers: { 'x-api-key': 'other-key' } }));
+  assert.ok(!isTrustedRequest({ headers: {} }));
+  config.trustedApiKeys = [];
+  assert.ok(!isTrustedRequest({ headers: { 'x-api-key': '' } }));
+  config.trustedApiKeys = originalKeys;
+  console.log('  [OK]');
+
+  console.log('');
+  console.log('  [PASS] execution pre-checks');
+  console.log('');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,64 @@
+/**
+ * Test fee oracle suggestions computed from a recorded eth_feeHistory
+ * response, no node required
+ */
+
+import assert from 'node:assert';
+import { ethers } from 'ethers';
+import { computeFeeSuggestions, formatFeeSuggestions } from '../src/services/feeOracle.js';
+
+const gwei = (value) => ethers.parseUnits(value, 'gwei');
+
+async function main() {
+  console.log('');
+  console.log('╔════════════════════════════════════════════════════════════════════╗');
+  console.log('║          FEE ORACLE TEST                                         ║');
+  console.log('╚════════════════════════════════════════════════════════════════════╝');
+  console.log('');
+
+  console.log('Step 1: percentile medians and base fee margin...');
+  const feeHistory = {
+    oldestBlock: '0x10',
+    baseFeePerGas: [gwei('1'), gwei('1.1'), gwei('0.9'), gwei('1')].map(ethers.toQuantity),
+    gasUsedRatio: [0.5, 0.2, 0.6],
+    reward: [
+      [gwei('0.5'), gwei('1'), gwei('3')],
+      [gwei('0.2'), gwei('2'), gwei('4')],
+      [gwei('0.3'), gwei('1.5'), gwei('2')]
+    ].map((row) => row.map(ethers.toQuantity))
+  };
+  const suggestions = computeFeeSuggestions(feeHistory, 20);
+  assert.strictEqual(suggestions.baseFeePerGas, gwei('1'));
+  assert.strictEqual(suggestions.blocks, 3);
+  assert.strictEqual(suggestions.slow.maxPriorityFeePerGas, gwei('0.3'));
+  assert.strictEqual(suggestions.standard.maxPriorityFeePerGas, gwei('1.5'));
+  assert.strictEqual(suggestions.fast.maxPriorityFeePerGas, gwei('3'));
+  assert.strictEqual(suggestions.standard.maxFeePerGas, gwei('1.2') + gwei('1.5'));
+  console.log('  standard:', ethers.formatUnits(suggestions.standard.maxFeePerGas, 'gwei'), 'gwei');
+
+  console.log('Step 2: empty blocks fall back to the priority fee floor...');
+  const idle = computeFeeSuggestions({
+    baseFeePerGas: ['0x0', '0x0'],
+    reward: [['0x0', '0x0', '0x0']]
+  }, 20);
+  assert.strictEqual(idle.slow.maxPriorityFeePerGas, gwei('0.1'));
+  assert.strictEqual(idle.fast.maxFeePerGas, gwei('0.1'));
+  console.log('  [OK]');
+
+  console.log('Step 3: JSON formatting...');
+  const formatted = formatFeeSuggestions(suggestions);
+  assert.strictEqual(formatted.fast.maxPriorityFeePerGas, gwei('3').toString());
+  assert.doesNotThrow(() => JSON.stringify(formatted));
+  console.log('  [OK]');
+
+  console.log('');
+  console.log('  [PASS] fee oracle');
+  console.log('');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
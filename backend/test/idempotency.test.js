@@ -0,0 +1,179 @@
+/**
+ * Test Idempotency-Key handling for /api/execute and /api/send-raw:
+ * replaying completed results, reporting in-progress status for
+ * concurrent or stuck retries, and releasing keys when nothing was
+ * broadcast, against a local express app with a stub route, no node required
+ */
+
+import assert from 'node:assert';
+import express from 'express';
+
+// 测试不写入 data/userops.jsonl
+process.env.USEROP_STORE = 'memory';
+
+const SENDER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+function buildUserOp(nonce) {
+  return {
+    sender: SENDER,
+    nonce: String(nonce),
+    callData: '0x',
+    callGasLimit: '100000',
+    verificationGasLimit: '150000',
+    preVerificationGas: '50000',
+    maxFeePerGas: '1000000000',
+    maxPriorityFeePerGas: '1000000000',
+    signature: '0x' + '11'.repeat(65)
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function main() {
+  const { normalizeUserOp } = await import('../src/services/userOperation.js');
+  const { hashUserOp } = await import('../src/services/validation.js');
+  const { getUserOpStore, USEROP_STATUS } = await import('../src/services/userOpStore.js');
+  const { IdempotencyStore, idempotency } = await import('../src/services/idempotency.js');
+
+  console.log('');
+  console.log('╔════════════════════════════════════════════════════════════════════╗');
+  console.log('║          IDEMPOTENCY TEST                                        ║');
+  console.log('╚════════════════════════════════════════════════════════════════════╝');
+  console.log('');
+
+  // 模拟 /api/execute: 写入 UserOp 存储后按 outcome 返回
+  const store = new IdempotencyStore({ ttlMs: 3600000 });
+  const calls = [];
+  let outcome = 'success';
+  const txHash = '0x' + 'aa'.repeat(32);
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.id = 'test';
+    next();
+  });
+  app.post('/api/execute', idempotency('userOp', store), async (req, res) => {
+    const userOpHash = hashUserOp(normalizeUserOp(req.body.userOp));
+    calls.push(userOpHash);
+    const current = outcome;
+
+    if (current === 'invalid') {
+      return res.status(400).json({ success: false, error: { code: 'NONCE_ERROR' } });
+    }
+
+    getUserOpStore().save({ userOpHash, userOp: req.body.userOp, source: 'execute' });
+    await sleep(100);
+
+    if (current === 'stuck') {
+      getUserOpStore().save({ userOpHash, status: USEROP_STATUS.SUBMITTED, txHash });
+      return res.status(504).json({ success: false, error: { code: 'TX_STUCK', details: { userOpHash } } });
+    }
+
+    getUserOpStore().save({ userOpHash, status: USEROP_STATUS.INCLUDED, txHash, blockNumber: 1 });
+    return res.json({ success: true, data: { userOpHash, txHash, call: calls.length } });
+  });
+
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/api/execute`;
+  const post = async (userOp, key) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(key ? { 'Idempotency-Key': key } : {}) },
+      body: JSON.stringify({ userOp })
+    });
+    return { status: response.status, replayed: response.headers.get('idempotent-replayed'), body: await response.json() };
+  };
+
+  try {
+    console.log('Step 1: requests without a key are not deduplicated...');
+    await post(buildUserOp(0));
+    await post(buildUserOp(0));
+    assert.strictEqual(calls.length, 2);
+    console.log('  [OK]');
+
+    console.log('Step 2: malformed keys are rejected...');
+    const invalid = await post(buildUserOp(0), 'a'.repeat(256));
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual(invalid.body.error.code, 'INVALID_PARAMS');
+    console.log('  [OK]');
+
+    console.log('Step 3: concurrent retries get the in-progress status...');
+    calls.length = 0;
+    const userOp = buildUserOp(1);
+    const userOpHash = hashUserOp(normalizeUserOp(userOp));
+    const first = post(userOp, 'key-1');
+    await sleep(30);
+    const concurrent = await post(userOp, 'key-1');
+    assert.strictEqual(concurrent.status, 202);
+    assert.strictEqual(concurrent.replayed, 'true');
+    assert.strictEqual(concurrent.body.data.userOpHash, userOpHash);
+    assert.strictEqual(concurrent.body.data.status, 'received');
+    assert.strictEqual(concurrent.body.data.statusUrl, `/api/userop/${userOpHash}`);
+    const original = await first;
+    assert.strictEqual(original.status, 200);
+    assert.strictEqual(calls.length, 1);
+    console.log('  [OK]');
+
+    console.log('Step 4: completed requests replay the original response...');
+    const replay = await post(userOp, 'key-1');
+    assert.strictEqual(replay.status, 200);
+    assert.strictEqual(replay.replayed, 'true');
+    assert.deepStrictEqual(replay.body, original.body);
+    assert.strictEqual(calls.length, 1);
+    console.log('  [OK]');
+
+    console.log('Step 5: the key is scoped to the userOpHash...');
+    await post(buildUserOp(2), 'key-1');
+    assert.strictEqual(calls.length, 2);
+    console.log('  [OK]');
+
+    console.log('Step 6: failures without a broadcast release the key...');
+    outcome = 'invalid';
+    const rejected = await post(buildUserOp(3), 'key-2');
+    assert.strictEqual(rejected.status, 400);
+    outcome = 'success';
+    const retried = await post(buildUserOp(3), 'key-2');
+    assert.strictEqual(retried.status, 200);
+    assert.strictEqual(retried.replayed, null);
+    assert.strictEqual(calls.length, 4);
+    console.log('  [OK]');
+
+    console.log('Step 7: stuck transactions report the current status instead of resending...');
+    outcome = 'stuck';
+    const stuck = await post(buildUserOp(4), 'key-3');
+    assert.strictEqual(stuck.status, 504);
+    const stuckRetry = await post(buildUserOp(4), 'key-3');
+    assert.strictEqual(stuckRetry.status, 202);
+    assert.strictEqual(stuckRetry.body.data.status, 'submitted');
+    assert.strictEqual(stuckRetry.body.data.txHash, txHash);
+    assert.strictEqual(calls.length, 5);
+    console.log('  [OK]');
+
+    console.log('Step 8: keys expire after the TTL...');
+    for (const record of store.records.values()) {
+      record.createdAt -= 2 * 3600000;
+    }
+    assert.strictEqual(store.get('key-1', userOpHash), null);
+    const remaining = store.records.size;
+    assert.strictEqual(store.prune(), remaining);
+    assert.strictEqual(store.records.size, 0);
+    console.log('  [OK]');
+  } finally {
+    server.close();
+  }
+
+  console.log('');
+  console.log('  [PASS] idempotency');
+  console.log('');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,297 @@
+/**
+ * Test the UserOp mempool: one op per sender per bundle, FailedOp splicing
+ * from the state-override handleOps simulation, the flush lock released once
+ * the bundle is broadcast, and pending / submitted / included / failed
+ * transitions, background tracking of UserOps broadcast elsewhere and
+ * webhook notifications, against a stub JSON-RPC provider, no node required
+ */
+
+import assert from 'node:assert';
+import { ethers } from 'ethers';
+
+// 测试不写入 data/userops.jsonl 和 data/webhooks.json
+process.env.USEROP_STORE = 'memory';
+process.env.WEBHOOKS_PATH = '';
+process.env.BUNDLE_INTERVAL_MS = '100';
+
+// anvil 默认账户 #2, #3
+const WALLETS = [
+  new ethers.Wallet('0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a'),
+  new ethers.Wallet('0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6')
+];
+
+/**
+ * 等待条件成立 (后台更新的状态)
+ */
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('等待超时');
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+async function main() {
+  const { config } = await import('../src/config.js');
+  const { getProvider, getEntryPointInterface, buildBundleTransaction } = await import('../src/services/bundler.js');
+  const { hashUserOp } = await import('../src/services/validation.js');
+  const { getUserOpSigningDigest } = await import('../src/services/userOpHash.js');
+  const { mempool, USEROP_STATUS } = await import('../src/services/mempool.js');
+  const { webhooks, WEBHOOK_EVENTS } = await import('../src/services/webhooks.js');
+
+  const entryPointInterface = getEntryPointInterface();
+  const errors = new ethers.Interface(['error FailedOp(uint256 opIndex, string reason)']);
+
+  const signUserOp = (wallet, nonce) => {
+    const userOp = {
+      sender: wallet.address,
+      nonce: String(nonce),
+      callData: '0x',
+      callGasLimit: '150000',
+      verificationGasLimit: '150000',
+      preVerificationGas: '21000',
+      maxFeePerGas: '1000000000',
+      maxPriorityFeePerGas: '1000000000',
+      paymasterAndData: '0x',
+      signature: '0x'
+    };
+    userOp.signature = wallet.signingKey.sign(getUserOpSigningDigest(userOp)).serialized;
+    return userOp;
+  };
+
+  /**
+   * 替换 provider 的 JSON-RPC 传输
+   * - eth_call (handleOps 模拟): sender 在 rejected 中的第一个 UserOp 返回 FailedOp
+   * - eth_sendRawTransaction: 记录广播的交易, sendError 时返回错误
+   * - eth_getTransactionReceipt: chain.mined 为 true 后返回 receipt, 每个 UserOp 一个 UserOperationEvent
+   */
+  const chain = { rejected: new Set(), callError: null, sendError: null, mined: false, calls: [], sent: [] };
+  getProvider()._send = async (payload) => {
+    const requests = Array.isArray(payload) ? payload : [payload];
+    if (chain.callError && requests.some(({ method }) => method === 'eth_call')) {
+      throw chain.callError;
+    }
+
+    return requests.map(({ id, method, params }) => {
+      switch (method) {
+        case 'eth_chainId':
+          return { id, result: ethers.toQuantity(config.chainId) };
+        case 'eth_blockNumber':
+          return { id, result: '0x10' };
+        case 'eth_getTransactionCount':
+          return { id, result: '0x0' };
+        case 'eth_gasPrice':
+        case 'eth_maxPriorityFeePerGas':
+          return { id, result: '0x3b9aca00' };
+        case 'eth_estimateGas':
+          return { id, result: '0x30d40' };
+        case 'eth_getLogs':
+          return { id, result: [] };
+        case 'eth_getBlockByNumber':
+          return {
+            id,
+            result: {
+              hash: ethers.ZeroHash,
+              parentHash: ethers.ZeroHash,
+              number: '0x10',
+              timestamp: '0x0',
+              nonce: '0x0000000000000000',
+              difficulty: '0x0',
+              gasLimit: '0x1c9c380',
+              gasUsed: '0x0',
+              miner: ethers.ZeroAddress,
+              extraData: '0x',
+              baseFeePerGas: '0x3b9aca00',
+              transactions: []
+            }
+          };
+        case 'eth_call': {
+          const [tx, , overrides] = params;
+          const [ops] = entryPointInterface.decodeFunctionData('handleOps', tx.data);
+          chain.calls.push({ senders: ops.map(op => op.sender), overrides });
+          const opIndex = ops.findIndex(op => chain.rejected.has(op.sender));
+          if (opIndex >= 0) {
+            const data = errors.encodeErrorResult('FailedOp', [opIndex, "AA25 invalid account nonce"]);
+            return { id, error: { code: 3, message: 'execution reverted', data } };
+          }
+          return { id, result: '0x' };
+        }
+        case 'eth_sendRawTransaction': {
+          if (chain.sendError) {
+            return { id, error: { code: -32000, message: chain.sendError } };
+          }
+          const hash = ethers.keccak256(params[0]);
+          chain.sent.push({ hash, tx: ethers.Transaction.from(params[0]) });
+          return { id, result: hash };
+        }
+        case 'eth_getTransactionReceipt': {
+          const sent = chain.sent.find(item => item.hash === params[0]);
+          if (!sent || !chain.mined) {
+            return { id, result: null };
+          }
+          const [ops] = entryPointInterface.decodeFunctionData('handleOps', sent.tx.data);
+          const logs = ops.map((op, index) => {
+            const log = entryPointInterface.encodeEventLog(entryPointInterface.getEvent('UserOperationEvent'), [
+              ethers.ZeroHash, op.sender, ethers.ZeroAddress, op.nonce, true, 1000n, 100n
+            ]);
+            return {
+              address: config.entryPointAddress,
+              topics: log.topics,
+              data: log.data,
+              blockNumber: '0x11',
+              blockHash: '0x' + 'cc'.repeat(32),
+              transactionHash: sent.hash,
+              transactionIndex: '0x0',
+              logIndex: ethers.toQuantity(index),
+              removed: false
+            };
+          });
+          return {
+            id,
+            result: {
+              transactionHash: sent.hash,
+              transactionIndex: '0x0',
+              blockHash: '0x' + 'cc'.repeat(32),
+              blockNumber: '0x11',
+              from: sent.tx.from,
+              to: sent.tx.to,
+              contractAddress: null,
+              cumulativeGasUsed: '0x30d40',
+              gasUsed: '0x30d40',
+              effectiveGasPrice: '0x3b9aca00',
+              logsBloom: '0x' + '00'.repeat(256),
+              logs,
+              status: '0x1',
+              type: '0x4'
+            }
+          };
+        }
+        default:
+          return { id, error: { code: -32601, message: `unexpected method ${method}` } };
+      }
+    });
+  };
+
+  console.log('');
+  console.log('╔════════════════════════════════════════════════════════════════════╗');
+  console.log('║          USEROP MEMPOOL TEST                                     ║');
+  console.log('╚════════════════════════════════════════════════════════════════════╝');
+  console.log('');
+
+  const [walletA, walletB] = WALLETS;
+  // 按 sender 订阅的 webhook 同样收到 mempool 中 UserOp 的结果
+  webhooks.send = async () => 204;
+  const allEvents = Object.values(WEBHOOK_EVENTS);
+  const webhookA = webhooks.register({ owner: 'test', url: 'https://example.com/a', sender: walletA.address, events: allEvents });
+  const webhookB = webhooks.register({ owner: 'test', url: 'https://example.com/b', sender: walletB.address, events: allEvents });
+  const delivered = (webhook) => webhooks.getDeliveries(webhook.id).reverse().map(delivery => [delivery.userOpHash, delivery.event]);
+  const opA0 = signUserOp(walletA, 0);
+  const opA1 = signUserOp(walletA, 1);
+  const opB0 = signUserOp(walletB, 0);
+
+  console.log('Step 1: one UserOp per sender per bundle...');
+  const hashA0 = mempool.add(opA0).userOpHash;
+  const hashA1 = mempool.add(opA1).userOpHash;
+  const hashB0 = mempool.add(opB0).userOpHash;
+  assert.strictEqual(mempool.add(opA0).code, 'DUPLICATE_USEROP');
+  assert.strictEqual(mempool.add({ ...opA0, signature: opB0.signature }).code, 'INVALID_SIGNATURE');
+  assert.deepStrictEqual(mempool.selectBundle().map(entry => entry.userOpHash), [hashA0, hashB0]);
+  assert.strictEqual(mempool.getPendingCount(), 3);
+  console.log('  [OK]');
+
+  console.log('Step 2: FailedOp splices the op out and the rest is broadcast...');
+  chain.rejected.add(walletB.address);
+  const txHash = await mempool.flush();
+  assert.deepStrictEqual(chain.calls.map(call => call.senders), [
+    [walletA.address, walletB.address],
+    [walletA.address]
+  ]);
+  assert.strictEqual(mempool.get(hashB0).status, USEROP_STATUS.FAILED);
+  assert.ok(mempool.get(hashB0).reason.includes('AA25'));
+  assert.strictEqual(chain.sent.length, 1);
+  assert.strictEqual(txHash, chain.sent[0].hash);
+  console.log('  [OK]');
+
+  console.log('Step 3: flush lock is released before the receipt...');
+  assert.strictEqual(mempool.flushing, false);
+  assert.strictEqual(mempool.get(hashA0).status, USEROP_STATUS.SUBMITTED);
+  assert.strictEqual(mempool.get(hashA0).txHash, txHash);
+  // A 的下一个 UserOp 在前一个上链前不会被打包
+  assert.deepStrictEqual(mempool.selectBundle(), []);
+  chain.mined = true;
+  await waitFor(() => mempool.get(hashA0).status !== USEROP_STATUS.SUBMITTED);
+  assert.strictEqual(mempool.get(hashA0).status, USEROP_STATUS.INCLUDED);
+  assert.strictEqual(mempool.get(hashA0).blockNumber, 17);
+  assert.strictEqual(mempool.get(hashA0).actualGasCost, '1000');
+  console.log('  [OK]');
+
+  console.log('Step 4: non-revert simulation error keeps ops pending...');
+  chain.callError = new Error('connect ECONNREFUSED');
+  assert.strictEqual(await mempool.flush(), null);
+  assert.strictEqual(mempool.get(hashA1).status, USEROP_STATUS.PENDING);
+  chain.callError = null;
+  console.log('  [OK]');
+
+  console.log('Step 5: send failure before broadcast keeps ops pending...');
+  // ethers 在 250ms 内复用相同请求的结果
+  await new Promise(resolve => setTimeout(resolve, 300));
+  chain.sendError = 'insufficient funds for gas * price + value';
+  assert.strictEqual(await mempool.flush(), null);
+  assert.strictEqual(mempool.get(hashA1).status, USEROP_STATUS.PENDING);
+  assert.strictEqual(mempool.get(hashA1).txHash, undefined);
+  assert.strictEqual(chain.sent.length, 1);
+  console.log('  [OK]');
+
+  console.log('Step 6: the next bundle includes the remaining op...');
+  chain.sendError = null;
+  const nextTxHash = await mempool.flush();
+  assert.strictEqual(nextTxHash, chain.sent[1].hash);
+  await waitFor(() => mempool.get(hashA1).status === USEROP_STATUS.INCLUDED);
+  assert.deepStrictEqual(mempool.getStats(), { pending: 0, submitted: 0, included: 2, failed: 1 });
+  console.log('  [OK]');
+
+  console.log('Step 7: a UserOp broadcast outside the mempool is tracked until included...');
+  // /api/execute 交易达到替换上限仍未上链时交由 mempool.track 确认结果
+  const opB1 = signUserOp(walletB, 1);
+  const raw = await walletB.signTransaction({
+    ...buildBundleTransaction([opB1]),
+    chainId: config.chainId,
+    nonce: 5,
+    gasLimit: 200000n,
+    gasPrice: 1000000000n
+  });
+  const trackedHash = ethers.keccak256(raw);
+  chain.mined = false;
+  chain.sent.push({ hash: trackedHash, tx: ethers.Transaction.from(raw) });
+  const hashB1 = hashUserOp(opB1);
+  mempool.track({ userOpHash: hashB1, userOp: opB1, source: 'execute', status: USEROP_STATUS.SUBMITTED, txHash: trackedHash });
+  assert.strictEqual(mempool.watching.has(hashB1), true);
+  await new Promise(resolve => setTimeout(resolve, 300));
+  assert.strictEqual(mempool.get(hashB1).status, USEROP_STATUS.SUBMITTED);
+  chain.mined = true;
+  await waitFor(() => mempool.get(hashB1).status === USEROP_STATUS.INCLUDED);
+  assert.strictEqual(mempool.get(hashB1).txHash, trackedHash);
+  assert.strictEqual(mempool.watching.size, 0);
+  console.log('  [OK]');
+
+  console.log('Step 8: each result is delivered to sender webhooks once...');
+  assert.deepStrictEqual(delivered(webhookA), [[hashA0, WEBHOOK_EVENTS.INCLUDED], [hashA1, WEBHOOK_EVENTS.INCLUDED]]);
+  assert.deepStrictEqual(delivered(webhookB), [[hashB0, WEBHOOK_EVENTS.FAILED], [hashB1, WEBHOOK_EVENTS.INCLUDED]]);
+  const [included] = webhooks.getDeliveries(webhookB.id);
+  assert.strictEqual(included.payload.data.receipt.transactionHash, trackedHash);
+  assert.strictEqual(included.payload.data.source, 'execute');
+  console.log('  [OK]');
+
+  console.log('');
+  console.log('  [PASS] mempool');
+  console.log('');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
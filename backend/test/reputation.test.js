@@ -0,0 +1,168 @@
+/**
+ * Test sender / paymaster / token reputation: entity extraction,
+ * throttling and ban thresholds, sender-only blame for failures, hourly
+ * decay and receipt inclusion, no node required
+ */
+
+import assert from 'node:assert';
+import { ethers } from 'ethers';
+import {
+  ReputationManager,
+  REPUTATION_STATUS,
+  getGasToken,
+  getUserOpEntities
+} from '../src/services/reputation.js';
+import { getEntryPointInterface, isUserOpIncluded } from '../src/services/bundler.js';
+
+const SENDER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+// 首字节不能为 0x00 / 0x20, 否则 Kernel 按 abi.encode 格式解码
+const TOKEN = '0xC3CEec5Ba25E4762a3218beac49A40681B9CC5cb';
+
+function compactPaymasterAndData(token, amount) {
+  return ethers.solidityPacked(['address', 'uint256'], [token, amount]);
+}
+
+function buildUserOpEventLog(userOp, success) {
+  const entryPointInterface = getEntryPointInterface();
+  const event = entryPointInterface.getEvent('UserOperationEvent');
+  const { data, topics } = entryPointInterface.encodeEventLog(event, [
+    ethers.ZeroHash,
+    userOp.sender,
+    ethers.ZeroAddress,
+    BigInt(userOp.nonce),
+    success,
+    1000n,
+    100n
+  ]);
+  return { address: ethers.ZeroAddress, data, topics };
+}
+
+async function main() {
+  console.log('');
+  console.log('╔════════════════════════════════════════════════════════════════════╗');
+  console.log('║          REPUTATION TEST                                         ║');
+  console.log('╚════════════════════════════════════════════════════════════════════╝');
+  console.log('');
+
+  console.log('Step 1: gas token decoding matches Kernel...');
+  const compact = compactPaymasterAndData(TOKEN, 1000n);
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(['address', 'uint256'], [TOKEN, 1000n]);
+  assert.strictEqual(getGasToken(compact), TOKEN);
+  assert.strictEqual(getGasToken(encoded), TOKEN);
+  assert.strictEqual(getGasToken('0x'), null);
+  console.log('  [OK]');
+
+  console.log('Step 2: entities are deduplicated per UserOp...');
+  const userOp = { sender: SENDER, nonce: 0, paymasterAndData: compact };
+  const entities = getUserOpEntities(userOp);
+  assert.strictEqual(entities.length, 2);
+  assert.deepStrictEqual(entities[0].roles, ['sender']);
+  assert.deepStrictEqual(entities[1].roles, ['paymaster', 'token']);
+  assert.strictEqual(getUserOpEntities({ sender: SENDER, paymasterAndData: '0x' }).length, 1);
+  console.log('  [OK]');
+
+  console.log('Step 3: ok -> throttled -> banned as ops are not included...');
+  const manager = new ReputationManager({
+    minInclusionDenominator: 10,
+    throttlingSlack: 1,
+    banSlack: 3,
+    throttledMaxPending: 1
+  });
+  const bare = { sender: SENDER, nonce: 0, paymasterAndData: '0x' };
+  const record = (count, included) => {
+    for (let i = 0; i < count; i++) {
+      manager.recordSeen(bare);
+      manager.recordResult(bare, included);
+    }
+  };
+
+  record(19, false);
+  assert.strictEqual(manager.getStatus(SENDER), REPUTATION_STATUS.OK);
+  record(1, false);
+  assert.strictEqual(manager.getStatus(SENDER), REPUTATION_STATUS.THROTTLED);
+  assert.strictEqual(manager.checkUserOp(bare).valid, true);
+  record(20, false);
+  assert.strictEqual(manager.getStatus(SENDER), REPUTATION_STATUS.BANNED);
+  const banned = manager.checkUserOp(bare);
+  assert.strictEqual(banned.valid, false);
+  assert.strictEqual(banned.code, 'ENTITY_BANNED');
+  assert.strictEqual(banned.entity.address, SENDER);
+  console.log('  ', banned.message);
+
+  console.log('Step 4: included ops restore the entity...');
+  record(2, true);
+  assert.strictEqual(manager.getStatus(SENDER), REPUTATION_STATUS.THROTTLED);
+  console.log('  [OK]');
+
+  console.log('Step 5: throttled entities are limited by in-flight UserOps...');
+  manager.recordSeen(bare);
+  const throttled = manager.checkUserOp(bare);
+  assert.strictEqual(throttled.valid, false);
+  assert.strictEqual(throttled.code, 'ENTITY_THROTTLED');
+  manager.recordResult(bare, false);
+  assert.strictEqual(manager.get(SENDER).pending, 0);
+  console.log('  [OK]');
+
+  console.log('Step 6: counters decay by 1/24 per hour...');
+  const before = manager.get(SENDER);
+  manager.lastDecayAt -= 3600000;
+  const after = manager.get(SENDER);
+  assert.strictEqual(after.opsSeen, before.opsSeen - Math.floor(before.opsSeen / 24));
+  manager.lastDecayAt -= 7 * 24 * 3600000;
+  assert.strictEqual(manager.list().length, 0);
+  assert.strictEqual(manager.getStatus(SENDER), REPUTATION_STATUS.OK);
+  console.log('  [OK]');
+
+  console.log('Step 7: list, get and reset...');
+  record(1, true);
+  assert.strictEqual(manager.list(REPUTATION_STATUS.OK).length, 1);
+  assert.strictEqual(manager.list(REPUTATION_STATUS.BANNED).length, 0);
+  assert.strictEqual(manager.get(TOKEN).opsSeen, 0);
+  assert.strictEqual(manager.reset(SENDER), 1);
+  assert.strictEqual(manager.reset(), 0);
+  console.log('  [OK]');
+
+  console.log('Step 8: failures are blamed on the sender only...');
+  const shared = new ReputationManager({
+    minInclusionDenominator: 10,
+    throttlingSlack: 1,
+    banSlack: 3,
+    throttledMaxPending: 1
+  });
+  const withToken = { sender: SENDER, nonce: 0, paymasterAndData: compact };
+  for (let i = 0; i < 40; i++) {
+    shared.recordSeen(withToken);
+    shared.recordResult(withToken, false);
+  }
+  assert.strictEqual(shared.getStatus(SENDER), REPUTATION_STATUS.BANNED);
+  assert.strictEqual(shared.getStatus(TOKEN), REPUTATION_STATUS.OK);
+  assert.strictEqual(shared.get(TOKEN).opsSeen, 0);
+  assert.strictEqual(shared.get(TOKEN).pending, 0);
+  // 其他 sender 仍可使用同一个 gas token
+  const other = { sender: ethers.Wallet.createRandom().address, nonce: 0, paymasterAndData: compact };
+  assert.strictEqual(shared.checkUserOp(other).valid, true);
+  shared.recordSeen(other);
+  shared.recordResult(other, true);
+  assert.strictEqual(shared.get(TOKEN).opsSeen, 1);
+  assert.strictEqual(shared.get(TOKEN).opsIncluded, 1);
+  console.log('  [OK]');
+
+  console.log('Step 9: inclusion requires UserOperationEvent.success...');
+  const receipt = (status, success) => ({ status, logs: [buildUserOpEventLog(bare, success)] });
+  assert.strictEqual(isUserOpIncluded(receipt(1, true), bare), true);
+  assert.strictEqual(isUserOpIncluded(receipt(1, false), bare), false);
+  assert.strictEqual(isUserOpIncluded(receipt(0, true), bare), false);
+  assert.strictEqual(isUserOpIncluded(receipt(1, true), { ...bare, nonce: 1 }), false);
+  console.log('  [OK]');
+
+  console.log('');
+  console.log('  [PASS] reputation');
+  console.log('');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
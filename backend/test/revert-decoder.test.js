@@ -0,0 +1,146 @@
+/**
+ * Test revert data decoding: Kernel custom errors, EntryPoint FailedOp /
+ * FailedOpWithRevert with nested inner revert data, Error(string) / Panic,
+ * extraction from ethers errors, and the decoded revert in UserOp status,
+ * no node required
+ */
+
+import assert from 'node:assert';
+import { ethers } from 'ethers';
+
+// 测试不写入 data/userops.jsonl
+process.env.USEROP_STORE = 'memory';
+
+const SENDER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+const errors = new ethers.Interface([
+  'error OnlyEntryPoint()',
+  'error InvalidNonce()',
+  'error CallFailed(uint256 callIndex)',
+  'error TransferFailed()',
+  'error InvalidMode()',
+  'error TooManyCalls(uint256 count, uint256 max)',
+  'error FailedOp(uint256 opIndex, string reason)',
+  'error FailedOpWithRevert(uint256 opIndex, string reason, bytes inner)',
+  'error Error(string)',
+  'error Panic(uint256)'
+]);
+
+async function main() {
+  const {
+    decodeRevertData,
+    decodeRevertError,
+    getRevertData,
+    REVERT_CODES
+  } = await import('../src/services/revertDecoder.js');
+  const { MemoryUserOpStore, USEROP_STATUS, setUserOpStore } = await import('../src/services/userOpStore.js');
+  const { getUserOpStatus } = await import('../src/services/userOpSubmission.js');
+
+  console.log('');
+  console.log('╔════════════════════════════════════════════════════════════════════╗');
+  console.log('║          REVERT DECODER TEST                                     ║');
+  console.log('╚════════════════════════════════════════════════════════════════════╝');
+  console.log('');
+
+  console.log('Step 1: Kernel custom errors map to stable codes...');
+  const simple = [
+    ['OnlyEntryPoint', REVERT_CODES.KERNEL_ONLY_ENTRY_POINT],
+    ['InvalidNonce', REVERT_CODES.KERNEL_INVALID_NONCE],
+    ['TransferFailed', REVERT_CODES.KERNEL_TRANSFER_FAILED],
+    ['InvalidMode', REVERT_CODES.KERNEL_INVALID_MODE]
+  ];
+  for (const [name, code] of simple) {
+    const decoded = decodeRevertData(errors.encodeErrorResult(name, []));
+    assert.strictEqual(decoded.code, code);
+    assert.strictEqual(decoded.name, name);
+    assert.strictEqual(decoded.callIndex, null);
+    assert.ok(decoded.message.startsWith('Kernel:'));
+  }
+
+  const callFailed = decodeRevertData(errors.encodeErrorResult('CallFailed', [2]));
+  assert.strictEqual(callFailed.code, REVERT_CODES.KERNEL_CALL_FAILED);
+  assert.strictEqual(callFailed.callIndex, 2);
+  assert.deepStrictEqual(callFailed.args, { callIndex: '2' });
+
+  const tooMany = decodeRevertData(errors.encodeErrorResult('TooManyCalls', [11, 10]));
+  assert.strictEqual(tooMany.code, REVERT_CODES.KERNEL_TOO_MANY_CALLS);
+  assert.deepStrictEqual(tooMany.args, { count: '11', max: '10' });
+  assert.ok(tooMany.message.includes('11') && tooMany.message.includes('10'));
+  console.log('  [OK]');
+
+  console.log('Step 2: EntryPoint FailedOp...');
+  const failedOp = decodeRevertData(errors.encodeErrorResult('FailedOp', [1, "AA21 didn't pay prefund"]));
+  assert.strictEqual(failedOp.code, REVERT_CODES.ENTRYPOINT_FAILED_OP);
+  assert.strictEqual(failedOp.opIndex, 1);
+  assert.strictEqual(failedOp.callIndex, null);
+  assert.strictEqual(failedOp.args.reason, "AA21 didn't pay prefund");
+  assert.ok(failedOp.message.includes("AA21 didn't pay prefund"));
+  console.log('  [OK]');
+
+  console.log('Step 3: FailedOpWithRevert decodes the nested inner revert...');
+  const inner = errors.encodeErrorResult('CallFailed', [3]);
+  const withRevert = decodeRevertData(errors.encodeErrorResult('FailedOpWithRevert', [0, 'AA23 reverted', inner]));
+  assert.strictEqual(withRevert.code, REVERT_CODES.ENTRYPOINT_FAILED_OP_WITH_REVERT);
+  assert.strictEqual(withRevert.opIndex, 0);
+  assert.strictEqual(withRevert.callIndex, 3);
+  assert.strictEqual(withRevert.inner.code, REVERT_CODES.KERNEL_CALL_FAILED);
+  assert.strictEqual(withRevert.inner.data, inner);
+  assert.ok(withRevert.message.includes(withRevert.inner.message));
+
+  const stringInner = errors.encodeErrorResult('Error', ['Invalid signature from signer']);
+  const withString = decodeRevertData(errors.encodeErrorResult('FailedOpWithRevert', [0, 'AA23 reverted', stringInner]));
+  assert.strictEqual(withString.inner.code, REVERT_CODES.REVERT_STRING);
+  assert.strictEqual(withString.callIndex, null);
+  assert.ok(withString.message.includes('Invalid signature from signer'));
+
+  const emptyInner = decodeRevertData(errors.encodeErrorResult('FailedOpWithRevert', [0, 'AA23 reverted', '0x']));
+  assert.strictEqual(emptyInner.inner.code, REVERT_CODES.EMPTY_REVERT);
+  console.log('  [OK]');
+
+  console.log('Step 4: Error(string), Panic, empty and unknown data...');
+  assert.strictEqual(decodeRevertData(errors.encodeErrorResult('Error', ['Too deep'])).message, 'revert: Too deep');
+  const panic = decodeRevertData(errors.encodeErrorResult('Panic', [0x11]));
+  assert.strictEqual(panic.code, REVERT_CODES.PANIC);
+  assert.strictEqual(panic.message, 'panic: 0x11');
+  assert.strictEqual(decodeRevertData('0x').code, REVERT_CODES.EMPTY_REVERT);
+  const unknown = decodeRevertData('0xdeadbeef00');
+  assert.strictEqual(unknown.code, REVERT_CODES.UNKNOWN_ERROR);
+  assert.ok(unknown.message.includes('0xdeadbeef'));
+  // selector 匹配但参数无法解码
+  assert.strictEqual(decodeRevertData(ethers.id('CallFailed(uint256)').slice(0, 10)).code, REVERT_CODES.UNKNOWN_ERROR);
+  assert.strictEqual(decodeRevertData(null), null);
+  console.log('  [OK]');
+
+  console.log('Step 5: revert data is extracted from ethers errors...');
+  const data = errors.encodeErrorResult('InvalidNonce', []);
+  assert.strictEqual(getRevertData({ data }), data);
+  assert.strictEqual(getRevertData({ info: { error: { data } } }), data);
+  assert.strictEqual(getRevertData({ error: { data } }), data);
+  assert.strictEqual(getRevertData(new Error('insufficient funds')), null);
+  assert.strictEqual(decodeRevertError({ data }).code, REVERT_CODES.KERNEL_INVALID_NONCE);
+  assert.strictEqual(decodeRevertError(new Error('timeout')), null);
+  console.log('  [OK]');
+
+  console.log('Step 6: UserOp status carries the decoded revert...');
+  const store = new MemoryUserOpStore();
+  setUserOpStore(store);
+  const userOpHash = ethers.keccak256('0x0a');
+  store.save({ userOpHash, userOp: { sender: SENDER, nonce: '0' }, source: 'execute' });
+  store.save({ userOpHash, status: USEROP_STATUS.FAILED, txHash: '0x' + 'aa'.repeat(32), revertData: inner });
+  const status = await getUserOpStatus(userOpHash);
+  assert.strictEqual(status.result.revertData, inner);
+  assert.strictEqual(status.result.revert.code, REVERT_CODES.KERNEL_CALL_FAILED);
+  assert.strictEqual(status.result.revert.callIndex, 3);
+  console.log('  [OK]');
+
+  console.log('');
+  console.log('  [PASS] revert decoder');
+  console.log('');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
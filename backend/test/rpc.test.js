@@ -0,0 +1,215 @@
+/**
+ * Test the ERC-4337 JSON-RPC endpoint: eth_estimateUserOperationGas returns
+ * the per-field gasEstimator results and maps simulation reverts to -32500,
+ * malformed numeric fields are rejected as invalid params, method dispatch,
+ * batches and the JSON-RPC 2.0 error codes, against a stub JSON-RPC
+ * provider, no node required
+ */
+
+import assert from 'node:assert';
+import { ethers } from 'ethers';
+
+// 测试不写入 data/userops.jsonl 和 data/webhooks.json
+process.env.USEROP_STORE = 'memory';
+process.env.WEBHOOKS_PATH = '';
+
+const SENDER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+/**
+ * 调用 POST /rpc 处理函数
+ *
+ * @param {function} handleRpc - 路由处理函数
+ * @param {Object|Array} body - JSON-RPC 请求
+ * @returns {Promise<Object|Array>} JSON-RPC 响应
+ */
+async function callRpc(handleRpc, body) {
+  let response;
+  const res = {
+    json(payload) {
+      response = payload;
+      return res;
+    }
+  };
+  await handleRpc({ id: 'req_test', body }, res);
+  return response;
+}
+
+async function main() {
+  const { config } = await import('../src/config.js');
+  const { getProvider } = await import('../src/services/bundler.js');
+  const { estimateUserOpGas } = await import('../src/services/gasEstimator.js');
+  const { handleRpc } = await import('../src/routes/rpc.js');
+
+  /**
+   * 替换 provider 的 JSON-RPC 传输
+   * - eth_estimateGas: 固定 gas, chain.revert 时 revert
+   * - eth_call: EntryPoint.balanceOf 返回 0, 其余 chain.revert 时 revert
+   * - eth_blockNumber: chain.down 时返回节点错误
+   * - eth_getLogs: 没有 UserOperationEvent
+   */
+  const chain = { revert: false, down: false };
+  getProvider()._send = async (payload) => {
+    const requests = Array.isArray(payload) ? payload : [payload];
+    return requests.map(({ id, method, params }) => {
+      switch (method) {
+        case 'eth_chainId':
+          return { id, result: ethers.toQuantity(config.chainId) };
+        case 'eth_getCode':
+          return { id, result: '0x' };
+        case 'eth_blockNumber':
+          return chain.down
+            ? { id, error: { code: -32000, message: 'node unavailable' } }
+            : { id, result: '0x10' };
+        case 'eth_getLogs':
+          return { id, result: [] };
+        case 'eth_estimateGas':
+          return chain.revert
+            ? { id, error: { code: 3, message: 'execution reverted', data: '0x' } }
+            : { id, result: ethers.toQuantity(200000) };
+        case 'eth_call':
+          if (params[0].to.toLowerCase() === config.entryPointAddress.toLowerCase()) {
+            return { id, result: ethers.toBeHex(0, 32) };
+          }
+          return chain.revert
+            ? { id, error: { code: 3, message: 'execution reverted', data: '0x' } }
+            : { id, result: '0x' };
+        default:
+          return { id, error: { code: -32601, message: `unexpected method ${method}` } };
+      }
+    });
+  };
+
+  console.log('');
+  console.log('╔════════════════════════════════════════════════════════════════════╗');
+  console.log('║          BUNDLER JSON-RPC TEST                                   ║');
+  console.log('╚════════════════════════════════════════════════════════════════════╝');
+  console.log('');
+
+  const userOp = {
+    sender: SENDER,
+    nonce: '0x0',
+    callData: '0x69d76bed' + '00'.repeat(12) + '11'.repeat(20) + '00'.repeat(96),
+    maxFeePerGas: '0x3b9aca00',
+    maxPriorityFeePerGas: '0x3b9aca00',
+    signature: '0x'
+  };
+
+  console.log('Step 1: eth_estimateUserOperationGas uses the per-field estimator...');
+  const expected = await estimateUserOpGas(userOp);
+  const estimate = await callRpc(handleRpc, {
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'eth_estimateUserOperationGas',
+    params: [userOp, config.entryPointAddress]
+  });
+  assert.strictEqual(estimate.error, undefined);
+  assert.deepStrictEqual(estimate.result, {
+    preVerificationGas: ethers.toQuantity(expected.preVerificationGas),
+    verificationGasLimit: ethers.toQuantity(expected.verificationGasLimit),
+    callGasLimit: ethers.toQuantity(expected.callGasLimit)
+  });
+  // 不再是固定的 150000 / 21000
+  assert.notStrictEqual(BigInt(estimate.result.verificationGasLimit), 150000n);
+  assert.ok(BigInt(estimate.result.preVerificationGas) > 21000n);
+  console.log('  result:', JSON.stringify(estimate.result));
+
+  console.log('Step 2: simulation revert is rejected by EntryPoint (-32500)...');
+  chain.revert = true;
+  const reverted = await callRpc(handleRpc, {
+    jsonrpc: '2.0',
+    id: 2,
+    method: 'eth_estimateUserOperationGas',
+    params: [userOp, config.entryPointAddress]
+  });
+  assert.strictEqual(reverted.error.code, -32500);
+  assert.ok(reverted.error.message.includes('revert'));
+  chain.revert = false;
+  console.log('  [OK]');
+
+  console.log('Step 3: malformed numeric fields are invalid params (-32602)...');
+  const malformed = await callRpc(handleRpc, {
+    jsonrpc: '2.0',
+    id: 3,
+    method: 'eth_estimateUserOperationGas',
+    params: [{ ...userOp, nonce: 'abc' }, config.entryPointAddress]
+  });
+  assert.strictEqual(malformed.error.code, -32602);
+  assert.ok(malformed.error.message.startsWith('nonce'));
+  console.log('  [OK]');
+
+  console.log('Step 4: batch requests dispatch each method and keep their ids...');
+  const unknownHash = ethers.id('unknown');
+  const batch = await callRpc(handleRpc, [
+    { jsonrpc: '2.0', id: 'a', method: 'eth_chainId' },
+    { jsonrpc: '2.0', id: 'b', method: 'eth_supportedEntryPoints', params: [] },
+    { jsonrpc: '2.0', id: 'c', method: 'eth_getUserOperationByHash', params: [unknownHash] },
+    { jsonrpc: '2.0', id: 'd', method: 'eth_getUserOperationReceipt', params: [unknownHash] }
+  ]);
+  assert.deepStrictEqual(batch, [
+    { jsonrpc: '2.0', id: 'a', result: ethers.toQuantity(config.chainId) },
+    { jsonrpc: '2.0', id: 'b', result: [ethers.getAddress(config.entryPointAddress)] },
+    { jsonrpc: '2.0', id: 'c', result: null },
+    { jsonrpc: '2.0', id: 'd', result: null }
+  ]);
+  console.log('  [OK]');
+
+  console.log('Step 5: JSON-RPC 2.0 request errors (-32600 / -32601 / -32602)...');
+  const errorCode = async (body) => (await callRpc(handleRpc, body)).error.code;
+  assert.strictEqual(await errorCode({ id: 5, method: 'eth_chainId' }), -32600);
+  assert.strictEqual(await errorCode({ jsonrpc: '2.0', id: 5 }), -32600);
+  assert.strictEqual(await errorCode(null), -32600);
+  assert.strictEqual(await errorCode([]), -32600);
+  const notFound = await callRpc(handleRpc, { jsonrpc: '2.0', id: 6, method: 'eth_sendTransaction', params: [] });
+  assert.deepStrictEqual(notFound, {
+    jsonrpc: '2.0',
+    id: 6,
+    error: { code: -32601, message: 'Method eth_sendTransaction not found' }
+  });
+  assert.strictEqual(await errorCode({ jsonrpc: '2.0', id: 7, method: 'eth_chainId', params: {} }), -32602);
+  // 批量请求中的无效请求不影响其他请求
+  const mixed = await callRpc(handleRpc, [{ jsonrpc: '2.0', id: 8, method: 'eth_chainId' }, 1]);
+  assert.strictEqual(mixed[0].result, ethers.toQuantity(config.chainId));
+  assert.strictEqual(mixed[1].error.code, -32600);
+  assert.strictEqual(mixed[1].id, null);
+  console.log('  [OK]');
+
+  console.log('Step 6: invalid method params are -32602...');
+  const invalidParams = [
+    ['eth_estimateUserOperationGas', [userOp, '0x1234']],
+    ['eth_estimateUserOperationGas', [userOp, '0x' + '11'.repeat(20)]],
+    ['eth_estimateUserOperationGas', [{ ...userOp, sender: '0x1234' }, config.entryPointAddress]],
+    ['eth_sendUserOperation', [userOp, config.entryPointAddress]],
+    ['eth_getUserOperationReceipt', ['0x1234']],
+    ['eth_getUserOperationByHash', []]
+  ];
+  for (const [method, params] of invalidParams) {
+    const response = await callRpc(handleRpc, { jsonrpc: '2.0', id: 9, method, params });
+    assert.strictEqual(response.error?.code, -32602, `${method}: ${JSON.stringify(response)}`);
+  }
+  console.log('  [OK]');
+
+  console.log('Step 7: node failures are internal errors (-32603)...');
+  // ethers 在 250ms 内复用相同请求 (eth_blockNumber) 的结果
+  await new Promise(resolve => setTimeout(resolve, 300));
+  chain.down = true;
+  const internal = await callRpc(handleRpc, {
+    jsonrpc: '2.0',
+    id: 10,
+    method: 'eth_getUserOperationReceipt',
+    params: [unknownHash]
+  });
+  assert.strictEqual(internal.error.code, -32603);
+  chain.down = false;
+  console.log('  [OK]');
+
+  console.log('');
+  console.log('  [PASS] bundler json-rpc');
+  console.log('');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,276 @@
+/**
+ * Test handleOps simulation through eth_call with state overrides: the
+ * Kernel designator is injected for undelegated senders only, the optional
+ * balance override, validation vs execution reverts with decoded errors,
+ * the gas estimate, the asset-change preview and unsigned UserOps simulated
+ * with the estimation signer, against a stub JSON-RPC provider, no node
+ * required
+ */
+
+import assert from 'node:assert';
+import { ethers } from 'ethers';
+import { config } from '../src/config.js';
+import { getProvider, getBundlerAddress } from '../src/services/bundler.js';
+import { encodeDelegationDesignator } from '../src/services/delegation.js';
+import { AUTHORIZATION_GAS } from '../src/services/gasEstimator.js';
+import { normalizeUserOp } from '../src/services/userOperation.js';
+import { getUserOpSigningDigest } from '../src/services/userOpHash.js';
+import { simulateHandleOps, buildSimulationOverrides, SIMULATION_PHASE } from '../src/services/simulation.js';
+import { REVERT_CODES } from '../src/services/revertDecoder.js';
+import { TRANSFER_KINDS } from '../src/services/assetChanges.js';
+import { simulateUserOp } from '../src/routes/simulate.js';
+
+const OWNER = new ethers.Wallet('0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a');
+const SENDER = OWNER.address;
+const SENDER_BALANCE = 5n * 10n ** 17n;
+const HANDLE_OPS_GAS = 200000n;
+const PREFUND = 1000n;
+
+const errors = new ethers.Interface([
+  'error CallFailed(uint256 callIndex)',
+  'error FailedOp(uint256 opIndex, string reason)'
+]);
+
+const entryPoint = new ethers.Interface([
+  'function handleOps((address sender, uint256 nonce, bytes initCode, bytes callData, bytes32 accountGasLimits, uint256 preVerificationGas, bytes32 gasFees, bytes paymasterAndData, bytes signature)[] ops, address beneficiary)'
+]);
+
+/**
+ * 解码 handleOps calldata 中的第一个 UserOp
+ */
+function decodeHandleOps(data) {
+  return entryPoint.decodeFunctionData('handleOps', data).ops[0];
+}
+
+/**
+ * 替换 provider 的 JSON-RPC 传输, 记录 eth_call / eth_estimateGas 的参数
+ * 与 Kernel 一致, 空签名的 UserOp 在验证阶段 revert
+ *
+ * @param {Object} options - 账户代码, handleOps / 执行阶段的 revert 数据
+ */
+function stubRpc({ code = '0x', handleOpsRevert = null, executionRevert = null }) {
+  const calls = [];
+
+  const handle = (method, params) => {
+    switch (method) {
+      case 'eth_chainId':
+        return ethers.toQuantity(config.chainId);
+      case 'eth_getCode':
+        return code;
+      case 'eth_getBalance':
+        return ethers.toQuantity(SENDER_BALANCE);
+      case 'eth_call': {
+        const [tx, , overrides] = params;
+        calls.push({ method, tx, overrides });
+        const isHandleOps = tx.to.toLowerCase() === config.entryPointAddress.toLowerCase();
+        if (isHandleOps && decodeHandleOps(tx.data).signature === '0x') {
+          throw Object.assign(new Error('execution reverted'), {
+            data: errors.encodeErrorResult('FailedOp', [0, 'AA23 reverted: Invalid signature from signer'])
+          });
+        }
+        const revert = isHandleOps ? handleOpsRevert : executionRevert;
+        if (revert) {
+          throw Object.assign(new Error('execution reverted'), { data: revert });
+        }
+        return '0x';
+      }
+      case 'eth_estimateGas':
+        calls.push({ method, tx: params[0], overrides: params[2] });
+        return ethers.toQuantity(HANDLE_OPS_GAS);
+      case 'debug_traceCall': {
+        // 验证阶段 sender 向 EntryPoint 支付 prefund
+        const [tx, , { stateOverrides }] = params;
+        calls.push({ method, tx, overrides: stateOverrides });
+        const sender = decodeHandleOps(tx.data).sender;
+        return {
+          type: 'CALL',
+          from: tx.from,
+          to: tx.to,
+          value: '0x0',
+          input: tx.data,
+          calls: [{
+            type: 'CALL',
+            from: tx.to,
+            to: sender,
+            value: '0x0',
+            input: '0x19822f7c',
+            calls: [{ type: 'CALL', from: sender, to: tx.to, value: ethers.toQuantity(PREFUND), input: '0x' }]
+          }]
+        };
+      }
+      default:
+        throw new Error(`unexpected method ${method}`);
+    }
+  };
+
+  getProvider()._send = async (payload) => {
+    const requests = Array.isArray(payload) ? payload : [payload];
+    return requests.map(({ id, method, params }) => {
+      try {
+        return { id, result: handle(method, params) };
+      } catch (error) {
+        return { id, error: { code: 3, message: error.message, data: error.data } };
+      }
+    });
+  };
+
+  return calls;
+}
+
+/**
+ * 调用路由处理函数
+ *
+ * @param {function} handler - 路由处理函数
+ * @param {Object} body - 请求体
+ * @returns {Promise<{status: number, body: Object}>} 响应
+ */
+async function callRoute(handler, body) {
+  const response = { status: 200, body: null };
+  const res = {
+    status(code) {
+      response.status = code;
+      return res;
+    },
+    json(payload) {
+      response.body = payload;
+      return res;
+    }
+  };
+  await handler({ id: 'req_test', body, headers: {} }, res);
+  return response;
+}
+
+async function main() {
+  console.log('');
+  console.log('╔════════════════════════════════════════════════════════════════════╗');
+  console.log('║          HANDLEOPS SIMULATION TEST                               ║');
+  console.log('╚════════════════════════════════════════════════════════════════════╝');
+  console.log('');
+
+  const userOp = {
+    sender: SENDER,
+    nonce: '0',
+    callData: '0x69d76bed' + '00'.repeat(12) + '11'.repeat(20) + '00'.repeat(96),
+    callGasLimit: '150000',
+    verificationGasLimit: '150000',
+    preVerificationGas: '21000',
+    maxFeePerGas: '1000000000',
+    maxPriorityFeePerGas: '1000000000',
+    paymasterAndData: '0x',
+    signature: '0x'
+  };
+  userOp.signature = OWNER.signingKey.sign(getUserOpSigningDigest(normalizeUserOp(userOp))).serialized;
+  const designator = encodeDelegationDesignator(config.kernelAddress);
+
+  console.log('Step 1: state overrides...');
+  assert.deepStrictEqual(buildSimulationOverrides(SENDER, { delegate: false }), {});
+  assert.deepStrictEqual(buildSimulationOverrides(SENDER, { delegate: true }), { [SENDER]: { code: designator } });
+  assert.deepStrictEqual(
+    buildSimulationOverrides(SENDER.toLowerCase(), { delegate: true, balance: 10n ** 18n }),
+    { [SENDER]: { code: designator, balance: '0xde0b6b3a7640000' } }
+  );
+  assert.deepStrictEqual(buildSimulationOverrides(SENDER, { delegate: false, balance: 0n }), { [SENDER]: { balance: '0x0' } });
+  console.log('  [OK]');
+
+  console.log('Step 2: undelegated sender simulates with the Kernel designator injected...');
+  let calls = stubRpc({ code: '0x' });
+  let simulation = await simulateHandleOps(userOp, { balance: 10n ** 18n });
+  assert.strictEqual(simulation.willRevert, false);
+  assert.strictEqual(simulation.revertPhase, null);
+  assert.strictEqual(simulation.estimatedGas, HANDLE_OPS_GAS + AUTHORIZATION_GAS);
+  assert.deepStrictEqual(calls.map(call => call.method), ['eth_call', 'debug_traceCall', 'eth_call', 'eth_estimateGas']);
+  const [handleOpsCall, traceCall, executionCall] = calls;
+  assert.deepStrictEqual(traceCall.tx, handleOpsCall.tx);
+  assert.deepStrictEqual(traceCall.overrides, handleOpsCall.overrides);
+  assert.strictEqual(handleOpsCall.tx.from.toLowerCase(), getBundlerAddress().toLowerCase());
+  assert.strictEqual(handleOpsCall.tx.to.toLowerCase(), config.entryPointAddress.toLowerCase());
+  assert.strictEqual(handleOpsCall.overrides[SENDER].code, designator);
+  assert.strictEqual(handleOpsCall.overrides[SENDER].balance, '0xde0b6b3a7640000');
+  assert.strictEqual(executionCall.tx.from.toLowerCase(), config.entryPointAddress.toLowerCase());
+  assert.strictEqual(executionCall.tx.to.toLowerCase(), SENDER.toLowerCase());
+  assert.strictEqual(executionCall.tx.data, userOp.callData);
+  assert.deepStrictEqual(simulation.assetChanges.transfers.map(transfer => [transfer.kind, transfer.amount]), [
+    [TRANSFER_KINDS.PREFUND, PREFUND.toString()]
+  ]);
+  assert.strictEqual(simulation.assetChanges.changes.find(change => change.address === SENDER).delta, `-${PREFUND}`);
+  console.log('  [OK]');
+
+  console.log('Step 3: sender already delegated to Kernel simulates without overrides...');
+  // ethers 在 250ms 内复用相同请求 (eth_getCode) 的结果
+  await new Promise(resolve => setTimeout(resolve, 300));
+  calls = stubRpc({ code: designator });
+  simulation = await simulateHandleOps(userOp);
+  assert.strictEqual(simulation.willRevert, false);
+  assert.deepStrictEqual(simulation.stateOverrides, {});
+  assert.deepStrictEqual(calls[0].overrides, {});
+  assert.strictEqual(simulation.estimatedGas, HANDLE_OPS_GAS);
+  console.log('  [OK]');
+
+  console.log('Step 4: validation revert is decoded...');
+  const failedOp = errors.encodeErrorResult('FailedOp', [0, "AA21 didn't pay prefund"]);
+  calls = stubRpc({ code: '0x', handleOpsRevert: failedOp });
+  simulation = await simulateHandleOps(userOp);
+  assert.strictEqual(simulation.willRevert, true);
+  assert.strictEqual(simulation.revertPhase, SIMULATION_PHASE.VALIDATION);
+  assert.strictEqual(simulation.revert.code, REVERT_CODES.ENTRYPOINT_FAILED_OP);
+  assert.ok(simulation.revertReason.includes('AA21'));
+  assert.strictEqual(simulation.estimatedGas, null);
+  assert.strictEqual(simulation.assetChanges, null);
+  assert.strictEqual(calls.length, 1);
+  console.log('  [OK]');
+
+  console.log('Step 5: execution revert is simulated separately and decoded...');
+  stubRpc({ code: '0x', executionRevert: errors.encodeErrorResult('CallFailed', [1]) });
+  simulation = await simulateHandleOps(userOp);
+  assert.strictEqual(simulation.willRevert, true);
+  assert.strictEqual(simulation.revertPhase, SIMULATION_PHASE.EXECUTION);
+  assert.strictEqual(simulation.revert.code, REVERT_CODES.KERNEL_CALL_FAILED);
+  assert.strictEqual(simulation.revert.callIndex, 1);
+  // 执行阶段 revert 时 prefund 仍会发生
+  assert.strictEqual(simulation.assetChanges.transfers[0].kind, TRANSFER_KINDS.PREFUND);
+  console.log('  [OK]');
+
+  console.log('Step 6: unsigned UserOp is simulated with the estimation signer...');
+  await new Promise(resolve => setTimeout(resolve, 300));
+  calls = stubRpc({ code: '0x' });
+  simulation = await simulateHandleOps({ ...userOp, signature: '0x' });
+  assert.strictEqual(simulation.willRevert, false, 'missing signature is not a validation revert');
+  assert.strictEqual(simulation.signatureValid, false);
+  assert.deepStrictEqual(calls.map(call => call.method), ['eth_call', 'debug_traceCall', 'eth_call', 'eth_estimateGas']);
+  const standIn = decodeHandleOps(calls[0].tx.data);
+  assert.notStrictEqual(standIn.sender, SENDER);
+  assert.notStrictEqual(standIn.signature, '0x');
+  const standInOverride = calls[0].overrides[standIn.sender];
+  assert.strictEqual(standInOverride.code, designator);
+  assert.strictEqual(standInOverride.balance, ethers.toQuantity(SENDER_BALANCE), 'stand-in gets the sender balance');
+  assert.strictEqual(Object.values(standInOverride.stateDiff)[0], ethers.toBeHex(0, 32), 'Kernel nonce matches the UserOp');
+  assert.strictEqual(calls[0].overrides[SENDER].code, designator);
+  assert.strictEqual(calls[2].tx.to.toLowerCase(), SENDER.toLowerCase(), 'callData still executes on the sender');
+  assert.deepStrictEqual(calls[3].overrides, calls[0].overrides);
+  assert.strictEqual(simulation.estimatedGas, HANDLE_OPS_GAS + AUTHORIZATION_GAS);
+  assert.strictEqual(simulation.assetChanges.transfers[0].from, SENDER, 'stand-in transfers are attributed to the sender');
+  assert.strictEqual(simulation.assetChanges.changes.find(change => change.address === SENDER).delta, `-${PREFUND}`);
+  assert.strictEqual((await simulateHandleOps(userOp)).signatureValid, true);
+  console.log('  [OK]');
+
+  console.log('Step 7: /api/simulate rejects unparseable numeric fields...');
+  let response = await callRoute(simulateUserOp, { userOp: { ...userOp, nonce: 'abc' } });
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.body.error.code, 'INVALID_USEROP');
+  assert.ok(response.body.error.message.includes('nonce'));
+  response = await callRoute(simulateUserOp, { userOp: { ...userOp, callGasLimit: '1.5' } });
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.body.error.code, 'INVALID_USEROP');
+  console.log('  [OK]');
+
+  console.log('');
+  console.log('  [PASS] handleOps simulation');
+  console.log('');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,157 @@
+/**
+ * Test the UserOp lifecycle event hub: store record mapping, subscription
+ * filtering, de-duplication between bundler and chain sources, and
+ * chain polling for UserOperationEvent logs and delegation changes against
+ * a stub JSON-RPC provider, no node required
+ */
+
+import assert from 'node:assert';
+import { ethers } from 'ethers';
+
+// 测试不写入 data/userops.jsonl
+process.env.USEROP_STORE = 'memory';
+
+const SENDER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const OTHER = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+
+async function main() {
+  const { config } = await import('../src/config.js');
+  const { getProvider, getEntryPointInterface } = await import('../src/services/bundler.js');
+  const { encodeDelegationDesignator } = await import('../src/services/delegation.js');
+  const { USEROP_STATUS } = await import('../src/services/userOpStore.js');
+  const { UserOpEventHub, USEROP_EVENT_TYPES, toUserOpEvent } = await import('../src/services/userOpEvents.js');
+
+  console.log('');
+  console.log('╔════════════════════════════════════════════════════════════════════╗');
+  console.log('║          USEROP EVENTS TEST                                      ║');
+  console.log('╚════════════════════════════════════════════════════════════════════╝');
+  console.log('');
+
+  const entryPointInterface = getEntryPointInterface();
+  const hashA = ethers.keccak256('0x0a');
+  const hashB = ethers.keccak256('0x0b');
+  const txHash = '0x' + 'aa'.repeat(32);
+  const userOp = { sender: SENDER, nonce: '3' };
+
+  console.log('Step 1: store records map to lifecycle events...');
+  assert.strictEqual(toUserOpEvent({ userOpHash: hashA, userOp, status: USEROP_STATUS.PENDING }), null);
+  assert.strictEqual(toUserOpEvent({ userOpHash: hashA, userOp, status: USEROP_STATUS.SUBMITTED }), null);
+  const submitted = toUserOpEvent({ userOpHash: hashA, userOp, status: USEROP_STATUS.SUBMITTED, txHash });
+  assert.strictEqual(submitted.type, USEROP_EVENT_TYPES.SUBMITTED);
+  assert.strictEqual(submitted.sender, SENDER);
+  assert.strictEqual(submitted.nonce, '3');
+  assert.strictEqual(submitted.source, 'bundler');
+  const reverted = toUserOpEvent({ userOpHash: hashA, userOp, status: USEROP_STATUS.FAILED, txHash, blockNumber: 7 });
+  assert.strictEqual(reverted.type, USEROP_EVENT_TYPES.REVERTED);
+  const failed = toUserOpEvent({ userOpHash: hashA, userOp, status: USEROP_STATUS.FAILED, reason: 'AA25 invalid account nonce' });
+  assert.strictEqual(failed.type, USEROP_EVENT_TYPES.FAILED);
+  console.log('  [OK]');
+
+  console.log('Step 2: subscribers receive matching events once...');
+  const hub = new UserOpEventHub({ pollIntervalMs: 3600000 });
+  const bySender = [];
+  const byHash = [];
+  const unsubscribeSender = hub.subscribe({ senders: [SENDER.toLowerCase()] }, event => bySender.push(event));
+  const unsubscribeHash = hub.subscribe({ userOpHashes: [hashB] }, event => byHash.push(event));
+  assert.ok(hub.timer);
+
+  hub.publishUserOp({ userOpHash: hashA, userOp, status: USEROP_STATUS.SUBMITTED, txHash });
+  hub.publishUserOp({ userOpHash: hashA, userOp, status: USEROP_STATUS.SUBMITTED, txHash });
+  hub.publishUserOp({ userOpHash: hashB, userOp: { sender: OTHER, nonce: '0' }, status: USEROP_STATUS.SUBMITTED, txHash });
+  assert.deepStrictEqual(bySender.map(event => event.userOpHash), [hashA]);
+  assert.deepStrictEqual(byHash.map(event => event.sender), [OTHER]);
+  console.log('  [OK]');
+
+  console.log('Step 3: chain logs publish included / reverted with revert data...');
+  const revertData = ethers.concat(['0x08c379a0', ethers.AbiCoder.defaultAbiCoder().encode(['string'], ['boom'])]);
+  const toRpcLog = (name, args, logIndex) => {
+    const { data, topics } = entryPointInterface.encodeEventLog(entryPointInterface.getEvent(name), args);
+    return {
+      address: config.entryPointAddress,
+      data,
+      topics,
+      blockNumber: '0x21',
+      blockHash: '0x' + 'cc'.repeat(32),
+      transactionHash: txHash,
+      transactionIndex: '0x0',
+      logIndex: ethers.toQuantity(logIndex),
+      removed: false
+    };
+  };
+  const chainLogs = [
+    toRpcLog('UserOperationEvent', [hashA, SENDER, ethers.ZeroAddress, 3n, true, 1000n, 100n], 0),
+    toRpcLog('UserOperationRevertReason', [hashB, OTHER, 0n, revertData], 1),
+    toRpcLog('UserOperationEvent', [hashB, OTHER, ethers.ZeroAddress, 0n, false, 2000n, 200n], 2)
+  ];
+
+  let code = '0x';
+  getProvider()._send = async (payload) => {
+    const requests = Array.isArray(payload) ? payload : [payload];
+    return requests.map(({ id, method }) => {
+      switch (method) {
+        case 'eth_chainId':
+          return { id, result: ethers.toQuantity(config.chainId) };
+        case 'eth_blockNumber':
+          return { id, result: hub.lastBlock === null ? '0x20' : '0x21' };
+        case 'eth_getLogs':
+          return { id, result: chainLogs };
+        case 'eth_getCode':
+          return { id, result: code };
+        default:
+          return { id, error: { code: -32601, message: `unexpected method ${method}` } };
+      }
+    });
+  };
+
+  await hub.poll();
+  assert.strictEqual(hub.lastBlock, 32);
+  assert.deepStrictEqual(hub.delegations.get(SENDER.toLowerCase()).state, 'none');
+
+  code = encodeDelegationDesignator(config.kernelAddress);
+  // ethers 缓存 eth_blockNumber 250ms
+  await new Promise(resolve => setTimeout(resolve, 300));
+  await hub.poll();
+  assert.strictEqual(hub.lastBlock, 33);
+
+  const included = bySender.find(event => event.type === USEROP_EVENT_TYPES.INCLUDED);
+  assert.strictEqual(included.source, 'chain');
+  assert.strictEqual(included.blockNumber, 33);
+  assert.strictEqual(included.actualGasCost, '1000');
+  const chainReverted = byHash.find(event => event.type === USEROP_EVENT_TYPES.REVERTED);
+  assert.strictEqual(chainReverted.revertData, revertData);
+  assert.strictEqual(chainReverted.sender, OTHER);
+  console.log('  [OK]');
+
+  console.log('Step 4: delegation changes are published to sender subscribers...');
+  const changed = bySender.find(event => event.type === USEROP_EVENT_TYPES.DELEGATION_CHANGED);
+  assert.strictEqual(changed.sender, SENDER);
+  assert.strictEqual(changed.previous.state, 'none');
+  assert.strictEqual(changed.current.isKernel, true);
+  assert.strictEqual(byHash.some(event => event.type === USEROP_EVENT_TYPES.DELEGATION_CHANGED), false);
+  console.log('  ', changed.previous.state, '->', changed.current.state);
+
+  console.log('Step 5: bundler results already seen on chain are not repeated...');
+  const count = bySender.length;
+  hub.publishUserOp({ userOpHash: hashA, userOp, status: USEROP_STATUS.INCLUDED, txHash, blockNumber: 33 });
+  assert.strictEqual(bySender.length, count);
+  console.log('  [OK]');
+
+  console.log('Step 6: polling stops with the last subscriber...');
+  unsubscribeSender();
+  assert.ok(hub.timer);
+  unsubscribeHash();
+  assert.strictEqual(hub.timer, null);
+  assert.strictEqual(hub.lastBlock, null);
+  console.log('  [OK]');
+
+  console.log('');
+  console.log('  [PASS] userop events');
+  console.log('');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,160 @@
+/**
+ * Test userOpHash module against the exact-hash.test.js vectors
+ * (EntryPoint.getUserOpHash / Kernel._getUserOpStructHash), no node required
+ */
+
+import assert from 'node:assert';
+import { ethers } from 'ethers';
+import { config } from '../src/config.js';
+import {
+  SIGNATURE_SCHEMES,
+  PACKED_USEROP_TYPEHASH,
+  getUserOpHash,
+  getUserOpStructHash,
+  getDomainSeparator,
+  getUserOpTypedData,
+  getUserOpSigningDigest
+} from '../src/services/userOpHash.js';
+import { hashUserOp, verifyUserOpSignature } from '../src/services/validation.js';
+
+// Kernel.sol constants
+// (Kernel._DOMAIN_NAME_HASH is not keccak256("ERC4337") and is not used by validateUserOp,
+//  which checks the userOpHash passed in by EntryPoint, so it is not asserted here)
+const KERNEL_DOMAIN_VERSION_HASH = '0xc89efdaa54c0f20c7adf612882df0950f5a951637e0307cdcb4c672f298b8bc6';
+const KERNEL_EMPTY_HASH = '0xc5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470';
+
+function signEIP712Hash(privateKey, hash) {
+  const signingKey = new ethers.SigningKey(privateKey);
+  const sig = signingKey.sign(hash);
+  const vHex = sig.v === 27 ? '1b' : '1c';
+  return '0x' + sig.r.substring(2) + sig.s.substring(2) + vHex;
+}
+
+// Reference computation, copied step by step from exact-hash.test.js
+function referenceUserOpHash(userOp) {
+  const hashInitCode = ethers.keccak256(userOp.initCode);
+  const hashCallData = ethers.keccak256(userOp.callData);
+  const hashPaymasterAndData = ethers.keccak256(userOp.paymasterAndData);
+
+  const structHash = ethers.keccak256(
+    ethers.concat([
+      PACKED_USEROP_TYPEHASH,
+      ethers.zeroPadValue(userOp.sender, 32),
+      ethers.zeroPadValue(ethers.toBeHex(userOp.nonce), 32),
+      hashInitCode,
+      hashCallData,
+      userOp.accountGasLimits,
+      ethers.zeroPadValue(ethers.toBeHex(userOp.preVerificationGas), 32),
+      userOp.gasFees,
+      hashPaymasterAndData
+    ])
+  );
+
+  const domainSeparator = ethers.keccak256(
+    ethers.concat([
+      ethers.keccak256(ethers.toUtf8Bytes('EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)')),
+      ethers.keccak256(ethers.toUtf8Bytes('ERC4337')),
+      ethers.keccak256(ethers.toUtf8Bytes('1')),
+      ethers.zeroPadValue(ethers.toBeHex(config.chainId), 32),
+      ethers.zeroPadValue(config.entryPointAddress, 32)
+    ])
+  );
+
+  return {
+    structHash,
+    domainSeparator,
+    userOpHash: ethers.keccak256(ethers.concat(['0x1901', domainSeparator, structHash]))
+  };
+}
+
+async function main() {
+  console.log('');
+  console.log('╔════════════════════════════════════════════════════════════════════╗');
+  console.log('║          USEROP HASH MODULE TEST                                 ║');
+  console.log('╚════════════════════════════════════════════════════════════════════╝');
+  console.log('');
+
+  const bundlerWallet = new ethers.Wallet(config.bundlerPrivateKey);
+  const userBPrivateKey = '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a';
+  const userB = new ethers.Wallet(userBPrivateKey);
+
+  const callData = '0x69d76bed' +
+    config.tokenAddress.substring(2).padStart(40, '0') +
+    userB.address.substring(2).padStart(40, '0') +
+    bundlerWallet.address.substring(2).padStart(40, '0') +
+    (100n * 10n**6n).toString(16).padStart(64, '0');
+
+  const packedUserOp = {
+    sender: userB.address,
+    nonce: 2n,
+    initCode: '0x',
+    callData: callData,
+    accountGasLimits: ethers.solidityPacked(['uint128', 'uint128'], [200000n, 200000n]),
+    preVerificationGas: 21000n,
+    gasFees: ethers.solidityPacked(['uint128', 'uint128'], [ethers.parseUnits('1', 'gwei'), ethers.parseUnits('1', 'gwei')]),
+    paymasterAndData: '0x',
+    signature: '0x'
+  };
+
+  const unpackedUserOp = {
+    sender: userB.address,
+    nonce: '2',
+    callData: callData,
+    callGasLimit: '200000',
+    verificationGasLimit: '200000',
+    preVerificationGas: '21000',
+    maxFeePerGas: ethers.parseUnits('1', 'gwei').toString(),
+    maxPriorityFeePerGas: ethers.parseUnits('1', 'gwei').toString(),
+    paymasterAndData: '0x',
+    signature: '0x'
+  };
+
+  const reference = referenceUserOpHash(packedUserOp);
+
+  console.log('Step 1: Kernel constants...');
+  assert.strictEqual(ethers.id('1'), KERNEL_DOMAIN_VERSION_HASH);
+  assert.strictEqual(ethers.keccak256('0x'), KERNEL_EMPTY_HASH);
+  console.log('  [OK] domain version hash and empty bytes hash match Kernel.sol');
+
+  console.log('Step 2: structHash / domainSeparator...');
+  assert.strictEqual(getUserOpStructHash(packedUserOp), reference.structHash);
+  assert.strictEqual(getDomainSeparator(), reference.domainSeparator);
+  console.log('  structHash:', reference.structHash);
+  console.log('  domainSeparator:', reference.domainSeparator);
+
+  console.log('Step 3: userOpHash (packed and unpacked input)...');
+  assert.strictEqual(getUserOpHash(packedUserOp), reference.userOpHash);
+  assert.strictEqual(getUserOpHash(unpackedUserOp), reference.userOpHash);
+  assert.strictEqual(hashUserOp(unpackedUserOp), reference.userOpHash);
+  console.log('  userOpHash:', reference.userOpHash);
+
+  console.log('Step 4: EIP-712 typed data digest equals userOpHash...');
+  const { domain, types, message } = getUserOpTypedData(unpackedUserOp);
+  assert.strictEqual(ethers.TypedDataEncoder.hash(domain, types, message), reference.userOpHash);
+  assert.strictEqual(getUserOpSigningDigest(unpackedUserOp, SIGNATURE_SCHEMES.EIP712), reference.userOpHash);
+  console.log('  [OK]');
+
+  console.log('Step 5: signature schemes...');
+  const rawSignature = signEIP712Hash(userBPrivateKey, reference.userOpHash);
+  assert.ok(verifyUserOpSignature({ ...unpackedUserOp, signature: rawSignature }, SIGNATURE_SCHEMES.RAW));
+  assert.ok(!verifyUserOpSignature({ ...unpackedUserOp, signature: rawSignature }, SIGNATURE_SCHEMES.EIP191));
+
+  const personalSignature = await userB.signMessage(ethers.getBytes(reference.userOpHash));
+  assert.ok(verifyUserOpSignature({ ...unpackedUserOp, signature: personalSignature }, SIGNATURE_SCHEMES.EIP191));
+  assert.ok(!verifyUserOpSignature({ ...unpackedUserOp, signature: personalSignature }, SIGNATURE_SCHEMES.RAW));
+
+  const typedSignature = await userB.signTypedData(domain, types, message);
+  assert.ok(verifyUserOpSignature({ ...unpackedUserOp, signature: typedSignature }, SIGNATURE_SCHEMES.EIP712));
+  console.log('  [OK] raw / eip191 / eip712');
+
+  console.log('');
+  console.log('  [PASS] userOpHash matches EntryPoint/Kernel hashing');
+  console.log('');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,172 @@
+/**
+ * Test UserOp status reporting for async submission: receipt parsing with
+ * UserOperationRevertReason, received / submitted / included / failed
+ * mapping from the store, and the on-chain fallback against a stub
+ * JSON-RPC provider, no node required
+ */
+
+import assert from 'node:assert';
+import { ethers } from 'ethers';
+
+// 测试不写入 data/userops.jsonl
+process.env.USEROP_STORE = 'memory';
+
+const SENDER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+function encodeLog(entryPointInterface, name, args) {
+  const { data, topics } = entryPointInterface.encodeEventLog(entryPointInterface.getEvent(name), args);
+  return { address: ethers.ZeroAddress, data, topics };
+}
+
+async function main() {
+  const { config } = await import('../src/config.js');
+  const { getProvider, getEntryPointInterface, parseUserOpResult } = await import('../src/services/bundler.js');
+  const { MemoryUserOpStore, USEROP_STATUS, setUserOpStore } = await import('../src/services/userOpStore.js');
+  const { getUserOpStatus, SUBMISSION_STATUS } = await import('../src/services/userOpSubmission.js');
+
+  console.log('');
+  console.log('╔════════════════════════════════════════════════════════════════════╗');
+  console.log('║          USEROP STATUS TEST                                      ║');
+  console.log('╚════════════════════════════════════════════════════════════════════╝');
+  console.log('');
+
+  const entryPointInterface = getEntryPointInterface();
+  const hashA = ethers.keccak256('0x0a');
+  const hashB = ethers.keccak256('0x0b');
+  const hashC = ethers.keccak256('0x0c');
+  const txHash = '0x' + 'aa'.repeat(32);
+  const revertData = ethers.concat(['0x08c379a0', ethers.AbiCoder.defaultAbiCoder().encode(['string'], ['boom'])]);
+
+  console.log('Step 1: receipt parsing picks up UserOperationRevertReason...');
+  const revertLogs = [
+    encodeLog(entryPointInterface, 'UserOperationRevertReason', [hashA, SENDER, 0n, revertData]),
+    encodeLog(entryPointInterface, 'UserOperationEvent', [hashA, SENDER, ethers.ZeroAddress, 0n, false, 1000n, 100n])
+  ];
+  const reverted = parseUserOpResult({ status: 1, logs: revertLogs }, { sender: SENDER, nonce: 0 });
+  assert.deepStrictEqual(reverted, {
+    found: true,
+    success: false,
+    actualGasCost: '1000',
+    actualGasUsed: '100',
+    revertData
+  });
+  const missing = parseUserOpResult({ status: 1, logs: revertLogs }, { sender: SENDER, nonce: 1 });
+  assert.strictEqual(missing.found, false);
+  console.log('  [OK]');
+
+  console.log('Step 2: store records map to received / submitted...');
+  const store = new MemoryUserOpStore();
+  setUserOpStore(store);
+  store.save({ userOpHash: hashA, userOp: { sender: SENDER, nonce: '0' }, source: 'execute' });
+  const received = await getUserOpStatus(hashA);
+  assert.strictEqual(received.status, SUBMISSION_STATUS.RECEIVED);
+  assert.strictEqual(received.txHash, null);
+  assert.strictEqual(received.result, null);
+
+  store.save({ userOpHash: hashA, status: USEROP_STATUS.SUBMITTED, txHash });
+  const submitted = await getUserOpStatus(hashA);
+  assert.strictEqual(submitted.status, SUBMISSION_STATUS.SUBMITTED);
+  assert.strictEqual(submitted.txHash, txHash);
+  assert.strictEqual(submitted.originalTxHash, txHash);
+  assert.deepStrictEqual(submitted.replacements, []);
+  console.log('  [OK]');
+
+  console.log('Step 3: finished records include the decoded result...');
+  store.save({
+    userOpHash: hashA,
+    status: USEROP_STATUS.FAILED,
+    blockNumber: 31,
+    gasUsed: '180000',
+    actualGasCost: reverted.actualGasCost,
+    actualGasUsed: reverted.actualGasUsed,
+    revertData: reverted.revertData,
+    reason: 'UserOp 执行 revert'
+  });
+  const failed = await getUserOpStatus(hashA);
+  assert.strictEqual(failed.status, SUBMISSION_STATUS.FAILED);
+  assert.strictEqual(failed.nonce, '0');
+  assert.strictEqual(failed.source, 'execute');
+  assert.strictEqual(failed.blockNumber, 31);
+  const { revert, ...failedResult } = failed.result;
+  assert.deepStrictEqual(failedResult, {
+    success: false,
+    gasUsed: '180000',
+    actualGasCost: '1000',
+    actualGasUsed: '100',
+    revertData
+  });
+  assert.strictEqual(revert.message, 'revert: boom');
+  console.log('  reason:', failed.reason);
+
+  console.log('Step 4: unknown UserOps fall back to UserOperationEvent on chain...');
+  const minedLog = encodeLog(entryPointInterface, 'UserOperationEvent', [hashB, SENDER, ethers.ZeroAddress, 5n, true, 2000n, 200n]);
+  const rpcLog = {
+    ...minedLog,
+    address: config.entryPointAddress,
+    blockNumber: '0x1f',
+    blockHash: '0x' + 'cc'.repeat(32),
+    transactionHash: txHash,
+    transactionIndex: '0x0',
+    logIndex: '0x0',
+    removed: false
+  };
+
+  getProvider()._send = async (payload) => {
+    const requests = Array.isArray(payload) ? payload : [payload];
+    return requests.map(({ id, method, params }) => {
+      switch (method) {
+        case 'eth_chainId':
+          return { id, result: ethers.toQuantity(config.chainId) };
+        case 'eth_blockNumber':
+          return { id, result: '0x20' };
+        case 'eth_getLogs':
+          return { id, result: params[0].topics[1] === hashB ? [rpcLog] : [] };
+        case 'eth_getTransactionReceipt':
+          return {
+            id,
+            result: {
+              transactionHash: txHash,
+              transactionIndex: '0x0',
+              blockHash: rpcLog.blockHash,
+              blockNumber: rpcLog.blockNumber,
+              from: ethers.ZeroAddress,
+              to: config.entryPointAddress,
+              cumulativeGasUsed: '0x2bf20',
+              gasUsed: '0x2bf20',
+              effectiveGasPrice: '0x1',
+              contractAddress: null,
+              logs: [rpcLog],
+              logsBloom: '0x' + '00'.repeat(256),
+              status: '0x1',
+              type: '0x2'
+            }
+          };
+        default:
+          return { id, error: { code: -32601, message: `unexpected method ${method}` } };
+      }
+    });
+  };
+
+  const onChain = await getUserOpStatus(hashB);
+  assert.strictEqual(onChain.status, SUBMISSION_STATUS.INCLUDED);
+  assert.strictEqual(onChain.sender, SENDER);
+  assert.strictEqual(onChain.nonce, '5');
+  assert.strictEqual(onChain.source, null);
+  assert.strictEqual(onChain.txHash, txHash);
+  assert.strictEqual(onChain.blockNumber, 31);
+  assert.strictEqual(onChain.result.actualGasCost, '2000');
+  assert.strictEqual(onChain.result.gasUsed, '180000');
+  assert.strictEqual(await getUserOpStatus(hashC), null);
+  console.log('  [OK]');
+
+  console.log('');
+  console.log('  [PASS] userop status');
+  console.log('');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,220 @@
+/**
+ * Test the UserOp store: JSON Lines persistence, reload and compaction,
+ * retention, and mempool.restore() resuming unfinished ops (broadcast ones
+ * wait for their receipt instead of being resent) against a stub JSON-RPC
+ * provider, no node required
+ */
+
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { ethers } from 'ethers';
+
+// 测试不写入 data/userops.jsonl; 已广播 UserOp 的确认间隔
+process.env.USEROP_STORE = 'memory';
+process.env.BUNDLE_INTERVAL_MS = '100';
+
+const SENDER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+function buildUserOp(nonce) {
+  return {
+    sender: SENDER,
+    nonce: String(nonce),
+    initCode: '0x',
+    callData: '0x',
+    callGasLimit: '100000',
+    verificationGasLimit: '150000',
+    preVerificationGas: '50000',
+    maxFeePerGas: '1000000000',
+    maxPriorityFeePerGas: '1000000000',
+    paymasterAndData: '0x',
+    signature: '0x' + '11'.repeat(65)
+  };
+}
+
+async function main() {
+  const { config } = await import('../src/config.js');
+  const { getProvider, getEntryPointInterface } = await import('../src/services/bundler.js');
+  const {
+    FileUserOpStore,
+    MemoryUserOpStore,
+    USEROP_STATUS,
+    setUserOpStore
+  } = await import('../src/services/userOpStore.js');
+  const { mempool } = await import('../src/services/mempool.js');
+
+  console.log('');
+  console.log('╔════════════════════════════════════════════════════════════════════╗');
+  console.log('║          USEROP STORE TEST                                       ║');
+  console.log('╚════════════════════════════════════════════════════════════════════╝');
+  console.log('');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'userop-store-'));
+  const filePath = path.join(dir, 'userops.jsonl');
+  const hashA = ethers.keccak256('0x0a');
+  const hashB = ethers.keccak256('0x0b');
+  const hashC = ethers.keccak256('0x0c');
+
+  try {
+    console.log('Step 1: records are merged and appended...');
+    const store = new FileUserOpStore({ filePath, retentionMs: 3600000 });
+    store.save({ userOpHash: hashA, userOp: buildUserOp(0), source: 'execute', status: USEROP_STATUS.SUBMITTED });
+    store.save({ userOpHash: hashA, status: USEROP_STATUS.INCLUDED, txHash: '0x' + 'aa'.repeat(32), gasUsed: '21000' });
+    store.save({ userOpHash: hashB, userOp: buildUserOp(1) });
+    const record = store.get(hashA);
+    assert.strictEqual(record.status, USEROP_STATUS.INCLUDED);
+    assert.strictEqual(record.source, 'execute');
+    assert.strictEqual(record.sender, SENDER.toLowerCase());
+    assert.strictEqual(record.userOp.nonce, '0');
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 3);
+    console.log('  [OK]');
+
+    console.log('Step 2: reload keeps the last line per hash and compacts...');
+    fs.appendFileSync(filePath, '{"userOpHash": "0xtrunc');
+    const reloaded = new FileUserOpStore({ filePath, retentionMs: 3600000 });
+    assert.strictEqual(reloaded.get(hashA).txHash, '0x' + 'aa'.repeat(32));
+    assert.strictEqual(reloaded.get(hashB).status, USEROP_STATUS.PENDING);
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 2);
+    console.log('  [OK]');
+
+    console.log('Step 3: finished records expire after the retention period...');
+    reloaded.get(hashA).updatedAt -= 2 * 3600000;
+    reloaded.compact();
+    const expired = new FileUserOpStore({ filePath, retentionMs: 3600000 });
+    assert.strictEqual(expired.get(hashA), null);
+    assert.notStrictEqual(expired.get(hashB), null);
+    console.log('  [OK]');
+
+    console.log('Step 4: list filters and stats...');
+    assert.strictEqual(store.list({ status: USEROP_STATUS.INCLUDED }).length, 1);
+    assert.strictEqual(store.list({ status: [USEROP_STATUS.PENDING, USEROP_STATUS.INCLUDED] }).length, 2);
+    assert.strictEqual(store.list({ sender: SENDER, limit: 1 }).length, 1);
+    assert.strictEqual(store.list({ sender: ethers.ZeroAddress }).length, 0);
+    const stats = store.getStats();
+    assert.strictEqual(stats.type, 'file');
+    assert.strictEqual(stats.records, 2);
+    assert.strictEqual(stats.included, 1);
+    console.log('  [OK]');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('Step 5: mempool.restore() resumes unfinished UserOps...');
+  const memoryStore = new MemoryUserOpStore();
+  setUserOpStore(memoryStore);
+  memoryStore.save({ userOpHash: hashA, userOp: buildUserOp(0), status: USEROP_STATUS.PENDING });
+  memoryStore.save({ userOpHash: hashB, userOp: buildUserOp(1), source: 'execute', status: USEROP_STATUS.SUBMITTED });
+  // 停机前已广播, 尚未上链
+  const pendingTxHash = '0x' + 'dd'.repeat(32);
+  memoryStore.save({ userOpHash: hashC, userOp: buildUserOp(2), status: USEROP_STATUS.SUBMITTED, txHash: pendingTxHash });
+
+  const entryPointInterface = getEntryPointInterface();
+  const minedTxHash = '0x' + 'bb'.repeat(32);
+  const eventLog = entryPointInterface.encodeEventLog(
+    entryPointInterface.getEvent('UserOperationEvent'),
+    [hashB, SENDER, ethers.ZeroAddress, 1n, true, 1000n, 100n]
+  );
+  const pendingEventLog = entryPointInterface.encodeEventLog(
+    entryPointInterface.getEvent('UserOperationEvent'),
+    [hashC, SENDER, ethers.ZeroAddress, 2n, true, 2000n, 200n]
+  );
+  let pendingMined = false;
+
+  getProvider()._send = async (payload) => {
+    const requests = Array.isArray(payload) ? payload : [payload];
+    return requests.map(({ id, method, params }) => {
+      switch (method) {
+        case 'eth_chainId':
+          return { id, result: ethers.toQuantity(config.chainId) };
+        case 'eth_blockNumber':
+          return { id, result: '0x20' };
+        case 'eth_getLogs':
+          return {
+            id,
+            result: params[0].topics[1] === hashB
+              ? [{
+                  address: config.entryPointAddress,
+                  topics: eventLog.topics,
+                  data: eventLog.data,
+                  blockNumber: '0x1f',
+                  blockHash: '0x' + 'cc'.repeat(32),
+                  transactionHash: minedTxHash,
+                  transactionIndex: '0x0',
+                  logIndex: '0x0',
+                  removed: false
+                }]
+              : []
+          };
+        case 'eth_getTransactionReceipt':
+          return {
+            id,
+            result: params[0] === pendingTxHash && pendingMined
+              ? {
+                  transactionHash: pendingTxHash,
+                  transactionIndex: '0x0',
+                  blockHash: '0x' + 'ee'.repeat(32),
+                  blockNumber: '0x21',
+                  from: ethers.ZeroAddress,
+                  to: config.entryPointAddress,
+                  contractAddress: null,
+                  cumulativeGasUsed: '0x30d40',
+                  gasUsed: '0x30d40',
+                  effectiveGasPrice: '0x3b9aca00',
+                  logsBloom: '0x' + '00'.repeat(256),
+                  logs: [{
+                    address: config.entryPointAddress,
+                    topics: pendingEventLog.topics,
+                    data: pendingEventLog.data,
+                    blockNumber: '0x21',
+                    blockHash: '0x' + 'ee'.repeat(32),
+                    transactionHash: pendingTxHash,
+                    transactionIndex: '0x0',
+                    logIndex: '0x0',
+                    removed: false
+                  }],
+                  status: '0x1',
+                  type: '0x4'
+                }
+              : null
+          };
+        default:
+          return { id, error: { code: -32601, message: `unexpected method ${method}` } };
+      }
+    });
+  };
+
+  const result = await mempool.restore();
+  assert.deepStrictEqual(result, { resumed: 1, finished: 1, watching: 1 });
+  assert.strictEqual(mempool.get(hashA).status, USEROP_STATUS.PENDING);
+  assert.strictEqual(mempool.getPendingCount(), 1);
+  assert.strictEqual(memoryStore.get(hashB).status, USEROP_STATUS.INCLUDED);
+  assert.strictEqual(memoryStore.get(hashB).txHash, minedTxHash);
+  assert.strictEqual(memoryStore.get(hashB).actualGasCost, '1000');
+  console.log('  resumed:', result.resumed, 'finished:', result.finished, 'watching:', result.watching);
+
+  console.log('Step 6: broadcast UserOp waits for its receipt instead of being resent...');
+  assert.strictEqual(mempool.get(hashC).status, USEROP_STATUS.SUBMITTED);
+  assert.ok(!mempool.selectBundle().some(entry => entry.userOpHash === hashC));
+  pendingMined = true;
+  const deadline = Date.now() + 5000;
+  while (memoryStore.get(hashC).status === USEROP_STATUS.SUBMITTED && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  assert.strictEqual(memoryStore.get(hashC).status, USEROP_STATUS.INCLUDED);
+  assert.strictEqual(memoryStore.get(hashC).txHash, pendingTxHash);
+  assert.strictEqual(memoryStore.get(hashC).actualGasCost, '2000');
+  assert.strictEqual(mempool.watching.size, 0);
+  console.log('  [OK]');
+
+  console.log('');
+  console.log('  [PASS] userop store');
+  console.log('');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,88 @@
+/**
+ * Test ERC-7562 rule checks on recorded validation traces: banned opcodes,
+ * GAS usage, associated storage and out-of-gas, no node required
+ */
+
+import assert from 'node:assert';
+import { ethers } from 'ethers';
+import { config } from '../src/config.js';
+import { VALIDATION_TRACER, analyzeValidationTrace } from '../src/services/validationTracer.js';
+
+const SENDER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const TOKEN = '0xC3CEec5Ba25E4762a3218beac49A40681B9CC5cb';
+
+function trace(overrides = {}) {
+  return { opcodes: [], storage: [], keccak: [], oog: false, error: null, ...overrides };
+}
+
+async function main() {
+  console.log('');
+  console.log('╔════════════════════════════════════════════════════════════════════╗');
+  console.log('║          VALIDATION TRACER TEST                                  ║');
+  console.log('╚════════════════════════════════════════════════════════════════════╝');
+  console.log('');
+
+  console.log('Step 1: tracer source is a valid JS object...');
+  const tracer = new Function(`return (${VALIDATION_TRACER})`)();
+  assert.strictEqual(typeof tracer.step, 'function');
+  assert.strictEqual(typeof tracer.result, 'function');
+  console.log('  [OK]');
+
+  console.log('Step 2: clean trace...');
+  const ownSlot = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['address', 'uint256'], [SENDER, 0]));
+  const clean = analyzeValidationTrace(trace({
+    storage: [
+      { op: 'SSTORE', address: SENDER.toLowerCase(), slot: ownSlot.slice(2) },
+      { op: 'SSTORE', address: config.entryPointAddress.toLowerCase(), slot: '1' }
+    ]
+  }), { sender: SENDER });
+  assert.deepStrictEqual(clean, []);
+  console.log('  [OK]');
+
+  console.log('Step 3: banned opcodes and GAS not followed by CALL...');
+  const opcodes = analyzeValidationTrace(trace({
+    opcodes: [
+      { op: 'ORIGIN', address: SENDER.toLowerCase(), depth: 1 },
+      { op: 'ORIGIN', address: SENDER.toLowerCase(), depth: 1 },
+      { op: 'SELFBALANCE', address: SENDER.toLowerCase(), depth: 1 },
+      { op: 'GAS', address: SENDER.toLowerCase(), depth: 1 }
+    ]
+  }), { sender: SENDER });
+  assert.deepStrictEqual(opcodes.map((violation) => violation.rule), ['OP-011', 'OP-011', 'OP-012']);
+  assert.strictEqual(opcodes[0].opcode, 'ORIGIN');
+  assert.strictEqual(opcodes[0].address, SENDER);
+  console.log('  violations:', opcodes.map((violation) => violation.opcode).join(', '));
+
+  console.log('Step 4: associated vs unassociated token storage...');
+  const balancePreimage = ethers.AbiCoder.defaultAbiCoder().encode(['address', 'uint256'], [SENDER, 3]);
+  const balanceSlot = BigInt(ethers.keccak256(balancePreimage));
+  const storage = analyzeValidationTrace(trace({
+    keccak: [balancePreimage],
+    storage: [
+      { op: 'SLOAD', address: TOKEN.toLowerCase(), slot: balanceSlot.toString(16) },
+      { op: 'SLOAD', address: TOKEN.toLowerCase(), slot: (balanceSlot + 1n).toString(16) },
+      { op: 'SLOAD', address: TOKEN.toLowerCase(), slot: BigInt(SENDER).toString(16) },
+      { op: 'SLOAD', address: TOKEN.toLowerCase(), slot: '2' }
+    ]
+  }), { sender: SENDER });
+  assert.strictEqual(storage.length, 1);
+  assert.strictEqual(storage[0].rule, 'STO-021');
+  assert.strictEqual(storage[0].slot, ethers.toBeHex(2, 32));
+  console.log('  [OK]');
+
+  console.log('Step 5: out of gas and revert...');
+  assert.strictEqual(analyzeValidationTrace(trace({ oog: true, error: 'out of gas' }), { sender: SENDER })[0].rule, 'OP-020');
+  assert.strictEqual(analyzeValidationTrace(trace({ error: 'execution reverted' }), { sender: SENDER })[0].rule, 'REVERT');
+  console.log('  [OK]');
+
+  console.log('');
+  console.log('  [PASS] validation tracer');
+  console.log('');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
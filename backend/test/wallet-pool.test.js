@@ -0,0 +1,261 @@
+/**
+ * Test bundler wallet pool selection, local nonce allocation, filling nonce
+ * gaps left by failed sends, stuck transaction fee-bump replacement and self-sends
+ * of recipient-less transactions with a stub provider, no node required
+ */
+
+import assert from 'node:assert';
+import { ethers } from 'ethers';
+import { BundlerWalletPool, SELECTION_STRATEGIES, TX_STATUS, bumpFees } from '../src/services/walletPool.js';
+
+// anvil 默认账户 #0 - #2
+const PRIVATE_KEYS = [
+  '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+  '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d',
+  '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a'
+];
+
+function createStubProvider(startNonce) {
+  const stub = {
+    nonceQueries: 0,
+    async getTransactionCount() {
+      stub.nonceQueries++;
+      return startNonce;
+    }
+  };
+  return stub;
+}
+
+/**
+ * 替换 entry 的 wallet.sendTransaction, 记录每次广播的交易
+ * 只有 minedAfter 次之后的广播会得到 receipt
+ */
+function stubBroadcast(pool, entry, minedAfter) {
+  const sent = [];
+  entry.wallet = {
+    async populateTransaction(tx) {
+      return { ...tx };
+    },
+    async sendTransaction(tx) {
+      const hash = ethers.zeroPadValue(ethers.toBeHex(sent.length + 1), 32);
+      sent.push({ ...tx, hash });
+      return {
+        hash,
+        nonce: tx.nonce,
+        gasLimit: tx.gasLimit ?? 100000n,
+        maxFeePerGas: tx.maxFeePerGas ?? 1000n,
+        maxPriorityFeePerGas: tx.maxPriorityFeePerGas ?? 100n
+      };
+    }
+  };
+  pool.provider.getTransactionReceipt = async (hash) => {
+    const index = sent.findIndex((tx) => tx.hash === hash);
+    return index >= minedAfter ? { hash, status: 1, blockNumber: 1 } : null;
+  };
+  return sent;
+}
+
+async function main() {
+  console.log('');
+  console.log('╔════════════════════════════════════════════════════════════════════╗');
+  console.log('║          BUNDLER WALLET POOL TEST                                ║');
+  console.log('╚════════════════════════════════════════════════════════════════════╝');
+  console.log('');
+
+  console.log('Step 1: round-robin selection...');
+  const roundRobin = new BundlerWalletPool(PRIVATE_KEYS, createStubProvider(0));
+  const picked = [0, 1, 2, 3].map(() => roundRobin.select().address);
+  assert.deepStrictEqual(picked, [
+    roundRobin.entries[0].address,
+    roundRobin.entries[1].address,
+    roundRobin.entries[2].address,
+    roundRobin.entries[0].address
+  ]);
+  assert.strictEqual(roundRobin.primary.address, roundRobin.entries[0].address);
+  console.log('  [OK]');
+
+  console.log('Step 2: least-busy selection...');
+  const leastBusy = new BundlerWalletPool(PRIVATE_KEYS, createStubProvider(0), SELECTION_STRATEGIES.LEAST_BUSY);
+  leastBusy.entries[0].inFlight = 2;
+  leastBusy.entries[1].inFlight = 1;
+  leastBusy.entries[2].inFlight = 3;
+  assert.strictEqual(leastBusy.select().address, leastBusy.entries[1].address);
+  leastBusy.entries[1].inFlight = 5;
+  assert.strictEqual(leastBusy.select().address, leastBusy.entries[0].address);
+  console.log('  [OK]');
+
+  console.log('Step 3: concurrent nonce allocation shares one chain sync...');
+  const provider = createStubProvider(7);
+  const pool = new BundlerWalletPool(PRIVATE_KEYS.slice(0, 1), provider);
+  const entry = pool.entries[0];
+  const nonces = await Promise.all([0, 1, 2, 3].map(() => pool.allocateNonce(entry)));
+  assert.deepStrictEqual(nonces.sort((a, b) => a - b), [7, 8, 9, 10]);
+  assert.strictEqual(provider.nonceQueries, 1);
+  console.log('  nonces:', nonces.join(', '));
+
+  console.log('Step 4: reset resyncs from chain...');
+  pool.resetNonce(entry);
+  assert.strictEqual(await pool.allocateNonce(entry), 7);
+  assert.strictEqual(provider.nonceQueries, 2);
+  console.log('  [OK]');
+
+  console.log('Step 5: invalid configuration...');
+  assert.throws(() => new BundlerWalletPool([], provider));
+  assert.throws(() => new BundlerWalletPool(PRIVATE_KEYS, provider, 'random'));
+  console.log('  [OK]');
+
+  console.log('Step 6: fee bump math and cap...');
+  assert.deepStrictEqual(
+    bumpFees({ maxFeePerGas: 100n, maxPriorityFeePerGas: 10n }, 15),
+    { maxFeePerGas: 115n, maxPriorityFeePerGas: 12n }
+  );
+  assert.deepStrictEqual(
+    bumpFees({ maxFeePerGas: 100n, maxPriorityFeePerGas: 100n }, 15, 110n),
+    { maxFeePerGas: 110n, maxPriorityFeePerGas: 110n }
+  );
+  assert.strictEqual(bumpFees({ maxFeePerGas: 110n, maxPriorityFeePerGas: 10n }, 15, 110n), null);
+  console.log('  [OK]');
+
+  console.log('Step 7: stuck transaction is replaced with the same nonce...');
+  const replacing = new BundlerWalletPool(PRIVATE_KEYS.slice(0, 1), createStubProvider(3), undefined, {
+    stuckTimeoutMs: 10,
+    feeBumpPercent: 20,
+    maxReplacements: 3
+  });
+  const broadcasts = stubBroadcast(replacing, replacing.entries[0], 2);
+  const receipt = await replacing.sendTransaction({ to: replacing.primary.address, data: '0x' });
+  assert.strictEqual(broadcasts.length, 3);
+  assert.deepStrictEqual(broadcasts.map((tx) => tx.nonce), [3, 3, 3]);
+  assert.strictEqual(broadcasts[2].maxFeePerGas, 1440n);
+  assert.strictEqual(receipt.hash, broadcasts[2].hash);
+  const record = replacing.getTransaction(broadcasts[1].hash);
+  assert.strictEqual(record.originalHash, broadcasts[0].hash);
+  assert.strictEqual(record.status, TX_STATUS.MINED);
+  assert.strictEqual(record.attempts.length, 3);
+  assert.strictEqual(replacing.entries[0].inFlight, 0);
+  console.log('  replacements:', record.attempts.length - 1);
+
+  console.log('Step 8: gives up after max replacements...');
+  const capped = new BundlerWalletPool(PRIVATE_KEYS.slice(0, 1), createStubProvider(0), undefined, {
+    stuckTimeoutMs: 10,
+    maxReplacements: 1
+  });
+  const cappedBroadcasts = stubBroadcast(capped, capped.entries[0], Infinity);
+  await assert.rejects(
+    capped.sendTransaction({ to: capped.primary.address, data: '0x' }),
+    (error) => error.broadcast === true
+  );
+  assert.strictEqual(cappedBroadcasts.length, 2);
+  assert.strictEqual(capped.listTransactions(TX_STATUS.STUCK).length, 1);
+  console.log('  [OK]');
+
+  console.log('Step 9: gas estimation failure does not allocate a nonce...');
+  const estimating = new BundlerWalletPool(PRIVATE_KEYS.slice(0, 1), createStubProvider(5));
+  estimating.entries[0].wallet = {
+    async populateTransaction() {
+      throw new Error('execution reverted');
+    }
+  };
+  await assert.rejects(estimating.sendTransaction({ to: estimating.primary.address, data: '0x' }), /execution reverted/);
+  assert.strictEqual(estimating.provider.nonceQueries, 0);
+  assert.strictEqual(estimating.entries[0].nextNonce, null);
+  assert.strictEqual(estimating.entries[0].failed, 1);
+  console.log('  [OK]');
+
+  console.log('Step 10: unsent nonces below in-flight ones are filled right away...');
+  const concurrent = new BundlerWalletPool(PRIVATE_KEYS.slice(0, 1), createStubProvider(5), undefined, {
+    stuckTimeoutMs: 60000
+  });
+  const wallet = concurrent.entries[0];
+  const sent = [];
+  let releaseFailing;
+  const failingGate = new Promise(resolve => { releaseFailing = resolve; });
+  let nonceErrors = 1;
+  let mined = false;
+  wallet.wallet = {
+    async populateTransaction(tx) {
+      return { ...tx, gasLimit: 100000n, maxFeePerGas: 1000n, maxPriorityFeePerGas: 100n };
+    },
+    async sendTransaction(tx) {
+      if (tx.data === '0xbad0') {
+        await failingGate;
+        throw new Error('insufficient funds for gas * price + value');
+      }
+      if (tx.data === '0x05' && nonceErrors-- > 0) {
+        throw Object.assign(new Error('nonce too low'), { code: 'NONCE_EXPIRED' });
+      }
+      const hash = ethers.zeroPadValue(ethers.toBeHex(sent.length + 1), 32);
+      sent.push({ to: tx.to, data: tx.data, value: tx.value, nonce: tx.nonce, hash });
+      return { hash, nonce: tx.nonce, gasLimit: tx.gasLimit, maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas };
+    }
+  };
+  concurrent.provider.getTransactionReceipt = async (hash) => (mined ? { hash, status: 1, blockNumber: 1 } : null);
+  const send = (data) => concurrent.sendTransaction({ to: concurrent.primary.address, data });
+  const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+  const pending = [send('0x01')];
+  await settle();
+  const failing = send('0xbad0');
+  await settle();
+  pending.push(send('0x03'));
+  await settle();
+  releaseFailing();
+  await assert.rejects(failing, /insufficient funds/);
+  await settle();
+  // 6 未广播, 7 已在途: 立即用 0 ETH 自转账填补 6, 不重新同步
+  assert.deepStrictEqual(sent.at(-1), { to: wallet.address, data: undefined, value: 0n, nonce: 6, hash: sent.at(-1).hash });
+  assert.deepStrictEqual(wallet.freedNonces, []);
+  assert.strictEqual(wallet.nextNonce, 8);
+  pending.push(send('0x04'));
+  await settle();
+  // 有其他在途交易时 nonce 冲突不重新同步, 重试使用下一个 nonce
+  pending.push(send('0x05'));
+  await settle();
+  mined = true;
+  await Promise.all(pending);
+  assert.deepStrictEqual(sent.map(tx => [tx.data, tx.nonce]), [['0x01', 5], ['0x03', 7], [undefined, 6], ['0x04', 8], ['0x05', 10]]);
+  assert.strictEqual(concurrent.provider.nonceQueries, 1);
+  assert.strictEqual(wallet.nextNonce, 11);
+  assert.strictEqual(wallet.inFlight, 0);
+  console.log('  [OK]');
+
+  console.log('Step 11: the latest unsent nonce is rolled back...');
+  concurrent.releaseNonce(wallet, 10);
+  assert.strictEqual(wallet.nextNonce, 10);
+  wallet.freedNonces = [8];
+  concurrent.releaseNonce(wallet, 9);
+  assert.strictEqual(wallet.nextNonce, 8);
+  assert.deepStrictEqual(wallet.freedNonces, []);
+  console.log('  [OK]');
+
+  console.log('Step 12: a failed gap fill leaves the nonce for the next transaction...');
+  wallet.wallet.sendTransaction = async () => {
+    throw new Error('network error');
+  };
+  wallet.nextNonce = 12;
+  concurrent.releaseNonce(wallet, 9);
+  await settle();
+  assert.deepStrictEqual(wallet.freedNonces, [9]);
+  assert.strictEqual(await concurrent.allocateNonce(wallet), 9);
+  console.log('  [OK]');
+
+  console.log('Step 13: transactions without a recipient are sent to the selecting wallet...');
+  const selfSend = new BundlerWalletPool(PRIVATE_KEYS.slice(0, 2), createStubProvider(0));
+  for (const selfEntry of selfSend.entries) {
+    const selfSent = stubBroadcast(selfSend, selfEntry, 0);
+    await selfSend.sendTransaction({ type: 4, data: '0x' });
+    assert.strictEqual(selfSent[0].to, selfEntry.address);
+  }
+  console.log('  [OK]');
+
+  console.log('');
+  console.log('  [PASS] wallet pool');
+  console.log('');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,194 @@
+/**
+ * Test signed webhooks: HMAC signatures, registration persistence,
+ * matching by sender and API key, exponential backoff retries and the
+ * delivery log, using a stub sender instead of real HTTP, no node required
+ */
+
+import assert from 'node:assert';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { ethers } from 'ethers';
+
+// 测试不写入 data/userops.jsonl / data/webhooks.json
+process.env.USEROP_STORE = 'memory';
+process.env.WEBHOOKS_PATH = '';
+
+const SENDER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const OTHER = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+const API_KEY_ID = 'a1b2c3d4e5f60718';
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function main() {
+  const { config } = await import('../src/config.js');
+  const { getEntryPointInterface } = await import('../src/services/bundler.js');
+  const { USEROP_STATUS } = await import('../src/services/userOpStore.js');
+  const {
+    WebhookManager,
+    WEBHOOK_EVENTS,
+    DELIVERY_STATUS,
+    signWebhookPayload,
+    decodeReceipt
+  } = await import('../src/services/webhooks.js');
+
+  console.log('');
+  console.log('╔════════════════════════════════════════════════════════════════════╗');
+  console.log('║          WEBHOOKS TEST                                           ║');
+  console.log('╚════════════════════════════════════════════════════════════════════╝');
+  console.log('');
+
+  const userOpHash = ethers.keccak256('0x0a');
+  const txHash = '0x' + 'aa'.repeat(32);
+
+  console.log('Step 1: payload signature is HMAC-SHA256 over timestamp.body...');
+  const expected = crypto.createHmac('sha256', 'secret').update('1700000000000.{"a":1}').digest('hex');
+  assert.strictEqual(signWebhookPayload('secret', 1700000000000, '{"a":1}'), `sha256=${expected}`);
+  console.log('  [OK]');
+
+  console.log('Step 2: registrations are persisted and reloaded...');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+  try {
+    const filePath = path.join(dir, 'webhooks.json');
+    const stored = new WebhookManager({ filePath, maxAttempts: 1, retryBaseMs: 10, timeoutMs: 1000 });
+    const registered = stored.register({ owner: API_KEY_ID, url: 'https://example.com/hook' });
+    const reloaded = new WebhookManager({ filePath, maxAttempts: 1, retryBaseMs: 10, timeoutMs: 1000 });
+    assert.strictEqual(reloaded.get(registered.id).secret, registered.secret);
+    assert.deepStrictEqual(reloaded.get(registered.id).events, [WEBHOOK_EVENTS.INCLUDED, WEBHOOK_EVENTS.REVERTED]);
+    assert.strictEqual(reloaded.get(registered.id, 'another-key'), null);
+    assert.strictEqual(reloaded.list(API_KEY_ID).length, 1);
+    assert.strictEqual(reloaded.remove(registered.id), true);
+    assert.strictEqual(new WebhookManager({ filePath, maxAttempts: 1, retryBaseMs: 10, timeoutMs: 1000 }).list(API_KEY_ID).length, 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('  [OK]');
+
+  console.log('Step 3: results are delivered to matching sender / API key webhooks...');
+  const requests = [];
+  let responses = [];
+  const manager = new WebhookManager({
+    maxAttempts: 3,
+    retryBaseMs: 20,
+    timeoutMs: 1000,
+    send: async (url, body, headers) => {
+      requests.push({ url, body, headers });
+      const response = responses.shift() ?? 200;
+      if (response instanceof Error) throw response;
+      return response;
+    }
+  });
+  const byKey = manager.register({ owner: API_KEY_ID, url: 'https://example.com/key' });
+  const bySender = manager.register({ owner: 'other-key', url: 'https://example.com/sender', sender: SENDER });
+  manager.register({ owner: 'other-key', url: 'https://example.com/other', sender: OTHER });
+  const failedOnly = manager.register({
+    owner: API_KEY_ID,
+    url: 'https://example.com/failed',
+    events: [WEBHOOK_EVENTS.FAILED]
+  });
+
+  const entryPointInterface = getEntryPointInterface();
+  const { data, topics } = entryPointInterface.encodeEventLog(
+    entryPointInterface.getEvent('UserOperationEvent'),
+    [userOpHash, SENDER, ethers.ZeroAddress, 2n, true, 1000n, 100n]
+  );
+  const receipt = {
+    hash: txHash,
+    blockHash: '0x' + 'cc'.repeat(32),
+    blockNumber: 31,
+    status: 1,
+    from: ethers.ZeroAddress,
+    to: config.entryPointAddress,
+    gasUsed: 180000n,
+    gasPrice: 1000000000n,
+    logs: [
+      { address: config.entryPointAddress, index: 0, topics, data },
+      { address: OTHER, index: 1, topics: [ethers.ZeroHash], data: '0x' }
+    ]
+  };
+  const record = {
+    userOpHash,
+    userOp: { sender: SENDER, nonce: '2' },
+    source: 'execute',
+    apiKeyId: API_KEY_ID,
+    status: USEROP_STATUS.INCLUDED,
+    txHash,
+    blockNumber: 31,
+    actualGasCost: '1000',
+    actualGasUsed: '100'
+  };
+
+  const deliveries = manager.notify(record, receipt);
+  assert.deepStrictEqual(deliveries.map(delivery => delivery.webhookId).sort(), [byKey.id, bySender.id].sort());
+  await sleep(10);
+  assert.strictEqual(requests.length, 2);
+
+  const request = requests.find(item => item.url === 'https://example.com/key');
+  assert.strictEqual(request.headers['X-Webhook-Event'], WEBHOOK_EVENTS.INCLUDED);
+  assert.strictEqual(
+    request.headers['X-Webhook-Signature'],
+    signWebhookPayload(byKey.secret, request.headers['X-Webhook-Timestamp'], request.body)
+  );
+  const payload = JSON.parse(request.body);
+  assert.strictEqual(payload.id, request.headers['X-Webhook-Delivery']);
+  assert.strictEqual(payload.data.success, true);
+  assert.strictEqual(payload.data.nonce, '2');
+  assert.strictEqual(payload.data.receipt.transactionHash, txHash);
+  assert.strictEqual(payload.data.receipt.logs[0].event.name, 'UserOperationEvent');
+  assert.strictEqual(payload.data.receipt.logs[0].event.args.actualGasCost, '1000');
+  assert.strictEqual(payload.data.receipt.logs[1].event, null);
+  assert.strictEqual(manager.getDeliveries(byKey.id)[0].status, DELIVERY_STATUS.DELIVERED);
+  console.log('  [OK]');
+
+  console.log('Step 4: failed deliveries are retried with exponential backoff...');
+  requests.length = 0;
+  responses = [500, new Error('connect ECONNREFUSED'), 204];
+  const [retried] = manager.notify({ ...record, apiKeyId: null, status: USEROP_STATUS.FAILED }, receipt);
+  assert.strictEqual(retried.webhookId, bySender.id);
+  assert.strictEqual(retried.event, WEBHOOK_EVENTS.REVERTED);
+  await sleep(10);
+  assert.strictEqual(retried.status, DELIVERY_STATUS.PENDING);
+  assert.strictEqual(retried.attempts[0].error, 'HTTP 500');
+  await sleep(150);
+  assert.strictEqual(retried.status, DELIVERY_STATUS.DELIVERED);
+  assert.deepStrictEqual(retried.attempts.map(attempt => attempt.statusCode), [500, null, 204]);
+  assert.ok(retried.attempts[2].at - retried.attempts[1].at >= 35);
+  // 重试使用相同的投递 ID 和请求体
+  assert.strictEqual(new Set(requests.map(item => item.headers['X-Webhook-Delivery'])).size, 1);
+  assert.strictEqual(new Set(requests.map(item => item.body)).size, 1);
+  console.log('  attempts:', retried.attempts.length);
+
+  console.log('Step 5: deliveries give up after maxAttempts...');
+  responses = [503, 503, 503];
+  const [failed] = manager.notify({ ...record, status: USEROP_STATUS.FAILED, txHash: undefined, blockNumber: undefined });
+  assert.strictEqual(failed.webhookId, failedOnly.id);
+  assert.strictEqual(failed.event, WEBHOOK_EVENTS.FAILED);
+  assert.strictEqual(JSON.parse(JSON.stringify(failed.payload)).data.receipt, null);
+  await sleep(150);
+  assert.strictEqual(failed.status, DELIVERY_STATUS.FAILED);
+  assert.strictEqual(failed.attempts.length, 3);
+  assert.strictEqual(failed.nextAttemptAt, null);
+  console.log('  [OK]');
+
+  console.log('Step 6: receipts without EntryPoint logs decode to raw logs...');
+  const decoded = decodeReceipt({ ...receipt, logs: receipt.logs.slice(1) });
+  assert.strictEqual(decoded.gasUsed, '180000');
+  assert.strictEqual(decoded.effectiveGasPrice, '1000000000');
+  assert.strictEqual(decoded.logs[0].event, null);
+  assert.strictEqual(decodeReceipt(null), null);
+  console.log('  [OK]');
+
+  console.log('');
+  console.log('  [PASS] webhooks');
+  console.log('');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });